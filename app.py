@@ -1,7 +1,13 @@
 import os
+import re
 import json
+import base64
 import logging
-from flask import Flask, render_template, request, jsonify
+import secrets
+import statistics
+from datetime import date, datetime, timedelta
+from functools import lru_cache
+from flask import Flask, render_template, request, jsonify, send_from_directory
 
 # Configure logging
 logging.basicConfig(level=logging.DEBUG)
@@ -21,6 +27,335 @@ def load_json_data(filename):
         logging.error(f"Invalid JSON in {filename}")
         return {}
 
+# Form submissions are appended to one JSON-lines file per form
+SUBMISSIONS_DIR = os.path.join('data', 'submissions')
+
+# Reference numbers avoid characters that are easy to confuse when read out (0/O, 1/I)
+REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+
+def generate_reference(prefix):
+    code = ''.join(secrets.choice(REFERENCE_ALPHABET) for _ in range(6))
+    return f"{prefix}-{datetime.now().strftime('%y%m%d')}-{code}"
+
+def save_submission(kind, record):
+    os.makedirs(SUBMISSIONS_DIR, exist_ok=True)
+    with open(os.path.join(SUBMISSIONS_DIR, f'{kind}.jsonl'), 'a', encoding='utf-8') as f:
+        f.write(json.dumps(record, ensure_ascii=False) + '\n')
+
+def find_submission(kind, value, key='submissionId'):
+    # Queued submissions may be retried after the server already stored them
+    try:
+        with open(os.path.join(SUBMISSIONS_DIR, f'{kind}.jsonl'), 'r', encoding='utf-8') as f:
+            for line in f:
+                record = json.loads(line)
+                if record.get(key) == value:
+                    return record
+    except FileNotFoundError:
+        pass
+    except json.JSONDecodeError:
+        logging.error(f"Invalid JSON in {kind} submissions")
+    return None
+
+def field_error(code, message, **params):
+    # The client translates errors by code and falls back to the English message
+    return {'code': code, 'message': message, 'params': params}
+
+# Contact form rules
+CONTACT_INQUIRY_TYPES = ['scheme-information', 'documentation-help', 'accessibility-issue', 'grievance',
+                         'resource-suggestion', 'technical-support', 'other']
+CONTACT_MAX_LENGTHS = {'firstName': 100, 'lastName': 100, 'email': 254, 'phone': 20, 'subject': 200, 'message': 5000}
+CONTACT_MIN_MESSAGE_LENGTH = 10
+EMAIL_PATTERN = re.compile(r'^[^\s@]+@[^\s@]+\.[^\s@]+$')
+# Indian mobile number (optional +91, 91 or 0), ignoring separators; the forms ask for a mobile
+MOBILE_PATTERN = re.compile(r'^(?:\+91|91|0)?[6-9][0-9]{9}$')
+PHONE_SEPARATORS = re.compile(r'[\s\-().]')
+
+def valid_mobile(value):
+    return bool(MOBILE_PATTERN.match(PHONE_SEPARATORS.sub('', value)))
+
+def validate_contact_submission(data):
+    errors = {}
+    fields = {key: str(data.get(key) or '').strip() for key in CONTACT_MAX_LENGTHS}
+
+    for key in ('firstName', 'lastName', 'email', 'subject', 'message'):
+        if not fields[key]:
+            errors[key] = field_error('required', 'This field is required')
+
+    for key, max_length in CONTACT_MAX_LENGTHS.items():
+        if key not in errors and len(fields[key]) > max_length:
+            errors[key] = field_error('tooLong', f'Please use {max_length} characters or fewer', max=max_length)
+
+    if 'email' not in errors and not EMAIL_PATTERN.match(fields['email']):
+        errors['email'] = field_error('email', 'Please enter a valid email address')
+
+    if fields['phone'] and 'phone' not in errors and not valid_mobile(fields['phone']):
+        errors['phone'] = field_error('mobile', 'Please enter a 10-digit mobile number, for example 98765 43210')
+
+    if 'message' not in errors and len(fields['message']) < CONTACT_MIN_MESSAGE_LENGTH:
+        errors['message'] = field_error('tooShort', f'Please write at least {CONTACT_MIN_MESSAGE_LENGTH} characters',
+                                        min=CONTACT_MIN_MESSAGE_LENGTH)
+
+    inquiry_type = str(data.get('inquiryType') or '')
+    if not inquiry_type:
+        errors['inquiryType'] = field_error('required', 'This field is required')
+    elif inquiry_type not in CONTACT_INQUIRY_TYPES:
+        errors['inquiryType'] = field_error('choice', 'Please choose one of the listed options')
+
+    city = str(data.get('city') or '')
+    city_names = [c['name'] for c in load_json_data('cities.json').get('cities', [])]
+    if city and city != 'Other' and city not in city_names:
+        errors['city'] = field_error('choice', 'Please choose one of the listed options')
+
+    if data.get('privacy') is not True:
+        errors['privacy'] = field_error('privacy', 'Please agree to the Privacy Policy to send your message')
+
+    return errors, fields
+
+# Event registration rules
+REGISTRATION_ACCOMMODATIONS = ['sign-language', 'wheelchair', 'captioning']
+REGISTRATION_MAX_LENGTHS = {'name': 200, 'email': 254, 'phone': 20, 'accessibilityNotes': 1000}
+
+def find_event(event_id):
+    for event in load_json_data('events.json').get('events', []):
+        if event.get('id') == event_id:
+            return event
+    return None
+
+def registration_open(event):
+    last_day = event.get('end_date') or event.get('date') or ''
+    return event.get('registration_required') is True and last_day >= date.today().isoformat()
+
+def validate_registration_submission(data):
+    errors = {}
+    fields = {key: str(data.get(key) or '').strip() for key in REGISTRATION_MAX_LENGTHS}
+
+    for key in ('name', 'email'):
+        if not fields[key]:
+            errors[key] = field_error('required', 'This field is required')
+
+    for key, max_length in REGISTRATION_MAX_LENGTHS.items():
+        if key not in errors and len(fields[key]) > max_length:
+            errors[key] = field_error('tooLong', f'Please use {max_length} characters or fewer', max=max_length)
+
+    if 'email' not in errors and not EMAIL_PATTERN.match(fields['email']):
+        errors['email'] = field_error('email', 'Please enter a valid email address')
+
+    if fields['phone'] and 'phone' not in errors and not valid_mobile(fields['phone']):
+        errors['phone'] = field_error('mobile', 'Please enter a 10-digit mobile number, for example 98765 43210')
+
+    accommodations = data.get('accommodations') or []
+    if not isinstance(accommodations, list) or any(item not in REGISTRATION_ACCOMMODATIONS for item in accommodations):
+        errors['accommodations'] = field_error('choice', 'Please choose one of the listed options')
+        accommodations = []
+
+    if data.get('privacy') is not True:
+        errors['privacy'] = field_error('consent', 'Please agree to the Privacy Policy to register')
+
+    fields['accommodations'] = sorted(set(accommodations))
+    return errors, fields
+
+# Listing options shared by /api/schemes and /api/events (and the pages that render them)
+LIST_MAX_LIMIT = 100
+SCHEME_TYPES = ['national', 'state']
+SCHEME_SORTS = {
+    'name': lambda scheme: scheme.get('name', '').lower(),
+    'state': lambda scheme: (scheme.get('state', '').lower(), scheme.get('name', '').lower())
+}
+EVENT_TYPES = ['national', 'regional', 'local']
+EVENT_SORTS = {
+    'date': lambda event: (event.get('date', ''), event.get('end_date') or event.get('date', '')),
+    'title': lambda event: event.get('title', '').lower()
+}
+EVENT_PERIODS = ['upcoming', 'this-month', 'next-month']
+
+def find_city(city_name):
+    for city in load_json_data('cities.json').get('cities', []):
+        if city['name'].lower() == city_name.lower():
+            return city
+    return None
+
+# PIN code positions come from post office locations. A PIN that is not listed falls back to the
+# middle of its sorting district (the first three digits), which is only approximate
+PIN_PATTERN = re.compile(r'^[1-9][0-9]{5}$')
+
+@lru_cache(maxsize=1)
+def load_pin_positions():
+    pins = load_json_data('pin_codes.json').get('pins', {})
+    by_district = {}
+    for pin, position in pins.items():
+        by_district.setdefault(pin[:3], []).append(position)
+    districts = {prefix: [statistics.median(p[0] for p in positions), statistics.median(p[1] for p in positions)]
+                 for prefix, positions in by_district.items()}
+    return pins, districts
+
+def locate_pin(pin):
+    pins, districts = load_pin_positions()
+    if pin in pins:
+        return pins[pin], False
+    return districts.get(pin[:3]), True
+
+def text_matches(item, fields, query):
+    # Every word has to appear somewhere in the listed fields
+    values = []
+    for field in fields:
+        value = item.get(field) or ''
+        values.extend(value if isinstance(value, list) else [value])
+    haystack = ' '.join(str(value) for value in values).lower()
+    return all(word in haystack for word in query.lower().split())
+
+def parse_sort(args, sorts, default):
+    sort = args.get('sort', '') or default
+    if not sort:
+        return None, False, None
+    key = sort.lstrip('-')
+    if key not in sorts:
+        return None, False, field_error('choice', 'Please choose one of the listed options', options=sorted(sorts))
+    return sorts[key], sort.startswith('-'), None
+
+def parse_date_arg(args, name, errors):
+    value = args.get(name, '')
+    if not value:
+        return ''
+    try:
+        return date.fromisoformat(value).isoformat()
+    except ValueError:
+        errors[name] = field_error('date', 'Please use a date in the form YYYY-MM-DD')
+        return ''
+
+def encode_cursor(offset):
+    return base64.urlsafe_b64encode(json.dumps({'offset': offset}).encode()).decode().rstrip('=')
+
+def decode_cursor(cursor):
+    # Cursors are opaque to clients so the paging scheme can change without breaking them
+    try:
+        padded = cursor + '=' * (-len(cursor) % 4)
+        offset = json.loads(base64.urlsafe_b64decode(padded.encode()).decode())['offset']
+    except (ValueError, KeyError, TypeError):
+        return None
+    return offset if isinstance(offset, int) and offset >= 0 else None
+
+def parse_page_args(args):
+    errors = {}
+    offset = 0
+    if args.get('cursor'):
+        offset = decode_cursor(args['cursor'])
+        if offset is None:
+            errors['cursor'] = field_error('cursor', 'This link has expired. Please start the list again.')
+            offset = 0
+
+    # Without a limit every remaining item is returned, as before pagination existed
+    limit = None
+    if args.get('limit'):
+        try:
+            limit = int(args['limit'])
+        except ValueError:
+            limit = 0
+        if not 1 <= limit <= LIST_MAX_LIMIT:
+            errors['limit'] = field_error('range', f'Please use a number from 1 to {LIST_MAX_LIMIT}',
+                                          min=1, max=LIST_MAX_LIMIT)
+            limit = None
+    return offset, limit, errors
+
+def listing_response(key, items, offset, limit):
+    page = items[offset:offset + limit] if limit else items[offset:]
+    next_offset = offset + len(page)
+    return {
+        key: page,
+        'total': len(items),
+        'nextCursor': encode_cursor(next_offset) if next_offset < len(items) else None
+    }
+
+def filter_schemes(schemes, args):
+    errors = {}
+
+    scheme_type = args.get('type', '')
+    if scheme_type and scheme_type not in SCHEME_TYPES:
+        errors['type'] = field_error('choice', 'Please choose one of the listed options', options=SCHEME_TYPES)
+
+    # A city stands for its state; national schemes apply everywhere
+    state = args.get('state', '').strip()
+    city = args.get('city', '').strip()
+    if city and not state:
+        city_info = find_city(city)
+        if city_info:
+            state = city_info.get('state', '')
+        else:
+            errors['city'] = field_error('choice', 'Please choose one of the listed options')
+
+    sort_key, descending, sort_error = parse_sort(args, SCHEME_SORTS, None)
+    if sort_error:
+        errors['sort'] = sort_error
+
+    if errors:
+        return [], errors
+
+    query = args.get('q', '').strip()
+    matches = [
+        scheme for scheme in schemes
+        if (not scheme_type or scheme.get('type') == scheme_type)
+        and (not state or scheme.get('type') == 'national' or scheme.get('state', '').lower() == state.lower())
+        and (not query or text_matches(scheme, ['name', 'description', 'eligibility', 'benefits'], query))
+    ]
+    if sort_key:
+        matches.sort(key=sort_key, reverse=descending)
+    return matches, {}
+
+def period_range(period, today=None):
+    today = today or date.today()
+    first_of_month = today.replace(day=1)
+    first_of_next = (first_of_month + timedelta(days=32)).replace(day=1)
+
+    if period == 'upcoming':
+        return today.isoformat(), ''
+    if period == 'this-month':
+        return first_of_month.isoformat(), (first_of_next - timedelta(days=1)).isoformat()
+    if period == 'next-month':
+        first_after_next = (first_of_next + timedelta(days=32)).replace(day=1)
+        return first_of_next.isoformat(), (first_after_next - timedelta(days=1)).isoformat()
+    return '', ''
+
+def filter_events(events, args):
+    errors = {}
+
+    event_type = args.get('type', '')
+    if event_type and event_type not in EVENT_TYPES:
+        errors['type'] = field_error('choice', 'Please choose one of the listed options', options=EVENT_TYPES)
+
+    # Multi-day events match any range they overlap
+    date_from = parse_date_arg(args, 'from', errors)
+    date_to = parse_date_arg(args, 'to', errors)
+    if date_from and date_to and date_from > date_to:
+        errors['to'] = field_error('dateOrder', 'The end date must be on or after the start date')
+
+    sort_key, descending, sort_error = parse_sort(args, EVENT_SORTS, 'date')
+    if sort_error:
+        errors['sort'] = sort_error
+
+    if errors:
+        return [], errors
+
+    city = args.get('city', '').strip().lower()
+    state = args.get('state', '').strip().lower()
+    city_states = {c['name'].lower(): c.get('state', '').lower() for c in load_json_data('cities.json').get('cities', [])}
+    query = args.get('q', '').strip()
+
+    def in_place(event):
+        if event.get('type') == 'national' or event.get('city') == 'All Cities':
+            return True
+        event_city = event.get('city', '').lower()
+        return (not city or event_city == city) and (not state or city_states.get(event_city) == state)
+
+    matches = [
+        event for event in events
+        if (not event_type or event.get('type') == event_type)
+        and in_place(event)
+        and (not date_from or (event.get('end_date') or event.get('date', '')) >= date_from)
+        and (not date_to or event.get('date', '') <= date_to)
+        and (not query or text_matches(event, ['title', 'description', 'organizer', 'venue', 'city'], query))
+    ]
+    matches.sort(key=sort_key, reverse=descending)
+    return matches, {}
+
 @app.route('/')
 def index():
     cities_data = load_json_data('cities.json')
@@ -62,24 +397,22 @@ def city_dashboard(city_name):
 def schemes():
     city = request.args.get('city', '')
     schemes_data = load_json_data('schemes.json')
-    cities_data = load_json_data('cities.json')
-    
+
     # Filter schemes by city/state if provided
-    filtered_schemes = schemes_data.get('schemes', [])
-    if city:
-        city_info = None
-        for c in cities_data.get('cities', []):
-            if c['name'].lower() == city.lower():
-                city_info = c
-                break
-        
-        if city_info:
-            filtered_schemes = [
-                scheme for scheme in schemes_data.get('schemes', [])
-                if scheme.get('state') == city_info.get('state') or scheme.get('type') == 'national'
-            ]
-    
-    return render_template('schemes.html', schemes=filtered_schemes, current_city=city)
+    filtered_schemes, errors = filter_schemes(schemes_data.get('schemes', []), {'city': city})
+    if errors:
+        filtered_schemes = schemes_data.get('schemes', [])
+
+    # Non-matching schemes are still rendered (hidden) so the filters can bring them back
+    filters = {name: request.args.get(name, '') for name in ('type', 'q', 'sort')}
+    matches, errors = filter_schemes(filtered_schemes, filters)
+    if errors:
+        filters, matches = {}, filtered_schemes
+    matching_ids = [scheme.get('id') for scheme in matches]
+    ordered = matches + [scheme for scheme in filtered_schemes if scheme.get('id') not in matching_ids]
+
+    return render_template('schemes.html', schemes=ordered, matching_ids=matching_ids,
+                           filters=filters, current_city=city)
 
 @app.route('/assistive-products')
 def assistive_products():
@@ -89,16 +422,28 @@ def assistive_products():
 def events():
     city = request.args.get('city', '')
     events_data = load_json_data('events.json')
-    
-    # Filter events by city if provided
+
+    # Filter events by city if provided (keeping the order of the data file)
     filtered_events = events_data.get('events', [])
     if city:
         filtered_events = [
             event for event in events_data.get('events', [])
             if event.get('city', '').lower() == city.lower() or event.get('type') == 'national'
         ]
-    
-    return render_template('events.html', events=filtered_events, current_city=city)
+
+    # Non-matching events are still rendered (hidden) so the filters can bring them back
+    filters = {name: request.args.get(name, '') for name in ('type', 'period', 'q', 'sort')}
+    if filters['period'] not in EVENT_PERIODS:
+        filters['period'] = ''
+    date_from, date_to = period_range(filters['period'])
+    matches, errors = filter_events(filtered_events, dict(filters, **{'from': date_from, 'to': date_to}))
+    if errors:
+        filters, matches = {}, filtered_events
+    matching_ids = [event.get('id') for event in matches]
+    ordered = matches + [event for event in filtered_events if event.get('id') not in matching_ids]
+
+    return render_template('events.html', events=ordered, matching_ids=matching_ids,
+                           filters=filters, current_city=city)
 
 @app.route('/reservations')
 def reservations():
@@ -116,6 +461,14 @@ def emergency_help():
 def contact():
     return render_template('contact.html')
 
+# Service worker is served from the site root so its scope covers every page
+@app.route('/service-worker.js')
+def service_worker():
+    response = send_from_directory(os.path.join(app.static_folder, 'js'), 'service-worker.js',
+                                   mimetype='application/javascript')
+    response.headers['Cache-Control'] = 'no-cache'
+    return response
+
 # API endpoints for dynamic content
 @app.route('/api/cities')
 def api_cities():
@@ -128,6 +481,160 @@ def api_help_centers(city_name):
     city_centers = help_centers_data.get(city_name.lower(), [])
     return jsonify(city_centers)
 
+@app.route('/api/pin-codes/<pin>')
+def api_pin_code(pin):
+    if not PIN_PATTERN.match(pin):
+        return jsonify({'error': 'Expected a 6-digit PIN code'}), 400
+
+    position, approximate = locate_pin(pin)
+    if not position:
+        return jsonify({'error': 'PIN code not found'}), 404
+
+    return jsonify({'pin': pin, 'latitude': position[0], 'longitude': position[1], 'approximate': approximate})
+
+@app.route('/api/schemes')
+def api_schemes():
+    schemes_data = load_json_data('schemes.json')
+    matches, errors = filter_schemes(schemes_data.get('schemes', []), request.args)
+    offset, limit, page_errors = parse_page_args(request.args)
+    errors.update(page_errors)
+    if errors:
+        return jsonify({'errors': errors}), 400
+
+    return jsonify(listing_response('schemes', matches, offset, limit))
+
+@app.route('/api/events')
+def api_events():
+    events_data = load_json_data('events.json')
+    matches, errors = filter_events(events_data.get('events', []), request.args)
+    offset, limit, page_errors = parse_page_args(request.args)
+    errors.update(page_errors)
+    if errors:
+        return jsonify({'errors': errors}), 400
+
+    return jsonify(listing_response('events', matches, offset, limit))
+
+@app.route('/api/contact', methods=['POST'])
+def api_contact():
+    data = request.get_json(silent=True)
+    if not isinstance(data, dict):
+        return jsonify({'error': 'Expected a JSON object'}), 400
+
+    submission_id = str(data.get('submissionId') or '')[:64]
+    if submission_id:
+        existing = find_submission('contact', submission_id)
+        if existing:
+            return jsonify({'reference': existing['reference']}), 200
+
+    errors, fields = validate_contact_submission(data)
+    if errors:
+        return jsonify({'errors': errors}), 400
+
+    reference = generate_reference('DSI')
+    record = dict(fields,
+                  reference=reference,
+                  submissionId=submission_id,
+                  city=str(data.get('city') or ''),
+                  inquiryType=data.get('inquiryType'),
+                  updates=data.get('updates') is True,
+                  receivedAt=datetime.now().isoformat(timespec='seconds'),
+                  queuedAt=data.get('queuedAt'))
+
+    try:
+        save_submission('contact', record)
+    except OSError:
+        logging.exception("Could not save contact submission")
+        return jsonify({'error': 'Your message could not be saved. Please try again.'}), 503
+
+    logging.info(f"Contact submission {reference} received ({record['inquiryType']})")
+    return jsonify({'reference': reference}), 201
+
+# Checks one contact form field as the server would on submit, for the form's remote: rule
+@app.route('/api/validate/contact/<field>')
+def api_validate_contact_field(field):
+    if field not in CONTACT_MAX_LENGTHS:
+        return jsonify({'error': 'Unknown field'}), 404
+
+    errors, _ = validate_contact_submission({field: request.args.get('value', '')})
+    error = errors.get(field)
+    if error:
+        return jsonify({'valid': False, 'message': error['message']})
+    return jsonify({'valid': True})
+
+@app.route('/api/events/<event_id>/registrations', methods=['POST'])
+def api_event_registration(event_id):
+    event = find_event(event_id)
+    if not event:
+        return jsonify({'error': 'Event not found'}), 404
+
+    data = request.get_json(silent=True)
+    if not isinstance(data, dict):
+        return jsonify({'error': 'Expected a JSON object'}), 400
+
+    submission_id = str(data.get('submissionId') or '')[:64]
+    if submission_id:
+        existing = find_submission('registration', submission_id)
+        if existing and existing.get('eventId') == event_id:
+            return jsonify({'reference': existing['reference'], 'cancelToken': existing['cancelToken']}), 200
+
+    if not registration_open(event):
+        return jsonify({'error': 'Registration for this event is closed', 'code': 'closed'}), 409
+
+    errors, fields = validate_registration_submission(data)
+    if errors:
+        return jsonify({'errors': errors}), 400
+
+    reference = generate_reference('EVT')
+    cancel_token = secrets.token_urlsafe(16)
+    record = dict(fields,
+                  reference=reference,
+                  submissionId=submission_id,
+                  eventId=event_id,
+                  eventTitle=event.get('title'),
+                  cancelToken=cancel_token,
+                  receivedAt=datetime.now().isoformat(timespec='seconds'))
+
+    try:
+        save_submission('registration', record)
+    except OSError:
+        logging.exception("Could not save event registration")
+        return jsonify({'error': 'Your registration could not be saved. Please try again.'}), 503
+
+    logging.info(f"Registration {reference} received for {event_id}")
+    return jsonify({'reference': reference, 'cancelToken': cancel_token}), 201
+
+@app.route('/api/registrations/<reference>/cancel', methods=['POST'])
+def api_cancel_registration(reference):
+    data = request.get_json(silent=True)
+    if not isinstance(data, dict):
+        return jsonify({'error': 'Expected a JSON object'}), 400
+
+    registration = find_submission('registration', reference, key='reference')
+    if not registration:
+        return jsonify({'error': 'Registration not found'}), 404
+
+    # Only the secret token this device got when registering; the reference is shown on screen and in
+    # the QR code, so it and the email address are not enough. Others cancel through the organizer
+    token = str(data.get('cancelToken') or '')
+    if not token or not secrets.compare_digest(token.encode(), registration.get('cancelToken', '').encode()):
+        return jsonify({'error': 'The details given do not match this registration'}), 403
+
+    cancellation = find_submission('registration-cancellation', reference, key='reference')
+    if cancellation:
+        return jsonify({'reference': reference, 'cancelledAt': cancellation['cancelledAt']}), 200
+
+    cancellation = {'reference': reference,
+                    'eventId': registration.get('eventId'),
+                    'cancelledAt': datetime.now().isoformat(timespec='seconds')}
+    try:
+        save_submission('registration-cancellation', cancellation)
+    except OSError:
+        logging.exception("Could not save registration cancellation")
+        return jsonify({'error': 'Your cancellation could not be saved. Please try again.'}), 503
+
+    logging.info(f"Registration {reference} cancelled")
+    return jsonify({'reference': reference, 'cancelledAt': cancellation['cancelledAt']}), 200
+
 @app.route('/api/search')
 def api_search():
     query = request.args.get('q', '').lower()
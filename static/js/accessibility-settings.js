@@ -0,0 +1,427 @@
+/**
+ * Disability Support India - Accessibility Settings
+ * Handles the unified settings dialog, named presets and profile import/export
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    // Identifies exported profile files
+    const PROFILE_FORMAT = 'disability-support-india/accessibility-profile';
+    const PROFILE_VERSION = 1;
+    const PROFILE_FILENAME = 'accessibility-profile.json';
+
+    // Named presets; anything a preset leaves out keeps its current value
+    const PRESETS = {
+        lowVision: {
+            labelKey: 'settings.presets.lowVision',
+            label: 'Low vision',
+            settings: {
+                fontSize: 'extra-large',
+                highContrast: true,
+                lineSpacing: 'relaxed',
+                cursorSize: 'extra-large',
+                colorBlindPatterns: true
+            }
+        },
+        dyslexia: {
+            labelKey: 'settings.presets.dyslexia',
+            label: 'Dyslexia',
+            settings: {
+                fontSize: 'large',
+                highContrast: false,
+                lineSpacing: 'loose',
+                reducedMotion: 'reduce',
+                readingMode: true,
+                letterSpacing: 'wide',
+                wordSpacing: 'wide',
+                lineLength: 'medium'
+            }
+        },
+        motor: {
+            labelKey: 'settings.presets.motor',
+            label: 'Motor',
+            settings: {
+                fontSize: 'large',
+                cursorSize: 'large',
+                reducedMotion: 'reduce'
+            }
+        }
+    };
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeSettingsDialog();
+    });
+
+    /**
+     * Wire up the settings dialog
+     */
+    function initializeSettingsDialog() {
+        const modal = document.getElementById('settings-modal');
+        const form = document.getElementById('settings-form');
+        if (!modal || !form) return;
+
+        const openBtn = document.getElementById('settings-btn');
+        if (openBtn) {
+            openBtn.addEventListener('click', function() {
+                openSettings();
+            });
+        }
+
+        // Keep the form in step with changes made from the toolbar or shortcuts
+        modal.addEventListener('show.bs.modal', function() {
+            syncForm();
+            setStatus('');
+        });
+
+        form.addEventListener('change', function(e) {
+            handleSettingChange(e.target);
+        });
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+        });
+
+        modal.querySelectorAll('[data-settings-preset]').forEach(button => {
+            button.addEventListener('click', function() {
+                applyPreset(this.dataset.settingsPreset);
+            });
+        });
+
+        const exportBtn = document.getElementById('settings-export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', function() {
+                exportProfile();
+            });
+        }
+
+        const importBtn = document.getElementById('settings-import-btn');
+        const importInput = document.getElementById('settings-import-input');
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', function() {
+                importInput.click();
+            });
+
+            importInput.addEventListener('change', function() {
+                if (this.files && this.files[0]) {
+                    importProfile(this.files[0]);
+                }
+                // Allow choosing the same file again
+                this.value = '';
+            });
+        }
+
+        const resetBtn = document.getElementById('settings-reset-btn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', function() {
+                accessibility().resetAccessibilitySettings();
+                syncForm();
+                setStatus(t('settings.resetDone', 'All settings are back to their defaults'));
+            });
+        }
+
+        const scanKeyBtn = document.getElementById('settings-scan-key-btn');
+        if (scanKeyBtn) {
+            scanKeyBtn.addEventListener('click', function() {
+                captureScanKey(scanKeyBtn);
+            });
+        }
+
+        const shortcutsBtn = document.getElementById('settings-shortcuts-btn');
+        if (shortcutsBtn) {
+            shortcutsBtn.addEventListener('click', function() {
+                const registry = window.DisabilitySupportShortcuts;
+                if (!registry) return;
+
+                // Only one Bootstrap modal can be open at a time
+                modal.addEventListener('hidden.bs.modal', function() {
+                    registry.showHelp();
+                }, { once: true });
+                window.bootstrap.Modal.getInstance(modal).hide();
+            });
+        }
+    }
+
+    /**
+     * Record the next key pressed as the switch key; Escape cancels
+     */
+    function captureScanKey(button) {
+        setStatus(t('settings.scanKeyPrompt', 'Press the key your switch sends, or Escape to cancel'));
+
+        // On the window in the capture phase, so switch scanning does not take the key first
+        window.addEventListener('keydown', function capture(e) {
+            if (['Shift', 'Control', 'Alt', 'Meta', 'Tab'].includes(e.key)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            window.removeEventListener('keydown', capture, true);
+
+            if (e.key === 'Escape') {
+                setStatus('');
+                return;
+            }
+
+            accessibility().setScanKey(e.key);
+            syncForm();
+            setStatus(t('settings.scanKeySet', `Switch key set to ${e.key === ' ' ? 'Space' : e.key}`, {
+                key: e.key === ' ' ? t('settings.scanKeySpace', 'Space') : e.key
+            }));
+        }, true);
+    }
+
+    /**
+     * Open the settings dialog
+     */
+    function openSettings() {
+        const modal = document.getElementById('settings-modal');
+        if (!modal || !window.bootstrap) return;
+
+        window.bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+
+    /**
+     * Apply a single control's value
+     */
+    function handleSettingChange(control) {
+        const api = accessibility();
+        const value = control.type === 'checkbox' ? control.checked : control.value;
+
+        switch (control.name) {
+            case 'theme':
+                api.setTheme(value);
+                break;
+            case 'fontSize':
+                api.setFontSize(value);
+                break;
+            case 'highContrast':
+                api.setHighContrast(value);
+                break;
+            case 'screenReaderMode':
+                api.setScreenReaderMode(value);
+                break;
+            case 'language': {
+                api.changeLanguage(value);
+                const languageSelect = document.getElementById('language-select');
+                if (languageSelect) {
+                    languageSelect.value = value;
+                }
+                break;
+            }
+            case 'reducedMotion':
+                api.setReducedMotion(value);
+                break;
+            case 'colorBlindPatterns':
+                api.setColorBlindPatterns(value);
+                break;
+            case 'colorVision':
+                api.setColorVisionMode(value);
+                break;
+            case 'colorVisionFilter':
+                api.setColorVisionFilter(value);
+                break;
+            case 'lineSpacing':
+                api.setLineSpacing(value);
+                break;
+            case 'cursorSize':
+                api.setCursorSize(value);
+                break;
+            case 'readingMode':
+                api.setReadingMode(value);
+                break;
+            case 'letterSpacing':
+                api.setLetterSpacing(value);
+                break;
+            case 'wordSpacing':
+                api.setWordSpacing(value);
+                break;
+            case 'lineLength':
+                api.setLineLength(value);
+                break;
+            case 'readingRuler':
+                api.setReadingRuler(value);
+                break;
+            case 'hideDecorative':
+                api.setHideDecorative(value);
+                break;
+            case 'captionSize':
+                api.setCaptionSize(value);
+                break;
+            case 'captionBackground':
+                api.setCaptionBackground(value);
+                break;
+            case 'switchScanning':
+                api.setSwitchScanning(value);
+                break;
+            case 'scanInterval':
+                api.setScanInterval(Number(value));
+                break;
+        }
+    }
+
+    /**
+     * Show the current settings in the form
+     */
+    function syncForm() {
+        const form = document.getElementById('settings-form');
+        if (!form) return;
+
+        const settings = accessibility().getCurrentSettings();
+
+        Array.from(form.elements).forEach(control => {
+            if (!control.name || !(control.name in settings)) return;
+
+            const value = settings[control.name];
+            if (control.type === 'checkbox') {
+                control.checked = Boolean(value);
+            } else if (control.type === 'radio') {
+                control.checked = control.value === value;
+            } else {
+                control.value = value;
+            }
+        });
+
+        const audioToggle = form.elements.namedItem('screenReaderMode');
+        if (audioToggle && !('speechSynthesis' in window)) {
+            audioToggle.disabled = true;
+        }
+    }
+
+    /**
+     * Apply one of the named presets
+     */
+    function applyPreset(name) {
+        const preset = PRESETS[name];
+        if (!preset) return;
+
+        accessibility().applySettings(preset.settings);
+        syncForm();
+
+        const message = t('settings.presetApplied', `${preset.label} preset applied`, { preset: t(preset.labelKey, preset.label) });
+        setStatus(message);
+        announce(message);
+    }
+
+    /**
+     * Current settings as a profile object
+     */
+    function buildProfile() {
+        const profile = {
+            format: PROFILE_FORMAT,
+            version: PROFILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: accessibility().getCurrentSettings()
+        };
+
+        if (window.DisabilitySupportShortcuts) {
+            profile.shortcuts = window.DisabilitySupportShortcuts.getMappings();
+        }
+
+        return profile;
+    }
+
+    /**
+     * Download the current settings as a JSON file
+     */
+    function exportProfile() {
+        const blob = new Blob([JSON.stringify(buildProfile(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = PROFILE_FILENAME;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        const message = t('settings.exported', `Settings saved to ${PROFILE_FILENAME}`, { file: PROFILE_FILENAME });
+        setStatus(message);
+        announce(message);
+    }
+
+    /**
+     * Read a profile file and apply it
+     */
+    function importProfile(file) {
+        return file.text()
+            .then(text => applyProfile(JSON.parse(text)))
+            .catch(error => {
+                console.warn('Could not import accessibility profile:', error);
+                const message = t('settings.importFailed', 'That file is not an accessibility profile exported from this site');
+                setStatus(message, true);
+                announce(message, 'assertive');
+            });
+    }
+
+    /**
+     * Apply a parsed profile object
+     */
+    function applyProfile(profile) {
+        if (!profile || profile.format !== PROFILE_FORMAT || typeof profile.settings !== 'object') {
+            throw new Error('Unrecognised profile format');
+        }
+
+        if (profile.version > PROFILE_VERSION) {
+            console.warn(`Profile version ${profile.version} is newer than ${PROFILE_VERSION}; unknown settings are ignored`);
+        }
+
+        const applied = accessibility().applySettings(profile.settings);
+        const skippedShortcuts = window.DisabilitySupportShortcuts && profile.shortcuts ?
+            window.DisabilitySupportShortcuts.applyMappings(profile.shortcuts) : [];
+
+        syncForm();
+
+        let message = t('settings.imported', `Imported ${applied.length} settings`, { count: applied.length });
+        if (skippedShortcuts.length) {
+            message += ' ' + t('settings.shortcutsSkipped', `${skippedShortcuts.length} keyboard shortcuts could not be used on this device and kept their defaults.`, {
+                count: skippedShortcuts.length
+            });
+        }
+        setStatus(message);
+        announce(message);
+
+        return applied;
+    }
+
+    /**
+     * Show a message in the dialog's live region
+     */
+    function setStatus(message, isError) {
+        const status = document.getElementById('settings-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('text-danger', Boolean(isError));
+    }
+
+    /**
+     * Shared accessibility layer
+     */
+    function accessibility() {
+        return window.DisabilitySupportAccessibility;
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibilityLayer = accessibility();
+        if (accessibilityLayer) {
+            accessibilityLayer.announceToScreenReader(message, priority);
+        }
+    }
+
+    // Export settings functions for other scripts
+    window.DisabilitySupportSettings = {
+        open: openSettings,
+        applyPreset,
+        buildProfile,
+        exportProfile,
+        importProfile,
+        applyProfile,
+        presets: Object.keys(PRESETS)
+    };
+
+})();
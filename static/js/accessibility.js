@@ -1,11 +1,13 @@
 /**
  * Disability Support India - Accessibility Features
- * Handles font size adjustment, high contrast mode, screen reader support, and other accessibility features
+ * Handles font size adjustment, high contrast mode, reading mode, screen reader support, and other accessibility features
  */
 
 (function() {
     'use strict';
 
+    const { t } = window.DisabilitySupportI18n;
+
     // Accessibility state
     let currentFontSize = 'normal';
     let isHighContrast = false;
@@ -14,6 +16,104 @@
     let isScreenReaderMode = false;
     let currentTheme = 'light';
 
+    // Speech settings shared by speakText and the page reader
+    let speechRate = 0.8;
+    let speechPitch = 1;
+    let speechVoiceName = '';
+
+    // Display preferences set from the settings dialog
+    let motionPreference = 'system';
+    let colorBlindPatterns = false;
+    let lineSpacing = 'normal';
+    let cursorSize = 'normal';
+    let colorVisionMode = 'none';
+    let colorVisionFilter = 'correct';
+
+    // Reading mode: dyslexia-friendly font and spacing, shorter lines and a reading ruler
+    let readingMode = false;
+    let letterSpacing = 'normal';
+    let wordSpacing = 'normal';
+    let lineLength = 'medium';
+    let readingRuler = 'off';
+    let hideDecorative = false;
+    let rulerY = null;
+
+    // Caption style for embedded video; 'auto' follows the font size and contrast settings
+    let captionSize = 'auto';
+    let captionBackground = 'auto';
+
+    // Switch access: switch-scanning.js moves a highlight on a timer and one key selects
+    let switchScanning = false;
+    let scanInterval = 1500;
+    let scanKey = 'Space';
+
+    const FONT_SIZES = ['normal', 'large', 'extra-large'];
+    const LINE_SPACINGS = ['normal', 'relaxed', 'loose'];
+    const CURSOR_SIZES = ['normal', 'large', 'extra-large'];
+    const MOTION_PREFERENCES = ['system', 'reduce'];
+    const COLOR_VISION_MODES = ['none', 'protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'];
+    const COLOR_VISION_FILTERS = ['correct', 'simulate'];
+    const LETTER_SPACINGS = ['normal', 'wide', 'wider'];
+    const WORD_SPACINGS = ['normal', 'wide', 'wider'];
+    const LINE_LENGTHS = ['medium', 'narrow', 'none'];
+    const READING_RULERS = ['off', 'ruler', 'focus'];
+    const CAPTION_SIZES = ['auto', 'small', 'medium', 'large', 'x-large'];
+    const CAPTION_BACKGROUNDS = ['auto', 'dark', 'light', 'transparent', 'high-contrast'];
+    const SCAN_INTERVAL_RANGE = [500, 10000];
+
+    // feColorMatrix rows (linear RGB). "simulate" shows the page as it looks with the deficiency
+    // (Machado et al. 2009); "correct" moves the lost contrast into channels that are still seen.
+    const LUMINANCE_MATRIX = '0.2126 0.7152 0.0722 0 0  0.2126 0.7152 0.0722 0 0  0.2126 0.7152 0.0722 0 0  0 0 0 1 0';
+    const COLOR_VISION_MATRICES = {
+        protanopia: {
+            simulate: '0.152 1.053 -0.205 0 0  0.115 0.786 0.099 0 0  -0.004 -0.048 1.052 0 0  0 0 0 1 0',
+            correct: '1 0 0 0 0  0.479 0.477 0.044 0 0  0.597 -0.689 1.091 0 0  0 0 0 1 0'
+        },
+        deuteranopia: {
+            simulate: '0.367 0.861 -0.228 0 0  0.28 0.673 0.047 0 0  -0.012 0.043 0.969 0 0  0 0 0 1 0',
+            correct: '1 0 0 0 0  0.163 0.725 0.112 0 0  0.455 -0.645 1.191 0 0  0 0 0 1 0'
+        },
+        tritanopia: {
+            simulate: '1.256 -0.077 -0.179 0 0  -0.078 0.931 0.148 0 0  0.005 0.691 0.304 0 0  0 0 0 1 0',
+            correct: '0.741 -0.407 0.666 0 0  0.075 0.585 0.34 0 0  0 0 1 0 0  0 0 0 1 0'
+        },
+        // Color cannot be restored, so correction only stretches the contrast of the grey image
+        achromatopsia: {
+            simulate: LUMINANCE_MATRIX,
+            correct: LUMINANCE_MATRIX
+        }
+    };
+
+    const COLOR_VISION_NAMES = {
+        none: 'Normal colors',
+        protanopia: 'Protanopia (red-blind)',
+        deuteranopia: 'Deuteranopia (green-blind)',
+        tritanopia: 'Tritanopia (blue-blind)',
+        achromatopsia: 'Achromatopsia (no color)'
+    };
+
+    const LANGUAGE_NAMES = {
+        'en': 'English',
+        'hi': 'Hindi',
+        'bn': 'Bengali',
+        'ta': 'Tamil',
+        'te': 'Telugu',
+        'mr': 'Marathi',
+        'gu': 'Gujarati',
+        'kn': 'Kannada'
+    };
+
+    // Every preference stored in localStorage, so a reset clears all of them
+    const PREFERENCE_KEYS = [
+        'theme', 'fontSize', 'highContrast', 'screenReaderMode', 'language',
+        'speechRate', 'speechPitch', 'speechVoice',
+        'reducedMotion', 'colorBlindPatterns', 'lineSpacing', 'cursorSize',
+        'colorVision', 'colorVisionFilter',
+        'readingMode', 'letterSpacing', 'wordSpacing', 'lineLength', 'readingRuler', 'hideDecorative',
+        'captionSize', 'captionBackground',
+        'switchScanning', 'scanInterval', 'scanKey'
+    ];
+
     // Initialize accessibility features when DOM is loaded
     document.addEventListener('DOMContentLoaded', function() {
         initializeAccessibilityFeatures();
@@ -34,6 +134,8 @@
         initializeFocusManagement();
         initializeMotionPreferences();
         initializeColorBlindnessSupport();
+        initializeReadingMode();
+        initializeSwitchScanning();
         addAccessibilityCSS();
     }
 
@@ -48,13 +150,7 @@
             toggleTheme();
         });
 
-        // Add keyboard shortcut
-        document.addEventListener('keydown', function(e) {
-            if (e.ctrlKey && e.altKey && e.key === 't') {
-                e.preventDefault();
-                toggleTheme();
-            }
-        });
+        registerShortcut('toggleTheme', 'Ctrl+Alt+T', 'display', 'shortcuts.actions.toggleTheme', 'Toggle dark theme', toggleTheme);
 
         updateThemeButton();
     }
@@ -63,7 +159,14 @@
      * Toggle between light and dark themes
      */
     function toggleTheme() {
-        currentTheme = currentTheme === 'light' ? 'dark' : 'light';
+        setTheme(currentTheme === 'light' ? 'dark' : 'light');
+    }
+
+    /**
+     * Switch to the light or dark theme
+     */
+    function setTheme(theme) {
+        currentTheme = theme === 'dark' ? 'dark' : 'light';
         
         // Apply theme to document
         if (currentTheme === 'dark') {
@@ -74,7 +177,9 @@
         
         updateThemeButton();
         saveAccessibilityPreference('theme', currentTheme);
-        announceToScreenReader(`Switched to ${currentTheme} theme`);
+        announceToScreenReader(t('settings.announce.theme', `Switched to ${currentTheme} theme`, {
+            theme: currentTheme === 'dark' ? t('settings.themeDark', 'Dark') : t('settings.themeLight', 'Light')
+        }));
     }
 
     /**
@@ -88,21 +193,21 @@
         const text = themeToggleBtn.querySelector('.btn-text') || themeToggleBtn.childNodes[themeToggleBtn.childNodes.length - 1];
         
         if (currentTheme === 'dark') {
-            themeToggleBtn.setAttribute('aria-label', 'Switch to light theme');
+            themeToggleBtn.setAttribute('aria-label', t('toolbar.switchToLight', 'Switch to light theme'));
             if (icon) {
                 icon.className = 'fas fa-sun';
             }
             if (text && text.textContent) {
-                text.textContent = ' Light Theme';
+                text.textContent = ' ' + t('toolbar.lightTheme', 'Light Theme');
             }
             themeToggleBtn.classList.add('active');
         } else {
-            themeToggleBtn.setAttribute('aria-label', 'Switch to dark theme');
+            themeToggleBtn.setAttribute('aria-label', t('toolbar.switchToDark', 'Switch to dark theme'));
             if (icon) {
                 icon.className = 'fas fa-moon';
             }
             if (text && text.textContent) {
-                text.textContent = ' Dark Theme';
+                text.textContent = ' ' + t('toolbar.darkTheme', 'Dark Theme');
             }
             themeToggleBtn.classList.remove('active');
         }
@@ -119,19 +224,10 @@
             cycleFontSize();
         });
 
-        // Add keyboard shortcut
-        document.addEventListener('keydown', function(e) {
-            if (e.ctrlKey && e.key === '+') {
-                e.preventDefault();
-                increaseFontSize();
-            } else if (e.ctrlKey && e.key === '-') {
-                e.preventDefault();
-                decreaseFontSize();
-            } else if (e.ctrlKey && e.key === '0') {
-                e.preventDefault();
-                resetFontSize();
-            }
-        });
+        // Ctrl+Alt rather than Ctrl alone, so the browser's own zoom keys keep working
+        registerShortcut('increaseFont', 'Ctrl+Alt+Plus', 'display', 'shortcuts.actions.increaseFont', 'Increase font size', increaseFontSize);
+        registerShortcut('decreaseFont', 'Ctrl+Alt+Minus', 'display', 'shortcuts.actions.decreaseFont', 'Decrease font size', decreaseFontSize);
+        registerShortcut('resetFont', 'Ctrl+Alt+0', 'display', 'shortcuts.actions.resetFont', 'Reset font size', resetFontSize);
 
         updateFontSizeButton();
     }
@@ -211,8 +307,11 @@
         
         currentFontSize = size;
         updateFontSizeButton();
+        applyCaptionStyle();
         saveAccessibilityPreference('fontSize', size);
-        announceToScreenReader(`Font size changed to ${size}`);
+        announceToScreenReader(t('settings.announce.fontSize', `Font size changed to ${size}`, {
+            size: t(`settings.sizes.${size === 'extra-large' ? 'extraLarge' : size}`, size)
+        }));
     }
 
     /**
@@ -227,21 +326,21 @@
         
         switch(currentFontSize) {
             case 'large':
-                fontSizeBtn.setAttribute('aria-label', 'Font size: Large. Click for Extra Large');
+                fontSizeBtn.setAttribute('aria-label', t('toolbar.fontSizeLargeLabel', 'Font size: Large. Click for Extra Large'));
                 if (text && text.textContent) {
-                    text.textContent = ' Font: Large';
+                    text.textContent = ' ' + t('toolbar.fontLarge', 'Font: Large');
                 }
                 break;
             case 'extra-large':
-                fontSizeBtn.setAttribute('aria-label', 'Font size: Extra Large. Click for Normal');
+                fontSizeBtn.setAttribute('aria-label', t('toolbar.fontSizeExtraLargeLabel', 'Font size: Extra Large. Click for Normal'));
                 if (text && text.textContent) {
-                    text.textContent = ' Font: X-Large';
+                    text.textContent = ' ' + t('toolbar.fontExtraLarge', 'Font: X-Large');
                 }
                 break;
             default:
-                fontSizeBtn.setAttribute('aria-label', 'Font size: Normal. Click for Large');
+                fontSizeBtn.setAttribute('aria-label', t('toolbar.fontSizeNormalLabel', 'Font size: Normal. Click for Large'));
                 if (text && text.textContent) {
-                    text.textContent = ' Font Size';
+                    text.textContent = ' ' + t('toolbar.fontSize', 'Font Size');
                 }
         }
     }
@@ -257,13 +356,7 @@
             toggleHighContrast();
         });
 
-        // Add keyboard shortcut
-        document.addEventListener('keydown', function(e) {
-            if (e.ctrlKey && e.altKey && e.key === 'c') {
-                e.preventDefault();
-                toggleHighContrast();
-            }
-        });
+        registerShortcut('toggleContrast', 'Ctrl+Alt+C', 'display', 'shortcuts.actions.toggleContrast', 'Toggle high contrast', toggleHighContrast);
 
         updateContrastButton();
     }
@@ -281,8 +374,20 @@
         }
         
         updateContrastButton();
+        applyCaptionStyle();
         saveAccessibilityPreference('highContrast', isHighContrast);
-        announceToScreenReader(`High contrast mode ${isHighContrast ? 'enabled' : 'disabled'}`);
+        announceToScreenReader(isHighContrast ?
+            t('settings.announce.highContrastOn', 'High contrast mode enabled') :
+            t('settings.announce.highContrastOff', 'High contrast mode disabled'));
+    }
+
+    /**
+     * Turn high contrast on or off
+     */
+    function setHighContrast(enabled) {
+        if (Boolean(enabled) !== isHighContrast) {
+            toggleHighContrast();
+        }
     }
 
     /**
@@ -295,16 +400,16 @@
         const text = contrastBtn.querySelector('.btn-text') || contrastBtn.childNodes[contrastBtn.childNodes.length - 1];
         
         if (isHighContrast) {
-            contrastBtn.setAttribute('aria-label', 'High contrast mode enabled. Click to disable');
+            contrastBtn.setAttribute('aria-label', t('toolbar.highContrastOnLabel', 'High contrast mode enabled. Click to disable'));
             contrastBtn.classList.add('active');
             if (text && text.textContent) {
-                text.textContent = ' High Contrast: On';
+                text.textContent = ' ' + t('toolbar.highContrastOn', 'High Contrast: On');
             }
         } else {
-            contrastBtn.setAttribute('aria-label', 'High contrast mode disabled. Click to enable');
+            contrastBtn.setAttribute('aria-label', t('toolbar.highContrastOffLabel', 'High contrast mode disabled. Click to enable'));
             contrastBtn.classList.remove('active');
             if (text && text.textContent) {
-                text.textContent = ' High Contrast';
+                text.textContent = ' ' + t('toolbar.highContrast', 'High Contrast');
             }
         }
     }
@@ -324,13 +429,7 @@
                 toggleScreenReaderMode();
             });
 
-            // Add keyboard shortcut
-            document.addEventListener('keydown', function(e) {
-                if (e.ctrlKey && e.altKey && e.key === 's') {
-                    e.preventDefault();
-                    toggleScreenReaderMode();
-                }
-            });
+            registerShortcut('toggleScreenReader', 'Ctrl+Alt+S', 'speech', 'shortcuts.actions.toggleScreenReader', 'Toggle screen reader mode', toggleScreenReaderMode);
         } else {
             screenReaderBtn.disabled = true;
             screenReaderBtn.setAttribute('aria-label', 'Text-to-speech not supported in this browser');
@@ -355,6 +454,17 @@
         saveAccessibilityPreference('screenReaderMode', isScreenReaderMode);
     }
 
+    /**
+     * Turn screen reader mode on or off
+     */
+    function setScreenReaderMode(enabled) {
+        if (!speechSynthesis) return;
+
+        if (Boolean(enabled) !== isScreenReaderMode) {
+            toggleScreenReaderMode();
+        }
+    }
+
     /**
      * Enable screen reader mode
      */
@@ -366,11 +476,12 @@
         // Read page title and main heading
         const title = document.title;
         const mainHeading = document.querySelector('h1');
-        const introText = mainHeading ? 
-            `${title}. Main heading: ${mainHeading.textContent}` : title;
+        const introText = mainHeading ?
+            t('settings.announce.audioIntro', `${title}. Main heading: ${mainHeading.textContent}`, { title, heading: mainHeading.textContent }) :
+            title;
         
         speakText(introText);
-        announceToScreenReader('Screen reader mode enabled. Click on elements to hear them read aloud.');
+        announceToScreenReader(t('settings.announce.audioOn', 'Screen reader mode enabled. Click on elements to hear them read aloud.'));
     }
 
     /**
@@ -386,7 +497,7 @@
             speechSynthesis.cancel();
         }
         
-        announceToScreenReader('Screen reader mode disabled');
+        announceToScreenReader(t('settings.announce.audioOff', 'Screen reader mode disabled'));
     }
 
     /**
@@ -396,6 +507,9 @@
         if (!isScreenReaderMode) return;
         
         const element = e.target;
+
+        // The page reader's own controls would interrupt what it is reading
+        if (element.closest && element.closest('#page-reader')) return;
         const text = getReadableText(element);
         
         if (text) {
@@ -410,6 +524,9 @@
         if (!isScreenReaderMode) return;
         
         const element = e.target;
+
+        // The page reader's own controls would interrupt what it is reading
+        if (element.closest && element.closest('#page-reader')) return;
         const text = getReadableText(element);
         
         if (text) {
@@ -459,18 +576,77 @@
     function speakText(text) {
         if (!speechSynthesis || !text) return;
         
+        const utterance = createUtterance(text);
+
+        // Let the page reader know its sentence is being cut off, so it can carry on afterwards
+        document.dispatchEvent(new CustomEvent('disabilitysupport:speechinterrupt', {
+            detail: { utterance }
+        }));
+
         // Cancel any ongoing speech
         speechSynthesis.cancel();
         
+        speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Create an utterance using the user's rate, pitch and voice
+     */
+    function createUtterance(text) {
         const utterance = new SpeechSynthesisUtterance(text);
-        utterance.rate = 0.8;
-        utterance.pitch = 1;
+        utterance.rate = speechRate;
+        utterance.pitch = speechPitch;
         utterance.volume = 1;
         
         // Set language based on current language setting
         utterance.lang = getLanguageCode(currentLanguage);
+
+        const voice = findVoice(speechVoiceName);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
         
-        speechSynthesis.speak(utterance);
+        return utterance;
+    }
+
+    /**
+     * Find an installed voice by name
+     */
+    function findVoice(name) {
+        if (!name || !speechSynthesis) return null;
+        return speechSynthesis.getVoices().find(voice => voice.name === name) || null;
+    }
+
+    /**
+     * Update speech rate, pitch and/or voice and remember them
+     */
+    function setSpeechSettings(settings) {
+        if (settings.rate !== undefined) {
+            speechRate = Math.min(Math.max(Number(settings.rate) || 1, 0.5), 2);
+            saveAccessibilityPreference('speechRate', speechRate);
+        }
+
+        if (settings.pitch !== undefined) {
+            speechPitch = Math.min(Math.max(Number(settings.pitch) || 1, 0.5), 2);
+            saveAccessibilityPreference('speechPitch', speechPitch);
+        }
+
+        if (settings.voice !== undefined) {
+            speechVoiceName = settings.voice || '';
+            saveAccessibilityPreference('speechVoice', speechVoiceName);
+        }
+    }
+
+    /**
+     * Get the current speech settings
+     */
+    function getSpeechSettings() {
+        return {
+            rate: speechRate,
+            pitch: speechPitch,
+            voice: speechVoiceName
+        };
     }
 
     /**
@@ -483,16 +659,16 @@
         const text = screenReaderBtn.querySelector('.btn-text') || screenReaderBtn.childNodes[screenReaderBtn.childNodes.length - 1];
         
         if (isScreenReaderMode) {
-            screenReaderBtn.setAttribute('aria-label', 'Screen reader mode enabled. Click to disable');
+            screenReaderBtn.setAttribute('aria-label', t('toolbar.audioOnLabel', 'Screen reader mode enabled. Click to disable'));
             screenReaderBtn.classList.add('active');
             if (text && text.textContent) {
-                text.textContent = ' Audio: On';
+                text.textContent = ' ' + t('toolbar.audioOn', 'Audio: On');
             }
         } else {
-            screenReaderBtn.setAttribute('aria-label', 'Screen reader mode disabled. Click to enable');
+            screenReaderBtn.setAttribute('aria-label', t('toolbar.audioOffLabel', 'Screen reader mode disabled. Click to enable'));
             screenReaderBtn.classList.remove('active');
             if (text && text.textContent) {
-                text.textContent = ' Audio';
+                text.textContent = ' ' + t('toolbar.audio', 'Audio');
             }
         }
     }
@@ -507,6 +683,16 @@
         languageSelect.addEventListener('change', function() {
             changeLanguage(this.value);
         });
+
+        // Re-render the toolbar labels that are built in script
+        document.addEventListener('disabilitysupport:languagechange', function() {
+            updateThemeButton();
+            updateFontSizeButton();
+            updateContrastButton();
+            updateScreenReaderButton();
+            updateColorVisionButton();
+            updateReadingModeButton();
+        });
     }
 
     /**
@@ -518,22 +704,13 @@
         // Update HTML lang attribute
         document.documentElement.setAttribute('lang', languageCode);
         
-        // Here you would typically load language-specific content
-        // For now, we'll just announce the change
-        const languageNames = {
-            'en': 'English',
-            'hi': 'Hindi',
-            'bn': 'Bengali',
-            'ta': 'Tamil',
-            'te': 'Telugu',
-            'mr': 'Marathi',
-            'gu': 'Gujarati',
-            'kn': 'Kannada'
-        };
-        
-        const languageName = languageNames[languageCode] || languageCode;
+        const languageName = LANGUAGE_NAMES[languageCode] || languageCode;
         saveAccessibilityPreference('language', languageCode);
-        announceToScreenReader(`Language changed to ${languageName}`);
+
+        // Swap the page text over to the new catalog, then announce in that language
+        window.DisabilitySupportI18n.setLanguage(languageCode).then(() => {
+            announceToScreenReader(t('language.changed', `Language changed to ${languageName}`, { language: languageName }));
+        });
     }
 
     /**
@@ -557,68 +734,59 @@
      * Keyboard shortcuts functionality
      */
     function initializeKeyboardShortcuts() {
-        document.addEventListener('keydown', function(e) {
-            // Alt + M: Main content
-            if (e.altKey && e.key === 'm') {
-                e.preventDefault();
-                const mainContent = document.getElementById('main-content') || document.querySelector('main');
-                if (mainContent) {
-                    mainContent.focus();
-                    mainContent.scrollIntoView();
-                    announceToScreenReader('Jumped to main content');
-                }
-            }
-            
-            // Alt + N: Navigation
-            if (e.altKey && e.key === 'n') {
-                e.preventDefault();
-                const navigation = document.querySelector('nav') || document.querySelector('.navbar');
-                if (navigation) {
-                    const firstLink = navigation.querySelector('a, button');
-                    if (firstLink) {
-                        firstLink.focus();
-                        announceToScreenReader('Jumped to navigation');
-                    }
+        registerShortcut('jumpToMain', 'Alt+M', 'navigation', 'shortcuts.actions.jumpToMain', 'Jump to main content', function() {
+            const mainContent = document.getElementById('main-content') || document.querySelector('main');
+            if (mainContent) {
+                // <main> is not focusable by default
+                if (!mainContent.hasAttribute('tabindex')) {
+                    mainContent.setAttribute('tabindex', '-1');
                 }
+                mainContent.focus();
+                mainContent.scrollIntoView();
+                announceToScreenReader(t('shortcuts.jumpedToMain', 'Jumped to main content'));
             }
-            
-            // Alt + S: Search
-            if (e.altKey && e.key === 's') {
-                e.preventDefault();
-                const searchInput = document.getElementById('search-input');
-                if (searchInput) {
-                    searchInput.focus();
-                    announceToScreenReader('Jumped to search');
+        });
+
+        registerShortcut('jumpToNavigation', 'Alt+N', 'navigation', 'shortcuts.actions.jumpToNavigation', 'Jump to navigation', function() {
+            const navigation = document.querySelector('nav') || document.querySelector('.navbar');
+            if (navigation) {
+                const firstLink = navigation.querySelector('a, button');
+                if (firstLink) {
+                    firstLink.focus();
+                    announceToScreenReader(t('shortcuts.jumpedToNavigation', 'Jumped to navigation'));
                 }
             }
-            
-            // Alt + H: Help
-            if (e.altKey && e.key === 'h') {
-                e.preventDefault();
-                showAccessibilityHelp();
+        });
+
+        registerShortcut('jumpToSearch', 'Alt+S', 'navigation', 'shortcuts.actions.jumpToSearch', 'Jump to search', function() {
+            const searchInput = document.getElementById('search-input');
+            if (searchInput) {
+                searchInput.focus();
+                announceToScreenReader(t('shortcuts.jumpedToSearch', 'Jumped to search'));
             }
         });
+
+        registerShortcut('showHelp', 'Alt+H', 'navigation', 'shortcuts.actions.showHelp', 'Show keyboard shortcuts', showAccessibilityHelp);
     }
 
     /**
-     * Show accessibility help
+     * Add a shortcut to the shared registry
+     */
+    function registerShortcut(id, keys, group, labelKey, label, handler) {
+        const registry = window.DisabilitySupportShortcuts;
+        if (!registry) return;
+
+        registry.register({ id, keys, group, labelKey, label, handler });
+    }
+
+    /**
+     * Show accessibility help, generated from the shortcut registry
      */
     function showAccessibilityHelp() {
-        const helpText = `
-            Accessibility shortcuts:
-            Alt + M: Jump to main content
-            Alt + N: Jump to navigation  
-            Alt + S: Jump to search
-            Alt + H: Show this help
-            Ctrl + Plus: Increase font size
-            Ctrl + Minus: Decrease font size
-            Ctrl + 0: Reset font size
-            Ctrl + Alt + C: Toggle high contrast
-            Ctrl + Alt + S: Toggle screen reader mode
-        `;
-        
-        alert(helpText);
-        announceToScreenReader(helpText);
+        const registry = window.DisabilitySupportShortcuts;
+        if (!registry || !registry.showHelp()) return;
+
+        announceToScreenReader(t('shortcuts.helpOpened', 'Keyboard shortcuts dialog opened. You can change any shortcut here.'));
     }
 
     /**
@@ -688,11 +856,9 @@
         const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
         
         function handleMotionPreference(e) {
-            if (e.matches) {
-                document.body.classList.add('reduce-motion');
-                announceToScreenReader('Reduced motion enabled');
-            } else {
-                document.body.classList.remove('reduce-motion');
+            applyReducedMotion();
+            if (e.matches && motionPreference === 'system') {
+                announceToScreenReader(t('settings.announce.motion.reduce', 'Animations reduced'));
             }
         }
 
@@ -701,18 +867,701 @@
     }
 
     /**
-     * Color blindness support
+     * Reduce motion if the user asked for it here or in their system settings
+     */
+    function applyReducedMotion() {
+        const systemReduce = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        document.body.classList.toggle('reduce-motion', motionPreference === 'reduce' || systemReduce);
+    }
+
+    /**
+     * Set the motion preference: 'system' follows the device, 'reduce' always reduces
+     */
+    function setReducedMotion(preference) {
+        if (!MOTION_PREFERENCES.includes(preference)) return;
+
+        motionPreference = preference;
+        applyReducedMotion();
+        saveAccessibilityPreference('reducedMotion', motionPreference);
+        announceToScreenReader(t(`settings.announce.motion.${preference}`, preference === 'reduce' ? 'Animations reduced' : 'Animations follow your device setting'));
+    }
+
+    /**
+     * Turn color-blind friendly patterns on or off
+     */
+    function setColorBlindPatterns(enabled) {
+        colorBlindPatterns = Boolean(enabled);
+        applyColorPatterns();
+        saveAccessibilityPreference('colorBlindPatterns', colorBlindPatterns);
+        announceToScreenReader(colorBlindPatterns ?
+            t('settings.announce.patternsOn', 'Color patterns enabled') :
+            t('settings.announce.patternsOff', 'Color patterns disabled'));
+    }
+
+    /**
+     * Apply line spacing classes
+     */
+    function applyLineSpacing(spacing) {
+        lineSpacing = LINE_SPACINGS.includes(spacing) ? spacing : 'normal';
+        document.body.classList.remove('line-spacing-relaxed', 'line-spacing-loose');
+        if (lineSpacing !== 'normal') {
+            document.body.classList.add(`line-spacing-${lineSpacing}`);
+        }
+    }
+
+    /**
+     * Set line spacing
+     */
+    function setLineSpacing(spacing) {
+        applyLineSpacing(spacing);
+        saveAccessibilityPreference('lineSpacing', lineSpacing);
+        announceToScreenReader(t('settings.announce.lineSpacing', `Line spacing changed to ${lineSpacing}`, {
+            spacing: t(`settings.lineSpacing.${lineSpacing}`, lineSpacing)
+        }));
+    }
+
+    /**
+     * Apply cursor size classes
+     */
+    function applyCursorSize(size) {
+        cursorSize = CURSOR_SIZES.includes(size) ? size : 'normal';
+        document.body.classList.remove('cursor-large', 'cursor-extra-large');
+        if (cursorSize !== 'normal') {
+            document.body.classList.add(`cursor-${cursorSize}`);
+        }
+    }
+
+    /**
+     * Set cursor size
+     */
+    function setCursorSize(size) {
+        applyCursorSize(size);
+        saveAccessibilityPreference('cursorSize', cursorSize);
+        announceToScreenReader(t('settings.announce.cursorSize', `Cursor size changed to ${cursorSize}`, {
+            size: t(`settings.cursorSize.${cursorSize}`, cursorSize)
+        }));
+    }
+
+    /**
+     * Reading mode: toolbar button, shortcuts and the ruler that follows the pointer and keyboard focus
+     */
+    function initializeReadingMode() {
+        const readingBtn = document.getElementById('reading-mode-btn');
+        if (readingBtn) {
+            readingBtn.addEventListener('click', function() {
+                toggleReadingMode();
+            });
+        }
+
+        registerShortcut('toggleReadingMode', 'Ctrl+Alt+D', 'display', 'shortcuts.actions.toggleReadingMode', 'Toggle reading mode', toggleReadingMode);
+        registerShortcut('rulerUp', 'Alt+Shift+ArrowUp', 'display', 'shortcuts.actions.rulerUp', 'Move reading ruler up a line', function() {
+            moveRulerByLines(-1);
+        });
+        registerShortcut('rulerDown', 'Alt+Shift+ArrowDown', 'display', 'shortcuts.actions.rulerDown', 'Move reading ruler down a line', function() {
+            moveRulerByLines(1);
+        });
+
+        document.addEventListener('mousemove', function(e) {
+            if (isRulerShown()) moveRuler(e.clientY);
+        }, { passive: true });
+
+        document.addEventListener('focusin', function(e) {
+            if (!isRulerShown() || !e.target.getBoundingClientRect) return;
+
+            // Center the ruler on the first line of the focused element
+            const rect = e.target.getBoundingClientRect();
+            moveRuler(rect.top + Math.min(rect.height, rulerLineHeight()) / 2);
+        });
+
+        updateReadingModeButton();
+    }
+
+    /**
+     * Toggle reading mode
+     */
+    function toggleReadingMode() {
+        setReadingMode(!readingMode);
+    }
+
+    /**
+     * Turn reading mode on or off
+     */
+    function setReadingMode(enabled) {
+        readingMode = Boolean(enabled);
+        applyReadingMode();
+        saveAccessibilityPreference('readingMode', readingMode);
+        announceToScreenReader(readingMode ?
+            t('settings.announce.readingModeOn', 'Reading mode enabled') :
+            t('settings.announce.readingModeOff', 'Reading mode disabled'));
+    }
+
+    /**
+     * Apply reading mode and its options as body classes; the options only show while the mode is on
+     */
+    function applyReadingMode() {
+        const body = document.body;
+        body.classList.toggle('reading-mode', readingMode);
+
+        LETTER_SPACINGS.forEach(value => body.classList.toggle(`letter-spacing-${value}`, value === letterSpacing && value !== 'normal'));
+        WORD_SPACINGS.forEach(value => body.classList.toggle(`word-spacing-${value}`, value === wordSpacing && value !== 'normal'));
+        LINE_LENGTHS.forEach(value => body.classList.toggle(`line-length-${value}`, value === lineLength && value !== 'none'));
+        body.classList.toggle('hide-decorative', hideDecorative);
+
+        if (readingMode && hideDecorative) {
+            markDecorativeIcons();
+        }
+
+        applyReadingRuler();
+        updateReadingModeButton();
+    }
+
+    /**
+     * Set one of the reading mode options
+     */
+    function setLetterSpacing(spacing) {
+        if (!LETTER_SPACINGS.includes(spacing)) return;
+
+        letterSpacing = spacing;
+        applyReadingMode();
+        saveAccessibilityPreference('letterSpacing', letterSpacing);
+        announceToScreenReader(t('settings.announce.letterSpacing', `Letter spacing changed to ${letterSpacing}`, {
+            spacing: t(`settings.textSpacing.${letterSpacing}`, letterSpacing)
+        }));
+    }
+
+    function setWordSpacing(spacing) {
+        if (!WORD_SPACINGS.includes(spacing)) return;
+
+        wordSpacing = spacing;
+        applyReadingMode();
+        saveAccessibilityPreference('wordSpacing', wordSpacing);
+        announceToScreenReader(t('settings.announce.wordSpacing', `Word spacing changed to ${wordSpacing}`, {
+            spacing: t(`settings.textSpacing.${wordSpacing}`, wordSpacing)
+        }));
+    }
+
+    function setLineLength(length) {
+        if (!LINE_LENGTHS.includes(length)) return;
+
+        lineLength = length;
+        applyReadingMode();
+        saveAccessibilityPreference('lineLength', lineLength);
+        announceToScreenReader(t('settings.announce.lineLength', `Line length changed to ${lineLength}`, {
+            length: t(`settings.lineLength.${lineLength}`, lineLength)
+        }));
+    }
+
+    function setReadingRuler(ruler) {
+        if (!READING_RULERS.includes(ruler)) return;
+
+        readingRuler = ruler;
+        applyReadingMode();
+        saveAccessibilityPreference('readingRuler', readingRuler);
+        announceToScreenReader(t(`settings.announce.readingRuler.${readingRuler}`, {
+            off: 'Reading ruler off',
+            ruler: 'Reading ruler on',
+            focus: 'Line focus on'
+        }[readingRuler]));
+    }
+
+    function setHideDecorative(enabled) {
+        hideDecorative = Boolean(enabled);
+        applyReadingMode();
+        saveAccessibilityPreference('hideDecorative', hideDecorative);
+        announceToScreenReader(hideDecorative ?
+            t('settings.announce.decorativeHidden', 'Decorative images and icons hidden in reading mode') :
+            t('settings.announce.decorativeShown', 'Decorative images and icons shown'));
+    }
+
+    /**
+     * Switch scanning shortcut; the scanning itself is in switch-scanning.js
+     */
+    function initializeSwitchScanning() {
+        registerShortcut('toggleSwitchScanning', 'Ctrl+Alt+W', 'navigation', 'shortcuts.actions.toggleSwitchScanning', 'Toggle switch scanning', toggleSwitchScanning);
+    }
+
+    function toggleSwitchScanning() {
+        setSwitchScanning(!switchScanning);
+    }
+
+    /**
+     * Turn switch scanning on or off
+     */
+    function setSwitchScanning(enabled) {
+        switchScanning = Boolean(enabled);
+        applySwitchScanning();
+        saveAccessibilityPreference('switchScanning', switchScanning);
+        announceToScreenReader(switchScanning ?
+            t('settings.announce.scanningOn', `Switch scanning on. Press ${formatScanKey(scanKey)} to select the highlighted item.`, { key: formatScanKey(scanKey) }) :
+            t('settings.announce.scanningOff', 'Switch scanning off'));
+    }
+
+    /**
+     * Time the highlight stays on each item, in milliseconds
+     */
+    function setScanInterval(milliseconds) {
+        const value = Number(milliseconds);
+        if (!value) return;
+
+        scanInterval = Math.min(Math.max(Math.round(value), SCAN_INTERVAL_RANGE[0]), SCAN_INTERVAL_RANGE[1]);
+        applySwitchScanning();
+        saveAccessibilityPreference('scanInterval', scanInterval);
+    }
+
+    /**
+     * The key the switch sends, as a KeyboardEvent key name ('Space' for the space bar)
+     */
+    function setScanKey(key) {
+        if (typeof key !== 'string' || !key || ['Tab', 'Escape', 'Shift', 'Control', 'Alt', 'Meta'].includes(key)) return;
+
+        scanKey = key === ' ' ? 'Space' : key;
+        applySwitchScanning();
+        saveAccessibilityPreference('scanKey', scanKey);
+        announceToScreenReader(t('settings.announce.scanKey', `Switch key set to ${formatScanKey(scanKey)}`, { key: formatScanKey(scanKey) }));
+    }
+
+    function getScanSettings() {
+        return {
+            enabled: switchScanning,
+            interval: scanInterval,
+            key: scanKey
+        };
+    }
+
+    function applySwitchScanning() {
+        document.body.classList.toggle('switch-scanning', switchScanning);
+        document.dispatchEvent(new CustomEvent('disabilitysupport:scanningchange', {
+            detail: getScanSettings()
+        }));
+    }
+
+    function formatScanKey(key) {
+        return key === 'Space' ? t('settings.scanKeySpace', 'Space') : key;
+    }
+
+    /**
+     * Caption style: body classes for the ::cue rules, resolving 'auto' from font size and contrast
+     */
+    function applyCaptionStyle() {
+        const body = document.body;
+        const size = getCaptionSize();
+        const background = getCaptionBackground();
+
+        CAPTION_SIZES.forEach(value => body.classList.toggle(`caption-size-${value}`, value === size));
+        CAPTION_BACKGROUNDS.forEach(value => body.classList.toggle(`caption-bg-${value}`, value === background));
+
+        document.dispatchEvent(new CustomEvent('disabilitysupport:captionstylechange', {
+            detail: { size: captionSize, background: captionBackground, appliedSize: size, appliedBackground: background }
+        }));
+    }
+
+    function getCaptionSize() {
+        if (captionSize !== 'auto') return captionSize;
+        return { normal: 'medium', large: 'large', 'extra-large': 'x-large' }[currentFontSize] || 'medium';
+    }
+
+    function getCaptionBackground() {
+        if (captionBackground !== 'auto') return captionBackground;
+        return isHighContrast ? 'high-contrast' : 'dark';
+    }
+
+    function setCaptionSize(size) {
+        if (!CAPTION_SIZES.includes(size)) return;
+
+        captionSize = size;
+        applyCaptionStyle();
+        saveAccessibilityPreference('captionSize', captionSize);
+        announceToScreenReader(t('settings.announce.captionSize', `Caption size changed to ${captionSize}`, {
+            size: t(`settings.captionSize.${captionSize}`, captionSize)
+        }));
+    }
+
+    function setCaptionBackground(background) {
+        if (!CAPTION_BACKGROUNDS.includes(background)) return;
+
+        captionBackground = background;
+        applyCaptionStyle();
+        saveAccessibilityPreference('captionBackground', captionBackground);
+        announceToScreenReader(t('settings.announce.captionBackground', `Caption background changed to ${captionBackground}`, {
+            background: t(`settings.captionBackground.${captionBackground}`, captionBackground)
+        }));
+    }
+
+    /**
+     * Icons beside visible text add nothing to it; icon-only buttons keep theirs
+     */
+    function markDecorativeIcons() {
+        // Easy-read pictograms carry meaning, so they stay
+        document.querySelectorAll('i[aria-hidden="true"]:not(.pictogram), svg[aria-hidden="true"]:not(.pictogram)').forEach(icon => {
+            const parent = icon.parentElement;
+            if (parent && parent.textContent.trim()) {
+                icon.classList.add('decorative-icon');
+            }
+        });
+    }
+
+    /**
+     * Show the reading ruler or line focus band while reading mode is on
+     */
+    function applyReadingRuler() {
+        let ruler = document.getElementById('reading-ruler');
+        if (!isRulerShown()) {
+            if (ruler) ruler.hidden = true;
+            return;
+        }
+
+        if (!ruler) {
+            ruler = document.createElement('div');
+            ruler.id = 'reading-ruler';
+            ruler.className = 'reading-ruler';
+            ruler.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(ruler);
+        }
+
+        ruler.hidden = false;
+        ruler.classList.toggle('line-focus', readingRuler === 'focus');
+        moveRuler(rulerY === null ? window.innerHeight / 3 : rulerY);
+    }
+
+    function isRulerShown() {
+        return readingMode && readingRuler !== 'off';
+    }
+
+    /**
+     * Center the ruler on a point measured from the top of the window
+     */
+    function moveRuler(y) {
+        const ruler = document.getElementById('reading-ruler');
+        if (!ruler) return;
+
+        rulerY = Math.max(0, Math.min(window.innerHeight, y));
+        ruler.style.top = `${rulerY - ruler.offsetHeight / 2}px`;
+    }
+
+    function moveRulerByLines(lines) {
+        if (!isRulerShown()) return;
+        moveRuler((rulerY === null ? window.innerHeight / 3 : rulerY) + lines * rulerLineHeight());
+    }
+
+    function rulerLineHeight() {
+        const lineHeight = parseFloat(window.getComputedStyle(document.body).lineHeight);
+        return lineHeight || parseFloat(window.getComputedStyle(document.body).fontSize) * 1.8;
+    }
+
+    /**
+     * Update the reading mode button
+     */
+    function updateReadingModeButton() {
+        const readingBtn = document.getElementById('reading-mode-btn');
+        if (!readingBtn) return;
+
+        const text = readingBtn.querySelector('.btn-text') || readingBtn.childNodes[readingBtn.childNodes.length - 1];
+
+        readingBtn.classList.toggle('active', readingMode);
+        readingBtn.setAttribute('aria-pressed', String(readingMode));
+        readingBtn.setAttribute('aria-label', readingMode ?
+            t('toolbar.readingModeOnLabel', 'Reading mode enabled. Click to disable') :
+            t('toolbar.readingModeOffLabel', 'Reading mode disabled. Click to enable'));
+        if (text && text.textContent) {
+            text.textContent = ' ' + (readingMode ? t('toolbar.readingModeOn', 'Reading: On') : t('toolbar.readingMode', 'Reading Mode'));
+        }
+    }
+
+    /**
+     * Apply a whole settings profile (from a preset or an imported file).
+     * Unknown keys and invalid values are ignored; returns the names of the settings applied.
+     */
+    function applySettings(settings) {
+        const applied = [];
+        if (!settings || typeof settings !== 'object') return applied;
+
+        if (settings.theme === 'light' || settings.theme === 'dark') {
+            setTheme(settings.theme);
+            applied.push('theme');
+        }
+
+        if (FONT_SIZES.includes(settings.fontSize)) {
+            setFontSize(settings.fontSize);
+            applied.push('fontSize');
+        }
+
+        if (typeof settings.highContrast === 'boolean') {
+            setHighContrast(settings.highContrast);
+            applied.push('highContrast');
+        }
+
+        if (typeof settings.screenReaderMode === 'boolean') {
+            setScreenReaderMode(settings.screenReaderMode);
+            applied.push('screenReaderMode');
+        }
+
+        if (LANGUAGE_NAMES[settings.language] && settings.language !== currentLanguage) {
+            changeLanguage(settings.language);
+            const languageSelect = document.getElementById('language-select');
+            if (languageSelect) {
+                languageSelect.value = settings.language;
+            }
+            applied.push('language');
+        }
+
+        if (MOTION_PREFERENCES.includes(settings.reducedMotion)) {
+            setReducedMotion(settings.reducedMotion);
+            applied.push('reducedMotion');
+        }
+
+        if (typeof settings.colorBlindPatterns === 'boolean') {
+            setColorBlindPatterns(settings.colorBlindPatterns);
+            applied.push('colorBlindPatterns');
+        }
+
+        if (COLOR_VISION_MODES.includes(settings.colorVision)) {
+            setColorVisionMode(settings.colorVision);
+            applied.push('colorVision');
+        }
+
+        if (COLOR_VISION_FILTERS.includes(settings.colorVisionFilter)) {
+            setColorVisionFilter(settings.colorVisionFilter);
+            applied.push('colorVisionFilter');
+        }
+
+        if (LINE_SPACINGS.includes(settings.lineSpacing)) {
+            setLineSpacing(settings.lineSpacing);
+            applied.push('lineSpacing');
+        }
+
+        if (CURSOR_SIZES.includes(settings.cursorSize)) {
+            setCursorSize(settings.cursorSize);
+            applied.push('cursorSize');
+        }
+
+        if (typeof settings.readingMode === 'boolean') {
+            setReadingMode(settings.readingMode);
+            applied.push('readingMode');
+        }
+
+        if (LETTER_SPACINGS.includes(settings.letterSpacing)) {
+            setLetterSpacing(settings.letterSpacing);
+            applied.push('letterSpacing');
+        }
+
+        if (WORD_SPACINGS.includes(settings.wordSpacing)) {
+            setWordSpacing(settings.wordSpacing);
+            applied.push('wordSpacing');
+        }
+
+        if (LINE_LENGTHS.includes(settings.lineLength)) {
+            setLineLength(settings.lineLength);
+            applied.push('lineLength');
+        }
+
+        if (READING_RULERS.includes(settings.readingRuler)) {
+            setReadingRuler(settings.readingRuler);
+            applied.push('readingRuler');
+        }
+
+        if (typeof settings.hideDecorative === 'boolean') {
+            setHideDecorative(settings.hideDecorative);
+            applied.push('hideDecorative');
+        }
+
+        if (CAPTION_SIZES.includes(settings.captionSize)) {
+            setCaptionSize(settings.captionSize);
+            applied.push('captionSize');
+        }
+
+        if (CAPTION_BACKGROUNDS.includes(settings.captionBackground)) {
+            setCaptionBackground(settings.captionBackground);
+            applied.push('captionBackground');
+        }
+
+        if (typeof settings.scanInterval === 'number') {
+            setScanInterval(settings.scanInterval);
+            applied.push('scanInterval');
+        }
+
+        if (typeof settings.scanKey === 'string') {
+            setScanKey(settings.scanKey);
+            applied.push('scanKey');
+        }
+
+        if (typeof settings.switchScanning === 'boolean') {
+            setSwitchScanning(settings.switchScanning);
+            applied.push('switchScanning');
+        }
+
+        if (settings.speech && typeof settings.speech === 'object') {
+            const speech = {};
+            if (typeof settings.speech.rate === 'number') speech.rate = settings.speech.rate;
+            if (typeof settings.speech.pitch === 'number') speech.pitch = settings.speech.pitch;
+            if (typeof settings.speech.voice === 'string') speech.voice = settings.speech.voice;
+            setSpeechSettings(speech);
+            applied.push('speech');
+        }
+
+        return applied;
+    }
+
+    /**
+     * Color blindness support: SVG filters for each color vision mode, plus pattern overlays
      */
     function initializeColorBlindnessSupport() {
-        // Add pattern backgrounds for better distinction
-        const styleSheet = document.createElement('style');
-        styleSheet.textContent = `
-            .colorblind-patterns .bg-primary { background-image: url('data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4" viewBox="0 0 4 4"><rect width="2" height="2" fill="rgba(255,255,255,0.3)"/></svg>'); }
-            .colorblind-patterns .bg-success { background-image: url('data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4" viewBox="0 0 4 4"><circle cx="2" cy="2" r="1" fill="rgba(255,255,255,0.3)"/></svg>'); }
-            .colorblind-patterns .bg-warning { background-image: url('data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4" viewBox="0 0 4 4"><rect x="1" y="1" width="2" height="2" fill="rgba(0,0,0,0.3)"/></svg>'); }
-            .colorblind-patterns .bg-danger { background-image: url('data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4" viewBox="0 0 4 4"><polygon points="2,0 4,4 0,4" fill="rgba(255,255,255,0.3)"/></svg>'); }
-        `;
-        document.head.appendChild(styleSheet);
+        injectColorVisionFilters();
+
+        document.querySelectorAll('[data-color-vision]').forEach(item => {
+            item.addEventListener('click', function() {
+                toggleColorVisionMode(this.dataset.colorVision);
+            });
+        });
+
+        document.querySelectorAll('[data-color-vision-filter]').forEach(item => {
+            item.addEventListener('click', function() {
+                setColorVisionFilter(colorVisionFilter === 'simulate' ? 'correct' : 'simulate');
+            });
+        });
+
+        registerShortcut('cycleColorVision', 'Ctrl+Alt+F', 'display', 'shortcuts.actions.cycleColorVision', 'Next color vision mode', cycleColorVisionMode);
+
+        updateColorVisionButton();
+    }
+
+    /**
+     * Add the hidden SVG that holds the color vision filters referenced from style.css
+     */
+    function injectColorVisionFilters() {
+        if (document.getElementById('color-vision-filters')) return;
+
+        // Stretch the grey image so light and dark areas stay apart
+        const contrastBoost = ['R', 'G', 'B']
+            .map(channel => `<feFunc${channel} type="linear" slope="1.2" intercept="-0.1"/>`)
+            .join('');
+
+        const filters = Object.keys(COLOR_VISION_MATRICES).map(mode => COLOR_VISION_FILTERS.map(kind => {
+            const extra = mode === 'achromatopsia' && kind === 'correct' ?
+                `<feComponentTransfer>${contrastBoost}</feComponentTransfer>` : '';
+            return `<filter id="cvd-${mode}-${kind}" color-interpolation-filters="linearRGB">` +
+                `<feColorMatrix type="matrix" values="${COLOR_VISION_MATRICES[mode][kind]}"/>${extra}</filter>`;
+        }).join('')).join('');
+
+        // display: none would disable the filters in some browsers, so keep the SVG rendered but empty
+        const container = document.createElement('div');
+        container.innerHTML = `<svg id="color-vision-filters" xmlns="http://www.w3.org/2000/svg" width="0" height="0" ` +
+            `aria-hidden="true" focusable="false" style="position: absolute; overflow: hidden;"><defs>${filters}</defs></svg>`;
+        document.body.appendChild(container.firstChild);
+    }
+
+    /**
+     * Show the active color vision mode on the page
+     */
+    function applyColorVision() {
+        const root = document.documentElement;
+
+        if (colorVisionMode === 'none') {
+            root.removeAttribute('data-color-vision');
+        } else {
+            root.setAttribute('data-color-vision', colorVisionMode);
+        }
+
+        if (colorVisionFilter === 'simulate') {
+            root.setAttribute('data-color-vision-filter', 'simulate');
+        } else {
+            root.removeAttribute('data-color-vision-filter');
+        }
+
+        applyColorPatterns();
+        updateColorVisionButton();
+    }
+
+    /**
+     * Pattern overlays are on when asked for, and always while a color vision mode is active
+     */
+    function applyColorPatterns() {
+        document.body.classList.toggle('colorblind-patterns', colorBlindPatterns || colorVisionMode !== 'none');
+    }
+
+    /**
+     * Switch to a color vision mode ('none' turns the filters off)
+     */
+    function setColorVisionMode(mode) {
+        if (!COLOR_VISION_MODES.includes(mode)) return;
+
+        colorVisionMode = mode;
+        applyColorVision();
+        saveAccessibilityPreference('colorVision', colorVisionMode);
+
+        if (colorVisionMode === 'none') {
+            announceToScreenReader(t('colorVision.announce.off', 'Color vision filters off'));
+        } else {
+            announceToScreenReader(t(`colorVision.announce.${colorVisionFilter}`, `Color vision mode: ${colorVisionName(colorVisionMode)}`, {
+                mode: colorVisionName(colorVisionMode)
+            }));
+        }
+    }
+
+    /**
+     * Turn a mode on, or off again if it is already active
+     */
+    function toggleColorVisionMode(mode) {
+        setColorVisionMode(mode === colorVisionMode ? 'none' : mode);
+    }
+
+    /**
+     * Step through the modes, ending back at normal colors
+     */
+    function cycleColorVisionMode() {
+        const next = (COLOR_VISION_MODES.indexOf(colorVisionMode) + 1) % COLOR_VISION_MODES.length;
+        setColorVisionMode(COLOR_VISION_MODES[next]);
+    }
+
+    /**
+     * Choose whether the filters correct colors or simulate the deficiency
+     */
+    function setColorVisionFilter(kind) {
+        if (!COLOR_VISION_FILTERS.includes(kind)) return;
+
+        colorVisionFilter = kind;
+        applyColorVision();
+        saveAccessibilityPreference('colorVisionFilter', colorVisionFilter);
+
+        if (colorVisionMode !== 'none') {
+            announceToScreenReader(t(`colorVision.announce.${colorVisionFilter}`, `Color vision mode: ${colorVisionName(colorVisionMode)}`, {
+                mode: colorVisionName(colorVisionMode)
+            }));
+        }
+    }
+
+    /**
+     * Translated name of a color vision mode
+     */
+    function colorVisionName(mode) {
+        return t(`colorVision.modes.${mode}`, COLOR_VISION_NAMES[mode]);
+    }
+
+    /**
+     * Update the color vision toolbar menu
+     */
+    function updateColorVisionButton() {
+        const colorVisionBtn = document.getElementById('color-vision-btn');
+        if (!colorVisionBtn) return;
+
+        const text = colorVisionBtn.querySelector('.btn-text') || colorVisionBtn.childNodes[colorVisionBtn.childNodes.length - 1];
+        const isActive = colorVisionMode !== 'none';
+
+        colorVisionBtn.classList.toggle('active', isActive);
+        colorVisionBtn.setAttribute('aria-label', t('toolbar.colorVisionLabel', `Color vision mode: ${colorVisionName(colorVisionMode)}`, {
+            mode: colorVisionName(colorVisionMode)
+        }));
+        if (text && text.textContent) {
+            text.textContent = ' ' + (isActive ?
+                t('toolbar.colorVisionOn', `Colors: ${colorVisionName(colorVisionMode)}`, { mode: colorVisionName(colorVisionMode) }) :
+                t('toolbar.colorVision', 'Color Vision'));
+        }
+
+        document.querySelectorAll('[data-color-vision]').forEach(item => {
+            item.setAttribute('aria-checked', String(item.dataset.colorVision === colorVisionMode));
+        });
+        document.querySelectorAll('[data-color-vision-filter]').forEach(item => {
+            item.setAttribute('aria-checked', String(colorVisionFilter === 'simulate'));
+        });
     }
 
     /**
@@ -829,6 +1678,9 @@
         return 'Button';
     }
 
+    /**
+     * Translate a message key, using the English text when no catalog is loaded
+     */
     /**
      * Save accessibility preference
      */
@@ -877,6 +1729,42 @@
             toggleHighContrast();
         }
 
+        // Load display preferences
+        motionPreference = loadAccessibilityPreference('reducedMotion', 'system');
+        applyReducedMotion();
+        colorBlindPatterns = loadAccessibilityPreference('colorBlindPatterns', false);
+        const savedColorVision = loadAccessibilityPreference('colorVision', 'none');
+        colorVisionMode = COLOR_VISION_MODES.includes(savedColorVision) ? savedColorVision : 'none';
+        colorVisionFilter = loadAccessibilityPreference('colorVisionFilter', 'correct') === 'simulate' ? 'simulate' : 'correct';
+        applyColorVision();
+        applyLineSpacing(loadAccessibilityPreference('lineSpacing', 'normal'));
+        applyCursorSize(loadAccessibilityPreference('cursorSize', 'normal'));
+
+        // Load reading mode
+        readingMode = loadAccessibilityPreference('readingMode', false) === true;
+        letterSpacing = oneOf(LETTER_SPACINGS, loadAccessibilityPreference('letterSpacing', 'normal'));
+        wordSpacing = oneOf(WORD_SPACINGS, loadAccessibilityPreference('wordSpacing', 'normal'));
+        lineLength = oneOf(LINE_LENGTHS, loadAccessibilityPreference('lineLength', 'medium'));
+        readingRuler = oneOf(READING_RULERS, loadAccessibilityPreference('readingRuler', 'off'));
+        hideDecorative = loadAccessibilityPreference('hideDecorative', false) === true;
+        applyReadingMode();
+
+        // Load caption style
+        captionSize = oneOf(CAPTION_SIZES, loadAccessibilityPreference('captionSize', 'auto'));
+        captionBackground = oneOf(CAPTION_BACKGROUNDS, loadAccessibilityPreference('captionBackground', 'auto'));
+        applyCaptionStyle();
+
+        // Load switch scanning
+        scanInterval = Number(loadAccessibilityPreference('scanInterval', 1500)) || 1500;
+        scanKey = loadAccessibilityPreference('scanKey', 'Space') || 'Space';
+        switchScanning = loadAccessibilityPreference('switchScanning', false) === true;
+        applySwitchScanning();
+
+        // Load speech settings
+        speechRate = loadAccessibilityPreference('speechRate', 0.8);
+        speechPitch = loadAccessibilityPreference('speechPitch', 1);
+        speechVoiceName = loadAccessibilityPreference('speechVoice', '');
+
         // Load screen reader mode
         const savedScreenReaderMode = loadAccessibilityPreference('screenReaderMode', false);
         if (savedScreenReaderMode && speechSynthesis) {
@@ -895,6 +1783,13 @@
         }
     }
 
+    /**
+     * A stored value if it is one of the allowed ones, otherwise the first (default) value
+     */
+    function oneOf(values, value) {
+        return values.includes(value) ? value : values[0];
+    }
+
     /**
      * Announce to screen reader via ARIA live regions
      */
@@ -918,6 +1813,9 @@
      * Reset all accessibility settings
      */
     function resetAccessibilitySettings() {
+        // Reset theme
+        setTheme('light');
+        
         // Reset font size
         setFontSize('normal');
         
@@ -938,9 +1836,42 @@
             languageSelect.value = 'en';
         }
         
+        // Reset speech settings
+        speechRate = 0.8;
+        speechPitch = 1;
+        speechVoiceName = '';
+        
+        // Reset display preferences
+        motionPreference = 'system';
+        applyReducedMotion();
+        colorBlindPatterns = false;
+        colorVisionMode = 'none';
+        colorVisionFilter = 'correct';
+        applyColorVision();
+        applyLineSpacing('normal');
+        applyCursorSize('normal');
+        readingMode = false;
+        letterSpacing = 'normal';
+        wordSpacing = 'normal';
+        lineLength = 'medium';
+        readingRuler = 'off';
+        hideDecorative = false;
+        applyReadingMode();
+        captionSize = 'auto';
+        captionBackground = 'auto';
+        applyCaptionStyle();
+        switchScanning = false;
+        scanInterval = 1500;
+        scanKey = 'Space';
+        applySwitchScanning();
+
+        // Reset remapped keyboard shortcuts
+        if (window.DisabilitySupportShortcuts) {
+            window.DisabilitySupportShortcuts.resetToDefaults();
+        }
+        
         // Clear all saved preferences
-        const keys = ['fontSize', 'highContrast', 'screenReaderMode', 'language'];
-        keys.forEach(key => {
+        PREFERENCE_KEYS.forEach(key => {
             try {
                 localStorage.removeItem(`accessibility-${key}`);
             } catch (e) {
@@ -948,7 +1879,7 @@
             }
         });
         
-        announceToScreenReader('All accessibility settings have been reset to default');
+        announceToScreenReader(t('settings.announce.reset', 'All accessibility settings and keyboard shortcuts have been reset to their defaults'));
     }
 
     // Export accessibility functions for external use
@@ -960,19 +1891,77 @@
         announceToScreenReader,
         resetAccessibilitySettings,
         speakText,
+        createUtterance,
+        setSpeechSettings,
+        getSpeechSettings,
+        setTheme,
+        setHighContrast,
+        setScreenReaderMode,
+        setReducedMotion,
+        setColorBlindPatterns,
+        setLineSpacing,
+        setCursorSize,
+        toggleReadingMode,
+        setReadingMode,
+        setLetterSpacing,
+        setWordSpacing,
+        setLineLength,
+        setReadingRuler,
+        setHideDecorative,
+        setCaptionSize,
+        setCaptionBackground,
+        toggleSwitchScanning,
+        setSwitchScanning,
+        setScanInterval,
+        setScanKey,
+        getScanSettings,
+        captionSizes: CAPTION_SIZES.slice(),
+        captionBackgrounds: CAPTION_BACKGROUNDS.slice(),
+        setColorVisionMode,
+        toggleColorVisionMode,
+        setColorVisionFilter,
+        colorVisionModes: COLOR_VISION_MODES.slice(),
+        applySettings,
         getCurrentSettings: function() {
             return {
+                theme: currentTheme,
                 fontSize: currentFontSize,
                 highContrast: isHighContrast,
                 screenReaderMode: isScreenReaderMode,
-                language: currentLanguage
+                language: currentLanguage,
+                reducedMotion: motionPreference,
+                colorBlindPatterns: colorBlindPatterns,
+                lineSpacing: lineSpacing,
+                cursorSize: cursorSize,
+                colorVision: colorVisionMode,
+                colorVisionFilter: colorVisionFilter,
+                readingMode: readingMode,
+                letterSpacing: letterSpacing,
+                wordSpacing: wordSpacing,
+                lineLength: lineLength,
+                readingRuler: readingRuler,
+                hideDecorative: hideDecorative,
+                captionSize: captionSize,
+                captionBackground: captionBackground,
+                switchScanning: switchScanning,
+                scanInterval: scanInterval,
+                scanKey: scanKey,
+                speech: getSpeechSettings()
             };
         }
     };
 
     // Announce that accessibility features are ready
     setTimeout(() => {
-        announceToScreenReader('Accessibility features loaded. Press Alt+H for help with keyboard shortcuts.');
+        const registry = window.DisabilitySupportShortcuts;
+        const helpShortcut = registry && registry.getShortcuts().find(shortcut => shortcut.id === 'showHelp');
+        if (helpShortcut && helpShortcut.keys) {
+            announceToScreenReader(t('shortcuts.loaded', `Accessibility features loaded. Press ${registry.formatKeys(helpShortcut.keys)} for help with keyboard shortcuts.`, {
+                keys: registry.formatKeys(helpShortcut.keys)
+            }));
+        } else {
+            announceToScreenReader(t('shortcuts.loadedNoHelp', 'Accessibility features loaded.'));
+        }
     }, 2000);
 
 })();
@@ -0,0 +1,668 @@
+/**
+ * Disability Support India - Application Tracker
+ * Handles on-device tracking of scheme applications: document checklists, dates, reference numbers,
+ * reminders and a printable summary
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    // Applications never leave the device; they are keyed by scheme id
+    const STORAGE_KEY = 'scheme-applications';
+    const SUMMARY_FILENAME = 'scheme-applications.html';
+
+    const STATUSES = [
+        { id: 'gathering', label: 'Collecting documents' },
+        { id: 'ready', label: 'Ready to submit' },
+        { id: 'submitted', label: 'Submitted' },
+        { id: 'review', label: 'Under review' },
+        { id: 'approved', label: 'Approved' },
+        { id: 'rejected', label: 'Rejected' }
+    ];
+
+    let schemesPromise = null;
+    let currentSchemeId = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeTracker();
+        checkReminders();
+    });
+
+    /**
+     * Wire up the tracker on the schemes page
+     */
+    function initializeTracker() {
+        const modal = document.getElementById('tracker-modal');
+        const form = document.getElementById('tracker-form');
+        if (!modal || !form) return;
+
+        populateStatusOptions();
+
+        document.querySelectorAll('[data-tracker-start]').forEach(button => {
+            button.hidden = false;
+            button.addEventListener('click', function() {
+                const schemeId = this.dataset.trackerStart;
+                const schemeModal = this.closest('.modal');
+
+                // Only one Bootstrap modal can be open at a time
+                if (schemeModal && window.bootstrap) {
+                    schemeModal.addEventListener('hidden.bs.modal', function() {
+                        startApplication(schemeId);
+                    }, { once: true });
+                    window.bootstrap.Modal.getInstance(schemeModal).hide();
+                } else {
+                    startApplication(schemeId);
+                }
+            });
+        });
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+        });
+
+        form.addEventListener('input', function() {
+            saveForm();
+        });
+
+        form.addEventListener('change', function(e) {
+            saveForm();
+            if (e.target.name === 'reminderDate' && e.target.value) {
+                requestNotificationPermission();
+            }
+        });
+
+        modal.addEventListener('hidden.bs.modal', function() {
+            currentSchemeId = null;
+        });
+
+        document.getElementById('tracker-delete').addEventListener('click', function() {
+            deleteApplication(currentSchemeId);
+        });
+
+        document.getElementById('tracker-print').addEventListener('click', function() {
+            printSummary([getApplication(currentSchemeId)]);
+        });
+
+        document.getElementById('tracker-download').addEventListener('click', function() {
+            downloadSummary([getApplication(currentSchemeId)]);
+        });
+
+        document.getElementById('tracker-print-all').addEventListener('click', function() {
+            printSummary(getApplications());
+        });
+
+        document.getElementById('tracker-list').addEventListener('click', function(e) {
+            const openBtn = e.target.closest('[data-tracker-open]');
+            if (openBtn) {
+                openApplication(openBtn.dataset.trackerOpen);
+            }
+        });
+
+        renderList();
+        updateStartButtons();
+
+        // Links from reminders elsewhere on the site open the application directly
+        const match = window.location.hash.match(/^#application-(.+)$/);
+        if (match && getApplication(decodeURIComponent(match[1]))) {
+            openApplication(decodeURIComponent(match[1]));
+        }
+    }
+
+    /**
+     * Fill the status select
+     */
+    function populateStatusOptions() {
+        const select = document.getElementById('tracker-status');
+        select.innerHTML = STATUSES.map(status =>
+            `<option value="${status.id}">${escapeHtml(statusLabel(status.id))}</option>`
+        ).join('');
+    }
+
+    /**
+     * All saved applications, most recently updated first
+     */
+    function getApplications() {
+        const applications = readStore();
+        return Object.keys(applications)
+            .map(id => applications[id])
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    }
+
+    /**
+     * One saved application, or null
+     */
+    function getApplication(schemeId) {
+        return readStore()[schemeId] || null;
+    }
+
+    /**
+     * Read the applications from localStorage
+     */
+    function readStore() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('Could not load saved applications:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Save one application (or remove it when null)
+     */
+    function writeApplication(schemeId, application) {
+        const applications = readStore();
+        if (application) {
+            applications[schemeId] = application;
+        } else {
+            delete applications[schemeId];
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(applications));
+            return true;
+        } catch (e) {
+            console.warn('Could not save application:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Fetch the schemes so a new application can copy its checklist
+     */
+    function loadSchemes() {
+        if (!schemesPromise) {
+            schemesPromise = fetch('/api/schemes')
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => data.schemes || [])
+                .catch(error => {
+                    schemesPromise = null;
+                    throw error;
+                });
+        }
+        return schemesPromise;
+    }
+
+    /**
+     * Start tracking a scheme, or open it if it is already tracked
+     */
+    function startApplication(schemeId) {
+        if (getApplication(schemeId)) {
+            openApplication(schemeId);
+            return Promise.resolve(getApplication(schemeId));
+        }
+
+        return loadSchemes().then(schemes => {
+            const scheme = schemes.find(item => item.id === schemeId);
+            if (!scheme) throw new Error(`Unknown scheme ${schemeId}`);
+
+            // Keep a copy of the scheme details so the summary still works if the data changes
+            const now = new Date().toISOString();
+            const application = {
+                schemeId: scheme.id,
+                schemeName: scheme.name,
+                applicationProcess: scheme.application_process || '',
+                contact: scheme.contact || '',
+                documents: (scheme.documents_required || []).map(name => ({ name, done: false })),
+                status: 'gathering',
+                referenceNumber: '',
+                submittedOn: '',
+                reminderDate: '',
+                reminderNote: '',
+                reminderDismissed: '',
+                notes: '',
+                startedAt: now,
+                updatedAt: now
+            };
+
+            writeApplication(scheme.id, application);
+            renderList();
+            updateStartButtons();
+            openApplication(scheme.id);
+            announce(t('tracker.started', `Application for ${scheme.name} started`, { scheme: scheme.name }));
+            return application;
+        }).catch(error => {
+            console.warn('Could not start application:', error);
+            announce(t('tracker.startFailed', 'The application could not be started. Please check your connection and try again.'), 'assertive');
+        });
+    }
+
+    /**
+     * Show an application in the tracker dialog
+     */
+    function openApplication(schemeId) {
+        const application = getApplication(schemeId);
+        const modal = document.getElementById('tracker-modal');
+        if (!application || !modal || !window.bootstrap) return;
+
+        currentSchemeId = schemeId;
+        fillForm(application);
+        document.getElementById('tracker-saved').textContent = '';
+
+        window.bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+
+    /**
+     * Put an application's values into the dialog
+     */
+    function fillForm(application) {
+        const form = document.getElementById('tracker-form');
+
+        document.getElementById('tracker-modal-title').textContent = application.schemeName;
+        document.getElementById('tracker-process').textContent = application.applicationProcess;
+
+        ['status', 'referenceNumber', 'submittedOn', 'reminderDate', 'reminderNote', 'notes'].forEach(name => {
+            form.elements.namedItem(name).value = application[name] || '';
+        });
+
+        document.getElementById('tracker-documents').innerHTML = application.documents.map((doc, index) => `
+            <div class="form-check">
+                <input class="form-check-input" type="checkbox" id="tracker-doc-${index}" data-document-index="${index}"${doc.done ? ' checked' : ''}>
+                <label class="form-check-label" for="tracker-doc-${index}">${escapeHtml(doc.name)}</label>
+            </div>
+        `).join('');
+
+        updateDocumentProgress(application);
+    }
+
+    /**
+     * Save the dialog back to the current application
+     */
+    function saveForm() {
+        const application = getApplication(currentSchemeId);
+        if (!application) return;
+
+        const form = document.getElementById('tracker-form');
+        const previousReminder = application.reminderDate;
+
+        ['status', 'referenceNumber', 'submittedOn', 'reminderDate', 'reminderNote', 'notes'].forEach(name => {
+            application[name] = form.elements.namedItem(name).value;
+        });
+
+        form.querySelectorAll('[data-document-index]').forEach(checkbox => {
+            application.documents[Number(checkbox.dataset.documentIndex)].done = checkbox.checked;
+        });
+
+        // A new reminder date should be shown again even if the old one was dismissed
+        if (application.reminderDate !== previousReminder) {
+            application.reminderDismissed = '';
+        }
+
+        application.updatedAt = new Date().toISOString();
+
+        const saved = writeApplication(currentSchemeId, application);
+        updateDocumentProgress(application);
+        renderList();
+
+        document.getElementById('tracker-saved').textContent = saved ?
+            t('tracker.saved', 'Saved on this device') :
+            t('tracker.saveFailed', 'Could not save. Your browser storage may be full or turned off.');
+    }
+
+    /**
+     * "2 of 3 documents ready"
+     */
+    function documentProgressText(application) {
+        const ready = application.documents.filter(doc => doc.done).length;
+        return t('tracker.documentsReady', `${ready} of ${application.documents.length} documents ready`, {
+            ready,
+            count: application.documents.length
+        });
+    }
+
+    /**
+     * Update the document count in the dialog
+     */
+    function updateDocumentProgress(application) {
+        document.getElementById('tracker-documents-progress').textContent = documentProgressText(application);
+    }
+
+    /**
+     * Remove an application after confirming
+     */
+    function deleteApplication(schemeId) {
+        const application = getApplication(schemeId);
+        if (!application) return;
+
+        const question = t('tracker.confirmDelete', `Delete your saved progress for ${application.schemeName}? This cannot be undone.`, {
+            scheme: application.schemeName
+        });
+        if (!window.confirm(question)) return;
+
+        writeApplication(schemeId, null);
+
+        const modal = document.getElementById('tracker-modal');
+        if (modal && window.bootstrap) {
+            window.bootstrap.Modal.getOrCreateInstance(modal).hide();
+        }
+
+        renderList();
+        updateStartButtons();
+        announce(t('tracker.deleted', `Application for ${application.schemeName} deleted`, { scheme: application.schemeName }));
+    }
+
+    /**
+     * Show the saved applications on the schemes page
+     */
+    function renderList() {
+        const section = document.getElementById('application-tracker');
+        const list = document.getElementById('tracker-list');
+        if (!section || !list) return;
+
+        const applications = getApplications();
+        section.hidden = applications.length === 0;
+
+        list.innerHTML = applications.map(application => {
+            const details = [
+                `<li>${escapeHtml(documentProgressText(application))}</li>`
+            ];
+            if (application.referenceNumber) {
+                details.push(`<li>${escapeHtml(t('tracker.referenceLabel', 'Reference:'))} <strong>${escapeHtml(application.referenceNumber)}</strong></li>`);
+            }
+            if (application.reminderDate) {
+                details.push(`<li>${escapeHtml(t('tracker.reminderLabel', 'Reminder:'))} ${escapeHtml(formatDate(application.reminderDate))}</li>`);
+            }
+
+            return `
+                <div class="col-md-6 col-lg-4 mb-3" id="application-${escapeHtml(application.schemeId)}">
+                    <div class="card h-100 border-0 shadow-sm">
+                        <div class="card-body">
+                            <h3 class="h6 fw-bold">${escapeHtml(application.schemeName)}</h3>
+                            <span class="badge bg-secondary mb-2">${escapeHtml(statusLabel(application.status))}</span>
+                            <ul class="list-unstyled small mb-3">${details.join('')}</ul>
+                            <button type="button" class="btn btn-sm btn-outline-primary" data-tracker-open="${escapeHtml(application.schemeId)}">
+                                ${escapeHtml(t('tracker.open', 'Open'))}
+                                <span class="sr-only">${escapeHtml(application.schemeName)}</span>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Label the scheme modal buttons for schemes that are already tracked
+     */
+    function updateStartButtons() {
+        document.querySelectorAll('[data-tracker-start]').forEach(button => {
+            const tracked = Boolean(getApplication(button.dataset.trackerStart));
+            const text = button.childNodes[button.childNodes.length - 1];
+            if (text && text.textContent) {
+                text.textContent = ' ' + (tracked ?
+                    t('tracker.openApplication', 'Open my application') :
+                    t('tracker.start', 'Start application'));
+            }
+        });
+    }
+
+    /**
+     * Show reminders that are due, on any page
+     */
+    function checkReminders() {
+        const today = localDateString(new Date());
+        const due = getApplications().filter(application =>
+            application.reminderDate &&
+            application.reminderDate <= today &&
+            application.reminderDismissed !== application.reminderDate
+        );
+
+        due.forEach(application => {
+            showReminder(application);
+            showReminderNotification(application);
+        });
+
+        return due;
+    }
+
+    /**
+     * Put a dismissible reminder at the top of the page
+     */
+    function showReminder(application) {
+        const main = document.getElementById('main-content');
+        if (!main) return;
+
+        const message = t('tracker.reminderDue', `Reminder for your ${application.schemeName} application`, {
+            scheme: application.schemeName
+        });
+        const container = document.createElement('div');
+        container.className = 'container mt-3';
+        container.innerHTML = `
+            <div class="alert alert-warning d-flex flex-wrap align-items-center gap-2 mb-0" role="status">
+                <i class="fas fa-bell" aria-hidden="true"></i>
+                <span class="flex-grow-1">
+                    <strong>${escapeHtml(message)}</strong>
+                    ${application.reminderNote ? `<br>${escapeHtml(application.reminderNote)}` : ''}
+                </span>
+                <a href="/schemes#application-${encodeURIComponent(application.schemeId)}" class="btn btn-sm btn-outline-dark">
+                    ${escapeHtml(t('tracker.openApplication', 'Open my application'))}
+                </a>
+                <button type="button" class="btn btn-sm btn-outline-dark" data-reminder-dismiss>
+                    ${escapeHtml(t('tracker.dismissReminder', 'Dismiss reminder'))}
+                </button>
+            </div>
+        `;
+
+        container.querySelector('[data-reminder-dismiss]').addEventListener('click', function() {
+            const current = getApplication(application.schemeId);
+            if (current) {
+                current.reminderDismissed = current.reminderDate;
+                writeApplication(application.schemeId, current);
+            }
+            container.remove();
+            announce(t('tracker.reminderDismissed', 'Reminder dismissed'));
+        });
+
+        main.insertBefore(container, main.firstChild);
+        announce(message);
+    }
+
+    /**
+     * Also show a system notification if the user allowed them
+     */
+    function showReminderNotification(application) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        try {
+            new Notification(t('tracker.reminderDue', `Reminder for your ${application.schemeName} application`, {
+                scheme: application.schemeName
+            }), {
+                body: application.reminderNote || '',
+                tag: `application-${application.schemeId}`
+            });
+        } catch (e) {
+            // Some mobile browsers only allow notifications from a service worker
+        }
+    }
+
+    /**
+     * Ask once for notification permission when the first reminder is set
+     */
+    function requestNotificationPermission() {
+        if (!('Notification' in window) || Notification.permission !== 'default') return;
+
+        Notification.requestPermission().catch(() => {});
+    }
+
+    /**
+     * Build a standalone, printable HTML summary of some applications
+     */
+    function buildSummaryHtml(applications) {
+        const i18n = window.DisabilitySupportI18n;
+        const language = i18n ? i18n.getLanguage() : 'en';
+        const title = t('tracker.summaryTitle', 'My scheme applications');
+
+        const sections = applications.map(application => {
+            const facts = [
+                [t('tracker.statusLabel', 'Status'), statusLabel(application.status)],
+                [t('tracker.referenceNumber', 'Application or reference number'), application.referenceNumber || t('tracker.notYet', 'Not yet')],
+                [t('tracker.startedOn', 'Started'), formatDate(application.startedAt.slice(0, 10))],
+                [t('tracker.submittedOn', 'Date submitted'), application.submittedOn ? formatDate(application.submittedOn) : t('tracker.notYet', 'Not yet')],
+                [t('tracker.helpline', 'Helpline'), application.contact]
+            ].filter(fact => fact[1]);
+
+            const documents = application.documents.map(doc => `
+                <li>${escapeHtml(doc.name)}: <strong>${escapeHtml(doc.done ? t('tracker.docReady', 'Ready') : t('tracker.docNeeded', 'Still needed'))}</strong></li>
+            `).join('');
+
+            return `
+                <section>
+                    <h2>${escapeHtml(application.schemeName)}</h2>
+                    <dl>
+                        ${facts.map(fact => `<dt>${escapeHtml(fact[0])}</dt><dd>${escapeHtml(fact[1])}</dd>`).join('')}
+                    </dl>
+                    <h3>${escapeHtml(t('tracker.documentsHeading', 'Documents'))} (${escapeHtml(documentProgressText(application))})</h3>
+                    <ul>${documents}</ul>
+                    <h3>${escapeHtml(t('tracker.processHeading', 'How to apply'))}</h3>
+                    <p>${escapeHtml(application.applicationProcess)}</p>
+                    ${application.notes ? `
+                        <h3>${escapeHtml(t('tracker.notesHeading', 'Notes'))}</h3>
+                        <p class="notes">${escapeHtml(application.notes)}</p>
+                    ` : ''}
+                </section>
+            `;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - Disability Support India</title>
+<style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 14pt; line-height: 1.5; color: #000; background: #fff; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 1.6em; margin-bottom: 0.25em; }
+    h2 { font-size: 1.3em; border-bottom: 2px solid #000; padding-bottom: 0.2em; margin-top: 2em; }
+    h3 { font-size: 1.1em; margin-bottom: 0.25em; }
+    dt { font-weight: bold; }
+    dd { margin: 0 0 0.5em 0; }
+    .notes { white-space: pre-wrap; }
+    section { break-inside: avoid-page; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(t('tracker.summaryIntro', `Prepared on ${formatDate(localDateString(new Date()))}. Take this with your original documents to the Common Service Center or office.`, {
+            date: formatDate(localDateString(new Date()))
+        }))}</p>
+${sections}
+</body>
+</html>`;
+    }
+
+    /**
+     * Print the summary (the print dialog also offers "Save as PDF")
+     */
+    function printSummary(applications) {
+        applications = applications.filter(Boolean);
+        if (!applications.length) return;
+
+        const frame = document.createElement('iframe');
+        frame.className = 'sr-only';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.setAttribute('tabindex', '-1');
+        frame.srcdoc = buildSummaryHtml(applications);
+
+        frame.addEventListener('load', function() {
+            frame.contentWindow.addEventListener('afterprint', function() {
+                setTimeout(() => frame.remove(), 0);
+            });
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        });
+
+        document.body.appendChild(frame);
+    }
+
+    /**
+     * Download the summary as an HTML file that opens in any browser or screen reader
+     */
+    function downloadSummary(applications) {
+        applications = applications.filter(Boolean);
+        if (!applications.length) return;
+
+        const blob = new Blob([buildSummaryHtml(applications)], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = SUMMARY_FILENAME;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        announce(t('tracker.downloaded', `Summary saved to ${SUMMARY_FILENAME}`, { file: SUMMARY_FILENAME }));
+    }
+
+    /**
+     * Translated status name
+     */
+    function statusLabel(statusId) {
+        const status = STATUSES.find(item => item.id === statusId) || STATUSES[0];
+        return t(`tracker.statuses.${status.id}`, status.label);
+    }
+
+    /**
+     * Today's date as YYYY-MM-DD in local time, matching <input type="date">
+     */
+    function localDateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Format a YYYY-MM-DD date in the active language
+     */
+    function formatDate(dateString) {
+        const parts = dateString.split('-').map(Number);
+        const date = new Date(parts[0], parts[1] - 1, parts[2]);
+        const i18n = window.DisabilitySupportI18n;
+        const language = i18n ? i18n.getLanguage() : 'en';
+
+        try {
+            return date.toLocaleDateString(`${language}-IN`, { day: 'numeric', month: 'long', year: 'numeric' });
+        } catch (e) {
+            return date.toLocaleDateString();
+        }
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Export tracker functions for other scripts
+    window.DisabilitySupportTracker = {
+        getApplications,
+        getApplication,
+        startApplication,
+        openApplication,
+        checkReminders,
+        buildSummaryHtml,
+        printSummary,
+        downloadSummary
+    };
+
+})();
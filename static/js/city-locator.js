@@ -0,0 +1,333 @@
+/**
+ * Disability Support India - City Locator
+ * Finds the nearest supported cities from the device's position using the city and help center
+ * coordinates the site already has, so it also works offline
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const EARTH_RADIUS_KM = 6371;
+
+    // Cities further away than this are still listed, but not picked automatically
+    const NEARBY_RADIUS_KM = 300;
+    const MAX_RESULTS = 3;
+
+    const GEOLOCATION_OPTIONS = {
+        enableHighAccuracy: false,
+        timeout: 15000,
+        maximumAge: 10 * 60 * 1000
+    };
+
+    let cityLocationsPromise = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeCityLocator();
+    });
+
+    /**
+     * Wire up the auto-detect button on the home page
+     */
+    function initializeCityLocator() {
+        const detectBtn = document.getElementById('detect-location-btn');
+        if (!detectBtn) return;
+
+        detectBtn.addEventListener('click', function() {
+            detectNearestCity();
+        });
+    }
+
+    /**
+     * Locate the user and show the nearest supported cities
+     */
+    function detectNearestCity() {
+        if (!('geolocation' in navigator)) {
+            showStatus(t('home.locationUnsupported', 'Location detection is not available in this browser. Please choose your city from the list.'), true);
+            return Promise.resolve([]);
+        }
+
+        setBusy(true);
+        showStatus(t('home.detecting', 'Finding your location...'));
+
+        return Promise.all([getCurrentPosition(), loadCityLocations()])
+            .then(([position, cities]) => {
+                const ranked = findNearestCities(position.coords.latitude, position.coords.longitude, cities);
+                renderNearestCities(ranked);
+                return ranked;
+            })
+            .catch(error => {
+                console.warn('Location detection failed:', error);
+                showStatus(locationErrorMessage(error), true);
+                return [];
+            })
+            .finally(() => {
+                setBusy(false);
+            });
+    }
+
+    /**
+     * Promise wrapper around the Geolocation API
+     */
+    function getCurrentPosition(options) {
+        return new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(resolve, reject, Object.assign({}, GEOLOCATION_OPTIONS, options));
+        });
+    }
+
+    /**
+     * Supported cities with every known point in them: the city centre and each help center
+     */
+    function loadCityLocations() {
+        if (!cityLocationsPromise) {
+            cityLocationsPromise = fetchJson('/api/cities')
+                .then(data => Promise.all((data.cities || []).map(city => {
+                    return fetchJson(`/api/help-centers/${encodeURIComponent(city.name)}`)
+                        .catch(() => [])
+                        .then(centers => toCityLocation(city, centers));
+                })))
+                .catch(() => citiesFromSelect())
+                .then(cities => cities.filter(city => city.points.length));
+
+            cityLocationsPromise.catch(() => {
+                cityLocationsPromise = null;
+            });
+        }
+        return cityLocationsPromise;
+    }
+
+    /**
+     * Shape one city and its help centers into a list of points
+     */
+    function toCityLocation(city, centers) {
+        const points = [];
+
+        if (isFinite(city.latitude) && isFinite(city.longitude)) {
+            points.push({ latitude: Number(city.latitude), longitude: Number(city.longitude), name: null });
+        }
+
+        (Array.isArray(centers) ? centers : []).forEach(center => {
+            if (isFinite(center.latitude) && isFinite(center.longitude)) {
+                points.push({ latitude: Number(center.latitude), longitude: Number(center.longitude), name: center.name });
+            }
+        });
+
+        return { name: city.name, state: city.state, points };
+    }
+
+    /**
+     * Fallback when the API is unreachable and not cached: the coordinates on the city select
+     */
+    function citiesFromSelect() {
+        return Array.from(document.querySelectorAll('#city-select option[data-latitude]')).map(option => {
+            return toCityLocation({
+                name: option.value,
+                state: option.dataset.state,
+                latitude: parseFloat(option.dataset.latitude),
+                longitude: parseFloat(option.dataset.longitude)
+            }, []);
+        });
+    }
+
+    /**
+     * Rank cities by the distance to their closest point
+     */
+    function findNearestCities(latitude, longitude, cities, limit) {
+        return cities.map(city => {
+            let nearest = null;
+
+            city.points.forEach(point => {
+                const distance = distanceKm(latitude, longitude, point.latitude, point.longitude);
+                if (!nearest || distance < nearest.distance) {
+                    nearest = { distance, name: point.name };
+                }
+            });
+
+            return {
+                name: city.name,
+                state: city.state,
+                distanceKm: nearest.distance,
+                nearestHelpCenter: nearest.name
+            };
+        })
+            .sort((a, b) => a.distanceKm - b.distanceKm)
+            .slice(0, limit || MAX_RESULTS);
+    }
+
+    /**
+     * Great-circle distance in kilometres (haversine formula)
+     */
+    function distanceKm(lat1, lon1, lat2, lon2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+        return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * Format a distance in the active language, e.g. "4.2 km"
+     */
+    function formatDistance(km) {
+        if (km < 1) {
+            return t('home.distanceUnderOne', 'less than 1 km');
+        }
+
+        const i18n = window.DisabilitySupportI18n;
+        const language = i18n ? i18n.getLanguage() : 'en';
+        const digits = km < 10 ? 1 : 0;
+
+        try {
+            return new Intl.NumberFormat(`${language}-IN`, {
+                style: 'unit',
+                unit: 'kilometer',
+                maximumFractionDigits: digits
+            }).format(km);
+        } catch (e) {
+            return `${km.toFixed(digits)} km`;
+        }
+    }
+
+    /**
+     * Show the ranked list and pick the nearest city if it is close enough
+     */
+    function renderNearestCities(ranked) {
+        const container = document.getElementById('nearest-cities');
+        const list = document.getElementById('nearest-cities-list');
+        const citySelect = document.getElementById('city-select');
+
+        if (!ranked.length) {
+            showStatus(t('home.noCities', 'No supported cities could be loaded. Please choose your city from the list.'), true);
+            return;
+        }
+
+        if (list && container) {
+            list.innerHTML = ranked.map(city => {
+                const distance = formatDistance(city.distanceKm);
+                const detail = city.nearestHelpCenter ?
+                    t('home.nearestCenter', `Closest help center: ${city.nearestHelpCenter}`, { center: city.nearestHelpCenter }) :
+                    '';
+
+                return `
+                    <li class="list-group-item d-flex justify-content-between align-items-start gap-2">
+                        <div class="ms-2 me-auto">
+                            <a href="/city/${encodeURIComponent(city.name)}" class="fw-bold">${escapeHtml(city.name)}, ${escapeHtml(city.state)}</a>
+                            ${detail ? `<div class="small text-muted">${escapeHtml(detail)}</div>` : ''}
+                        </div>
+                        <span class="badge bg-primary rounded-pill">${escapeHtml(distance)}</span>
+                    </li>
+                `;
+            }).join('');
+            container.hidden = false;
+        }
+
+        const nearest = ranked[0];
+        let message;
+
+        if (nearest.distanceKm <= NEARBY_RADIUS_KM) {
+            if (citySelect) {
+                citySelect.value = nearest.name;
+                citySelect.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            message = t('home.nearestFound', `Nearest supported city: ${nearest.name}, ${formatDistance(nearest.distanceKm)} away. It has been selected for you.`, {
+                city: nearest.name,
+                distance: formatDistance(nearest.distanceKm)
+            });
+        } else {
+            message = t('home.nearestFar', `No supported city within ${NEARBY_RADIUS_KM} km. The closest is ${nearest.name}, ${formatDistance(nearest.distanceKm)} away.`, {
+                radius: NEARBY_RADIUS_KM,
+                city: nearest.name,
+                distance: formatDistance(nearest.distanceKm)
+            });
+        }
+
+        showStatus(message);
+    }
+
+    /**
+     * Explain a geolocation failure
+     */
+    function locationErrorMessage(error) {
+        // GeolocationPositionError codes: 1 denied, 2 unavailable, 3 timeout
+        switch (error && error.code) {
+            case 1:
+                return t('home.locationDenied', 'Location permission was not given. Please choose your city from the list.');
+            case 2:
+                return t('home.locationUnavailable', 'Your location could not be found. Please choose your city from the list.');
+            case 3:
+                return t('home.locationTimeout', 'Finding your location took too long. Please try again or choose your city from the list.');
+            default:
+                return t('home.locationFailed', 'Your location could not be detected. Please choose your city from the list.');
+        }
+    }
+
+    /**
+     * Show a message under the button and announce it
+     */
+    function showStatus(message, isError) {
+        const status = document.getElementById('detect-location-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('text-danger', Boolean(isError));
+        }
+        announce(message, isError ? 'assertive' : 'polite');
+    }
+
+    /**
+     * Show a spinner on the detect button while locating
+     */
+    function setBusy(isBusy) {
+        const detectBtn = document.getElementById('detect-location-btn');
+        if (!detectBtn) return;
+
+        const icon = detectBtn.querySelector('i');
+        if (icon) {
+            icon.className = isBusy ? 'fas fa-spinner fa-spin me-2' : 'fas fa-location-arrow me-2';
+        }
+        detectBtn.disabled = isBusy;
+        detectBtn.setAttribute('aria-busy', String(isBusy));
+    }
+
+    /**
+     * Fetch JSON, rejecting on HTTP errors
+     */
+    function fetchJson(url) {
+        return fetch(url).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        });
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Export locator helpers for other scripts
+    window.DisabilitySupportLocator = {
+        detectNearestCity,
+        getCurrentPosition,
+        loadCityLocations,
+        findNearestCities,
+        distanceKm,
+        formatDistance
+    };
+
+})();
@@ -0,0 +1,523 @@
+/**
+ * Disability Support India - Contact Form
+ * Handles contact form submission, server-side validation errors and an offline outbox that retries queued messages
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const CONTACT_ENDPOINT = '/api/contact';
+
+    // IndexedDB outbox for messages written while offline
+    const DB_NAME = 'disability-support';
+    const DB_VERSION = 1;
+    const OUTBOX_STORE = 'contact-outbox';
+
+    // Retry delays grow from 30 seconds up to 30 minutes while messages are waiting
+    const RETRY_BASE_DELAY = 30 * 1000;
+    const RETRY_MAX_DELAY = 30 * 60 * 1000;
+
+    const CHECKBOX_FIELDS = ['updates', 'privacy'];
+
+    let dbPromise = null;
+    let flushPromise = null;
+    let retryTimer = null;
+    let retryAttempt = 0;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeContactForm();
+        initializeOutbox();
+    });
+
+    /**
+     * Wire up the contact form, if this page has one
+     */
+    function initializeContactForm() {
+        const form = document.getElementById('contactForm');
+        if (!form) return;
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+
+            // main.js has already marked and announced any client-side errors
+            const main = window.DisabilitySupportMain;
+            const check = main ? main.validateFormAsync(form) : Promise.resolve(true);
+
+            check.then(isValid => {
+                if (isValid) submitContactForm(form);
+            });
+        });
+
+        form.addEventListener('reset', function() {
+            clearStatus();
+        });
+
+        restoreRejectedSubmission(form);
+    }
+
+    /**
+     * Send queued messages now and whenever the connection comes back
+     */
+    function initializeOutbox() {
+        if (!('indexedDB' in window)) return;
+
+        window.addEventListener('online', function() {
+            retryAttempt = 0;
+            flushOutbox();
+        });
+
+        if (navigator.onLine) {
+            flushOutbox();
+        }
+    }
+
+    /**
+     * Submit the form, queueing it if the server cannot be reached
+     */
+    function submitContactForm(form) {
+        const submission = {
+            id: createSubmissionId(),
+            payload: readForm(form),
+            queuedAt: null,
+            attempts: 0
+        };
+
+        setSubmitting(form, true);
+        clearStatus();
+
+        const sending = navigator.onLine ? sendSubmission(submission) : Promise.resolve({ status: 'offline' });
+
+        return sending.then(result => {
+            if (result.status === 'sent') {
+                form.reset();
+                confirmSubmitted(form);
+                showReference(result.reference);
+            } else if (result.status === 'invalid') {
+                showServerErrors(form, result.errors);
+            } else {
+                return queueSubmission(submission).then(() => {
+                    form.reset();
+                    confirmSubmitted(form);
+                    showQueued();
+                    scheduleRetry();
+                });
+            }
+        }).catch(error => {
+            console.error('Contact form submission failed:', error);
+            showStatus('danger', 'fa-exclamation-triangle',
+                t('contact.failed', 'Your message could not be sent or saved. Please call 1800-111-555 or try again later.'));
+        }).finally(() => {
+            setSubmitting(form, false);
+        });
+    }
+
+    /**
+     * Tell other scripts the message is safe with the server or the outbox, so its draft can go
+     */
+    function confirmSubmitted(form) {
+        form.dispatchEvent(new CustomEvent('disabilitysupport:formsubmitted', { bubbles: true }));
+    }
+
+    /**
+     * Collect the form fields, with checkboxes as true/false
+     */
+    function readForm(form) {
+        const payload = {};
+
+        new FormData(form).forEach((value, key) => {
+            payload[key] = typeof value === 'string' ? value.trim() : value;
+        });
+
+        CHECKBOX_FIELDS.forEach(name => {
+            const checkbox = form.elements.namedItem(name);
+            payload[name] = Boolean(checkbox && checkbox.checked);
+        });
+
+        return payload;
+    }
+
+    /**
+     * POST one submission. Resolves to { status: 'sent' | 'invalid' | 'retry', ... }
+     */
+    function sendSubmission(submission) {
+        const body = Object.assign({}, submission.payload, {
+            submissionId: submission.id,
+            queuedAt: submission.queuedAt
+        });
+
+        return fetch(CONTACT_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(body)
+        }).then(response => {
+            return response.json().catch(() => ({})).then(data => {
+                if (response.ok && data.reference) {
+                    return { status: 'sent', reference: data.reference };
+                }
+                if (response.status === 400 && data.errors) {
+                    return { status: 'invalid', errors: data.errors };
+                }
+                // Server trouble: keep the message and try again later
+                return { status: 'retry' };
+            });
+        }).catch(() => {
+            // Network failure, e.g. the connection dropped mid-request
+            return { status: 'retry' };
+        });
+    }
+
+    /**
+     * Show server-side validation errors next to their fields
+     */
+    function showServerErrors(form, errors) {
+        const main = window.DisabilitySupportMain;
+        let firstInvalid = null;
+
+        Object.keys(errors).forEach(name => {
+            const field = form.elements.namedItem(name);
+            if (!field || !main) return;
+
+            const error = errors[name];
+            main.updateFieldValidation(field, false, t(`validation.${error.code}`, error.message, error.params), { silent: true });
+            firstInvalid = firstInvalid || field;
+        });
+
+        const message = t('validation.formErrors', 'Please correct the errors in the form');
+        showStatus('danger', 'fa-exclamation-triangle', message);
+
+        const summary = main ? main.showErrorSummary(form) : null;
+        if (summary || firstInvalid) {
+            (summary || firstInvalid).focus();
+        }
+        announce(message, 'assertive');
+    }
+
+    /**
+     * Show the reference number for a message that reached the server
+     */
+    function showReference(reference, subject) {
+        const intro = subject ?
+            t('contact.queuedSent', `Your saved message "${subject}" has now been sent.`, { subject }) :
+            t('contact.sent', 'Thank you! Your message has been sent. We will respond within 24 hours.');
+        const quote = t('contact.quoteReference', 'Quote this reference number if you call us about this message:');
+
+        const status = showStatus('success', 'fa-check-circle', `${escapeHtml(intro)}
+            <div class="mt-2">${escapeHtml(quote)}
+                <strong class="contact-reference d-block fs-4">${escapeHtml(reference)}</strong>
+            </div>`, true);
+
+        announce(`${intro} ${quote} ${spellReference(reference)}`);
+        return status;
+    }
+
+    /**
+     * Tell the user their message is waiting on this device
+     */
+    function showQueued() {
+        const message = t('contact.queued', 'You are offline. Your message is saved on this device and will be sent automatically when you are back online. You will get a reference number then.');
+        showStatus('info', 'fa-cloud-upload-alt', message);
+        announce(message);
+    }
+
+    /**
+     * Put a status alert under the form, or at the top of the page when there is no form
+     */
+    function showStatus(type, icon, content, isHtml) {
+        let status = document.getElementById('contact-form-status');
+
+        if (!status) {
+            const main = document.getElementById('main-content');
+            if (!main) return null;
+
+            status = document.createElement('div');
+            status.className = 'container mt-3';
+            main.insertBefore(status, main.firstChild);
+        }
+
+        status.innerHTML = `
+            <div class="alert alert-${type} alert-dismissible" role="${type === 'danger' ? 'alert' : 'status'}" tabindex="-1">
+                <i class="fas ${icon} me-2" aria-hidden="true"></i>${isHtml ? content : escapeHtml(content)}
+                <button type="button" class="btn-close" data-bs-dismiss="alert"
+                        aria-label="${escapeHtml(t('contact.dismiss', 'Dismiss'))}"></button>
+            </div>
+        `;
+
+        const alert = status.querySelector('.alert');
+        if (type === 'success') {
+            alert.focus();
+        }
+        return alert;
+    }
+
+    /**
+     * Remove the status alert under the form
+     */
+    function clearStatus() {
+        const status = document.getElementById('contact-form-status');
+        if (status) {
+            status.innerHTML = '';
+        }
+    }
+
+    /**
+     * Show the sending state on the submit button
+     */
+    function setSubmitting(form, isSubmitting) {
+        const submitButton = form.querySelector('button[type="submit"]');
+        if (!submitButton) return;
+
+        if (isSubmitting) {
+            submitButton.dataset.originalHtml = submitButton.innerHTML;
+            submitButton.innerHTML = `<i class="fas fa-spinner fa-spin me-2" aria-hidden="true"></i>${escapeHtml(t('contact.sending', 'Sending...'))}`;
+            submitButton.disabled = true;
+            form.setAttribute('aria-busy', 'true');
+        } else {
+            if (submitButton.dataset.originalHtml) {
+                submitButton.innerHTML = submitButton.dataset.originalHtml;
+            }
+            submitButton.disabled = false;
+            form.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Open the IndexedDB database that holds the outbox
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = function() {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = function() {
+                    resolve(request.result);
+                };
+                request.onerror = function() {
+                    reject(request.error);
+                };
+            });
+
+            // Allow a later call to try again
+            dbPromise.catch(() => {
+                dbPromise = null;
+            });
+        }
+
+        return dbPromise;
+    }
+
+    /**
+     * Run one request against the outbox store
+     */
+    function withOutbox(mode, callback) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_STORE, mode);
+            const request = callback(transaction.objectStore(OUTBOX_STORE));
+
+            transaction.oncomplete = function() {
+                resolve(request.result);
+            };
+            transaction.onerror = function() {
+                reject(transaction.error);
+            };
+        }));
+    }
+
+    /**
+     * Save a submission to the outbox
+     */
+    function queueSubmission(submission) {
+        submission.queuedAt = submission.queuedAt || new Date().toISOString();
+        return withOutbox('readwrite', store => store.put(submission));
+    }
+
+    /**
+     * All submissions waiting in the outbox, oldest first
+     */
+    function getQueuedSubmissions() {
+        return withOutbox('readonly', store => store.getAll()).then(records => {
+            return records.sort((a, b) => String(a.queuedAt).localeCompare(String(b.queuedAt)));
+        });
+    }
+
+    /**
+     * Remove a submission from the outbox
+     */
+    function removeQueuedSubmission(id) {
+        return withOutbox('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Send every queued message. Concurrent calls share one run.
+     */
+    function flushOutbox() {
+        if (flushPromise) return flushPromise;
+
+        flushPromise = getQueuedSubmissions()
+            .then(records => {
+                const pending = records.filter(record => !record.errors);
+                return pending.reduce((chain, record) => chain.then(() => retrySubmission(record)), Promise.resolve());
+            })
+            .then(() => getQueuedSubmissions())
+            .then(records => {
+                const waiting = records.filter(record => !record.errors);
+                if (waiting.length) {
+                    scheduleRetry();
+                } else {
+                    retryAttempt = 0;
+                }
+                return waiting.length;
+            })
+            .catch(error => {
+                console.warn('Could not send queued contact messages:', error);
+                return 0;
+            })
+            .finally(() => {
+                flushPromise = null;
+            });
+
+        return flushPromise;
+    }
+
+    /**
+     * Try one queued submission again
+     */
+    function retrySubmission(record) {
+        if (!navigator.onLine) return Promise.resolve();
+
+        record.attempts = (record.attempts || 0) + 1;
+
+        return sendSubmission(record).then(result => {
+            if (result.status === 'sent') {
+                return removeQueuedSubmission(record.id).then(() => {
+                    showReference(result.reference, record.payload.subject);
+                });
+            }
+
+            if (result.status === 'invalid') {
+                // Keep it so the contact page can put it back in the form for correcting
+                record.errors = result.errors;
+                return queueSubmission(record).then(() => {
+                    notifyRejected(record);
+                });
+            }
+
+            return queueSubmission(record);
+        });
+    }
+
+    /**
+     * Retry later, backing off while the server stays unreachable
+     */
+    function scheduleRetry() {
+        if (retryTimer) return;
+
+        const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, retryAttempt), RETRY_MAX_DELAY);
+        retryAttempt++;
+
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            flushOutbox();
+        }, delay);
+    }
+
+    /**
+     * A queued message was refused by the server
+     */
+    function notifyRejected(record) {
+        const form = document.getElementById('contactForm');
+        if (form) {
+            restoreRejectedSubmission(form);
+            return;
+        }
+
+        const message = t('contact.rejected', `Your saved message "${record.payload.subject}" could not be sent. Open the Contact page to correct it.`, {
+            subject: record.payload.subject
+        });
+        showStatus('warning', 'fa-exclamation-circle', `${escapeHtml(message)}
+            <a href="/contact#contactForm" class="alert-link ms-1">${escapeHtml(t('contact.openForm', 'Open the contact form'))}</a>`, true);
+        announce(message, 'assertive');
+    }
+
+    /**
+     * Put a refused message back into the form with its errors
+     */
+    function restoreRejectedSubmission(form) {
+        if (!('indexedDB' in window)) return Promise.resolve();
+
+        return getQueuedSubmissions().then(records => {
+            const rejected = records.find(record => record.errors);
+            if (!rejected) return;
+
+            Object.keys(rejected.payload).forEach(name => {
+                const field = form.elements.namedItem(name);
+                if (!field) return;
+
+                if (field.type === 'checkbox') {
+                    field.checked = Boolean(rejected.payload[name]);
+                } else {
+                    field.value = rejected.payload[name];
+                }
+            });
+
+            return removeQueuedSubmission(rejected.id).then(() => {
+                showServerErrors(form, rejected.errors);
+            });
+        }).catch(error => {
+            console.warn('Could not restore a saved contact message:', error);
+        });
+    }
+
+    /**
+     * Unique id so a retried message is stored only once on the server
+     */
+    function createSubmissionId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Spell out a reference so screen readers read it character by character
+     */
+    function spellReference(reference) {
+        return reference.split('').join(' ');
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    // Export contact helpers for other scripts
+    window.DisabilitySupportContact = {
+        flushOutbox,
+        getQueuedSubmissions
+    };
+
+})();
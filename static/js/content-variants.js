@@ -0,0 +1,138 @@
+/**
+ * Disability Support India - Content Variants
+ * Handles switching [data-content-variants] sections between the standard wording and an
+ * easy-read version with short sentences and pictograms, and remembers the choice
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const STORAGE_KEY = 'content-variant';
+    const VARIANTS = ['standard', 'easy-read'];
+    const DEFAULT_VARIANT = 'standard';
+
+    let currentVariant = DEFAULT_VARIANT;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeContentVariants();
+    });
+
+    /**
+     * Show the remembered variant and reveal the toggles on pages that have variants
+     */
+    function initializeContentVariants() {
+        if (!document.querySelector('[data-content-variants]')) return;
+
+        applyVariant(loadVariant());
+
+        document.querySelectorAll('[data-variant-toggle]').forEach(toggle => {
+            toggle.hidden = false;
+            toggle.addEventListener('click', function() {
+                setVariant(currentVariant === 'easy-read' ? 'standard' : 'easy-read');
+            });
+        });
+        updateToggles();
+    }
+
+    /**
+     * Switch every section to a variant, remember it and tell the page reader
+     */
+    function setVariant(variant) {
+        if (!VARIANTS.includes(variant) || variant === currentVariant) return;
+
+        applyVariant(variant);
+        saveVariant(variant);
+        updateToggles();
+
+        announce(variant === 'easy-read' ?
+            t('contentVariants.easyReadShown', 'Easy read version shown') :
+            t('contentVariants.standardShown', 'Standard version shown'));
+
+        document.dispatchEvent(new CustomEvent('disabilitysupport:contentvariantchange', {
+            detail: { variant }
+        }));
+    }
+
+    /**
+     * Show each group's matching variant in place; groups without it keep the standard one
+     */
+    function applyVariant(variant) {
+        currentVariant = VARIANTS.includes(variant) ? variant : DEFAULT_VARIANT;
+        document.documentElement.setAttribute('data-content-variant', currentVariant);
+
+        document.querySelectorAll('[data-content-variants]').forEach(group => {
+            const variants = Array.from(group.querySelectorAll('[data-variant]'))
+                .filter(element => element.closest('[data-content-variants]') === group);
+            const available = variants.some(element => element.dataset.variant === currentVariant);
+            const shown = available ? currentVariant : DEFAULT_VARIANT;
+
+            variants.forEach(element => {
+                const hide = element.dataset.variant !== shown;
+
+                // Focus must not be left inside text that is being hidden
+                if (hide && element.contains(document.activeElement)) {
+                    const replacement = variants.find(other => other.dataset.variant === shown);
+                    if (replacement) {
+                        replacement.setAttribute('tabindex', '-1');
+                        replacement.hidden = false;
+                        replacement.focus();
+                    }
+                }
+                element.hidden = hide;
+            });
+        });
+    }
+
+    function getVariant() {
+        return currentVariant;
+    }
+
+    /**
+     * Keep the toggles' pressed state and labels in step
+     */
+    function updateToggles() {
+        const easyRead = currentVariant === 'easy-read';
+
+        document.querySelectorAll('[data-variant-toggle]').forEach(toggle => {
+            toggle.setAttribute('aria-pressed', String(easyRead));
+            toggle.classList.toggle('active', easyRead);
+        });
+    }
+
+    function loadVariant() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return VARIANTS.includes(stored) ? stored : DEFAULT_VARIANT;
+        } catch (e) {
+            return DEFAULT_VARIANT;
+        }
+    }
+
+    function saveVariant(variant) {
+        try {
+            localStorage.setItem(STORAGE_KEY, variant);
+        } catch (e) {
+            console.warn('Could not save the reading version:', e);
+        }
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    // Export content variant functions for other scripts
+    window.DisabilitySupportContentVariants = {
+        setVariant,
+        getVariant,
+        variants: VARIANTS.slice()
+    };
+
+})();
@@ -0,0 +1,473 @@
+/**
+ * Disability Support India - Eligibility Wizard
+ * Handles the step-by-step scheme eligibility questions and explains which rules each scheme meets or misses
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const STEPS = ['state', 'disabilityType', 'percentage', 'age', 'income'];
+
+    const DISABILITY_TYPE_NAMES = {
+        'locomotor': 'locomotor disability',
+        'visual': 'blindness or low vision',
+        'hearing-speech': 'hearing or speech disability',
+        'intellectual': 'intellectual or learning disability',
+        'mental-illness': 'mental illness',
+        'autism': 'autism',
+        'multiple': 'multiple disabilities',
+        'other': 'other disabilities'
+    };
+
+    // Result groups, in the order they are shown
+    const GROUPS = [
+        { status: 'eligible', headingKey: 'eligibility.groups.eligible', heading: 'Likely eligible ({count})' },
+        { status: 'check', headingKey: 'eligibility.groups.check', heading: 'You may qualify, check these ({count})' },
+        { status: 'ineligible', headingKey: 'eligibility.groups.ineligible', heading: 'Not a match ({count})' }
+    ];
+
+    const CRITERION_ICONS = {
+        met: { icon: 'fa-check-circle text-success', labelKey: 'eligibility.status.met', label: 'Meets:' },
+        missed: { icon: 'fa-times-circle text-danger', labelKey: 'eligibility.status.missed', label: 'Does not meet:' },
+        unknown: { icon: 'fa-question-circle text-warning', labelKey: 'eligibility.status.unknown', label: 'Check:' }
+    };
+
+    let currentStep = 0;
+    let schemesPromise = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeEligibilityWizard();
+    });
+
+    /**
+     * Reveal and wire up the wizard on the schemes page
+     */
+    function initializeEligibilityWizard() {
+        const wizard = document.getElementById('eligibility-wizard');
+        const form = document.getElementById('eligibility-form');
+        if (!wizard || !form) return;
+
+        wizard.hidden = false;
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            if (!validateStep(currentStep)) return;
+
+            if (currentStep < STEPS.length - 1) {
+                showStep(currentStep + 1);
+            } else {
+                showResults(readAnswers(form));
+            }
+        });
+
+        document.getElementById('eligibility-back').addEventListener('click', function() {
+            if (currentStep > 0) {
+                showStep(currentStep - 1);
+            }
+        });
+
+        document.getElementById('eligibility-restart').addEventListener('click', function() {
+            document.getElementById('eligibility-results').hidden = true;
+            form.hidden = false;
+            showStep(0);
+        });
+
+        // Having no certificate makes the percentage meaningless
+        const noCertificate = document.getElementById('eligibility-no-certificate');
+        const percentage = document.getElementById('eligibility-percentage');
+        noCertificate.addEventListener('change', function() {
+            percentage.disabled = this.checked;
+            if (this.checked) {
+                percentage.value = '';
+            }
+        });
+
+        showStep(0, true);
+    }
+
+    /**
+     * Show one question and move focus to it
+     */
+    function showStep(index, initial) {
+        currentStep = index;
+
+        const steps = document.querySelectorAll('.eligibility-step');
+        steps.forEach((step, i) => {
+            step.hidden = i !== index;
+        });
+
+        const progressText = t('eligibility.progress', `Step ${index + 1} of ${STEPS.length}`, {
+            step: index + 1,
+            total: STEPS.length
+        });
+        document.getElementById('eligibility-progress').textContent = progressText;
+        document.getElementById('eligibility-progress-bar').style.width = `${((index + 1) / STEPS.length) * 100}%`;
+
+        document.getElementById('eligibility-back').disabled = index === 0;
+
+        const nextBtn = document.getElementById('eligibility-next');
+        nextBtn.textContent = index === STEPS.length - 1 ?
+            t('eligibility.showResults', 'Show my schemes') :
+            t('eligibility.next', 'Next');
+
+        if (initial) return;
+
+        const legend = steps[index].querySelector('legend');
+        legend.focus();
+        announce(`${progressText}. ${legend.textContent.trim()}`);
+    }
+
+    /**
+     * Check the numbers on the current step
+     */
+    function validateStep(index) {
+        const ranges = {
+            percentage: { id: 'eligibility-percentage', min: 0, max: 100 },
+            age: { id: 'eligibility-age', min: 0, max: 120 },
+            income: { id: 'eligibility-income', min: 0, max: Infinity }
+        };
+
+        const range = ranges[STEPS[index]];
+        if (!range) return true;
+
+        const field = document.getElementById(range.id);
+        const value = field.value.trim();
+        const number = Number(value);
+        const isValid = !value || (Number.isFinite(number) && number >= range.min && number <= range.max);
+
+        const main = window.DisabilitySupportMain;
+        if (main) {
+            const message = range.max === Infinity ?
+                t('eligibility.invalidPositive', 'Please enter a number of 0 or more, or leave it blank') :
+                t('eligibility.invalidRange', `Please enter a number from ${range.min} to ${range.max}, or leave it blank`, range);
+            main.updateFieldValidation(field, isValid, isValid ? '' : message);
+        }
+
+        if (!isValid) {
+            field.focus();
+            announce(t('validation.formErrors', 'Please correct the errors in the form'), 'assertive');
+        }
+        return isValid;
+    }
+
+    /**
+     * Read the answers; anything skipped is null
+     */
+    function readAnswers(form) {
+        const number = name => {
+            const value = form.elements.namedItem(name).value.trim();
+            return value === '' ? null : Number(value);
+        };
+        const disabilityType = form.querySelector('input[name="disabilityType"]:checked');
+
+        return {
+            state: form.elements.namedItem('state').value || null,
+            disabilityType: disabilityType && disabilityType.value ? disabilityType.value : null,
+            noCertificate: form.elements.namedItem('noCertificate').checked,
+            percentage: number('percentage'),
+            age: number('age'),
+            income: number('income')
+        };
+    }
+
+    /**
+     * Fetch the schemes with their eligibility rules
+     */
+    function loadSchemes() {
+        if (!schemesPromise) {
+            schemesPromise = fetch('/api/schemes')
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => data.schemes || [])
+                .catch(error => {
+                    schemesPromise = null;
+                    throw error;
+                });
+        }
+        return schemesPromise;
+    }
+
+    /**
+     * Work out a scheme's result for the given answers
+     */
+    function evaluateScheme(scheme, answers) {
+        const rules = scheme.eligibility_rules || {};
+        const criteria = [];
+        const add = (status, key, fallback, params) => {
+            criteria.push({ status, text: t(`eligibility.criteria.${key}`, fallback, params) });
+        };
+
+        if (rules.applicant === 'organisation') {
+            add('missed', 'organisation', 'For organisations such as NGOs, not individuals');
+        }
+
+        // Location
+        if (scheme.type === 'national') {
+            add('met', 'stateNational', 'Available in every state');
+        } else if (!answers.state) {
+            add('unknown', 'stateOnly', `Only for people living in ${scheme.state}`, { state: scheme.state });
+        } else if (answers.state === scheme.state) {
+            add('met', 'stateMet', `Available in ${scheme.state}`, { state: scheme.state });
+        } else {
+            add('missed', 'stateOnly', `Only for people living in ${scheme.state}`, { state: scheme.state });
+        }
+
+        // Disability type
+        if (Array.isArray(rules.disability_types)) {
+            const covered = rules.disability_types.map(disabilityTypeName).join(', ');
+            if (!answers.disabilityType) {
+                add('unknown', 'typeSome', `Covers ${covered}`, { types: covered });
+            } else if (rules.disability_types.includes(answers.disabilityType)) {
+                add('met', 'typeMet', `Covers ${disabilityTypeName(answers.disabilityType)}`, {
+                    type: disabilityTypeName(answers.disabilityType)
+                });
+            } else {
+                add('missed', 'typeMissed', `Only covers ${covered}`, { types: covered });
+            }
+        } else if (rules.applicant !== 'organisation') {
+            add('met', 'typeAny', 'Open to all disability types');
+        }
+
+        // Disability certificate and percentage
+        if (typeof rules.min_disability_percentage === 'number') {
+            const params = { min: rules.min_disability_percentage, value: answers.percentage };
+            if (answers.noCertificate) {
+                add('missed', 'percentageNoCertificate', `Needs a disability certificate showing at least ${params.min}%`, params);
+            } else if (answers.percentage === null) {
+                add('unknown', 'percentage', `Needs at least ${params.min}% disability`, params);
+            } else if (answers.percentage >= rules.min_disability_percentage) {
+                add('met', 'percentageWithValue', `Needs at least ${params.min}% disability (you entered ${params.value}%)`, params);
+            } else {
+                add('missed', 'percentageWithValue', `Needs at least ${params.min}% disability (you entered ${params.value}%)`, params);
+            }
+        } else if (rules.certificate_required) {
+            if (answers.noCertificate) {
+                add('missed', 'certificate', 'Needs a disability certificate from a competent authority');
+            } else if (answers.percentage === null) {
+                add('unknown', 'certificate', 'Needs a disability certificate from a competent authority');
+            } else {
+                add('met', 'certificate', 'Needs a disability certificate from a competent authority');
+            }
+        }
+
+        // Age
+        if (typeof rules.min_age === 'number' || typeof rules.max_age === 'number') {
+            const range = formatAgeRange(rules.min_age, rules.max_age);
+            const params = { range, value: answers.age };
+            if (answers.age === null) {
+                add('unknown', 'age', `For ages ${range}`, params);
+            } else {
+                const tooYoung = typeof rules.min_age === 'number' && answers.age < rules.min_age;
+                const tooOld = typeof rules.max_age === 'number' && answers.age > rules.max_age;
+                add(tooYoung || tooOld ? 'missed' : 'met', 'ageWithValue', `For ages ${range} (you entered ${answers.age})`, params);
+            }
+        }
+
+        // Income
+        if (typeof rules.max_annual_income === 'number') {
+            const params = { max: formatRupees(rules.max_annual_income), value: formatRupees(answers.income) };
+            if (answers.income === null) {
+                add('unknown', 'income', `Yearly family income up to ${params.max}`, params);
+            } else {
+                add(answers.income <= rules.max_annual_income ? 'met' : 'missed', 'incomeWithValue',
+                    `Yearly family income up to ${params.max} (you entered ${params.value})`, params);
+            }
+        }
+
+        // Not asked in the wizard, so always left for the user to check
+        if (rules.gender === 'female') {
+            add('unknown', 'female', 'Only for girls and women');
+        }
+
+        const count = status => criteria.filter(criterion => criterion.status === status).length;
+        let status = 'eligible';
+        if (count('missed')) {
+            status = 'ineligible';
+        } else if (count('unknown')) {
+            status = 'check';
+        }
+
+        return {
+            scheme,
+            criteria,
+            status,
+            score: count('met') * 2 - count('unknown') - count('missed') * 3
+        };
+    }
+
+    /**
+     * Sort results: best match first, then state schemes before national ones
+     */
+    function rankResults(results) {
+        return results.slice().sort((a, b) => {
+            if (a.score !== b.score) return b.score - a.score;
+            if (a.scheme.type !== b.scheme.type) return a.scheme.type === 'state' ? -1 : 1;
+            return a.scheme.name.localeCompare(b.scheme.name);
+        });
+    }
+
+    /**
+     * Evaluate every scheme and show the grouped results
+     */
+    function showResults(answers) {
+        const form = document.getElementById('eligibility-form');
+        const results = document.getElementById('eligibility-results');
+        const summary = document.getElementById('eligibility-summary');
+        const list = document.getElementById('eligibility-results-list');
+        const heading = document.getElementById('eligibility-results-heading');
+
+        form.hidden = true;
+        results.hidden = false;
+        list.innerHTML = '';
+        summary.textContent = t('eligibility.loading', 'Checking schemes...');
+        heading.focus();
+
+        loadSchemes().then(schemes => {
+            const ranked = rankResults(schemes.map(scheme => evaluateScheme(scheme, answers)));
+            const eligibleCount = ranked.filter(result => result.status === 'eligible').length;
+            const checkCount = ranked.filter(result => result.status === 'check').length;
+
+            const message = t('eligibility.summary', `${eligibleCount} schemes match your answers and ${checkCount} more may match.`, {
+                count: eligibleCount,
+                check: checkCount
+            });
+            summary.textContent = message;
+
+            list.innerHTML = GROUPS.map(group => {
+                const groupResults = ranked.filter(result => result.status === group.status);
+                return groupResults.length ? renderGroup(group, groupResults) : '';
+            }).join('');
+
+            announce(message);
+        }).catch(error => {
+            console.warn('Could not load schemes for the eligibility check:', error);
+            const message = t('eligibility.loadError', 'Schemes could not be loaded right now. Please try again, or call 1800-111-555 for help.');
+            summary.textContent = message;
+            announce(message, 'assertive');
+        });
+    }
+
+    /**
+     * HTML for one group of results. Schemes that do not match are folded away.
+     */
+    function renderGroup(group, results) {
+        const heading = t(group.headingKey, group.heading.replace('{count}', results.length), { count: results.length });
+        const items = results.map(renderResult).join('');
+
+        if (group.status === 'ineligible') {
+            return `
+                <details class="mb-3">
+                    <summary class="h6 mb-3">${escapeHtml(heading)}</summary>
+                    ${items}
+                </details>
+            `;
+        }
+
+        return `
+            <h4 class="h6 mt-3 mb-3">${escapeHtml(heading)}</h4>
+            ${items}
+        `;
+    }
+
+    /**
+     * HTML for one scheme with its criteria
+     */
+    function renderResult(result) {
+        const scheme = result.scheme;
+        const criteria = result.criteria.map(criterion => {
+            const icon = CRITERION_ICONS[criterion.status];
+            return `
+                <li>
+                    <i class="fas ${icon.icon} me-2" aria-hidden="true"></i>
+                    <span class="sr-only">${escapeHtml(t(icon.labelKey, icon.label))}</span>
+                    ${escapeHtml(criterion.text)}
+                </li>
+            `;
+        }).join('');
+
+        const documents = (scheme.documents_required || []).map(escapeHtml).join(', ');
+        const anchor = `scheme-${scheme.id}`;
+        const detailsUrl = document.getElementById(anchor) ? `#${anchor}` : `/schemes#${anchor}`;
+
+        return `
+            <article class="eligibility-result is-${result.status} border rounded p-3 mb-3">
+                <div class="d-flex justify-content-between align-items-start gap-2">
+                    <h5 class="h6 fw-bold mb-2">${escapeHtml(scheme.name)}</h5>
+                    <span class="badge bg-${scheme.type === 'national' ? 'primary' : 'success'}">${escapeHtml(scheme.state)}</span>
+                </div>
+                <ul class="eligibility-criteria list-unstyled small mb-2">${criteria}</ul>
+                ${documents && result.status !== 'ineligible' ? `
+                    <p class="small mb-2">
+                        <strong>${escapeHtml(t('eligibility.documents', 'Documents to prepare:'))}</strong> ${documents}
+                    </p>
+                ` : ''}
+                <a href="${detailsUrl}" class="small">
+                    ${escapeHtml(t('eligibility.viewDetails', 'View scheme details'))}
+                    <span class="sr-only">${escapeHtml(scheme.name)}</span>
+                </a>
+            </article>
+        `;
+    }
+
+    /**
+     * Human-readable disability type
+     */
+    function disabilityTypeName(type) {
+        return t(`eligibility.types.${type}`, DISABILITY_TYPE_NAMES[type] || type);
+    }
+
+    /**
+     * Describe an age range such as "18 to 65" or "18 and over"
+     */
+    function formatAgeRange(min, max) {
+        const hasMin = typeof min === 'number';
+        const hasMax = typeof max === 'number';
+
+        if (hasMin && hasMax) return t('eligibility.ageBetween', `${min} to ${max}`, { min, max });
+        if (hasMin) return t('eligibility.ageMin', `${min} and over`, { min });
+        return t('eligibility.ageMax', `up to ${max}`, { max });
+    }
+
+    /**
+     * Format an amount in rupees with Indian digit grouping
+     */
+    function formatRupees(amount) {
+        if (amount === null) return '';
+
+        try {
+            return new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 }).format(amount);
+        } catch (e) {
+            return `Rs. ${amount}`;
+        }
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Export the rules engine for other scripts
+    window.DisabilitySupportEligibility = {
+        evaluateScheme,
+        rankResults
+    };
+
+})();
@@ -0,0 +1,492 @@
+/**
+ * Disability Support India - Event Registration
+ * Handles the registration forms in the event modals: accessibility needs, server-side errors,
+ * a confirmation with a reference and QR code, and cancellation
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const CHECKBOX_FIELDS = ['privacy'];
+
+    // One registration per event on this device, keyed by event id
+    const STORAGE_KEY = 'event-registrations';
+
+    const ACCOMMODATION_LABELS = {
+        'sign-language': 'Indian Sign Language interpreter',
+        'wheelchair': 'Wheelchair access',
+        'captioning': 'Live captioning'
+    };
+
+    let events = [];
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeRegistration();
+    });
+
+    /**
+     * Replace the "call the organizer" fallback with the registration forms
+     */
+    function initializeRegistration() {
+        const forms = document.querySelectorAll('.event-registration-form');
+        if (!forms.length) return;
+
+        const dataElement = document.getElementById('events-data');
+        try {
+            events = dataElement ? JSON.parse(dataElement.textContent) : [];
+        } catch (e) {
+            console.warn('Could not read events data:', e);
+        }
+
+        forms.forEach(form => {
+            const modal = form.closest('.modal');
+            const fallback = modal.querySelector('[data-registration-fallback]');
+            if (fallback) fallback.hidden = true;
+
+            form.addEventListener('submit', function(e) {
+                e.preventDefault();
+
+                // main.js has already marked and announced any client-side errors
+                const main = window.DisabilitySupportMain;
+                const check = main ? main.validateFormAsync(form) : Promise.resolve(true);
+
+                check.then(isValid => {
+                    if (isValid) submitRegistration(form);
+                });
+            });
+
+            modal.addEventListener('click', function(e) {
+                if (e.target.closest('[data-registration-cancel]')) {
+                    cancelRegistration(form);
+                }
+            });
+
+            renderModal(form);
+        });
+    }
+
+    /**
+     * Show the form, the confirmation or the "closed" notice for one event
+     */
+    function renderModal(form) {
+        const eventId = form.dataset.registrationEvent;
+        const modal = form.closest('.modal');
+        const confirmation = modal.querySelector('[data-registration-confirmation]');
+        const closed = modal.querySelector('[data-registration-closed]');
+        const registration = getRegistration(eventId);
+        const isOpen = isRegistrationOpen(getEvent(eventId));
+
+        form.hidden = Boolean(registration) || !isOpen;
+        closed.hidden = Boolean(registration) || isOpen;
+        confirmation.hidden = !registration;
+
+        if (registration) {
+            confirmation.innerHTML = buildConfirmation(registration);
+        } else {
+            confirmation.innerHTML = '';
+        }
+
+        updateRegisterButton(modal, registration);
+    }
+
+    /**
+     * Registration stays open until the event's last day
+     */
+    function isRegistrationOpen(event) {
+        if (!event) return false;
+
+        const lastDay = event.end_date || event.date;
+        return event.registration_required === true && lastDay >= localDateString(new Date());
+    }
+
+    /**
+     * Send the registration to the server
+     */
+    function submitRegistration(form) {
+        const eventId = form.dataset.registrationEvent;
+        const payload = readForm(form);
+
+        if (!navigator.onLine) {
+            showFormStatus(form, 'warning', t('registration.offline', 'You are offline. Registration needs a connection, or you can call the organizer to register.'));
+            return Promise.resolve();
+        }
+
+        // Kept on the form so a retry after a dropped connection is stored only once
+        form.dataset.submissionId = form.dataset.submissionId || createSubmissionId();
+        setSubmitting(form, true);
+        clearFormStatus(form);
+
+        return fetch(`/api/events/${encodeURIComponent(eventId)}/registrations`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(Object.assign({}, payload, { submissionId: form.dataset.submissionId }))
+        }).then(response => {
+            return response.json().catch(() => ({})).then(data => {
+                if (response.ok && data.reference) {
+                    saveRegistration(eventId, {
+                        eventId,
+                        reference: data.reference,
+                        cancelToken: data.cancelToken,
+                        name: payload.name,
+                        accommodations: payload.accommodations,
+                        accessibilityNotes: payload.accessibilityNotes,
+                        registeredAt: new Date().toISOString()
+                    });
+                    delete form.dataset.submissionId;
+                    form.reset();
+                    showConfirmation(form);
+                } else if (response.status === 400 && data.errors) {
+                    showServerErrors(form, data.errors);
+                } else if (data.code === 'closed') {
+                    renderModal(form);
+                    announce(t('registration.closed', 'Registration for this event has closed.'), 'assertive');
+                } else {
+                    throw new Error(data.error || `HTTP ${response.status}`);
+                }
+            });
+        }).catch(error => {
+            console.error('Event registration failed:', error);
+            showFormStatus(form, 'danger', t('registration.failed', 'Your registration could not be sent. Please try again or call the organizer.'));
+        }).finally(() => {
+            setSubmitting(form, false);
+        });
+    }
+
+    /**
+     * Collect the form fields; accommodations as a list, checkboxes as true/false
+     */
+    function readForm(form) {
+        const formData = new FormData(form);
+        const payload = {};
+
+        formData.forEach((value, key) => {
+            if (key !== 'accommodations') {
+                payload[key] = typeof value === 'string' ? value.trim() : value;
+            }
+        });
+
+        payload.accommodations = formData.getAll('accommodations');
+
+        CHECKBOX_FIELDS.forEach(name => {
+            const checkbox = form.elements.namedItem(name);
+            payload[name] = Boolean(checkbox && checkbox.checked);
+        });
+
+        return payload;
+    }
+
+    /**
+     * Show server-side validation errors next to their fields
+     */
+    function showServerErrors(form, errors) {
+        const main = window.DisabilitySupportMain;
+        let firstInvalid = null;
+
+        Object.keys(errors).forEach(name => {
+            let field = form.elements.namedItem(name);
+            // Groups of checkboxes come back as a list; mark the first one
+            if (field && !field.tagName && field.length) field = field[0];
+            if (!field || !main) return;
+
+            const error = errors[name];
+            main.updateFieldValidation(field, false, t(`validation.${error.code}`, error.message, error.params), { silent: true });
+            firstInvalid = firstInvalid || field;
+        });
+
+        const message = t('validation.formErrors', 'Please correct the errors in the form');
+        showFormStatus(form, 'danger', message);
+
+        const summary = main ? main.showErrorSummary(form) : null;
+        if (summary || firstInvalid) {
+            (summary || firstInvalid).focus();
+        }
+        announce(message, 'assertive');
+    }
+
+    /**
+     * Swap the form for the confirmation and move focus to it
+     */
+    function showConfirmation(form) {
+        renderModal(form);
+
+        const registration = getRegistration(form.dataset.registrationEvent);
+        const confirmation = form.closest('.modal').querySelector('[data-registration-confirmation]');
+        const event = getEvent(form.dataset.registrationEvent);
+
+        confirmation.focus();
+        announce(t('registration.confirmed', `You are registered for ${event ? event.title : ''}. Your reference number is ${spellReference(registration.reference)}.`, {
+            title: event ? event.title : '',
+            reference: spellReference(registration.reference)
+        }));
+    }
+
+    /**
+     * Confirmation markup with the reference, its QR code and the needs that were sent
+     */
+    function buildConfirmation(registration) {
+        const event = getEvent(registration.eventId);
+        const title = event ? event.title : '';
+        const needs = (registration.accommodations || []).map(accommodationLabel);
+        if (registration.accessibilityNotes) {
+            needs.push(registration.accessibilityNotes);
+        }
+        const qr = buildQrCode(registration.reference);
+
+        return `
+            <div class="alert alert-success" role="status">
+                <i class="fas fa-check-circle me-2" aria-hidden="true"></i>
+                ${escapeHtml(t('registration.registeredFor', `You are registered for ${title}.`, { title }))}
+            </div>
+            <div class="d-flex flex-wrap align-items-center gap-3 mb-3">
+                ${qr ? `<div class="registration-qr" role="img" aria-label="${escapeHtml(t('registration.qrLabel', `QR code for reference ${registration.reference}`, { reference: registration.reference }))}">${qr}</div>` : ''}
+                <div>
+                    <p class="mb-1">${escapeHtml(t('registration.referenceLabel', 'Your reference number:'))}</p>
+                    <strong class="registration-reference d-block fs-4">${escapeHtml(registration.reference)}</strong>
+                    <p class="small text-muted mb-0">${escapeHtml(t('registration.showAtVenue', 'Show this code at the venue or quote the reference when you call the organizer.'))}</p>
+                </div>
+            </div>
+            <h4 class="h6">${escapeHtml(t('registration.needsHeading', 'Accessibility needs sent to the organizer'))}</h4>
+            ${needs.length ?
+                `<ul class="small">${needs.map(need => `<li>${escapeHtml(need)}</li>`).join('')}</ul>` :
+                `<p class="small text-muted">${escapeHtml(t('registration.noNeeds', 'None'))}</p>`}
+            <div class="d-flex flex-wrap gap-2 mb-3">
+                <button type="button" class="btn btn-outline-primary btn-sm" data-event-ics="${escapeHtml(registration.eventId)}">
+                    <i class="fas fa-calendar-plus me-1" aria-hidden="true"></i>${escapeHtml(t('events.addToCalendar', 'Add to calendar'))}
+                </button>
+                <button type="button" class="btn btn-outline-danger btn-sm" data-registration-cancel>
+                    <i class="fas fa-times me-1" aria-hidden="true"></i>${escapeHtml(t('registration.cancel', 'Cancel registration'))}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * SVG QR code of the reference, when the QR library has loaded
+     */
+    function buildQrCode(reference) {
+        if (typeof window.qrcode !== 'function') return '';
+
+        try {
+            // Type 0 picks the smallest size that fits; level M survives a scuffed printout
+            const qr = window.qrcode(0, 'M');
+            qr.addData(reference);
+            qr.make();
+            return qr.createSvgTag(4, 0).replace('<svg ', '<svg aria-hidden="true" focusable="false" ');
+        } catch (e) {
+            console.warn('Could not draw QR code:', e);
+            return '';
+        }
+    }
+
+    /**
+     * Cancel this device's registration after confirming
+     */
+    function cancelRegistration(form) {
+        const eventId = form.dataset.registrationEvent;
+        const registration = getRegistration(eventId);
+        const event = getEvent(eventId);
+        if (!registration) return Promise.resolve();
+
+        const title = event ? event.title : '';
+        const question = t('registration.confirmCancel', `Cancel your registration for ${title}? The organizer will no longer expect you.`, { title });
+        if (!window.confirm(question)) return Promise.resolve();
+
+        const confirmation = form.closest('.modal').querySelector('[data-registration-confirmation]');
+        const cancelButton = confirmation.querySelector('[data-registration-cancel]');
+        if (cancelButton) cancelButton.disabled = true;
+
+        return fetch(`/api/registrations/${encodeURIComponent(registration.reference)}/cancel`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ cancelToken: registration.cancelToken })
+        }).then(response => {
+            // A registration the server no longer knows about is as good as cancelled
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            saveRegistration(eventId, null);
+            renderModal(form);
+
+            const message = t('registration.cancelled', `Your registration ${registration.reference} has been cancelled.`, {
+                reference: registration.reference
+            });
+            showFormStatus(form, 'info', message);
+            const nameField = form.elements.namedItem('name');
+            if (nameField) nameField.focus();
+            announce(message);
+        }).catch(error => {
+            console.error('Cancelling registration failed:', error);
+            if (cancelButton) cancelButton.disabled = false;
+            announce(t('registration.cancelFailed', 'Your registration could not be cancelled right now. Please try again or call the organizer.'), 'assertive');
+        });
+    }
+
+    /**
+     * Point the card's Register button at the saved registration
+     */
+    function updateRegisterButton(modal, registration) {
+        const event = getEvent(modal.querySelector('.event-registration-form').dataset.registrationEvent);
+        const title = event ? event.title : '';
+
+        document.querySelectorAll(`[data-bs-target="#${modal.id}"]`).forEach(button => {
+            if (!button.dataset.originalHtml) {
+                button.dataset.originalHtml = button.innerHTML;
+                button.dataset.originalLabel = button.getAttribute('aria-label') || '';
+            }
+
+            if (registration) {
+                button.innerHTML = `<i class="fas fa-check me-1" aria-hidden="true"></i>${escapeHtml(t('registration.registeredButton', 'Registered'))}`;
+                button.setAttribute('aria-label', t('registration.viewRegistration', `View your registration for ${title}`, { title }));
+            } else {
+                button.innerHTML = button.dataset.originalHtml;
+                button.setAttribute('aria-label', button.dataset.originalLabel);
+            }
+        });
+    }
+
+    /**
+     * Saved registrations on this device
+     */
+    function readStore() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('Could not load saved registrations:', e);
+            return {};
+        }
+    }
+
+    function getRegistration(eventId) {
+        return readStore()[eventId] || null;
+    }
+
+    /**
+     * Save one registration (or remove it when null)
+     */
+    function saveRegistration(eventId, registration) {
+        const registrations = readStore();
+        if (registration) {
+            registrations[eventId] = registration;
+        } else {
+            delete registrations[eventId];
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(registrations));
+        } catch (e) {
+            console.warn('Could not save registration:', e);
+        }
+    }
+
+    function getEvent(eventId) {
+        return events.find(event => event.id === eventId) || null;
+    }
+
+    function accommodationLabel(value) {
+        return t(`registration.accommodations.${value}`, ACCOMMODATION_LABELS[value] || value);
+    }
+
+    /**
+     * Status alert above the submit button
+     */
+    function showFormStatus(form, type, message) {
+        const status = form.querySelector('[data-registration-status]');
+        if (!status) return;
+
+        status.innerHTML = `
+            <div class="alert alert-${type}" role="${type === 'danger' ? 'alert' : 'status'}">
+                ${escapeHtml(message)}
+            </div>
+        `;
+    }
+
+    function clearFormStatus(form) {
+        const status = form.querySelector('[data-registration-status]');
+        if (status) {
+            status.innerHTML = '';
+        }
+    }
+
+    /**
+     * Show the sending state on the submit button
+     */
+    function setSubmitting(form, isSubmitting) {
+        const submitButton = form.querySelector('button[type="submit"]');
+        if (!submitButton) return;
+
+        if (isSubmitting) {
+            submitButton.dataset.originalHtml = submitButton.innerHTML;
+            submitButton.innerHTML = `<i class="fas fa-spinner fa-spin me-2" aria-hidden="true"></i>${escapeHtml(t('registration.sending', 'Registering...'))}`;
+            submitButton.disabled = true;
+            form.setAttribute('aria-busy', 'true');
+        } else {
+            if (submitButton.dataset.originalHtml) {
+                submitButton.innerHTML = submitButton.dataset.originalHtml;
+            }
+            submitButton.disabled = false;
+            form.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Unique id so a retried registration is stored only once on the server
+     */
+    function createSubmissionId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Spell out a reference so screen readers read it character by character
+     */
+    function spellReference(reference) {
+        return reference.split('').join(' ');
+    }
+
+    /**
+     * Today's date as YYYY-MM-DD in local time
+     */
+    function localDateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    // Export registration helpers for other scripts
+    window.DisabilitySupportRegistration = {
+        getRegistrations: readStore,
+        isRegistrationOpen
+    };
+
+})();
@@ -0,0 +1,1184 @@
+/**
+ * Disability Support India - Events Calendar
+ * Handles event filtering, the month and agenda calendar views, iCalendar (.ics) export
+ * and on-device reminders for bookmarked events
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    // Bookmarks keep a copy of the event so reminders work on any page, even offline
+    const BOOKMARKS_KEY = 'event-bookmarks';
+    const VIEW_KEY = 'events-view';
+    const VIEWS = ['cards', 'month', 'agenda'];
+
+    // Reminders start this many days before an event and last until it ends
+    const REMINDER_LEAD_DAYS = 2;
+
+    const ICS_PRODUCT_ID = '-//Disability Support India//Events//EN';
+    const ICS_FILENAME = 'disability-support-events.ics';
+
+    // Filtering happens on the server; typing waits this long before asking
+    const SEARCH_DELAY = 300;
+    const OPEN_END = '9999-12-31';
+
+    // Filter names in the page address and the controls that set them
+    const FILTER_CONTROLS = {
+        type: 'event-type-filter',
+        period: 'event-date-filter',
+        q: 'event-search',
+        sort: 'event-sort'
+    };
+
+    let events = [];
+    let visibleIds = [];
+    let focusDate = null;
+    let currentView = 'cards';
+    let filterRequest = 0;
+    let searchTimeout = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeEventsPage();
+        checkReminders();
+    });
+
+    /**
+     * Wire up filters, views and actions on the events page
+     */
+    function initializeEventsPage() {
+        const container = document.getElementById('events-container');
+        const dataElement = document.getElementById('events-data');
+        if (!container || !dataElement) return;
+
+        try {
+            events = JSON.parse(dataElement.textContent).filter(event => event.id && isDateString(event.date));
+        } catch (e) {
+            console.warn('Could not read events data:', e);
+            return;
+        }
+
+        ['event-type-filter', 'event-date-filter', 'event-sort'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.addEventListener('change', () => filterEvents());
+        });
+
+        const search = document.getElementById('event-search');
+        if (search) {
+            search.addEventListener('input', function() {
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => filterEvents({ typing: true }), SEARCH_DELAY);
+            });
+        }
+
+        // The filter form only needs submitting without JavaScript
+        const filterForm = document.getElementById('event-filters');
+        if (filterForm) {
+            filterForm.addEventListener('submit', function(e) {
+                e.preventDefault();
+                clearTimeout(searchTimeout);
+                filterEvents();
+            });
+        }
+
+        const submitBtn = document.getElementById('event-filters-submit');
+        if (submitBtn) submitBtn.hidden = true;
+
+        document.querySelectorAll('[data-event-ics], [data-event-bookmark], #events-export-ics, #events-view-switch').forEach(element => {
+            element.hidden = false;
+        });
+
+        // Buttons are also rendered into the calendar views, so delegate from the document
+        document.addEventListener('click', handleEventAction);
+
+        document.getElementById('events-export-ics').addEventListener('click', function() {
+            downloadIcs(visibleIds.map(getEvent).filter(Boolean), ICS_FILENAME);
+        });
+
+        document.querySelectorAll('[data-events-view]').forEach(button => {
+            button.addEventListener('click', function() {
+                setView(this.dataset.eventsView);
+            });
+        });
+
+        initializeMonthView();
+        updateBookmarkButtons();
+
+        // Back and forward bring earlier filters back
+        const filterState = window.DisabilitySupportFilterState;
+        if (filterState) {
+            filterState.watchHistory(Object.keys(FILTER_CONTROLS), getFilters, function(filters) {
+                clearTimeout(searchTimeout);
+                filterState.setControls(getFilterControls(), filters);
+                filterEvents({ restored: true });
+            });
+        }
+
+        // The server already rendered the filters from the URL; just pick up its results
+        const filters = getFilters();
+        applyFilter(localFilter(filters));
+        if (Object.keys(filters).some(name => filters[name])) {
+            announce(describeRestored(filterStatusMessage()));
+        }
+        setView(readView(), { silent: true });
+        focusLinkedEvent();
+    }
+
+    /**
+     * Handle the add-to-calendar, bookmark and details buttons
+     */
+    function handleEventAction(e) {
+        const icsButton = e.target.closest('[data-event-ics]');
+        const bookmarkButton = e.target.closest('[data-event-bookmark]');
+        const detailsButton = e.target.closest('[data-event-details]');
+
+        if (icsButton) {
+            const event = getEvent(icsButton.dataset.eventIcs);
+            if (event) downloadIcs([event], `${event.id}.ics`);
+        } else if (bookmarkButton) {
+            toggleBookmark(bookmarkButton.dataset.eventBookmark);
+        } else if (detailsButton) {
+            openDetails(detailsButton.dataset.eventDetails);
+        }
+    }
+
+    /**
+     * Look up an event by id
+     */
+    function getEvent(eventId) {
+        return events.find(event => event.id === eventId) || null;
+    }
+
+    /**
+     * First and last day of an event; single-day events end when they start
+     */
+    function eventRange(event) {
+        const start = event.date;
+        const end = isDateString(event.end_date) && event.end_date >= start ? event.end_date : start;
+        return { start, end };
+    }
+
+    /**
+     * Whether an event runs on any day between two dates (inclusive)
+     */
+    function eventOverlaps(event, from, to) {
+        const range = eventRange(event);
+        return range.start <= to && range.end >= from;
+    }
+
+    /**
+     * Apply the type, period, search and sort filters to every view using /api/events
+     */
+    function filterEvents(options = {}) {
+        const filters = getFilters();
+        const request = ++filterRequest;
+
+        if (!options.restored) {
+            saveFilters(filters, { typing: options.typing });
+        }
+
+        return fetchFilteredIds(apiQuery(filters))
+            .catch(error => {
+                console.warn('Filtering events on this device instead:', error);
+                return localFilter(filters);
+            })
+            .then(ids => {
+                // A slow answer to an earlier request must not replace newer results
+                if (request !== filterRequest) return;
+                applyFilter(ids);
+
+                const message = filterStatusMessage();
+                announce(options.restored ? describeRestored(message) : message);
+            });
+    }
+
+    /**
+     * Filter values as they appear in the page address
+     */
+    function getFilters() {
+        const filters = {};
+        Object.keys(FILTER_CONTROLS).forEach(name => {
+            filters[name] = valueOf(FILTER_CONTROLS[name]).trim();
+        });
+        return filters;
+    }
+
+    function getFilterControls() {
+        const controls = {};
+        Object.keys(FILTER_CONTROLS).forEach(name => {
+            controls[name] = document.getElementById(FILTER_CONTROLS[name]);
+        });
+        return controls;
+    }
+
+    /**
+     * API parameters for the filters; the period becomes dates in the visitor's time zone
+     */
+    function apiQuery(filters) {
+        const period = getPeriod(filters.period);
+        const query = {
+            type: filters.type,
+            from: period ? period.from : '',
+            to: period && period.to !== OPEN_END ? period.to : '',
+            q: filters.q,
+            sort: filters.sort,
+            city: new URLSearchParams(window.location.search).get('city') || ''
+        };
+
+        Object.keys(query).forEach(name => {
+            if (!query[name]) delete query[name];
+        });
+        return query;
+    }
+
+    /**
+     * Ids of the matching events on this page, in the order the server sorted them
+     */
+    function fetchFilteredIds(query) {
+        return fetch(`/api/events?${new URLSearchParams(query)}`)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => (data.events || []).map(event => event.id).filter(getEvent));
+    }
+
+    /**
+     * The same filters and sort as the server, for when it cannot be reached
+     */
+    function localFilter(filters) {
+        const period = getPeriod(filters.period);
+        const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+        const descending = filters.sort.startsWith('-');
+        const byTitle = filters.sort.replace(/^-/, '') === 'title';
+
+        return events.filter(event => {
+            const text = [event.title, event.description, event.organizer, event.venue, event.city].join(' ').toLowerCase();
+            const typeMatch = !filters.type || event.type === filters.type;
+            const searchMatch = words.every(word => text.includes(word));
+            const dateMatch = !period || eventOverlaps(event, period.from, period.to);
+
+            return typeMatch && searchMatch && dateMatch;
+        }).sort((a, b) => {
+            const order = byTitle ? String(a.title).localeCompare(String(b.title)) : compareEvents(a, b);
+            return descending ? -order : order;
+        }).map(event => event.id);
+    }
+
+    /**
+     * Show the matching cards in result order and refresh the calendar views
+     */
+    function applyFilter(ids) {
+        const container = document.getElementById('events-container');
+        const cards = Array.from(container.querySelectorAll('.event-card'));
+        const matching = ids.map(id => cards.find(card => card.dataset.eventId === id)).filter(Boolean);
+
+        visibleIds = ids;
+        matching.concat(cards.filter(card => !matching.includes(card))).forEach(card => {
+            card.hidden = !matching.includes(card);
+            container.appendChild(card);
+        });
+
+        updateFilterStatus();
+        renderCurrentView();
+    }
+
+    /**
+     * Keep the filters in the address so the results can be bookmarked and shared
+     */
+    function saveFilters(filters, options) {
+        const filterState = window.DisabilitySupportFilterState;
+        if (filterState) {
+            filterState.saveFilters(filters, options);
+        }
+    }
+
+    function describeRestored(resultsMessage) {
+        const filterState = window.DisabilitySupportFilterState;
+        return filterState ? filterState.restoredMessage(getFilterControls(), resultsMessage) : resultsMessage;
+    }
+
+    /**
+     * Date range for the period filter; ongoing events count as upcoming
+     */
+    function getPeriod(filter) {
+        const today = new Date();
+        const todayString = localDateString(today);
+
+        switch (filter) {
+            case 'upcoming':
+                return { from: todayString, to: OPEN_END };
+            case 'this-month':
+                return monthRange(today.getFullYear(), today.getMonth());
+            case 'next-month':
+                return monthRange(today.getFullYear(), today.getMonth() + 1);
+            default:
+                return null;
+        }
+    }
+
+    function monthRange(year, month) {
+        return {
+            from: localDateString(new Date(year, month, 1)),
+            to: localDateString(new Date(year, month + 1, 0))
+        };
+    }
+
+    /**
+     * Update the results count; callers announce it, as the status is not a live region
+     */
+    function updateFilterStatus() {
+        const status = document.getElementById('events-filter-status');
+        const exportBtn = document.getElementById('events-export-ics');
+
+        if (status) {
+            status.textContent = filterStatusMessage();
+        }
+        if (exportBtn) {
+            exportBtn.disabled = visibleIds.length === 0;
+        }
+    }
+
+    function filterStatusMessage() {
+        return t('events.shown', `Showing ${visibleIds.length} of ${events.length} events`, {
+            shown: visibleIds.length,
+            count: events.length
+        });
+    }
+
+    /**
+     * Events currently matching the filters, in date order
+     */
+    function getVisibleEvents() {
+        return visibleIds.map(getEvent).filter(Boolean).sort(compareEvents);
+    }
+
+    function compareEvents(a, b) {
+        return a.date.localeCompare(b.date) || eventRange(a).end.localeCompare(eventRange(b).end) ||
+            String(a.title).localeCompare(String(b.title));
+    }
+
+    /**
+     * Switch between the cards, month and agenda views
+     */
+    function setView(view, options = {}) {
+        currentView = VIEWS.includes(view) ? view : 'cards';
+
+        document.querySelectorAll('[data-events-view]').forEach(button => {
+            const isActive = button.dataset.eventsView === currentView;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+
+        document.getElementById('events-container').hidden = currentView !== 'cards';
+        document.getElementById('events-month-view').hidden = currentView !== 'month';
+        document.getElementById('events-agenda-view').hidden = currentView !== 'agenda';
+
+        try {
+            localStorage.setItem(VIEW_KEY, currentView);
+        } catch (e) {
+            // Not remembering the view is fine
+        }
+
+        renderCurrentView();
+
+        if (!options.silent) {
+            announce(t(`events.views.${currentView}`, {
+                cards: 'Showing events as cards',
+                month: 'Showing the month calendar',
+                agenda: 'Showing the agenda'
+            }[currentView]));
+        }
+    }
+
+    function readView() {
+        try {
+            return localStorage.getItem(VIEW_KEY) || 'cards';
+        } catch (e) {
+            return 'cards';
+        }
+    }
+
+    function renderCurrentView() {
+        if (currentView === 'month') {
+            renderMonth();
+        } else if (currentView === 'agenda') {
+            renderAgenda();
+        }
+    }
+
+    /**
+     * Month view controls and grid keyboard navigation
+     */
+    function initializeMonthView() {
+        const grid = document.getElementById('events-calendar-grid');
+        focusDate = parseDate(initialFocusDate());
+
+        document.getElementById('calendar-prev-month').addEventListener('click', function() {
+            moveFocus(addMonths(focusDate, -1), false);
+        });
+
+        document.getElementById('calendar-next-month').addEventListener('click', function() {
+            moveFocus(addMonths(focusDate, 1), false);
+        });
+
+        document.getElementById('calendar-today').addEventListener('click', function() {
+            moveFocus(new Date(), false);
+        });
+
+        grid.addEventListener('keydown', handleGridKeydown);
+
+        grid.addEventListener('click', function(e) {
+            const cell = e.target.closest('[data-date]');
+            if (cell) {
+                moveFocus(parseDate(cell.dataset.date), true);
+            }
+        });
+    }
+
+    /**
+     * Start on the next upcoming event, or today
+     */
+    function initialFocusDate() {
+        const today = localDateString(new Date());
+        const next = events.slice().sort(compareEvents).find(event => eventRange(event).end >= today);
+        return next && next.date > today ? next.date : today;
+    }
+
+    /**
+     * Arrow keys move by day and week, Page Up/Down by month (with Shift, by year)
+     */
+    function handleGridKeydown(e) {
+        const cell = e.target.closest('[data-date]');
+        if (!cell) return;
+
+        const date = parseDate(cell.dataset.date);
+        let next = null;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                next = addDays(date, -1);
+                break;
+            case 'ArrowRight':
+                next = addDays(date, 1);
+                break;
+            case 'ArrowUp':
+                next = addDays(date, -7);
+                break;
+            case 'ArrowDown':
+                next = addDays(date, 7);
+                break;
+            case 'Home':
+                next = addDays(date, -date.getDay());
+                break;
+            case 'End':
+                next = addDays(date, 6 - date.getDay());
+                break;
+            case 'PageUp':
+                next = addMonths(date, e.shiftKey ? -12 : -1);
+                break;
+            case 'PageDown':
+                next = addMonths(date, e.shiftKey ? 12 : 1);
+                break;
+            case 'Enter':
+            case ' ':
+                e.preventDefault();
+                renderDayPanel();
+                focusDayPanel();
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        moveFocus(next, true);
+    }
+
+    /**
+     * Move the focused day, re-rendering the grid when the month changes
+     */
+    function moveFocus(date, focusCell) {
+        const monthChanged = !focusDate || date.getMonth() !== focusDate.getMonth() ||
+            date.getFullYear() !== focusDate.getFullYear();
+
+        focusDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+        if (monthChanged) {
+            renderMonth();
+        } else {
+            updateGridFocus();
+            renderDayPanel();
+        }
+
+        if (focusCell) {
+            const cell = document.querySelector(`#events-calendar-grid [data-date="${localDateString(focusDate)}"]`);
+            if (cell) cell.focus();
+        }
+    }
+
+    /**
+     * Render the month grid around the focused date
+     */
+    function renderMonth() {
+        const grid = document.getElementById('events-calendar-grid');
+        const heading = document.getElementById('calendar-month-heading');
+        if (!grid || !focusDate) return;
+
+        const year = focusDate.getFullYear();
+        const month = focusDate.getMonth();
+        const first = new Date(year, month, 1);
+        const gridStart = addDays(first, -first.getDay());
+        const visible = getVisibleEvents();
+        const today = localDateString(new Date());
+
+        heading.textContent = formatMonth(first);
+
+        const weekdays = [];
+        for (let i = 0; i < 7; i++) {
+            const day = addDays(gridStart, i);
+            weekdays.push(`<th scope="col" abbr="${escapeHtml(formatWeekday(day, 'long'))}">${escapeHtml(formatWeekday(day, 'short'))}</th>`);
+        }
+
+        const rows = [];
+        let day = gridStart;
+        do {
+            const cells = [];
+            for (let i = 0; i < 7; i++) {
+                cells.push(buildDayCell(day, month, visible, today));
+                day = addDays(day, 1);
+            }
+            rows.push(`<tr>${cells.join('')}</tr>`);
+        } while (day.getMonth() === month);
+
+        grid.innerHTML = `
+            <thead><tr>${weekdays.join('')}</tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        `;
+
+        updateGridFocus();
+        renderDayPanel();
+    }
+
+    /**
+     * One day of the grid; the event titles are visual only, the day panel lists them
+     */
+    function buildDayCell(day, month, visible, today) {
+        const dateString = localDateString(day);
+        const dayEvents = eventsOn(dateString, visible);
+        const classes = ['calendar-day'];
+
+        if (day.getMonth() !== month) classes.push('calendar-day-outside');
+        if (dateString === today) classes.push('calendar-day-today');
+        if (dayEvents.length) classes.push('calendar-day-has-events');
+
+        const label = [
+            formatDate(dateString, { weekday: 'long' }),
+            dateString === today ? t('events.today', 'today') : '',
+            dayEvents.length ?
+                t('events.dayEventCount', `${dayEvents.length} events`, { count: dayEvents.length }) :
+                t('events.noEventsShort', 'no events')
+        ].filter(Boolean).join(', ');
+
+        const chips = dayEvents.slice(0, 2).map(event =>
+            `<span class="calendar-event-chip calendar-event-${escapeHtml(event.type)}">${escapeHtml(event.title)}</span>`
+        ).join('');
+        const more = dayEvents.length > 2 ?
+            `<span class="calendar-event-more">${escapeHtml(t('events.moreEvents', `+${dayEvents.length - 2} more`, { count: dayEvents.length - 2 }))}</span>` :
+            '';
+
+        return `
+            <td role="gridcell" class="${classes.join(' ')}" data-date="${dateString}" tabindex="-1"
+                aria-selected="false" aria-label="${escapeHtml(label)}">
+                <span class="calendar-day-number" aria-hidden="true">${day.getDate()}</span>
+                <span class="calendar-day-events" aria-hidden="true">${chips}${more}</span>
+            </td>
+        `;
+    }
+
+    /**
+     * Keep a single tab stop on the focused day
+     */
+    function updateGridFocus() {
+        const focused = localDateString(focusDate);
+
+        document.querySelectorAll('#events-calendar-grid [data-date]').forEach(cell => {
+            const isFocused = cell.dataset.date === focused;
+            cell.setAttribute('tabindex', isFocused ? '0' : '-1');
+            cell.setAttribute('aria-selected', isFocused ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * List the events on the focused day below the grid
+     */
+    function renderDayPanel() {
+        const heading = document.getElementById('calendar-day-heading');
+        const list = document.getElementById('calendar-day-events');
+        if (!heading || !list || !focusDate) return;
+
+        const dateString = localDateString(focusDate);
+        const dayEvents = eventsOn(dateString, getVisibleEvents());
+
+        heading.textContent = t('events.dayHeading', `Events on ${formatDate(dateString, { weekday: 'long' })}`, {
+            date: formatDate(dateString, { weekday: 'long' })
+        });
+
+        list.innerHTML = dayEvents.length ?
+            dayEvents.map(event => `<li class="mb-3">${buildEventSummary(event, 'h4')}</li>`).join('') :
+            `<li class="text-muted">${escapeHtml(t('events.noEventsOnDay', 'No events on this day.'))}</li>`;
+
+        updateBookmarkButtons();
+    }
+
+    function focusDayPanel() {
+        const heading = document.getElementById('calendar-day-heading');
+        if (heading) heading.focus();
+    }
+
+    /**
+     * Events running on a given day
+     */
+    function eventsOn(dateString, list) {
+        return list.filter(event => eventOverlaps(event, dateString, dateString));
+    }
+
+    /**
+     * Agenda: matching events in date order, grouped by the month they start in
+     */
+    function renderAgenda() {
+        const agenda = document.getElementById('events-agenda-view');
+        if (!agenda) return;
+
+        const visible = getVisibleEvents();
+        if (!visible.length) {
+            agenda.innerHTML = `<p class="text-muted">${escapeHtml(t('events.noMatches', 'No events match these filters.'))}</p>`;
+            return;
+        }
+
+        const groups = [];
+        visible.forEach(event => {
+            const key = event.date.slice(0, 7);
+            let group = groups.find(item => item.key === key);
+            if (!group) {
+                group = { key, events: [] };
+                groups.push(group);
+            }
+            group.events.push(event);
+        });
+
+        agenda.innerHTML = groups.map(group => `
+            <section class="mb-4" aria-labelledby="agenda-${group.key}">
+                <h3 id="agenda-${group.key}" class="h4 border-bottom pb-2">${escapeHtml(formatMonth(parseDate(`${group.key}-01`)))}</h3>
+                <ul class="list-unstyled mb-0">
+                    ${group.events.map(event => `<li class="agenda-item py-3 border-bottom">${buildEventSummary(event, 'h4')}</li>`).join('')}
+                </ul>
+            </section>
+        `).join('');
+
+        updateBookmarkButtons();
+    }
+
+    /**
+     * Compact event summary with actions, shared by the day panel and the agenda
+     */
+    function buildEventSummary(event, headingTag) {
+        const today = localDateString(new Date());
+        const range = eventRange(event);
+        const isOngoing = range.start <= today && range.end >= today;
+        const place = [event.venue, event.city !== 'All Cities' ? event.city : ''].filter(Boolean).join(', ');
+
+        return `
+            <div class="d-flex flex-wrap justify-content-between align-items-start gap-2">
+                <div>
+                    <${headingTag} class="h6 fw-bold mb-1">${escapeHtml(event.title)}</${headingTag}>
+                    <p class="small mb-1">
+                        <i class="fas fa-calendar-alt me-1" aria-hidden="true"></i>${escapeHtml(formatRange(event))}
+                        ${isOngoing ? `<span class="badge bg-success ms-1">${escapeHtml(t('events.ongoing', 'On now'))}</span>` : ''}
+                    </p>
+                    ${place ? `<p class="small text-muted mb-0"><i class="fas fa-map-marker-alt me-1" aria-hidden="true"></i>${escapeHtml(place)}</p>` : ''}
+                </div>
+                <div class="d-flex flex-wrap gap-2">
+                    <button type="button" class="btn btn-outline-secondary btn-sm" data-event-details="${escapeHtml(event.id)}">
+                        <i class="fas fa-eye me-1" aria-hidden="true"></i>${escapeHtml(t('events.details', 'Details'))}<span class="visually-hidden">: ${escapeHtml(event.title)}</span>
+                    </button>
+                    <button type="button" class="btn btn-outline-primary btn-sm" data-event-ics="${escapeHtml(event.id)}">
+                        <i class="fas fa-calendar-plus me-1" aria-hidden="true"></i>${escapeHtml(t('events.addToCalendar', 'Add to calendar'))}<span class="visually-hidden">: ${escapeHtml(event.title)}</span>
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary btn-sm" data-event-bookmark="${escapeHtml(event.id)}" aria-pressed="false">
+                        <i class="far fa-bookmark me-1" aria-hidden="true"></i><span data-bookmark-label></span><span class="visually-hidden">: ${escapeHtml(event.title)}</span>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Open the event's detail modal
+     */
+    function openDetails(eventId) {
+        const card = document.querySelector(`.event-card[data-event-id="${cssEscape(eventId)}"]`);
+        const modalElement = card && document.getElementById(card.dataset.detailsModal);
+        if (!modalElement || !window.bootstrap) return;
+
+        window.bootstrap.Modal.getOrCreateInstance(modalElement).show();
+    }
+
+    /**
+     * Scroll to an event linked from a reminder (/events#event-<id>)
+     */
+    function focusLinkedEvent() {
+        const match = window.location.hash.match(/^#event-(.+)$/);
+        if (!match) return;
+
+        const eventId = decodeURIComponent(match[1]);
+        if (!getEvent(eventId)) return;
+
+        if (currentView !== 'cards') {
+            setView('cards', { silent: true });
+        }
+
+        const card = document.getElementById(`event-${eventId}`);
+        if (card && !card.hidden) {
+            card.setAttribute('tabindex', '-1');
+            card.focus();
+        }
+    }
+
+    /**
+     * Build an iCalendar file for some events (all-day events, with a reminder the day before)
+     */
+    function buildIcs(list) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const host = window.location.hostname || 'disabilitysupport.gov.in';
+        const origin = window.location.origin;
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ICS_PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        list.forEach(event => {
+            const range = eventRange(event);
+            const description = [
+                event.description,
+                event.organizer ? `${t('events.icsOrganizer', 'Organizer')}: ${event.organizer}` : '',
+                event.contact ? `${t('events.icsContact', 'Contact')}: ${event.contact}` : '',
+                event.registration_required ? t('events.icsRegistration', 'Registration required') : ''
+            ].filter(Boolean).join('\n');
+            const location = [event.venue, event.city !== 'All Cities' ? event.city : ''].filter(Boolean).join(', ');
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:event-${event.id}@${host}`,
+                `DTSTAMP:${stamp}`,
+                // All-day events end on the day after their last day
+                `DTSTART;VALUE=DATE:${range.start.replace(/-/g, '')}`,
+                `DTEND;VALUE=DATE:${localDateString(addDays(parseDate(range.end), 1)).replace(/-/g, '')}`,
+                `SUMMARY:${icsText(event.title)}`,
+                `DESCRIPTION:${icsText(description)}`
+            );
+            if (location) {
+                lines.push(`LOCATION:${icsText(location)}`);
+            }
+            lines.push(
+                `URL:${origin}/events#event-${encodeURIComponent(event.id)}`,
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${icsText(event.title)}`,
+                'TRIGGER:-P1D',
+                'END:VALARM',
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Escape text values (RFC 5545 section 3.3.11)
+     */
+    function icsText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold lines longer than 75 bytes, without splitting a character
+     */
+    function foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        Array.from(line).forEach(char => {
+            const bytes = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts towards the limit
+            const limit = parts.length ? 74 : 75;
+            if (currentBytes + bytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += bytes;
+        });
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Download events as an .ics file that calendar apps can import
+     */
+    function downloadIcs(list, filename) {
+        if (!list.length) return;
+
+        const blob = new Blob([buildIcs(list)], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        announce(t('events.icsDownloaded', `${list.length} events saved to ${filename}. Open it to add them to your calendar.`, {
+            count: list.length,
+            file: filename
+        }));
+    }
+
+    /**
+     * Read the bookmarked events from localStorage
+     */
+    function readBookmarks() {
+        try {
+            const stored = localStorage.getItem(BOOKMARKS_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('Could not load bookmarked events:', e);
+            return {};
+        }
+    }
+
+    function writeBookmarks(bookmarks) {
+        try {
+            localStorage.setItem(BOOKMARKS_KEY, JSON.stringify(bookmarks));
+            return true;
+        } catch (e) {
+            console.warn('Could not save bookmarked events:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Bookmark an event (or remove the bookmark)
+     */
+    function toggleBookmark(eventId) {
+        const event = getEvent(eventId);
+        const bookmarks = readBookmarks();
+        if (!event && !bookmarks[eventId]) return;
+
+        if (bookmarks[eventId]) {
+            const title = bookmarks[eventId].title;
+            delete bookmarks[eventId];
+            writeBookmarks(bookmarks);
+            announce(t('events.bookmarkRemoved', `Bookmark removed. You will not be reminded about ${title}.`, { title }));
+        } else {
+            const range = eventRange(event);
+            bookmarks[eventId] = {
+                id: event.id,
+                title: event.title,
+                date: range.start,
+                end_date: range.end,
+                venue: event.venue,
+                city: event.city,
+                bookmarkedAt: new Date().toISOString()
+            };
+            if (writeBookmarks(bookmarks)) {
+                requestNotificationPermission();
+                announce(t('events.bookmarkAdded', `Bookmarked. You will be reminded ${REMINDER_LEAD_DAYS} days before ${event.title}.`, {
+                    title: event.title,
+                    days: REMINDER_LEAD_DAYS
+                }));
+            }
+        }
+
+        updateBookmarkButtons();
+    }
+
+    /**
+     * Reflect bookmarks on every bookmark button on the page
+     */
+    function updateBookmarkButtons() {
+        const bookmarks = readBookmarks();
+
+        document.querySelectorAll('[data-event-bookmark]').forEach(button => {
+            const isBookmarked = Boolean(bookmarks[button.dataset.eventBookmark]);
+            const label = button.querySelector('[data-bookmark-label]');
+            const icon = button.querySelector('i');
+
+            button.setAttribute('aria-pressed', isBookmarked ? 'true' : 'false');
+            button.classList.toggle('active', isBookmarked);
+            if (label) {
+                label.textContent = isBookmarked ?
+                    t('events.bookmarked', 'Bookmarked, reminder on') :
+                    t('events.bookmark', 'Bookmark and remind me');
+            }
+            if (icon) {
+                icon.className = `${isBookmarked ? 'fas' : 'far'} fa-bookmark me-1`;
+            }
+        });
+    }
+
+    /**
+     * Show reminders for bookmarked events that are coming up or running, on any page
+     */
+    function checkReminders(date) {
+        const today = localDateString(date || new Date());
+        const bookmarks = readBookmarks();
+        let changed = false;
+
+        const due = Object.keys(bookmarks).map(id => bookmarks[id]).filter(bookmark => {
+            // Forget bookmarks once the event is over
+            if (bookmark.end_date < today) {
+                delete bookmarks[bookmark.id];
+                changed = true;
+                return false;
+            }
+
+            // Before the event the reminder comes back each day; once it has started, dismissing ends it
+            const remindFrom = localDateString(addDays(parseDate(bookmark.date), -REMINDER_LEAD_DAYS));
+            const dismissed = bookmark.reminderDismissed &&
+                (bookmark.reminderDismissed === today || bookmark.reminderDismissed >= bookmark.date);
+            return remindFrom <= today && !dismissed;
+        });
+
+        due.forEach(bookmark => {
+            const message = reminderMessage(bookmark, today);
+            showReminder(bookmark, message);
+
+            // The page reminder shows on every page; the system notification at most once a day
+            if (bookmark.notifiedOn !== today && showReminderNotification(bookmark, message)) {
+                bookmark.notifiedOn = today;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            writeBookmarks(bookmarks);
+        }
+
+        return due;
+    }
+
+    /**
+     * "starts in 2 days", "starts tomorrow", "starts today" or "is on now"
+     */
+    function reminderMessage(bookmark, today) {
+        const days = Math.round((parseDate(bookmark.date) - parseDate(today)) / 86400000);
+        const params = { title: bookmark.title, count: days };
+
+        if (days > 1) {
+            return t('events.reminderDays', `${bookmark.title} starts in ${days} days`, params);
+        }
+        if (days === 1) {
+            return t('events.reminderTomorrow', `${bookmark.title} starts tomorrow`, params);
+        }
+        if (days === 0) {
+            return t('events.reminderToday', `${bookmark.title} starts today`, params);
+        }
+        return t('events.reminderOngoing', `${bookmark.title} is on now`, params);
+    }
+
+    /**
+     * Put a dismissible reminder at the top of the page
+     */
+    function showReminder(bookmark, message) {
+        const main = document.getElementById('main-content');
+        if (!main) return;
+
+        const place = [bookmark.venue, bookmark.city !== 'All Cities' ? bookmark.city : ''].filter(Boolean).join(', ');
+        const container = document.createElement('div');
+        container.className = 'container mt-3';
+        container.innerHTML = `
+            <div class="alert alert-info d-flex flex-wrap align-items-center gap-2 mb-0" role="status">
+                <i class="fas fa-calendar-check" aria-hidden="true"></i>
+                <span class="flex-grow-1">
+                    <strong>${escapeHtml(message)}</strong>
+                    ${place ? `<br>${escapeHtml(place)}` : ''}
+                </span>
+                <a href="/events#event-${encodeURIComponent(bookmark.id)}" class="btn btn-sm btn-outline-dark">
+                    ${escapeHtml(t('events.viewEvent', 'View event'))}
+                </a>
+                <button type="button" class="btn btn-sm btn-outline-dark" data-reminder-dismiss>
+                    ${escapeHtml(t('events.dismissReminder', 'Dismiss reminder'))}
+                </button>
+            </div>
+        `;
+
+        container.querySelector('[data-reminder-dismiss]').addEventListener('click', function() {
+            const bookmarks = readBookmarks();
+            if (bookmarks[bookmark.id]) {
+                bookmarks[bookmark.id].reminderDismissed = localDateString(new Date());
+                writeBookmarks(bookmarks);
+            }
+            container.remove();
+            announce(t('events.reminderDismissed', 'Reminder dismissed'));
+        });
+
+        main.insertBefore(container, main.firstChild);
+        announce(message);
+    }
+
+    /**
+     * Also show a system notification if the user allowed them; returns whether one was shown
+     */
+    function showReminderNotification(bookmark, message) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return false;
+
+        try {
+            new Notification(message, {
+                body: bookmark.venue || '',
+                tag: `event-${bookmark.id}`
+            });
+            return true;
+        } catch (e) {
+            // Some mobile browsers only allow notifications from a service worker
+            return false;
+        }
+    }
+
+    /**
+     * Ask once for notification permission when the first event is bookmarked
+     */
+    function requestNotificationPermission() {
+        if (!('Notification' in window) || Notification.permission !== 'default') return;
+
+        Notification.requestPermission().catch(() => {});
+    }
+
+    /**
+     * Date helpers; event dates are YYYY-MM-DD in local time
+     */
+    function isDateString(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+
+    function parseDate(dateString) {
+        const parts = dateString.split('-').map(Number);
+        return new Date(parts[0], parts[1] - 1, parts[2]);
+    }
+
+    function localDateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    function addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    /**
+     * Same day in another month, clamped to that month's last day
+     */
+    function addMonths(date, months) {
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+        return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+    }
+
+    /**
+     * Locale-aware formatting in the active language
+     */
+    function locale() {
+        const i18n = window.DisabilitySupportI18n;
+        return `${i18n ? i18n.getLanguage() : 'en'}-IN`;
+    }
+
+    function formatWith(date, options) {
+        try {
+            return date.toLocaleDateString(locale(), options);
+        } catch (e) {
+            return date.toLocaleDateString(undefined, options);
+        }
+    }
+
+    function formatDate(dateString, extra) {
+        return formatWith(parseDate(dateString), Object.assign({ day: 'numeric', month: 'long', year: 'numeric' }, extra));
+    }
+
+    function formatMonth(date) {
+        return formatWith(date, { month: 'long', year: 'numeric' });
+    }
+
+    function formatWeekday(date, width) {
+        return formatWith(date, { weekday: width });
+    }
+
+    function formatRange(event) {
+        const range = eventRange(event);
+        if (range.start === range.end) {
+            return formatDate(range.start);
+        }
+        return t('events.dateRange', `${formatDate(range.start)} to ${formatDate(range.end)}`, {
+            start: formatDate(range.start),
+            end: formatDate(range.end)
+        });
+    }
+
+    function valueOf(id) {
+        const control = document.getElementById(id);
+        return control ? control.value : '';
+    }
+
+    function cssEscape(value) {
+        return window.CSS && CSS.escape ? CSS.escape(value) : String(value).replace(/["\\]/g, '\\$&');
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === undefined || text === null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    // Export calendar functions for other scripts
+    window.DisabilitySupportEvents = {
+        buildIcs,
+        downloadIcs,
+        eventRange,
+        eventOverlaps,
+        getBookmarks: readBookmarks,
+        toggleBookmark,
+        checkReminders,
+        filterEvents,
+        setView
+    };
+
+})();
@@ -0,0 +1,203 @@
+/**
+ * Disability Support India - Filter State
+ * Keeps list filters in the page address with the History API, so filtered results survive
+ * reloads, work with the back button and can be shared with a "copy link" button
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    // How long the copy button says "Link copied" before going back to its label
+    const COPIED_RESET_DELAY = 3000;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeCopyLinkButtons();
+    });
+
+    /**
+     * Filter values from the address; missing ones are empty strings
+     */
+    function readFilters(names) {
+        const params = new URLSearchParams(window.location.search);
+        const filters = {};
+        names.forEach(name => {
+            filters[name] = (params.get(name) || '').trim();
+        });
+        return filters;
+    }
+
+    /**
+     * Write filters to the address, adding a history entry unless told to replace the current one
+     */
+    function saveFilters(filters, options = {}) {
+        const params = new URLSearchParams(window.location.search);
+        Object.keys(filters).forEach(name => {
+            if (filters[name]) {
+                params.set(name, filters[name]);
+            } else {
+                params.delete(name);
+            }
+        });
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+        // A search typed in several pauses is one step back, not one per pause
+        const state = { filterState: true, typing: Boolean(options.typing) };
+        const replace = options.replace || (options.typing && history.state && history.state.typing);
+
+        try {
+            history[replace ? 'replaceState' : 'pushState'](state, '', url);
+        } catch (e) {
+            console.warn('Could not update the page address:', e);
+        }
+    }
+
+    /**
+     * Call restore with the address's filters when back or forward changes them
+     */
+    function watchHistory(names, getCurrent, restore) {
+        window.addEventListener('popstate', function() {
+            const filters = readFilters(names);
+            const current = getCurrent();
+
+            if (names.some(name => filters[name] !== (current[name] || ''))) {
+                restore(filters);
+            }
+        });
+    }
+
+    /**
+     * Put filter values back into their form controls
+     */
+    function setControls(controls, filters) {
+        Object.keys(controls).forEach(name => {
+            const control = controls[name];
+            if (!control) return;
+
+            const value = filters[name] || '';
+            const isKnownOption = control.tagName !== 'SELECT' ||
+                Array.from(control.options).some(option => option.value === value);
+            control.value = isKnownOption ? value : '';
+        });
+    }
+
+    /**
+     * Readable summary of the active filters, using the controls' own labels
+     */
+    function describeFilters(controls) {
+        return Object.keys(controls).map(name => controls[name]).filter(control => control && control.value.trim()).map(control => {
+            const label = control.labels && control.labels.length ?
+                control.labels[0].textContent.trim().replace(/:$/, '') :
+                control.name;
+            const value = control.tagName === 'SELECT' ?
+                control.options[control.selectedIndex].textContent.trim() :
+                `"${control.value.trim()}"`;
+            return `${label}: ${value}`;
+        }).join('; ');
+    }
+
+    /**
+     * Announcement for filters brought back from the address, followed by the results count
+     */
+    function restoredMessage(controls, resultsMessage) {
+        const description = describeFilters(controls);
+        if (!description) {
+            return t('filters.cleared', `Filters cleared. ${resultsMessage}`, { results: resultsMessage });
+        }
+        return t('filters.restored', `Filters restored: ${description}. ${resultsMessage}`, {
+            filters: description,
+            results: resultsMessage
+        });
+    }
+
+    /**
+     * Reveal the copy-link buttons; the address they copy already holds the filters
+     */
+    function initializeCopyLinkButtons() {
+        document.querySelectorAll('[data-copy-results-link]').forEach(button => {
+            button.hidden = false;
+            button.addEventListener('click', function() {
+                copyLink(window.location.href).then(copied => {
+                    if (copied) showCopied(button);
+                });
+            });
+        });
+    }
+
+    /**
+     * Copy a link, falling back to a prompt the visitor can copy from
+     */
+    function copyLink(url) {
+        const copied = navigator.clipboard && window.isSecureContext ?
+            navigator.clipboard.writeText(url).then(() => true, () => copyWithSelection(url)) :
+            Promise.resolve(copyWithSelection(url));
+
+        return copied.then(success => {
+            if (!success) {
+                window.prompt(t('filters.copyPrompt', 'Copy this link to share these results:'), url);
+            }
+            return success;
+        });
+    }
+
+    function copyWithSelection(text) {
+        const field = document.createElement('textarea');
+        field.value = text;
+        field.setAttribute('readonly', '');
+        field.className = 'visually-hidden';
+        document.body.appendChild(field);
+        field.select();
+
+        let success = false;
+        try {
+            success = document.execCommand('copy');
+        } catch (e) {
+            success = false;
+        }
+        field.remove();
+        return success;
+    }
+
+    function showCopied(button) {
+        const label = button.querySelector('[data-copy-label]');
+        const message = t('filters.linkCopied', 'Link copied. Anyone who opens it sees these results.');
+
+        if (label) {
+            if (!label.dataset.originalLabel) {
+                label.dataset.originalLabel = label.textContent;
+            }
+            label.textContent = t('filters.copied', 'Link copied');
+            clearTimeout(button.copiedTimeout);
+            button.copiedTimeout = setTimeout(() => {
+                label.textContent = label.dataset.originalLabel;
+            }, COPIED_RESET_DELAY);
+        }
+        announce(message);
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    // Export filter state helpers for other scripts
+    window.DisabilitySupportFilterState = {
+        readFilters,
+        saveFilters,
+        watchHistory,
+        setControls,
+        describeFilters,
+        restoredMessage,
+        copyLink
+    };
+
+})();
@@ -0,0 +1,490 @@
+/**
+ * Disability Support India - Form Autosave
+ * Handles drafts of form[data-autosave] forms: leaves out sensitive fields, encrypts drafts with a
+ * key that never leaves this device, expires them and offers to restore or discard them on return
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const DRAFT_PREFIX = 'form-draft-';
+    const LEGACY_PREFIX = 'form-data-';
+
+    // Drafts expire after a day unless the form sets data-autosave-hours
+    const DEFAULT_EXPIRY_HOURS = 24;
+
+    // Typing waits this long before the draft is encrypted and saved
+    const SAVE_DELAY = 500;
+
+    // The AES-GCM key is kept in IndexedDB as a non-extractable CryptoKey
+    const KEY_DB_NAME = 'disability-support-drafts';
+    const KEY_DB_VERSION = 1;
+    const KEY_STORE = 'keys';
+    const KEY_ID = 'draft-key';
+
+    // Never saved unless the field opts in with data-autosave-include
+    const SENSITIVE_TYPES = ['password', 'email', 'tel', 'hidden', 'file'];
+    const SENSITIVE_AUTOCOMPLETE = /^(?:tel|email|cc-|one-time-code|new-password|current-password|bday)/;
+    const SENSITIVE_RULES = ['mobile', 'phone'];
+
+    // The event a form's own script dispatches once the server (or the offline outbox) has its data
+    const SUBMITTED_EVENT = 'disabilitysupport:formsubmitted';
+
+    const drafts = new WeakMap();
+    let keyPromise = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeFormAutosave();
+    });
+
+    /**
+     * Purge expired drafts and set up every autosave form on the page
+     */
+    function initializeFormAutosave() {
+        purgeExpiredDrafts();
+
+        const forms = document.querySelectorAll('form[data-autosave]');
+        if (!forms.length) return;
+
+        if (!isSupported()) {
+            // Without WebCrypto (for example over plain HTTP) nothing is written at all
+            console.warn('Form drafts are not saved: encryption is not available here');
+            return;
+        }
+
+        forms.forEach(initializeForm);
+
+        document.addEventListener(SUBMITTED_EVENT, function(e) {
+            const form = e.target.closest && e.target.closest('form[data-autosave]');
+            if (form) clearDraft(form);
+        });
+    }
+
+    function initializeForm(form) {
+        const state = { timer: null, version: 0, paused: false };
+        drafts.set(form, state);
+
+        ['input', 'change'].forEach(type => {
+            form.addEventListener(type, function(e) {
+                if (e.target.name && !isSensitiveField(e.target)) scheduleSave(form);
+            });
+        });
+
+        // Resetting empties the form, so the draft goes with it
+        form.addEventListener('reset', function() {
+            setTimeout(() => scheduleSave(form), 0);
+        });
+
+        if (readStoredDraft(form)) {
+            // Nothing is saved until the visitor decides, so the old draft cannot be overwritten
+            state.paused = true;
+            loadDraft(form).then(values => {
+                if (values) {
+                    showDraftPrompt(form);
+                } else {
+                    state.paused = false;
+                }
+            });
+        }
+    }
+
+    /**
+     * Fields whose values are saved: named, enabled and not sensitive
+     */
+    function getDraftFields(form) {
+        return Array.from(form.elements).filter(field => {
+            return field.name && !field.disabled && !isSensitiveField(field) &&
+                !['submit', 'button', 'reset', 'image'].includes(field.type);
+        });
+    }
+
+    /**
+     * Whether a field is left out of drafts: contact details, identity numbers and anything marked
+     * data-autosave-exclude, unless the field itself says data-autosave-include
+     */
+    function isSensitiveField(field) {
+        if (field.hasAttribute('data-autosave-include')) return false;
+        if (field.hasAttribute('data-autosave-exclude')) return true;
+        if (SENSITIVE_TYPES.includes(field.type)) return true;
+
+        const autocomplete = (field.getAttribute('autocomplete') || '').trim().split(/\s+/).pop();
+        if (SENSITIVE_AUTOCOMPLETE.test(autocomplete)) return true;
+
+        const rules = (field.getAttribute('data-validate') || '').split(/\s+/).map(rule => rule.split(':')[0]);
+        return rules.some(rule => SENSITIVE_RULES.includes(rule));
+    }
+
+    /**
+     * Current values of the draft fields; checkboxes and radios keep the list of checked values
+     */
+    function readValues(form) {
+        const values = {};
+        getDraftFields(form).forEach(field => {
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                values[field.name] = values[field.name] || [];
+                if (field.checked) values[field.name].push(field.value);
+            } else {
+                values[field.name] = field.value;
+            }
+        });
+        return values;
+    }
+
+    function hasContent(values) {
+        return Object.keys(values).some(name => {
+            const value = values[name];
+            return Array.isArray(value) ? value.length > 0 : value.trim() !== '';
+        });
+    }
+
+    function scheduleSave(form) {
+        const state = drafts.get(form);
+        if (!state || state.paused) return;
+
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => saveDraft(form), SAVE_DELAY);
+    }
+
+    /**
+     * Encrypt and store the form's draft, or remove it when the form is empty
+     */
+    function saveDraft(form) {
+        const state = drafts.get(form);
+        if (!state || state.paused) return Promise.resolve(false);
+
+        clearTimeout(state.timer);
+        const version = ++state.version;
+        const values = readValues(form);
+        const storageKey = draftKey(form);
+
+        if (!hasContent(values)) {
+            localStorage.removeItem(storageKey);
+            return Promise.resolve(false);
+        }
+
+        return encrypt(JSON.stringify(values), storageKey).then(encrypted => {
+            // A later save, or a confirmed submission, has happened meanwhile
+            if (version !== state.version) return false;
+
+            const savedAt = Date.now();
+            localStorage.setItem(storageKey, JSON.stringify(Object.assign(encrypted, {
+                savedAt,
+                expiresAt: savedAt + expiryHours(form) * 60 * 60 * 1000
+            })));
+            return true;
+        }).catch(error => {
+            console.warn('Could not save a draft of this form:', error);
+            return false;
+        });
+    }
+
+    /**
+     * Decrypt the stored draft; resolves to null when there is none or it cannot be read
+     */
+    function loadDraft(form) {
+        const stored = readStoredDraft(form);
+        if (!stored) return Promise.resolve(null);
+
+        return decrypt(stored, draftKey(form))
+            .then(text => JSON.parse(text))
+            .catch(error => {
+                // A lost key or a damaged entry: the draft is useless, so it goes
+                console.warn('Discarding a draft that could not be decrypted:', error);
+                localStorage.removeItem(draftKey(form));
+                return null;
+            });
+    }
+
+    /**
+     * Fill the form from its draft and start saving again
+     */
+    function restoreDraft(form) {
+        return loadDraft(form).then(values => {
+            if (values) {
+                getDraftFields(form).forEach(field => {
+                    if (!(field.name in values)) return;
+
+                    const value = values[field.name];
+                    if (field.type === 'checkbox' || field.type === 'radio') {
+                        field.checked = Array.isArray(value) && value.includes(field.value);
+                    } else {
+                        field.value = value;
+                    }
+                    // Lets conditional fields and counters catch up
+                    field.dispatchEvent(new Event('change', { bubbles: true }));
+                });
+            }
+            resume(form);
+            return Boolean(values);
+        });
+    }
+
+    /**
+     * Throw the draft away and start saving again
+     */
+    function discardDraft(form) {
+        localStorage.removeItem(draftKey(form));
+        resume(form);
+    }
+
+    /**
+     * Remove the draft for good; called once the form's data is safely sent or queued
+     */
+    function clearDraft(form) {
+        const state = drafts.get(form);
+        if (state) {
+            clearTimeout(state.timer);
+            state.version++;
+            state.paused = false;
+        }
+
+        localStorage.removeItem(draftKey(form));
+        const prompt = form.querySelector('[data-draft-prompt]');
+        if (prompt) prompt.remove();
+    }
+
+    function resume(form) {
+        const state = drafts.get(form);
+        if (state) state.paused = false;
+    }
+
+    /**
+     * Ask whether to restore or discard the saved draft. The prompt is announced but does not take focus
+     */
+    function showDraftPrompt(form) {
+        const stored = readStoredDraft(form);
+        if (!stored) return;
+
+        const headingId = `${form.id || 'form'}-draft-heading`;
+        const savedAt = formatTime(stored.savedAt);
+        const prompt = document.createElement('div');
+        prompt.className = 'alert alert-info form-draft-prompt';
+        prompt.setAttribute('role', 'region');
+        prompt.setAttribute('aria-labelledby', headingId);
+        prompt.setAttribute('data-draft-prompt', '');
+        prompt.innerHTML = `
+            <h2 id="${escapeHtml(headingId)}" class="h6 fw-bold">
+                <i class="fas fa-file-alt me-2" aria-hidden="true"></i>${escapeHtml(t('autosave.heading', 'You have an unsent draft'))}
+            </h2>
+            <p class="mb-2">${escapeHtml(t('autosave.savedAt', `This form was partly filled in on this device on ${savedAt}. Contact details and ID numbers were not saved and need to be entered again.`, { time: savedAt }))}</p>
+            <div class="d-flex flex-wrap gap-2">
+                <button type="button" class="btn btn-primary btn-sm" data-draft-action="restore">${escapeHtml(t('autosave.restore', 'Restore draft'))}</button>
+                <button type="button" class="btn btn-outline-secondary btn-sm" data-draft-action="discard">${escapeHtml(t('autosave.discard', 'Discard draft'))}</button>
+            </div>
+        `;
+
+        prompt.addEventListener('click', function(e) {
+            const button = e.target.closest('[data-draft-action]');
+            if (!button) return;
+
+            const action = button.dataset.draftAction === 'restore' ? restoreDraft(form) : Promise.resolve(discardDraft(form));
+            action.then(restored => {
+                prompt.remove();
+                announce(restored ?
+                    t('autosave.restored', 'Draft restored. Check the details before sending.') :
+                    t('autosave.discarded', 'Draft discarded.'));
+                focusFirstField(form);
+            });
+        });
+
+        form.prepend(prompt);
+        announce(t('autosave.available', 'An unsent draft of this form was found. Use the Restore draft or Discard draft button at the top of the form.'));
+    }
+
+    /**
+     * Remove drafts past their expiry, including those of forms on other pages, and the plain-text
+     * drafts earlier versions wrote
+     */
+    function purgeExpiredDrafts() {
+        const now = Date.now();
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+
+        keys.filter(key => key && key.startsWith(LEGACY_PREFIX)).forEach(key => localStorage.removeItem(key));
+
+        keys.filter(key => key && key.startsWith(DRAFT_PREFIX)).forEach(key => {
+            const stored = parseStored(localStorage.getItem(key));
+            if (!stored || stored.expiresAt <= now) {
+                localStorage.removeItem(key);
+            }
+        });
+    }
+
+    function readStoredDraft(form) {
+        const key = draftKey(form);
+        const stored = parseStored(localStorage.getItem(key));
+        if (stored && stored.expiresAt > Date.now()) return stored;
+
+        localStorage.removeItem(key);
+        return null;
+    }
+
+    function parseStored(text) {
+        try {
+            const stored = JSON.parse(text);
+            return stored && stored.iv && stored.data && typeof stored.expiresAt === 'number' ? stored : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function expiryHours(form) {
+        const hours = parseFloat(form.dataset.autosaveHours);
+        return hours > 0 ? hours : DEFAULT_EXPIRY_HOURS;
+    }
+
+    function formKey(form) {
+        return form.id || 'unnamed-form';
+    }
+
+    function draftKey(form) {
+        return `${DRAFT_PREFIX}${formKey(form)}`;
+    }
+
+    /**
+     * Encryption with WebCrypto; the storage key is bound in so a draft cannot be moved to another form
+     */
+    function isSupported() {
+        return Boolean(window.crypto && window.crypto.subtle && window.indexedDB && window.isSecureContext);
+    }
+
+    function encrypt(text, storageKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encoder = new TextEncoder();
+
+        return getKey().then(key => crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: encoder.encode(storageKey) },
+            key,
+            encoder.encode(text)
+        )).then(data => ({
+            iv: toBase64(iv),
+            data: toBase64(new Uint8Array(data))
+        }));
+    }
+
+    function decrypt(stored, storageKey) {
+        return getKey().then(key => crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(stored.iv), additionalData: new TextEncoder().encode(storageKey) },
+            key,
+            fromBase64(stored.data)
+        )).then(data => new TextDecoder().decode(data));
+    }
+
+    /**
+     * The device's draft key, created on first use
+     */
+    function getKey() {
+        if (!keyPromise) {
+            keyPromise = openKeyDatabase()
+                .then(db => keyRequest(db, 'readonly', store => store.get(KEY_ID)).then(key => {
+                    if (key) return key;
+
+                    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+                        .then(created => keyRequest(db, 'readwrite', store => store.put(created, KEY_ID)).then(() => created));
+                }));
+
+            // Allow a later call to try again
+            keyPromise.catch(() => {
+                keyPromise = null;
+            });
+        }
+
+        return keyPromise;
+    }
+
+    function openKeyDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(KEY_DB_NAME, KEY_DB_VERSION);
+
+            request.onupgradeneeded = function() {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(KEY_STORE)) {
+                    db.createObjectStore(KEY_STORE);
+                }
+            };
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+            request.onerror = function() {
+                reject(request.error);
+            };
+        });
+    }
+
+    function keyRequest(db, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(KEY_STORE, mode);
+            const request = callback(transaction.objectStore(KEY_STORE));
+
+            transaction.oncomplete = function() {
+                resolve(request.result);
+            };
+            transaction.onerror = function() {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    function toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    function formatTime(timestamp) {
+        const i18n = window.DisabilitySupportI18n;
+        const language = i18n ? i18n.getLanguage() : 'en';
+        const options = { day: 'numeric', month: 'long', hour: 'numeric', minute: '2-digit' };
+
+        try {
+            return new Date(timestamp).toLocaleString(`${language}-IN`, options);
+        } catch (e) {
+            return new Date(timestamp).toLocaleString();
+        }
+    }
+
+    function focusFirstField(form) {
+        const field = Array.from(form.elements).find(element => !element.disabled && element.type !== 'hidden');
+        if (field) field.focus();
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Export form autosave functions for other scripts
+    window.DisabilitySupportFormAutosave = {
+        saveDraft,
+        restoreDraft,
+        discardDraft,
+        clearDraft,
+        isSensitiveField,
+        SUBMITTED_EVENT
+    };
+
+})();
@@ -0,0 +1,268 @@
+/**
+ * Disability Support India - Form Validation
+ * Declarative validation rules for form fields. Rules come from the field itself (required,
+ * type="email", type="tel") and from a data-validate attribute, for example:
+ *
+ *   <input name="mobile" data-validate="mobile">
+ *   <input name="pin" data-validate="pin">
+ *   <input name="message" data-validate="minlength:10 maxlength:5000">
+ *   <input name="email" type="email" data-validate="remote:/api/validate/contact/email">
+ *
+ * A field's message for one rule can be swapped with data-validate-message-<rule>="<i18n key>".
+ * main.js shows the results through updateFieldValidation and the form's error summary.
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    // Separators people type in numbers; they are ignored when checking the digits
+    const NUMBER_SEPARATORS = /[\s\-().]/g;
+
+    // Mobile: optional +91, 91 or 0, then 10 digits starting 6-9
+    const MOBILE_PATTERN = /^(?:\+91|91|0)?[6-9]\d{9}$/;
+    // Landline: +91 or the trunk 0, then STD code and number (10 digits together)
+    const LANDLINE_PATTERN = /^(?:\+91|0)[1-9]\d{9}$/;
+    const PIN_PATTERN = /^[1-9]\d{5}$/;
+
+    const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file'];
+
+    const rules = {};
+
+    // Results of async checks, kept per field for the value that was checked
+    const asyncResults = new WeakMap();
+
+    /**
+     * Add a rule usable in data-validate. validate(value, param, field) returns a boolean; async
+     * rules return a promise of a boolean or of { valid, message }. params(param, field) fills in
+     * the message, which is looked up as validation.<key or name> in the message catalogs.
+     */
+    function registerRule(name, rule) {
+        rules[name] = Object.assign({ async: false, checksEmpty: false }, rule);
+    }
+
+    registerRule('required', {
+        checksEmpty: true,
+        message: 'This field is required',
+        validate: (value, param, field) => {
+            if (field.type === 'checkbox') return field.checked;
+            if (field.type === 'radio') {
+                return Boolean(field.form && field.form.querySelector(`input[type="radio"][name="${cssEscape(field.name)}"]:checked`));
+            }
+            return value !== '';
+        }
+    });
+
+    registerRule('email', {
+        message: 'Please enter a valid email address',
+        validate: value => EMAIL_PATTERN.test(value)
+    });
+
+    registerRule('phone', {
+        message: 'Please enter a valid phone number',
+        validate: value => {
+            const digits = value.replace(NUMBER_SEPARATORS, '');
+            return MOBILE_PATTERN.test(digits) || LANDLINE_PATTERN.test(digits);
+        }
+    });
+
+    registerRule('mobile', {
+        message: 'Please enter a 10-digit mobile number, for example 98765 43210',
+        validate: value => MOBILE_PATTERN.test(value.replace(NUMBER_SEPARATORS, ''))
+    });
+
+    registerRule('pin', {
+        message: 'Please enter a 6-digit PIN code, for example 110001',
+        validate: value => PIN_PATTERN.test(value.replace(/\s/g, ''))
+    });
+
+    registerRule('minlength', {
+        key: 'tooShort',
+        message: 'Please write at least {min} characters',
+        params: param => ({ min: Number(param) }),
+        validate: (value, param) => value.length >= Number(param)
+    });
+
+    registerRule('maxlength', {
+        key: 'tooLong',
+        message: 'Please use {max} characters or fewer',
+        params: param => ({ max: Number(param) }),
+        validate: (value, param) => value.length <= Number(param)
+    });
+
+    // remote:<url> asks the server; it answers { "valid": true|false, "message": "..." }
+    registerRule('remote', {
+        async: true,
+        message: 'This could not be accepted. Please check it and try again.',
+        validate: (value, param) => {
+            const separator = param.includes('?') ? '&' : '?';
+            return fetch(`${param}${separator}value=${encodeURIComponent(value)}`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => data.valid === false ? { valid: false, message: data.message } : true)
+                // The server checks again on submit, so an unreachable checker does not block anyone
+                .catch(() => true);
+        }
+    });
+
+    /**
+     * Rules for a field, in the order they are checked
+     */
+    function getRules(field) {
+        const list = [];
+        if (field.hasAttribute('required')) list.push({ name: 'required', param: '' });
+        if (field.type === 'email') list.push({ name: 'email', param: '' });
+        if (field.type === 'tel') list.push({ name: 'phone', param: '' });
+
+        (field.dataset.validate || '').split(/\s+/).filter(Boolean).forEach(token => {
+            const separator = token.indexOf(':');
+            const name = separator === -1 ? token : token.slice(0, separator);
+            const param = separator === -1 ? '' : token.slice(separator + 1);
+
+            if (!rules[name]) {
+                console.warn(`Unknown validation rule "${name}" on`, field);
+            } else if (!list.some(rule => rule.name === name)) {
+                list.push({ name, param });
+            }
+        });
+
+        return list;
+    }
+
+    /**
+     * Check a field with its synchronous rules, using earlier answers for async ones.
+     * Returns { valid, message, rule, pending } where pending lists async checks still to run.
+     */
+    function checkField(field) {
+        if (!shouldValidate(field)) return { valid: true, message: '', rule: null, pending: [] };
+
+        const value = fieldValue(field);
+        const pending = [];
+
+        for (const ruleRef of getRules(field)) {
+            const rule = rules[ruleRef.name];
+            if (value === '' && !rule.checksEmpty) continue;
+
+            if (rule.async) {
+                const cached = cachedResult(field, ruleRef.name, value);
+                if (!cached) {
+                    pending.push(ruleRef);
+                } else if (!cached.valid) {
+                    return failure(field, ruleRef, cached.message);
+                }
+                continue;
+            }
+
+            if (!rule.validate(value, ruleRef.param, field)) {
+                return failure(field, ruleRef);
+            }
+        }
+
+        return { valid: true, message: '', rule: null, pending };
+    }
+
+    /**
+     * Check a field with all of its rules, waiting for async ones
+     */
+    function checkFieldAsync(field) {
+        const result = checkField(field);
+        if (!result.valid || !result.pending.length) {
+            return Promise.resolve(result);
+        }
+
+        const value = fieldValue(field);
+        return Promise.all(result.pending.map(ruleRef => runAsyncRule(field, ruleRef, value)))
+            .then(outcomes => {
+                const failed = outcomes.find(outcome => !outcome.valid);
+                return failed ?
+                    failure(field, failed.ruleRef, failed.message) :
+                    { valid: true, message: '', rule: null, pending: [] };
+            });
+    }
+
+    function runAsyncRule(field, ruleRef, value) {
+        const results = asyncResults.get(field) || {};
+        const previous = results[ruleRef.name];
+        if (previous && previous.value === value && previous.promise) {
+            return previous.promise;
+        }
+
+        const promise = Promise.resolve(rules[ruleRef.name].validate(value, ruleRef.param, field))
+            .then(answer => {
+                const outcome = typeof answer === 'object' && answer !== null ?
+                    { valid: Boolean(answer.valid), message: answer.message || '', ruleRef } :
+                    { valid: Boolean(answer), message: '', ruleRef };
+                results[ruleRef.name] = { value, promise, outcome };
+                return outcome;
+            });
+
+        results[ruleRef.name] = { value, promise, outcome: null };
+        asyncResults.set(field, results);
+        return promise;
+    }
+
+    function cachedResult(field, name, value) {
+        const results = asyncResults.get(field);
+        const entry = results && results[name];
+        return entry && entry.value === value && entry.outcome ? entry.outcome : null;
+    }
+
+    /**
+     * Localized message for a failed rule; the server's own message wins for remote checks
+     */
+    function failure(field, ruleRef, serverMessage) {
+        const rule = rules[ruleRef.name];
+        const params = rule.params ? rule.params(ruleRef.param, field) : {};
+        const key = field.dataset[`validateMessage${capitalize(ruleRef.name)}`] || `validation.${rule.key || ruleRef.name}`;
+
+        return {
+            valid: false,
+            message: serverMessage || t(key, rule.message, params),
+            rule: ruleRef.name,
+            pending: []
+        };
+    }
+
+    function shouldValidate(field) {
+        return !field.disabled && !SKIPPED_TYPES.includes(field.type) && !field.closest('[hidden], fieldset[disabled]');
+    }
+
+    function fieldValue(field) {
+        return typeof field.value === 'string' ? field.value.trim() : '';
+    }
+
+    /**
+     * The text of a field's label without the required marker
+     */
+    function fieldLabel(field) {
+        if (!field) return '';
+        const label = field.labels && field.labels.length ? field.labels[0].textContent : field.getAttribute('aria-label');
+        return (label || field.name || '').replace(/\s+/g, ' ').replace(/[\s*:]+$/, '').trim();
+    }
+
+    /**
+     * Utility functions
+     */
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    function cssEscape(value) {
+        return window.CSS && CSS.escape ? CSS.escape(value) : String(value).replace(/["\\]/g, '\\$&');
+    }
+
+    // Export the validation engine for other scripts
+    window.DisabilitySupportValidation = {
+        registerRule,
+        getRules,
+        checkField,
+        checkFieldAsync,
+        fieldLabel
+    };
+
+})();
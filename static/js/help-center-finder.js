@@ -0,0 +1,518 @@
+/**
+ * Disability Support India - Help Center Finder
+ * Sorts a city's help centers by distance from the user's location or a PIN code,
+ * filters them by type, service and opening hours, and offers call and directions links
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const PIN_PATTERN = /^[1-9]\d{5}$/;
+
+    // All centers are in India, which has a single time zone (UTC+5:30) and no daylight saving
+    const IST_OFFSET_MINUTES = 330;
+    const MINUTES_PER_DAY = 24 * 60;
+
+    const DIRECTIONS_URL = 'https://www.google.com/maps/dir/?api=1';
+
+    // Finder state
+    let centers = [];
+    let origin = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeHelpCenterFinder();
+    });
+
+    /**
+     * Initialize the finder if the page has one
+     */
+    function initializeHelpCenterFinder() {
+        const form = document.getElementById('help-center-finder');
+        const results = document.getElementById('help-center-results');
+        if (!form || !results) return;
+
+        const city = form.dataset.city;
+        if (!city) return;
+
+        loadCenters(city)
+            .then(data => {
+                centers = data.map((center, index) => Object.assign({}, center, { order: index }));
+
+                populateFilters();
+                bindFinderEvents(form);
+                form.hidden = false;
+                renderResults();
+            })
+            .catch(error => {
+                // The server-rendered list stays in place
+                console.warn('Help center finder unavailable:', error);
+            });
+    }
+
+    /**
+     * Fetch help centers for a city from the API
+     */
+    function loadCenters(city) {
+        return fetch(`/api/help-centers/${encodeURIComponent(city)}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            });
+    }
+
+    /**
+     * Fill the type and service filters from the data
+     */
+    function populateFilters() {
+        const types = uniqueSorted(centers.map(center => center.type));
+        const services = uniqueSorted([].concat(...centers.map(center => center.services || [])));
+
+        appendOptions(document.getElementById('finder-type'), types);
+        appendOptions(document.getElementById('finder-service'), services);
+    }
+
+    function appendOptions(select, values) {
+        if (!select) return;
+
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+    }
+
+    function uniqueSorted(values) {
+        return Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Wire up the location button, PIN form and filters
+     */
+    function bindFinderEvents(form) {
+        const locationBtn = document.getElementById('finder-use-location');
+        const pinInput = document.getElementById('finder-pin');
+
+        if (locationBtn) {
+            locationBtn.addEventListener('click', useCurrentLocation);
+        }
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            usePinCode(pinInput ? pinInput.value : '');
+        });
+
+        ['finder-type', 'finder-service', 'finder-open-now'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', renderResults);
+            }
+        });
+
+        // Results rebuild their buttons, so listen on the container
+        document.getElementById('help-center-results').addEventListener('click', function(e) {
+            const mapButton = e.target.closest('[data-show-on-map]');
+            if (mapButton) {
+                showOnMap(mapButton.dataset.showOnMap);
+            }
+        });
+    }
+
+    /**
+     * Sort by distance from the device's position
+     */
+    function useCurrentLocation() {
+        const locator = window.DisabilitySupportLocator;
+        const button = document.getElementById('finder-use-location');
+
+        if (!locator || !('geolocation' in navigator)) {
+            showStatus(t('finder.locationUnsupported', 'Location is not available in this browser. You can type a PIN code instead.'), true);
+            return;
+        }
+
+        setBusy(button, true);
+        showStatus(t('finder.locating', 'Finding your location...'));
+
+        locator.getCurrentPosition()
+            .then(position => {
+                origin = {
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude,
+                    source: 'location'
+                };
+                renderResults();
+            })
+            .catch(error => {
+                showStatus(locationErrorMessage(error), true);
+            })
+            .finally(() => {
+                setBusy(button, false);
+            });
+    }
+
+    /**
+     * Sort by distance from a typed PIN code
+     */
+    function usePinCode(value) {
+        const pin = String(value).replace(/\s+/g, '');
+        const pinInput = document.getElementById('finder-pin');
+
+        if (!PIN_PATTERN.test(pin)) {
+            markPinInvalid(pinInput, true);
+            showStatus(t('finder.pinInvalid', 'Enter a 6-digit PIN code, for example 400018.'), true);
+            return;
+        }
+
+        locatePin(pin)
+            .then(location => {
+                if (!location) {
+                    markPinInvalid(pinInput, true);
+                    showStatus(t('finder.pinUnknown', `We could not place PIN code ${pin}. Check the number or use your location instead.`, { pin }), true);
+                    return;
+                }
+
+                markPinInvalid(pinInput, false);
+                origin = Object.assign({ source: 'pin', pin }, location);
+                renderResults();
+            })
+            .catch(error => {
+                console.warn('PIN code lookup failed:', error);
+                showStatus(t('finder.pinLookupFailed', 'PIN codes cannot be looked up right now. Please try again or use your location.'), true);
+            });
+    }
+
+    function markPinInvalid(input, isInvalid) {
+        if (!input) return;
+
+        input.classList.toggle('is-invalid', isInvalid);
+        input.setAttribute('aria-invalid', isInvalid ? 'true' : 'false');
+        if (isInvalid) {
+            input.focus();
+        }
+    }
+
+    /**
+     * Position for a PIN code from the server. A PIN it does not list is placed at the middle
+     * of its sorting district and marked approximate; an unknown district resolves to null
+     */
+    function locatePin(pin) {
+        return fetch(`/api/pin-codes/${encodeURIComponent(pin)}`)
+            .then(response => {
+                if (response.status === 404) return null;
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json().then(data => ({
+                    latitude: Number(data.latitude),
+                    longitude: Number(data.longitude),
+                    approximate: data.approximate === true
+                }));
+            });
+    }
+
+    /**
+     * Parse a timings string such as "9:00 AM - 6:00 PM" or "24 hours"
+     */
+    function parseTimings(timings) {
+        const text = String(timings || '');
+
+        if (/24\s*(hours|hrs|x\s*7)|24\/7/i.test(text)) {
+            return { allDay: true };
+        }
+
+        const match = text.match(/(\d{1,2})(?:[:.](\d{2}))?\s*(AM|PM)\s*(?:-|–|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(AM|PM)/i);
+        if (!match) return null;
+
+        return {
+            allDay: false,
+            opens: toMinutes(match[1], match[2], match[3]),
+            closes: toMinutes(match[4], match[5], match[6])
+        };
+    }
+
+    function toMinutes(hours, minutes, meridiem) {
+        const hour = parseInt(hours, 10) % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+        return hour * 60 + parseInt(minutes || '0', 10);
+    }
+
+    /**
+     * Whether a center is open at a given moment (India time)
+     */
+    function getOpenStatus(timings, date) {
+        const hours = parseTimings(timings);
+        if (!hours) {
+            return { state: 'unknown' };
+        }
+        if (hours.allDay) {
+            return { state: 'allDay' };
+        }
+
+        const now = date || new Date();
+        const minutes = (now.getUTCHours() * 60 + now.getUTCMinutes() + IST_OFFSET_MINUTES) % MINUTES_PER_DAY;
+
+        // Hours that run past midnight wrap around
+        const isOpen = hours.opens <= hours.closes ?
+            minutes >= hours.opens && minutes < hours.closes :
+            minutes >= hours.opens || minutes < hours.closes;
+
+        return {
+            state: isOpen ? 'open' : 'closed',
+            opens: formatMinutes(hours.opens),
+            closes: formatMinutes(hours.closes)
+        };
+    }
+
+    function formatMinutes(total) {
+        const hour = Math.floor(total / 60);
+        const minutes = String(total % 60).padStart(2, '0');
+        return `${hour % 12 || 12}:${minutes} ${hour < 12 ? 'AM' : 'PM'}`;
+    }
+
+    /**
+     * Centers matching the filters, nearest first when there is an origin
+     */
+    function getFilteredCenters() {
+        const type = valueOf('finder-type');
+        const service = valueOf('finder-service');
+        const openNowCheckbox = document.getElementById('finder-open-now');
+        const openNow = Boolean(openNowCheckbox && openNowCheckbox.checked);
+        const locator = window.DisabilitySupportLocator;
+        const now = new Date();
+
+        const filtered = centers
+            .filter(center => !type || center.type === type)
+            .filter(center => !service || (center.services || []).includes(service))
+            .map(center => Object.assign({}, center, {
+                status: getOpenStatus(center.timings, now),
+                distanceKm: origin && locator && isFinite(center.latitude) && isFinite(center.longitude) ?
+                    locator.distanceKm(origin.latitude, origin.longitude, Number(center.latitude), Number(center.longitude)) :
+                    null
+            }))
+            .filter(center => !openNow || center.status.state === 'open' || center.status.state === 'allDay');
+
+        if (origin) {
+            // Centers without coordinates go last, in their original order
+            filtered.sort((a, b) => {
+                if (a.distanceKm === null || b.distanceKm === null) {
+                    return (a.distanceKm === null) - (b.distanceKm === null) || a.order - b.order;
+                }
+                return a.distanceKm - b.distanceKm;
+            });
+        }
+
+        return filtered;
+    }
+
+    function valueOf(id) {
+        const control = document.getElementById(id);
+        return control ? control.value : '';
+    }
+
+    /**
+     * Render the result cards and summarise them
+     */
+    function renderResults() {
+        const results = document.getElementById('help-center-results');
+        if (!results) return;
+
+        const filtered = getFilteredCenters();
+
+        results.innerHTML = filtered.length ?
+            filtered.map(buildCenterCard).join('') :
+            `<div class="alert alert-info" role="alert">
+                <i class="fas fa-info-circle me-2" aria-hidden="true"></i>${escapeHtml(t('finder.noResults', 'No help centers match these filters.'))}
+            </div>`;
+
+        showStatus(buildSummary(filtered));
+    }
+
+    /**
+     * Markup for one help center
+     */
+    function buildCenterCard(center) {
+        const locator = window.DisabilitySupportLocator;
+        const phone = String(center.phone || '').replace(/[^\d+]/g, '');
+        const services = center.services || [];
+        const hasCoordinates = isFinite(center.latitude) && isFinite(center.longitude);
+        const distance = center.distanceKm !== null && locator ? locator.formatDistance(center.distanceKm) : '';
+
+        return `
+            <div class="card mb-3 border-0 shadow-sm help-center-result">
+                <div class="card-body p-3">
+                    <div class="d-flex justify-content-between align-items-start gap-2">
+                        <h3 class="card-title h6 fw-bold mb-1">${escapeHtml(center.name)}</h3>
+                        ${distance ? `<span class="badge bg-primary text-nowrap">${escapeHtml(t('finder.distanceAway', `${distance} away`, { distance }))}</span>` : ''}
+                    </div>
+                    <p class="card-text small text-muted mb-2">
+                        <i class="fas fa-building me-1" aria-hidden="true"></i>
+                        ${escapeHtml(center.type || '')}
+                    </p>
+                    <p class="card-text small mb-2">
+                        <i class="fas fa-map-marker-alt me-1" aria-hidden="true"></i>
+                        ${escapeHtml(center.address || '')}
+                    </p>
+                    <p class="card-text small mb-2">
+                        <i class="fas fa-clock me-1" aria-hidden="true"></i>
+                        ${escapeHtml(center.timings || '')}
+                        ${buildStatusBadge(center.status)}
+                    </p>
+                    ${services.length ? `
+                    <div class="mt-2">
+                        <small class="text-muted">${escapeHtml(t('finder.services', 'Services:'))}</small>
+                        <div class="mt-1">
+                            ${services.map(service => `<span class="badge bg-light text-dark me-1">${escapeHtml(service)}</span>`).join('')}
+                        </div>
+                    </div>` : ''}
+                    <div class="help-center-actions d-flex flex-wrap gap-2 mt-3">
+                        ${phone ? `
+                        <a href="tel:${escapeHtml(phone)}" class="btn btn-sm btn-success">
+                            <i class="fas fa-phone me-1" aria-hidden="true"></i>${escapeHtml(t('finder.call', 'Call'))}
+                            <span class="visually-hidden">${escapeHtml(center.name)}, ${escapeHtml(center.phone)}</span>
+                        </a>` : ''}
+                        ${hasCoordinates ? `
+                        <a href="${escapeHtml(directionsUrl(center))}" class="btn btn-sm btn-outline-primary" target="_blank" rel="noopener">
+                            <i class="fas fa-directions me-1" aria-hidden="true"></i>${escapeHtml(t('finder.directions', 'Directions'))}
+                            <span class="visually-hidden">${escapeHtml(t('finder.directionsTo', `to ${center.name} (opens in a new tab)`, { name: center.name }))}</span>
+                        </a>` : ''}
+                        ${hasCoordinates && window.DisabilitySupportMap ? `
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-show-on-map="${escapeHtml(center.name)}">
+                            <i class="fas fa-map me-1" aria-hidden="true"></i>${escapeHtml(t('finder.showOnMap', 'Show on map'))}
+                        </button>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Open/closed badge; the text carries the meaning, the colour only repeats it
+     */
+    function buildStatusBadge(status) {
+        switch (status.state) {
+            case 'allDay':
+                return `<span class="badge bg-success ms-1">${escapeHtml(t('finder.openAllDay', 'Open 24 hours'))}</span>`;
+            case 'open':
+                return `<span class="badge bg-success ms-1">${escapeHtml(t('finder.openUntil', `Open now, until ${status.closes}`, { time: status.closes }))}</span>`;
+            case 'closed':
+                return `<span class="badge bg-secondary ms-1">${escapeHtml(t('finder.closedOpens', `Closed, opens ${status.opens}`, { time: status.opens }))}</span>`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Directions link, starting from the user's position when we know it
+     */
+    function directionsUrl(center) {
+        let url = `${DIRECTIONS_URL}&destination=${center.latitude},${center.longitude}`;
+        if (origin && origin.source === 'location') {
+            url += `&origin=${origin.latitude},${origin.longitude}`;
+        }
+        return url;
+    }
+
+    /**
+     * One sentence describing the current results
+     */
+    function buildSummary(filtered) {
+        const count = filtered.length;
+        const locator = window.DisabilitySupportLocator;
+
+        if (!count || !origin || filtered[0].distanceKm === null) {
+            return t('finder.summary', `${count} help centers shown`, { count });
+        }
+
+        const nearest = filtered[0];
+        const params = {
+            count,
+            name: nearest.name,
+            distance: locator.formatDistance(nearest.distanceKm),
+            pin: origin.pin
+        };
+
+        if (origin.source === 'pin') {
+            return origin.approximate ?
+                t('finder.summaryPinApprox', `${count} help centers, sorted by approximate distance from PIN code ${params.pin}. Nearest: ${params.name}, ${params.distance}.`, params) :
+                t('finder.summaryPin', `${count} help centers, sorted by distance from PIN code ${params.pin}. Nearest: ${params.name}, ${params.distance}.`, params);
+        }
+
+        return t('finder.summaryLocation', `${count} help centers, sorted by distance from your location. Nearest: ${params.name}, ${params.distance}.`, params);
+    }
+
+    /**
+     * Select a center on the help center map and bring the map into view
+     */
+    function showOnMap(name) {
+        const helpCenterMap = window.DisabilitySupportMap;
+        if (!helpCenterMap) return;
+
+        const index = helpCenterMap.getCenters().findIndex(center => center.name === name);
+        if (index === -1) return;
+
+        const mapContainer = document.getElementById('help-center-map');
+        if (mapContainer) {
+            mapContainer.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        helpCenterMap.selectCenter(index, { focusList: true });
+    }
+
+    /**
+     * Explain a geolocation failure
+     */
+    function locationErrorMessage(error) {
+        // GeolocationPositionError codes: 1 denied, 2 unavailable, 3 timeout
+        switch (error && error.code) {
+            case 1:
+                return t('finder.locationDenied', 'Location permission was not given. You can type a PIN code instead.');
+            case 3:
+                return t('finder.locationTimeout', 'Finding your location took too long. Please try again or type a PIN code.');
+            default:
+                return t('finder.locationFailed', 'Your location could not be found. You can type a PIN code instead.');
+        }
+    }
+
+    /**
+     * Update the live status line under the finder
+     */
+    function showStatus(message, isError) {
+        const status = document.getElementById('help-center-finder-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('text-danger', Boolean(isError));
+        status.classList.toggle('text-muted', !isError);
+    }
+
+    function setBusy(button, isBusy) {
+        if (!button) return;
+
+        const icon = button.querySelector('i');
+        if (icon) {
+            icon.className = isBusy ? 'fas fa-spinner fa-spin me-2' : 'fas fa-location-arrow me-2';
+        }
+        button.disabled = isBusy;
+        button.setAttribute('aria-busy', String(isBusy));
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === undefined || text === null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    // Export finder functions for external use
+    window.DisabilitySupportFinder = {
+        parseTimings,
+        getOpenStatus,
+        locatePin,
+        getResults: getFilteredCenters
+    };
+
+})();
@@ -0,0 +1,319 @@
+/**
+ * Disability Support India - Help Center Map
+ * Plots a city's help centers on a Leaflet map with a keyboard-operable marker list
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+    const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+    const SELECTED_ZOOM = 15;
+
+    // Map state
+    let map = null;
+    let markerLayer = null;
+    let centers = [];
+    let markers = [];
+    let selectedIndex = -1;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeHelpCenterMap();
+    });
+
+    /**
+     * Initialize the map if the page has a map container
+     */
+    function initializeHelpCenterMap() {
+        const container = document.getElementById('help-center-map');
+        const list = document.getElementById('help-center-marker-list');
+        if (!container || !list) return;
+
+        if (typeof L === 'undefined') {
+            showMapMessage(t('map.unavailable', 'The map could not be loaded. The list of help centers below still works.'));
+            return;
+        }
+
+        const city = container.dataset.city;
+        if (!city) return;
+
+        createMap(container);
+        initializeListKeyboard(list);
+
+        loadHelpCenters(city)
+            .then(data => {
+                centers = data.filter(center => isFinite(center.latitude) && isFinite(center.longitude));
+                renderMarkers();
+                renderMarkerList(list);
+                announce(t('map.loaded', `${centers.length} help centers shown on the map`, { count: centers.length }));
+            })
+            .catch(error => {
+                console.warn('Could not load help centers:', error);
+                showMapMessage(t('map.loadError', 'Help centers could not be loaded right now.'));
+            });
+    }
+
+    /**
+     * Fetch help centers for a city from the API
+     */
+    function loadHelpCenters(city) {
+        return fetch(`/api/help-centers/${encodeURIComponent(city)}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            });
+    }
+
+    /**
+     * Create the Leaflet map with keyboard panning enabled
+     */
+    function createMap(container) {
+        map = L.map(container, {
+            keyboard: true,
+            keyboardPanDelta: 100,
+            scrollWheelZoom: false
+        });
+
+        L.tileLayer(TILE_URL, {
+            maxZoom: 19,
+            attribution: TILE_ATTRIBUTION
+        }).addTo(map);
+
+        // Clustering comes from the markercluster plugin when the page loads it
+        markerLayer = typeof L.markerClusterGroup === 'function' ?
+            L.markerClusterGroup({ showCoverageOnHover: false }) :
+            L.layerGroup();
+        markerLayer.addTo(map);
+
+        container.addEventListener('keydown', function(e) {
+            if (e.target !== container) return;
+
+            // Leaflet pans on arrow keys; Enter opens the selected center, Escape closes it
+            if (e.key === 'Enter' && selectedIndex === -1 && centers.length) {
+                e.preventDefault();
+                selectCenter(0, { focusList: true });
+            } else if (e.key === 'Escape') {
+                map.closePopup();
+            }
+        });
+
+        map.on('moveend', function() {
+            // Only announce moves the keyboard user made, not programmatic ones
+            if (document.activeElement === container) {
+                announce(t('map.panned', 'Map moved'));
+            }
+        });
+    }
+
+    /**
+     * Add one marker per help center
+     */
+    function renderMarkers() {
+        markerLayer.clearLayers();
+
+        markers = centers.map((center, index) => {
+            const marker = L.marker([center.latitude, center.longitude], {
+                title: center.name,
+                alt: center.name,
+                keyboard: true
+            });
+
+            marker.bindPopup(buildPopupContent(center));
+            marker.on('click', function() {
+                selectCenter(index, { fromMap: true });
+            });
+            marker.on('popupclose', function() {
+                if (selectedIndex === index) {
+                    updateListSelection(-1);
+                }
+            });
+
+            markerLayer.addLayer(marker);
+            return marker;
+        });
+
+        if (markers.length) {
+            const bounds = L.latLngBounds(centers.map(center => [center.latitude, center.longitude]));
+            map.fitBounds(bounds, { padding: [30, 30] });
+        }
+    }
+
+    /**
+     * Build popup markup for a help center
+     */
+    function buildPopupContent(center) {
+        const services = (center.services || []).map(service => `<li>${escapeHtml(service)}</li>`).join('');
+
+        return `
+            <div class="map-popup">
+                <h3 class="h6 fw-bold mb-1">${escapeHtml(center.name)}</h3>
+                <p class="small text-muted mb-1">${escapeHtml(center.type || '')}</p>
+                <p class="small mb-1">
+                    <i class="fas fa-phone me-1" aria-hidden="true"></i>
+                    <a href="tel:${escapeHtml(center.phone)}">${escapeHtml(center.phone)}</a>
+                </p>
+                <p class="small mb-1">
+                    <i class="fas fa-clock me-1" aria-hidden="true"></i>
+                    ${escapeHtml(center.timings || '')}
+                </p>
+                ${services ? `<ul class="small mb-0 ps-3">${services}</ul>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the marker list that mirrors the map
+     */
+    function renderMarkerList(list) {
+        list.innerHTML = centers.map((center, index) => `
+            <li>
+                <button type="button" class="btn btn-link text-start w-100 help-center-marker-item"
+                        data-index="${index}" tabindex="${index === 0 ? '0' : '-1'}" aria-pressed="false">
+                    <span class="fw-bold d-block">${escapeHtml(center.name)}</span>
+                    <small class="text-muted">${escapeHtml(center.type || '')}</small>
+                </button>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.help-center-marker-item').forEach(item => {
+            item.addEventListener('click', function() {
+                selectCenter(parseInt(this.dataset.index, 10));
+            });
+        });
+    }
+
+    /**
+     * Arrow-key navigation within the marker list
+     */
+    function initializeListKeyboard(list) {
+        list.addEventListener('keydown', function(e) {
+            const items = Array.from(list.querySelectorAll('.help-center-marker-item'));
+            const currentIndex = items.indexOf(document.activeElement);
+            if (currentIndex === -1) return;
+
+            let nextIndex = null;
+            switch (e.key) {
+                case 'ArrowDown':
+                    nextIndex = (currentIndex + 1) % items.length;
+                    break;
+                case 'ArrowUp':
+                    nextIndex = currentIndex === 0 ? items.length - 1 : currentIndex - 1;
+                    break;
+                case 'Home':
+                    nextIndex = 0;
+                    break;
+                case 'End':
+                    nextIndex = items.length - 1;
+                    break;
+            }
+
+            if (nextIndex !== null) {
+                e.preventDefault();
+                selectCenter(nextIndex, { focusList: true });
+            }
+        });
+    }
+
+    /**
+     * Select a help center on both the map and the list
+     */
+    function selectCenter(index, options = {}) {
+        const center = centers[index];
+        const marker = markers[index];
+        if (!center || !marker) return;
+
+        updateListSelection(index, options.focusList);
+
+        const openPopup = () => marker.openPopup();
+        if (!options.fromMap) {
+            if (typeof markerLayer.zoomToShowLayer === 'function') {
+                markerLayer.zoomToShowLayer(marker, openPopup);
+            } else {
+                map.setView([center.latitude, center.longitude], Math.max(map.getZoom(), SELECTED_ZOOM));
+                openPopup();
+            }
+        }
+
+        announce(t('map.selected', `Selected ${center.name}, ${index + 1} of ${centers.length}. ${center.timings || ''}`, {
+            name: center.name,
+            position: index + 1,
+            total: centers.length,
+            timings: center.timings || ''
+        }));
+    }
+
+    /**
+     * Reflect the selected center in the marker list
+     */
+    function updateListSelection(index, moveFocus = false) {
+        const list = document.getElementById('help-center-marker-list');
+        if (!list) return;
+
+        selectedIndex = index;
+
+        list.querySelectorAll('.help-center-marker-item').forEach(item => {
+            const isSelected = parseInt(item.dataset.index, 10) === index;
+            item.classList.toggle('active', isSelected);
+            item.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+            item.setAttribute('tabindex', isSelected || (index === -1 && item.dataset.index === '0') ? '0' : '-1');
+
+            if (isSelected) {
+                if (moveFocus) {
+                    item.focus();
+                } else {
+                    item.scrollIntoView({ block: 'nearest' });
+                }
+            }
+        });
+    }
+
+    /**
+     * Show a message in place of the map
+     */
+    function showMapMessage(message) {
+        const container = document.getElementById('help-center-map');
+        if (!container) return;
+
+        container.classList.add('help-center-map-message');
+        container.innerHTML = `
+            <div class="alert alert-warning mb-0" role="alert">
+                <i class="fas fa-exclamation-triangle me-2" aria-hidden="true"></i>${escapeHtml(message)}
+            </div>
+        `;
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === undefined || text === null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    // Export map functions for external use
+    window.DisabilitySupportMap = {
+        selectCenter,
+        getCenters: function() {
+            return centers.slice();
+        },
+        getMap: function() {
+            return map;
+        }
+    };
+
+})();
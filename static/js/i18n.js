@@ -0,0 +1,207 @@
+/**
+ * Disability Support India - Internationalization
+ * Handles message catalogs, runtime translation of data-i18n markup and English fallback
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_LANGUAGE = 'en';
+    const SUPPORTED_LANGUAGES = ['en', 'hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn'];
+
+    // Catalogs are plain scripts next to this file: static/js/locales/<code>.js
+    const localesBaseUrl = (document.currentScript && document.currentScript.src) ?
+        document.currentScript.src.replace(/i18n\.js(\?.*)?$/, 'locales/') :
+        '/static/js/locales/';
+
+    const catalogs = {};
+    const pendingLoads = {};
+    const originalText = new WeakMap();
+    const originalAttributes = new WeakMap();
+    let currentLanguage = DEFAULT_LANGUAGE;
+
+    /**
+     * Register a message catalog for a language
+     */
+    function registerMessages(languageCode, messages) {
+        catalogs[languageCode] = Object.assign(catalogs[languageCode] || {}, messages);
+    }
+
+    /**
+     * Load the catalog script for a language if it is not loaded yet
+     */
+    function loadCatalog(languageCode) {
+        if (catalogs[languageCode]) {
+            return Promise.resolve(catalogs[languageCode]);
+        }
+        if (pendingLoads[languageCode]) {
+            return pendingLoads[languageCode];
+        }
+
+        pendingLoads[languageCode] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = `${localesBaseUrl}${languageCode}.js`;
+            script.async = true;
+            script.onload = () => resolve(catalogs[languageCode] || {});
+            script.onerror = () => {
+                delete pendingLoads[languageCode];
+                reject(new Error(`Could not load messages for ${languageCode}`));
+            };
+            document.head.appendChild(script);
+        });
+
+        return pendingLoads[languageCode];
+    }
+
+    /**
+     * Look up a dotted key such as "search.noResults" in a catalog
+     */
+    function lookup(catalog, key) {
+        if (!catalog) return undefined;
+        return key.split('.').reduce((node, part) => {
+            return node && typeof node === 'object' ? node[part] : undefined;
+        }, catalog);
+    }
+
+    /**
+     * Pick the plural form of a message for a count
+     */
+    function selectPlural(message, count) {
+        if (!message || typeof message !== 'object') return message;
+
+        let category = count === 1 ? 'one' : 'other';
+        if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+            try {
+                category = new Intl.PluralRules(currentLanguage).select(count);
+            } catch (e) {
+                // Keep the simple English rule
+            }
+        }
+        return message[category] || message.other;
+    }
+
+    /**
+     * Replace {name} placeholders with parameter values
+     */
+    function interpolate(message, params) {
+        if (!params) return message;
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            return params[name] !== undefined ? String(params[name]) : match;
+        });
+    }
+
+    /**
+     * Translate a key in the current language, falling back to English and then to the
+     * given fallback text. The other scripts use this as their t(key, fallback, params)
+     */
+    function t(key, fallback, params) {
+        let message = lookup(catalogs[currentLanguage], key);
+        if (message === undefined && currentLanguage !== DEFAULT_LANGUAGE) {
+            message = lookup(catalogs[DEFAULT_LANGUAGE], key);
+        }
+
+        if (message && typeof message === 'object' && params && params.count !== undefined) {
+            message = selectPlural(message, params.count);
+        }
+
+        if (typeof message !== 'string') {
+            message = fallback !== undefined ? fallback : key;
+        }
+
+        return interpolate(message, params);
+    }
+
+    /**
+     * Check whether a key exists in the current language or in English
+     */
+    function hasMessage(key) {
+        return lookup(catalogs[currentLanguage], key) !== undefined ||
+            lookup(catalogs[DEFAULT_LANGUAGE], key) !== undefined;
+    }
+
+    /**
+     * Parse a data-i18n-attr value such as "aria-label:nav.home;title:nav.home"
+     */
+    function parseAttributeKeys(value) {
+        return value.split(';')
+            .map(pair => pair.trim())
+            .filter(Boolean)
+            .map(pair => {
+                const separator = pair.indexOf(':');
+                return {
+                    attribute: pair.slice(0, separator).trim(),
+                    key: pair.slice(separator + 1).trim()
+                };
+            })
+            .filter(entry => entry.attribute && entry.key);
+    }
+
+    /**
+     * Translate all data-i18n and data-i18n-attr elements under a root
+     */
+    function translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (!originalText.has(element)) {
+                originalText.set(element, element.textContent.trim());
+            }
+            element.textContent = t(element.dataset.i18n, originalText.get(element));
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            if (!originalAttributes.has(element)) {
+                originalAttributes.set(element, {});
+            }
+            const originals = originalAttributes.get(element);
+
+            parseAttributeKeys(element.dataset.i18nAttr).forEach(({ attribute, key }) => {
+                if (!(attribute in originals)) {
+                    originals[attribute] = element.getAttribute(attribute) || '';
+                }
+                element.setAttribute(attribute, t(key, originals[attribute]));
+            });
+        });
+    }
+
+    /**
+     * Switch the page to another language without reloading
+     */
+    function setLanguage(languageCode) {
+        const targetLanguage = SUPPORTED_LANGUAGES.includes(languageCode) ? languageCode : DEFAULT_LANGUAGE;
+
+        return loadCatalog(targetLanguage)
+            .catch(error => {
+                console.warn('Falling back to English messages:', error);
+            })
+            .then(() => {
+                currentLanguage = targetLanguage;
+                document.documentElement.setAttribute('lang', targetLanguage);
+                translatePage(document);
+
+                document.dispatchEvent(new CustomEvent('disabilitysupport:languagechange', {
+                    detail: { language: targetLanguage }
+                }));
+
+                return targetLanguage;
+            });
+    }
+
+    /**
+     * Get the active language code
+     */
+    function getLanguage() {
+        return currentLanguage;
+    }
+
+    // Export i18n functions for the other scripts
+    window.DisabilitySupportI18n = {
+        t,
+        hasMessage,
+        setLanguage,
+        getLanguage,
+        translatePage,
+        registerMessages,
+        loadCatalog,
+        supportedLanguages: SUPPORTED_LANGUAGES.slice()
+    };
+
+})();
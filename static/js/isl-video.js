@@ -0,0 +1,572 @@
+/**
+ * Disability Support India - Sign Language Videos
+ * Handles Indian Sign Language (ISL) explanations for headings and cards marked with
+ * data-isl-video, played in a floating picture-in-picture panel that can be moved and resized
+ * with the mouse or keyboard. Videos and captions are served from /static/videos/isl/
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    // Lists the videos that exist, so no button is shown for a video that has not been recorded yet
+    const MANIFEST_URL = '/static/videos/isl/videos.json';
+    const VIDEO_BASE = '/static/videos/isl/';
+
+    const SPEEDS = [0.5, 0.75, 1, 1.25, 1.5];
+    const STORAGE_KEY = 'isl-player';
+
+    // Keyboard moves and resizes the panel in steps of this many pixels
+    const MOVE_STEP = 20;
+    const SEEK_STEP = 5;
+    const MIN_WIDTH = 240;
+    const DEFAULT_WIDTH = 360;
+
+    let player = null;
+    let opener = null;
+
+    // The media player (media-player.js) around the video, which then owns its captions
+    let mediaPlayer = null;
+    let settings = loadSettings();
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeIslVideos();
+    });
+
+    /**
+     * Add a "Watch in ISL" button to every marked element that has a recorded video
+     */
+    function initializeIslVideos() {
+        const targets = document.querySelectorAll('[data-isl-video]');
+        if (!targets.length) return Promise.resolve();
+
+        return fetch(MANIFEST_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(manifest => {
+                const videos = manifest.videos || {};
+                targets.forEach(target => {
+                    const video = videos[target.dataset.islVideo];
+                    if (video && video.src) {
+                        addWatchButton(target, video);
+                    }
+                });
+            })
+            .catch(error => {
+                console.warn('Sign language videos are not available:', error);
+            });
+    }
+
+    /**
+     * Put the button after a heading, or after the title of a card
+     */
+    function addWatchButton(target, video) {
+        const title = video.title || getTargetTitle(target);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-primary isl-video-btn';
+        button.setAttribute('aria-haspopup', 'dialog');
+        button.setAttribute('aria-label', t('isl.watchLabel', `Watch "${title}" in Indian Sign Language`, { title }));
+        button.innerHTML = `<i class="fas fa-sign-language me-1" aria-hidden="true"></i><span>${escapeHtml(t('isl.watch', 'ISL video'))}</span>`;
+        button.addEventListener('click', function() {
+            openPlayer(video, title, button);
+        });
+
+        const slot = target.querySelector('[data-isl-slot]');
+        const cardTitle = target.querySelector('.card-title');
+        if (slot) {
+            slot.appendChild(button);
+        } else if (/^H[1-6]$/.test(target.tagName)) {
+            target.insertAdjacentElement('afterend', button);
+        } else if (cardTitle) {
+            cardTitle.insertAdjacentElement('afterend', button);
+        } else {
+            target.prepend(button);
+        }
+    }
+
+    function getTargetTitle(target) {
+        const heading = /^H[1-6]$/.test(target.tagName) ? target : target.querySelector('.card-title, h1, h2, h3, h4, h5, h6');
+        return (heading || target).textContent.trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Load a video into the panel and start playing it
+     */
+    function openPlayer(video, title, button) {
+        const panel = getPlayer();
+        const media = panel.querySelector('video');
+
+        opener = button;
+        panel.querySelector('#isl-player-title').textContent = title;
+
+        media.pause();
+        media.innerHTML = '';
+        media.src = resolveUrl(video.src);
+        if (video.poster) {
+            media.poster = resolveUrl(video.poster);
+        } else {
+            media.removeAttribute('poster');
+        }
+
+        // One track per caption language; the page language is preferred
+        const captions = video.captions || {};
+        const language = currentLanguage();
+        const languages = Object.keys(captions);
+        const preferred = languages.includes(language) ? language : languages[0];
+
+        languages.forEach(lang => {
+            const track = document.createElement('track');
+            track.kind = 'captions';
+            track.src = resolveUrl(captions[lang]);
+            track.srclang = lang;
+            track.label = languageName(lang);
+            track.default = lang === preferred;
+            media.appendChild(track);
+        });
+
+        // The shared media player adds a caption language menu and a searchable transcript
+        const enhancer = window.DisabilitySupportMediaPlayer;
+        mediaPlayer = enhancer ? enhancer.enhance(media, { nativeControls: false }) : null;
+
+        panel.querySelector('[data-isl-action="captions"]').hidden = !languages.length || !!mediaPlayer;
+        panel.querySelector('.isl-player-error').hidden = true;
+
+        panel.hidden = false;
+        placePanel(panel);
+        media.load();
+        media.playbackRate = settings.speed;
+        if (!mediaPlayer) applyCaptions();
+
+        media.play().catch(() => {
+            // Autoplay can be refused; the play button still works
+            updateControls();
+        });
+        updateControls();
+
+        panel.querySelector('[data-isl-action="toggle"]').focus();
+        announce(t('isl.opened', `Sign language video: ${title}`, { title }));
+    }
+
+    /**
+     * Stop the video, hide the panel and return focus to the button that opened it
+     */
+    function closePlayer() {
+        if (!player || player.hidden) return;
+
+        const media = player.querySelector('video');
+        if (document.pictureInPictureElement === media) {
+            document.exitPictureInPicture().catch(() => {});
+        }
+        media.pause();
+        player.hidden = true;
+
+        if (opener && document.contains(opener)) {
+            opener.focus();
+        }
+    }
+
+    /**
+     * Build the floating panel the first time it is needed
+     */
+    function getPlayer() {
+        if (player) return player;
+
+        player = document.createElement('section');
+        player.id = 'isl-player';
+        player.className = 'isl-player shadow-lg';
+        player.setAttribute('role', 'dialog');
+        player.setAttribute('aria-modal', 'false');
+        player.setAttribute('aria-labelledby', 'isl-player-title');
+        player.hidden = true;
+
+        const speedOptions = SPEEDS.map(speed => `<option value="${speed}">${speed}×</option>`).join('');
+        const canPopOut = document.pictureInPictureEnabled;
+
+        player.innerHTML = `
+            <div class="isl-player-header">
+                <button type="button" class="isl-player-handle" data-isl-action="move"
+                        aria-label="${escapeHtml(t('isl.move', 'Move player'))}" aria-describedby="isl-player-help">
+                    <i class="fas fa-arrows-alt" aria-hidden="true"></i>
+                </button>
+                <h2 id="isl-player-title" class="h6 mb-0"></h2>
+                <button type="button" class="btn-close btn-close-white" data-isl-action="close"
+                        aria-label="${escapeHtml(t('isl.close', 'Close sign language video'))}"></button>
+            </div>
+            <video class="isl-player-video" playsinline preload="metadata"></video>
+            <p class="isl-player-error alert alert-warning m-2 mb-0 small" role="alert" hidden>${escapeHtml(t('isl.error', 'This video could not be played. Please try again later.'))}</p>
+            <div class="isl-player-controls">
+                <button type="button" class="btn btn-sm btn-light" data-isl-action="back"
+                        aria-label="${escapeHtml(t('isl.back', `Back ${SEEK_STEP} seconds`, { seconds: SEEK_STEP }))}">
+                    <i class="fas fa-undo" aria-hidden="true"></i>
+                </button>
+                <button type="button" class="btn btn-sm btn-light" data-isl-action="toggle" aria-describedby="isl-player-keys">
+                    <i class="fas fa-play" aria-hidden="true"></i>
+                </button>
+                <button type="button" class="btn btn-sm btn-light" data-isl-action="forward"
+                        aria-label="${escapeHtml(t('isl.forward', `Forward ${SEEK_STEP} seconds`, { seconds: SEEK_STEP }))}">
+                    <i class="fas fa-redo" aria-hidden="true"></i>
+                </button>
+                <label class="visually-hidden" for="isl-player-speed">${escapeHtml(t('isl.speed', 'Playback speed'))}</label>
+                <select id="isl-player-speed" class="form-select form-select-sm" data-isl-action="speed">${speedOptions}</select>
+                <button type="button" class="btn btn-sm btn-light" data-isl-action="captions" aria-pressed="true">
+                    <i class="fas fa-closed-captioning me-1" aria-hidden="true"></i><span>${escapeHtml(t('isl.captions', 'Captions'))}</span>
+                </button>
+                ${canPopOut ? `<button type="button" class="btn btn-sm btn-light" data-isl-action="popout"
+                        aria-label="${escapeHtml(t('isl.popOut', 'Play in a separate window'))}">
+                    <i class="fas fa-external-link-alt" aria-hidden="true"></i>
+                </button>` : ''}
+                <button type="button" class="isl-player-resize ms-auto" data-isl-action="resize"
+                        aria-label="${escapeHtml(t('isl.resize', 'Resize player'))}" aria-describedby="isl-player-help">
+                    <i class="fas fa-expand-alt" aria-hidden="true"></i>
+                </button>
+            </div>
+            <p id="isl-player-help" class="visually-hidden">${escapeHtml(t('isl.moveHelp', 'Use the arrow keys to move the player. Hold Shift with the arrow keys to make it bigger or smaller.'))}</p>
+            <p id="isl-player-keys" class="visually-hidden">${escapeHtml(t('isl.keysHelp', 'Space plays or pauses. Left and right arrows go back or forward. C turns captions on or off. Escape closes the player.'))}</p>
+        `;
+
+        document.body.appendChild(player);
+        wirePlayer(player);
+        return player;
+    }
+
+    function wirePlayer(panel) {
+        const media = panel.querySelector('video');
+        const speedSelect = panel.querySelector('[data-isl-action="speed"]');
+        speedSelect.value = String(settings.speed);
+
+        panel.addEventListener('click', function(e) {
+            const control = e.target.closest('button[data-isl-action]');
+            if (!control) return;
+
+            const actions = {
+                close: closePlayer,
+                toggle: togglePlayback,
+                back: () => seek(-SEEK_STEP),
+                forward: () => seek(SEEK_STEP),
+                captions: toggleCaptions,
+                popout: popOut
+            };
+            if (actions[control.dataset.islAction]) {
+                actions[control.dataset.islAction]();
+            }
+        });
+
+        speedSelect.addEventListener('change', function() {
+            setSpeed(parseFloat(this.value));
+        });
+
+        media.addEventListener('click', togglePlayback);
+        ['play', 'pause', 'ended'].forEach(type => media.addEventListener(type, updateControls));
+        media.addEventListener('error', function() {
+            panel.querySelector('.isl-player-error').hidden = false;
+            announce(t('isl.error', 'This video could not be played. Please try again later.'), 'assertive');
+        });
+
+        panel.addEventListener('keydown', handlePlayerKeydown);
+        initializeDragging(panel);
+
+        window.addEventListener('resize', function() {
+            if (!panel.hidden) placePanel(panel);
+        });
+    }
+
+    /**
+     * Keyboard controls: move and resize from the handles, playback keys everywhere else
+     */
+    function handlePlayerKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closePlayer();
+            return;
+        }
+
+        const action = e.target.dataset && e.target.dataset.islAction;
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+        if ((action === 'move' || action === 'resize') && arrows[e.key]) {
+            e.preventDefault();
+            const [dx, dy] = arrows[e.key];
+            if (e.shiftKey || action === 'resize') {
+                resizePanel((dx || -dy) * MOVE_STEP);
+            } else {
+                movePanel(dx * MOVE_STEP, dy * MOVE_STEP);
+            }
+            return;
+        }
+
+        // Leave keys alone in the menus, the transcript search and on buttons that use Space themselves
+        if (/^(SELECT|INPUT)$/.test(e.target.tagName) || e.ctrlKey || e.altKey || e.metaKey) return;
+
+        const isButton = e.target.tagName === 'BUTTON';
+        switch (e.key) {
+            case ' ':
+            case 'k':
+            case 'K':
+                if (isButton && e.key === ' ') return;
+                e.preventDefault();
+                togglePlayback();
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                seek(-SEEK_STEP);
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                seek(SEEK_STEP);
+                break;
+            case 'c':
+            case 'C':
+                e.preventDefault();
+                toggleCaptions();
+                break;
+            case '<':
+            case '>':
+                e.preventDefault();
+                stepSpeed(e.key === '>' ? 1 : -1);
+                break;
+        }
+    }
+
+    /**
+     * Drag the panel by its header and resize it from the corner handle
+     */
+    function initializeDragging(panel) {
+        const header = panel.querySelector('.isl-player-header');
+        const resizeHandle = panel.querySelector('.isl-player-resize');
+
+        header.addEventListener('pointerdown', function(e) {
+            if (e.button !== 0 || e.target.closest('[data-isl-action="close"]')) return;
+            trackPointer(e, header, (dx, dy) => movePanel(dx, dy));
+        });
+
+        resizeHandle.addEventListener('pointerdown', function(e) {
+            if (e.button !== 0) return;
+            trackPointer(e, resizeHandle, dx => resizePanel(dx));
+        });
+    }
+
+    function trackPointer(e, element, onMove) {
+        e.preventDefault();
+        element.setPointerCapture(e.pointerId);
+        let lastX = e.clientX;
+        let lastY = e.clientY;
+
+        function move(event) {
+            onMove(event.clientX - lastX, event.clientY - lastY);
+            lastX = event.clientX;
+            lastY = event.clientY;
+        }
+
+        function end() {
+            element.removeEventListener('pointermove', move);
+            element.removeEventListener('pointerup', end);
+            element.removeEventListener('pointercancel', end);
+            saveSettings();
+        }
+
+        element.addEventListener('pointermove', move);
+        element.addEventListener('pointerup', end);
+        element.addEventListener('pointercancel', end);
+    }
+
+    /**
+     * Position and size, kept inside the window
+     */
+    function placePanel(panel) {
+        const width = Math.max(MIN_WIDTH, Math.min(settings.width || DEFAULT_WIDTH, window.innerWidth - 16));
+        panel.style.width = `${width}px`;
+
+        const left = settings.left === null ? window.innerWidth - width - 16 : settings.left;
+        const top = settings.top === null ? window.innerHeight - panel.offsetHeight - 16 : settings.top;
+        panel.style.left = `${clamp(left, 0, window.innerWidth - width)}px`;
+        panel.style.top = `${clamp(top, 0, window.innerHeight - panel.offsetHeight)}px`;
+    }
+
+    function movePanel(dx, dy) {
+        if (!player) return;
+
+        settings.left = clamp(player.offsetLeft + dx, 0, window.innerWidth - player.offsetWidth);
+        settings.top = clamp(player.offsetTop + dy, 0, window.innerHeight - player.offsetHeight);
+        player.style.left = `${settings.left}px`;
+        player.style.top = `${settings.top}px`;
+        saveSettings();
+    }
+
+    function resizePanel(dw) {
+        if (!player) return;
+
+        settings.width = clamp(player.offsetWidth + dw, MIN_WIDTH, window.innerWidth - player.offsetLeft);
+        player.style.width = `${settings.width}px`;
+        saveSettings();
+    }
+
+    /**
+     * Playback
+     */
+    function togglePlayback() {
+        const media = player && player.querySelector('video');
+        if (!media) return;
+
+        if (media.paused) {
+            media.play().catch(error => console.warn('Could not play the sign language video:', error));
+        } else {
+            media.pause();
+        }
+    }
+
+    function seek(seconds) {
+        const media = player && player.querySelector('video');
+        if (!media || !isFinite(media.duration)) return;
+
+        media.currentTime = clamp(media.currentTime + seconds, 0, media.duration);
+    }
+
+    function setSpeed(speed) {
+        if (!SPEEDS.includes(speed)) return;
+
+        settings.speed = speed;
+        saveSettings();
+        if (player) {
+            player.querySelector('video').playbackRate = speed;
+            player.querySelector('[data-isl-action="speed"]').value = String(speed);
+        }
+        announce(t('isl.speedChanged', `Speed ${speed}×`, { speed }));
+    }
+
+    function stepSpeed(direction) {
+        const index = SPEEDS.indexOf(settings.speed);
+        const next = SPEEDS[clamp(index + direction, 0, SPEEDS.length - 1)];
+        if (next !== settings.speed) setSpeed(next);
+    }
+
+    function toggleCaptions() {
+        if (mediaPlayer) {
+            // Off, or back to the page language, through the media player's caption menu
+            const on = mediaPlayer.language === 'off';
+            window.DisabilitySupportMediaPlayer.setCaptionLanguage(on ? '' : 'off');
+            announce(on ? t('isl.captionsOn', 'Captions on') : t('isl.captionsOff', 'Captions off'));
+            return;
+        }
+
+        settings.captions = !settings.captions;
+        saveSettings();
+        applyCaptions();
+        announce(settings.captions ? t('isl.captionsOn', 'Captions on') : t('isl.captionsOff', 'Captions off'));
+    }
+
+    /**
+     * Show the default caption track, or none
+     */
+    function applyCaptions() {
+        if (!player) return;
+
+        const media = player.querySelector('video');
+        const tracks = Array.from(media.querySelectorAll('track'));
+        const chosen = tracks.find(track => track.default) || tracks[0];
+
+        tracks.forEach(track => {
+            track.track.mode = settings.captions && track === chosen ? 'showing' : 'hidden';
+        });
+        player.querySelector('[data-isl-action="captions"]').setAttribute('aria-pressed', String(settings.captions));
+    }
+
+    function popOut() {
+        const media = player && player.querySelector('video');
+        if (!media || !document.pictureInPictureEnabled) return;
+
+        media.requestPictureInPicture().catch(error => {
+            console.warn('Could not open picture-in-picture:', error);
+        });
+    }
+
+    function updateControls() {
+        if (!player) return;
+
+        const media = player.querySelector('video');
+        const toggle = player.querySelector('[data-isl-action="toggle"]');
+        const playing = !media.paused && !media.ended;
+
+        toggle.setAttribute('aria-label', playing ? t('isl.pause', 'Pause') : t('isl.play', 'Play'));
+        toggle.querySelector('i').className = `fas fa-${playing ? 'pause' : 'play'}`;
+    }
+
+    /**
+     * Remembered speed, captions and panel position
+     */
+    function loadSettings() {
+        const defaults = { speed: 1, captions: true, left: null, top: null, width: DEFAULT_WIDTH };
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+            return {
+                speed: SPEEDS.includes(stored.speed) ? stored.speed : defaults.speed,
+                captions: typeof stored.captions === 'boolean' ? stored.captions : defaults.captions,
+                left: typeof stored.left === 'number' ? stored.left : defaults.left,
+                top: typeof stored.top === 'number' ? stored.top : defaults.top,
+                width: typeof stored.width === 'number' ? stored.width : defaults.width
+            };
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    function saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Could not save sign language player settings:', e);
+        }
+    }
+
+    function resolveUrl(path) {
+        return /^(\/|https?:)/.test(path) ? path : `${VIDEO_BASE}${path}`;
+    }
+
+    function currentLanguage() {
+        const i18n = window.DisabilitySupportI18n;
+        return i18n ? i18n.getLanguage() : 'en';
+    }
+
+    function languageName(code) {
+        try {
+            return new Intl.DisplayNames([currentLanguage()], { type: 'language' }).of(code);
+        } catch (e) {
+            return code;
+        }
+    }
+
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), Math.max(min, max));
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Export sign language video functions for other scripts
+    window.DisabilitySupportIslVideo = {
+        open: openPlayer,
+        close: closePlayer,
+        togglePlayback,
+        setSpeed
+    };
+
+})();
@@ -0,0 +1,602 @@
+/**
+ * Disability Support India - Keyboard Shortcuts
+ * Central registry for keyboard shortcuts with conflict detection, user remapping and a generated help dialog
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    // localStorage key for remapped shortcuts, alongside the other accessibility preferences
+    const STORAGE_KEY = 'accessibility-shortcuts';
+
+    const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+    // Key codes with a layout-independent name; letters and digits are handled separately
+    const CODE_NAMES = {
+        Equal: 'Plus',
+        NumpadAdd: 'Plus',
+        Minus: 'Minus',
+        NumpadSubtract: 'Minus',
+        Slash: '/',
+        Comma: ',',
+        Period: '.',
+        Space: 'Space'
+    };
+
+    // Combinations the browser or operating system already uses, e.g. Ctrl+Plus for zoom
+    const RESERVED_KEYS = [
+        'Ctrl+Plus', 'Ctrl+Minus', 'Ctrl+0',
+        'Ctrl+A', 'Ctrl+C', 'Ctrl+D', 'Ctrl+F', 'Ctrl+H', 'Ctrl+J', 'Ctrl+L', 'Ctrl+N',
+        'Ctrl+P', 'Ctrl+R', 'Ctrl+S', 'Ctrl+T', 'Ctrl+V', 'Ctrl+W', 'Ctrl+X', 'Ctrl+Z',
+        'Ctrl+Shift+N', 'Ctrl+Shift+T', 'Ctrl+Shift+Delete',
+        'Alt+F4', 'Alt+Tab', 'Ctrl+Tab', 'Ctrl+Shift+Tab',
+        'F1', 'F3', 'F5', 'F6', 'F7', 'F11', 'F12'
+    ];
+
+    // Order of groups in the help dialog
+    const GROUPS = [
+        { id: 'navigation', labelKey: 'shortcuts.groups.navigation', label: 'Navigation' },
+        { id: 'display', labelKey: 'shortcuts.groups.display', label: 'Display' },
+        { id: 'speech', labelKey: 'shortcuts.groups.speech', label: 'Speech and voice' }
+    ];
+
+    // Registry state
+    const shortcuts = [];
+    const conflicts = [];
+    let overrides = loadOverrides();
+    let recordingId = null;
+
+    document.addEventListener('keydown', handleKeydown);
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeShortcutsDialog();
+    });
+
+    /**
+     * Register a shortcut. Returns false if its keys are already taken,
+     * in which case the shortcut is listed as unassigned so the user can pick keys for it.
+     */
+    function register(options) {
+        const shortcut = {
+            id: options.id,
+            defaultKeys: normalizeKeys(options.keys),
+            keys: '',
+            label: options.label,
+            labelKey: options.labelKey,
+            group: options.group || 'navigation',
+            handler: options.handler
+        };
+
+        unregister(shortcut.id);
+
+        const keys = overrides[shortcut.id] !== undefined ? normalizeKeys(overrides[shortcut.id]) : shortcut.defaultKeys;
+        const conflict = findConflict(keys, shortcut.id);
+
+        if (conflict) {
+            console.warn(`Shortcut ${keys} for "${shortcut.id}" is already used by "${conflict.id}"`);
+            conflicts.push({ id: shortcut.id, keys, conflictWith: conflict.id });
+        } else {
+            shortcut.keys = keys;
+        }
+
+        shortcuts.push(shortcut);
+        renderShortcutList();
+        return !conflict;
+    }
+
+    /**
+     * Remove a shortcut from the registry
+     */
+    function unregister(id) {
+        const index = shortcuts.findIndex(shortcut => shortcut.id === id);
+        if (index !== -1) {
+            shortcuts.splice(index, 1);
+        }
+    }
+
+    /**
+     * Find the shortcut that already uses a key combination
+     */
+    function findConflict(keys, exceptId) {
+        if (!keys) return null;
+        return shortcuts.find(shortcut => shortcut.id !== exceptId && shortcut.keys === keys) || null;
+    }
+
+    /**
+     * Check that a combination can be used for a shortcut
+     */
+    function validateKeys(keys, id) {
+        const parts = keys.split('+');
+        const key = parts[parts.length - 1];
+
+        if (!parts.includes('Ctrl') && !parts.includes('Alt') && !/^F\d{1,2}$/.test(key)) {
+            return { ok: false, reason: 'modifier' };
+        }
+
+        if (RESERVED_KEYS.includes(keys)) {
+            return { ok: false, reason: 'reserved' };
+        }
+
+        const conflict = findConflict(keys, id);
+        if (conflict) {
+            return { ok: false, reason: 'conflict', conflictWith: conflict };
+        }
+
+        return { ok: true };
+    }
+
+    /**
+     * Assign new keys to a shortcut and remember the choice
+     */
+    function remap(id, keys) {
+        const shortcut = shortcuts.find(candidate => candidate.id === id);
+        if (!shortcut) return { ok: false, reason: 'unknown' };
+
+        const normalized = normalizeKeys(keys);
+        const result = validateKeys(normalized, id);
+        if (!result.ok) return result;
+
+        shortcut.keys = normalized;
+        if (normalized === shortcut.defaultKeys) {
+            delete overrides[id];
+        } else {
+            overrides[id] = normalized;
+        }
+        saveOverrides();
+        renderShortcutList();
+
+        return { ok: true };
+    }
+
+    /**
+     * Put every shortcut back on its default keys
+     */
+    function resetToDefaults() {
+        overrides = {};
+        saveOverrides();
+
+        shortcuts.forEach(shortcut => {
+            shortcut.keys = '';
+        });
+        shortcuts.forEach(shortcut => {
+            if (!findConflict(shortcut.defaultKeys, shortcut.id)) {
+                shortcut.keys = shortcut.defaultKeys;
+            }
+        });
+
+        renderShortcutList();
+    }
+
+    /**
+     * Remapped shortcuts, keyed by shortcut id (for exporting a profile)
+     */
+    function getMappings() {
+        return Object.assign({}, overrides);
+    }
+
+    /**
+     * Replace all remapped shortcuts, e.g. from an imported profile.
+     * Returns the ids whose keys could not be used.
+     */
+    function applyMappings(mappings) {
+        resetToDefaults();
+        if (!mappings || typeof mappings !== 'object') return [];
+
+        return Object.keys(mappings).filter(id => {
+            return typeof mappings[id] !== 'string' || !remap(id, mappings[id]).ok;
+        });
+    }
+
+    /**
+     * Registered shortcuts in display order
+     */
+    function getShortcuts() {
+        const groupOrder = GROUPS.map(group => group.id);
+        return shortcuts
+            .slice()
+            .sort((a, b) => groupOrder.indexOf(a.group) - groupOrder.indexOf(b.group))
+            .map(shortcut => ({
+                id: shortcut.id,
+                keys: shortcut.keys,
+                defaultKeys: shortcut.defaultKeys,
+                label: getLabel(shortcut),
+                group: shortcut.group
+            }));
+    }
+
+    /**
+     * Run the shortcut matching a key press
+     */
+    function handleKeydown(e) {
+        if (recordingId || e.defaultPrevented || e.repeat) return;
+
+        const keys = keysFromEvent(e);
+        if (!keys) return;
+
+        const shortcut = shortcuts.find(candidate => candidate.keys === keys);
+        if (!shortcut) return;
+
+        e.preventDefault();
+        shortcut.handler(e);
+    }
+
+    /**
+     * Turn a keydown event into a combination such as "Ctrl+Alt+T"
+     */
+    function keysFromEvent(e) {
+        if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph'].includes(e.key)) return '';
+
+        let key;
+        if (/^Key[A-Z]$/.test(e.code)) {
+            key = e.code.slice(3);
+        } else if (/^(Digit|Numpad)\d$/.test(e.code)) {
+            key = e.code.slice(-1);
+        } else if (CODE_NAMES[e.code]) {
+            key = CODE_NAMES[e.code];
+        } else if (e.key && e.key.length === 1) {
+            key = e.key.toUpperCase();
+        } else {
+            key = e.key;
+        }
+
+        const parts = [];
+        if (e.ctrlKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        if (e.metaKey) parts.push('Meta');
+        parts.push(key);
+
+        return parts.join('+');
+    }
+
+    /**
+     * Put a combination's modifiers in a fixed order, e.g. "alt+ctrl+t" -> "Ctrl+Alt+T"
+     */
+    function normalizeKeys(keys) {
+        if (!keys) return '';
+
+        const parts = String(keys).split('+').map(part => part.trim()).filter(Boolean);
+        const key = parts.pop();
+        const modifiers = MODIFIERS.filter(modifier => parts.some(part => part.toLowerCase() === modifier.toLowerCase()));
+        const normalizedKey = key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+
+        return modifiers.concat(normalizedKey).join('+');
+    }
+
+    /**
+     * Combination as HTML <kbd> elements
+     */
+    function formatKeysHtml(keys) {
+        if (!keys) {
+            return `<span class="text-muted">${escapeHtml(t('shortcuts.unassigned', 'Not set'))}</span>`;
+        }
+        return keys.split('+').map(part => `<kbd>${escapeHtml(part)}</kbd>`).join(' + ');
+    }
+
+    /**
+     * Combination as readable text, e.g. "Ctrl + Alt + T"
+     */
+    function formatKeys(keys) {
+        return keys ? keys.split('+').join(' + ') : t('shortcuts.unassigned', 'Not set');
+    }
+
+    /**
+     * Translated label for a shortcut
+     */
+    function getLabel(shortcut) {
+        return shortcut.labelKey ? t(shortcut.labelKey, shortcut.label) : shortcut.label;
+    }
+
+    /**
+     * Wire up the shortcuts dialog
+     */
+    function initializeShortcutsDialog() {
+        const openBtn = document.getElementById('shortcuts-btn');
+        const resetBtn = document.getElementById('shortcuts-reset-btn');
+        const list = document.getElementById('shortcuts-list');
+        const modal = document.getElementById('shortcuts-modal');
+
+        if (openBtn) {
+            openBtn.addEventListener('click', function() {
+                showHelp();
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', function() {
+                resetToDefaults();
+                setDialogStatus(t('shortcuts.resetDone', 'All shortcuts are back to their defaults'));
+            });
+        }
+
+        if (list) {
+            list.addEventListener('click', function(e) {
+                const changeBtn = e.target.closest('[data-shortcut-change]');
+                const resetOneBtn = e.target.closest('[data-shortcut-reset]');
+
+                if (changeBtn) {
+                    startRecording(changeBtn.dataset.shortcutChange);
+                } else if (resetOneBtn) {
+                    resetShortcut(resetOneBtn.dataset.shortcutReset);
+                }
+            });
+        }
+
+        if (modal) {
+            modal.addEventListener('hidden.bs.modal', function() {
+                stopRecording();
+                setDialogStatus('');
+            });
+        }
+
+        document.addEventListener('disabilitysupport:languagechange', function() {
+            renderShortcutList();
+        });
+
+        renderShortcutList();
+    }
+
+    /**
+     * Open the shortcuts dialog
+     */
+    function showHelp() {
+        const modal = document.getElementById('shortcuts-modal');
+        if (!modal || !window.bootstrap) return false;
+
+        renderShortcutList();
+        window.bootstrap.Modal.getOrCreateInstance(modal).show();
+        return true;
+    }
+
+    /**
+     * Build the shortcut tables from the registry
+     */
+    function renderShortcutList() {
+        const list = document.getElementById('shortcuts-list');
+        if (!list) return;
+
+        const all = getShortcuts();
+
+        list.innerHTML = GROUPS
+            .filter(group => all.some(shortcut => shortcut.group === group.id))
+            .map(group => `
+                <table class="table table-sm align-middle shortcuts-table">
+                    <caption class="caption-top fw-bold">${escapeHtml(t(group.labelKey, group.label))}</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">${escapeHtml(t('shortcuts.action', 'Action'))}</th>
+                            <th scope="col">${escapeHtml(t('shortcuts.keys', 'Shortcut'))}</th>
+                            <th scope="col"><span class="sr-only">${escapeHtml(t('shortcuts.change', 'Change'))}</span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${all.filter(shortcut => shortcut.group === group.id).map(renderShortcutRow).join('')}
+                    </tbody>
+                </table>
+            `).join('');
+    }
+
+    /**
+     * One row of the shortcuts table
+     */
+    function renderShortcutRow(shortcut) {
+        const isRecording = recordingId === shortcut.id;
+        const changeText = isRecording ?
+            t('shortcuts.pressKeys', 'Press the new keys, or Escape to cancel') :
+            t('shortcuts.change', 'Change');
+        const changeLabel = isRecording ?
+            changeText :
+            t('shortcuts.changeLabel', `Change shortcut for ${shortcut.label}`, { action: shortcut.label });
+        const resetButton = shortcut.keys !== shortcut.defaultKeys ? `
+            <button type="button" class="btn btn-sm btn-link" data-shortcut-reset="${escapeHtml(shortcut.id)}"
+                    aria-label="${escapeHtml(t('shortcuts.resetLabel', `Reset shortcut for ${shortcut.label}`, { action: shortcut.label }))}">
+                ${escapeHtml(t('shortcuts.reset', 'Reset'))}
+            </button>` : '';
+
+        return `
+            <tr>
+                <th scope="row" class="fw-normal">${escapeHtml(shortcut.label)}</th>
+                <td>${formatKeysHtml(shortcut.keys)}</td>
+                <td class="text-end text-nowrap">
+                    <button type="button" class="btn btn-sm btn-outline-primary${isRecording ? ' active' : ''}"
+                            data-shortcut-change="${escapeHtml(shortcut.id)}" aria-label="${escapeHtml(changeLabel)}"
+                            aria-pressed="${isRecording ? 'true' : 'false'}">
+                        ${escapeHtml(changeText)}
+                    </button>
+                    ${resetButton}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Wait for the user to press a new combination for a shortcut
+     */
+    function startRecording(id) {
+        stopRecording();
+        recordingId = id;
+        renderShortcutList();
+        focusChangeButton(id);
+
+        // Capture phase, so Escape does not also close the dialog
+        document.addEventListener('keydown', recordKeydown, true);
+        setDialogStatus(t('shortcuts.pressKeys', 'Press the new keys, or Escape to cancel'));
+    }
+
+    /**
+     * Stop waiting for a new combination
+     */
+    function stopRecording() {
+        if (!recordingId) return;
+
+        const id = recordingId;
+        recordingId = null;
+        document.removeEventListener('keydown', recordKeydown, true);
+        renderShortcutList();
+        focusChangeButton(id);
+    }
+
+    /**
+     * Handle the key press while recording a new combination
+     */
+    function recordKeydown(e) {
+        // Let Tab move focus out of the table as usual
+        if (e.key === 'Tab') {
+            stopRecording();
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            stopRecording();
+            setDialogStatus(t('shortcuts.cancelled', 'Shortcut not changed'));
+            return;
+        }
+
+        const keys = keysFromEvent(e);
+        if (!keys) return;
+
+        const id = recordingId;
+        const shortcut = shortcuts.find(candidate => candidate.id === id);
+        const result = remap(id, keys);
+
+        if (result.ok) {
+            stopRecording();
+            const message = t('shortcuts.changed', `${getLabel(shortcut)} is now ${formatKeys(keys)}`, {
+                action: getLabel(shortcut),
+                keys: formatKeys(keys)
+            });
+            setDialogStatus(message);
+            announce(message);
+        } else {
+            setDialogStatus(describeProblem(result, keys), true);
+        }
+    }
+
+    /**
+     * Put one shortcut back on its default keys
+     */
+    function resetShortcut(id) {
+        const shortcut = shortcuts.find(candidate => candidate.id === id);
+        if (!shortcut) return;
+
+        const result = remap(id, shortcut.defaultKeys);
+        if (result.ok) {
+            setDialogStatus(t('shortcuts.changed', `${getLabel(shortcut)} is now ${formatKeys(shortcut.defaultKeys)}`, {
+                action: getLabel(shortcut),
+                keys: formatKeys(shortcut.defaultKeys)
+            }));
+        } else {
+            setDialogStatus(describeProblem(result, shortcut.defaultKeys), true);
+        }
+        focusChangeButton(id);
+    }
+
+    /**
+     * Explain why a combination was refused
+     */
+    function describeProblem(result, keys) {
+        const formatted = formatKeys(keys);
+
+        switch (result.reason) {
+            case 'modifier':
+                return t('shortcuts.needsModifier', `${formatted} cannot be used. Include Ctrl or Alt so typing is not affected.`, { keys: formatted });
+            case 'reserved':
+                return t('shortcuts.reserved', `${formatted} is used by the browser. Choose another combination.`, { keys: formatted });
+            case 'conflict':
+                return t('shortcuts.conflict', `${formatted} is already used for ${getLabel(result.conflictWith)}. Choose another combination.`, {
+                    keys: formatted,
+                    action: getLabel(result.conflictWith)
+                });
+            default:
+                return t('shortcuts.failed', 'The shortcut could not be changed');
+        }
+    }
+
+    /**
+     * Show a message in the dialog's live region
+     */
+    function setDialogStatus(message, isError) {
+        const status = document.getElementById('shortcuts-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('text-danger', Boolean(isError));
+    }
+
+    /**
+     * Move focus to a shortcut's change button after re-rendering
+     */
+    function focusChangeButton(id) {
+        const button = document.querySelector(`[data-shortcut-change="${CSS.escape(id)}"]`);
+        if (button) {
+            button.focus();
+        }
+    }
+
+    /**
+     * Load remapped shortcuts
+     */
+    function loadOverrides() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('Could not load keyboard shortcuts:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Save remapped shortcuts
+     */
+    function saveOverrides() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+        } catch (e) {
+            console.warn('Could not save keyboard shortcuts:', e);
+        }
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Export the registry for other scripts
+    window.DisabilitySupportShortcuts = {
+        register,
+        unregister,
+        remap,
+        resetToDefaults,
+        getMappings,
+        applyMappings,
+        findConflict,
+        validateKeys,
+        getShortcuts,
+        getConflicts: function() {
+            return conflicts.slice();
+        },
+        formatKeys,
+        showHelp
+    };
+
+})();
@@ -0,0 +1,122 @@
+/**
+ * Disability Support India - Bengali messages
+ * Missing keys fall back to the English catalog
+ */
+
+window.DisabilitySupportI18n.registerMessages('bn', {
+    site: {
+        name: 'প্রতিবন্ধী সহায়তা ভারত',
+        skipToMain: 'মূল বিষয়বস্তুতে যান'
+    },
+    language: {
+        changed: 'ভাষা পরিবর্তন করে {language} করা হয়েছে'
+    },
+    toolbar: {
+        label: 'প্রবেশযোগ্যতার বিকল্প',
+        selectLanguage: 'ভাষা নির্বাচন করুন',
+        darkTheme: 'ডার্ক থিম',
+        lightTheme: 'লাইট থিম',
+        switchToDark: 'ডার্ক থিমে যান',
+        switchToLight: 'লাইট থিমে যান',
+        fontSize: 'ফন্টের আকার',
+        fontLarge: 'ফন্ট: বড়',
+        fontExtraLarge: 'ফন্ট: খুব বড়',
+        fontSizeNormalLabel: 'ফন্টের আকার: স্বাভাবিক। বড় করতে ক্লিক করুন',
+        fontSizeLargeLabel: 'ফন্টের আকার: বড়। খুব বড় করতে ক্লিক করুন',
+        fontSizeExtraLargeLabel: 'ফন্টের আকার: খুব বড়। স্বাভাবিক করতে ক্লিক করুন',
+        highContrast: 'উচ্চ কনট্রাস্ট',
+        highContrastOn: 'উচ্চ কনট্রাস্ট: চালু',
+        highContrastOnLabel: 'উচ্চ কনট্রাস্ট চালু। বন্ধ করতে ক্লিক করুন',
+        highContrastOffLabel: 'উচ্চ কনট্রাস্ট বন্ধ। চালু করতে ক্লিক করুন',
+        audio: 'অডিও',
+        audioOn: 'অডিও: চালু',
+        audioOnLabel: 'স্ক্রিন রিডার মোড চালু। বন্ধ করতে ক্লিক করুন',
+        audioOffLabel: 'স্ক্রিন রিডার মোড বন্ধ। চালু করতে ক্লিক করুন'
+    },
+    nav: {
+        toggle: 'নেভিগেশন খুলুন বা বন্ধ করুন',
+        home: 'হোম',
+        homeLabel: 'হোম পেজ',
+        schemes: 'প্রকল্প',
+        schemesLabel: 'প্রকল্প ও সুবিধা',
+        assistiveProducts: 'সহায়ক সরঞ্জাম',
+        assistiveProductsLabel: 'সহায়ক সরঞ্জাম',
+        events: 'অনুষ্ঠান',
+        eventsLabel: 'অনুষ্ঠান ও কর্মসূচি',
+        reservations: 'সংরক্ষণ',
+        reservationsLabel: 'সংরক্ষণ সংক্রান্ত তথ্য',
+        legalRights: 'আইনি অধিকার',
+        legalRightsLabel: 'আইনি অধিকার',
+        emergencyHelp: 'জরুরি সহায়তা',
+        emergencyHelpLabel: 'জরুরি সহায়তা'
+    },
+    search: {
+        placeholder: 'পরিষেবা খুঁজুন...',
+        label: 'প্রতিবন্ধী পরিষেবা খুঁজুন',
+        submit: 'খুঁজুন',
+        resultsRegion: 'অনুসন্ধানের ফলাফল',
+        searching: 'খোঁজা হচ্ছে...',
+        noResults: '"{query}" এর জন্য কোনো ফলাফল পাওয়া যায়নি',
+        tryDifferent: 'অন্য শব্দ দিয়ে চেষ্টা করুন',
+        invalidResponse: 'উত্তরের বিন্যাস সঠিক নয়',
+        unavailable: 'অনুসন্ধান এই মুহূর্তে উপলব্ধ নয়',
+        announceNone: '{query} এর জন্য কোনো অনুসন্ধান ফলাফল পাওয়া যায়নি',
+        announceCount: {
+            one: '{query} এর জন্য {count}টি ফলাফল পাওয়া গেছে',
+            other: '{query} এর জন্য {count}টি ফলাফল পাওয়া গেছে'
+        },
+        types: {
+            scheme: 'প্রকল্প',
+            help_center: 'সহায়তা কেন্দ্র',
+            event: 'অনুষ্ঠান'
+        }
+    },
+    validation: {
+        required: 'এই ঘরটি পূরণ করা আবশ্যক',
+        email: 'অনুগ্রহ করে সঠিক ইমেল ঠিকানা লিখুন',
+        phone: 'অনুগ্রহ করে সঠিক ফোন নম্বর লিখুন',
+        formErrors: 'অনুগ্রহ করে ফর্মের ভুলগুলি সংশোধন করুন'
+    },
+    announce: {
+        cityChanged: 'শহর পরিবর্তন করে {city} করা হয়েছে',
+        menuExpanded: 'মেনু খোলা হয়েছে',
+        menuCollapsed: 'মেনু বন্ধ হয়েছে',
+        scrollToTopLabel: 'পেজের উপরে যান',
+        scrolledToTop: 'পেজের উপরে পৌঁছেছেন',
+        pageLoaded: 'পেজ লোড হয়েছে: {title}',
+        pageLoadedWithHeading: 'পেজ লোড হয়েছে: {title}। প্রধান শিরোনাম: {heading}',
+        selectedFiles: 'নির্বাচিত ফাইল: {files}'
+    },
+    footer: {
+        aboutHeading: 'আমাদের সম্পর্কে',
+        aboutText: 'পরিষেবা, সুবিধা ও সহায়তার পূর্ণ তথ্য দিয়ে সারা ভারতের প্রতিবন্ধী মানুষদের ক্ষমতায়ন।',
+        quickLinks: 'দ্রুত লিংক',
+        governmentSchemes: 'সরকারি প্রকল্প',
+        knowYourRights: 'আপনার অধিকার জানুন',
+        emergencyHelp: 'জরুরি সহায়তা',
+        contactUs: 'যোগাযোগ করুন',
+        emergencyContacts: 'জরুরি যোগাযোগ',
+        nationalEmergency: 'জাতীয় জরুরি নম্বর:',
+        disabilityHelpline: 'প্রতিবন্ধী হেল্পলাইন:',
+        email: 'ইমেল:',
+        copyright: 'প্রতিবন্ধী সহায়তা ভারত। সর্বস্বত্ব সংরক্ষিত।',
+        compliance: 'আরপিডব্লিউডি আইন ২০১৬ ও WCAG 2.1 AA মান অনুযায়ী'
+    },
+    home: {
+        heroTitle: 'জীবনকে ক্ষমতায়িত করা,',
+        heroHighlight: 'স্বপ্নকে সম্ভব করা',
+        heroLead: 'সারা ভারতে প্রতিবন্ধী পরিষেবা, সুবিধা ও সহায়তার জন্য আপনার ডিজিটাল প্ল্যাটফর্ম। আপনার প্রয়োজন অনুযায়ী শহরভিত্তিক তথ্য পান। আরও তথ্যের জন্য হেল্পলাইনে যোগাযোগ করুন।',
+        getStarted: 'শুরু করুন',
+        selectCityHeading: 'আপনার শহর নির্বাচন করুন',
+        selectCityLead: 'ব্যক্তিগত প্রতিবন্ধী পরিষেবা ও সহায়তার তথ্য পেতে আপনার শহর নির্বাচন করুন',
+        selectCityLabel: 'আপনার শহর নির্বাচন করুন:',
+        chooseCity: 'আপনার শহর বেছে নিন...',
+        cityHelp: 'এর ফলে আপনার অবস্থান অনুযায়ী তথ্য দেখানো হবে',
+        selectCityPrompt: 'অনুগ্রহ করে একটি শহর নির্বাচন করুন',
+        go: 'যান',
+        detectLocation: 'অবস্থান স্বয়ংক্রিয়ভাবে শনাক্ত করুন',
+        quickAccessHeading: 'দ্রুত পরিষেবা',
+        statsHeading: 'পরিবর্তনের পথে',
+        updatesHeading: 'সাম্প্রতিক তথ্য'
+    }
+});
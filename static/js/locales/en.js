@@ -0,0 +1,1342 @@
+/**
+ * Disability Support India - English messages
+ * Source catalog; every other language falls back to these strings
+ */
+
+window.DisabilitySupportI18n.registerMessages('en', {
+    site: {
+        name: 'Disability Support India',
+        skipToMain: 'Skip to main content'
+    },
+    language: {
+        changed: 'Language changed to {language}'
+    },
+    toolbar: {
+        label: 'Accessibility options',
+        selectLanguage: 'Select language',
+        darkTheme: 'Dark Theme',
+        lightTheme: 'Light Theme',
+        switchToDark: 'Switch to dark theme',
+        switchToLight: 'Switch to light theme',
+        fontSize: 'Font Size',
+        fontLarge: 'Font: Large',
+        fontExtraLarge: 'Font: X-Large',
+        fontSizeNormalLabel: 'Font size: Normal. Click for Large',
+        fontSizeLargeLabel: 'Font size: Large. Click for Extra Large',
+        fontSizeExtraLargeLabel: 'Font size: Extra Large. Click for Normal',
+        highContrast: 'High Contrast',
+        highContrastOn: 'High Contrast: On',
+        highContrastOnLabel: 'High contrast mode enabled. Click to disable',
+        highContrastOffLabel: 'High contrast mode disabled. Click to enable',
+        audio: 'Audio',
+        audioOn: 'Audio: On',
+        audioOnLabel: 'Screen reader mode enabled. Click to disable',
+        audioOffLabel: 'Screen reader mode disabled. Click to enable',
+        colorVision: 'Color Vision',
+        colorVisionOn: 'Colors: {mode}',
+        colorVisionLabel: 'Color vision mode: {mode}',
+        readPage: 'Read Page',
+        voice: 'Voice',
+        voiceOn: 'Voice: On',
+        voiceOnLabel: 'Voice commands on. Click to stop listening',
+        voiceOffLabel: 'Voice commands off. Click to start listening',
+        voiceUnsupported: 'Voice commands are not supported in this browser',
+        shortcuts: 'Shortcuts',
+        settings: 'All Settings',
+        readingMode: 'Reading Mode',
+        readingModeOn: 'Reading: On',
+        readingModeOnLabel: 'Reading mode enabled. Click to disable',
+        readingModeOffLabel: 'Reading mode disabled. Click to enable'
+    },
+    nav: {
+        toggle: 'Toggle navigation',
+        home: 'Home',
+        homeLabel: 'Home page',
+        schemes: 'Schemes',
+        schemesLabel: 'Schemes and benefits',
+        assistiveProducts: 'Assistive Products',
+        assistiveProductsLabel: 'Assistive products',
+        events: 'Events',
+        eventsLabel: 'Events and programs',
+        reservations: 'Reservations',
+        reservationsLabel: 'Reservation information',
+        legalRights: 'Legal Rights',
+        legalRightsLabel: 'Legal rights',
+        emergencyHelp: 'Emergency Help',
+        emergencyHelpLabel: 'Emergency help'
+    },
+    search: {
+        placeholder: 'Search services...',
+        label: 'Search disability services',
+        submit: 'Submit search',
+        resultsRegion: 'Search results',
+        searching: 'Searching...',
+        noResults: 'No results found for "{query}"',
+        tryDifferent: 'Try using different keywords',
+        invalidResponse: 'Invalid response format',
+        unavailable: 'Search temporarily unavailable',
+        announceNone: 'No search results found for {query}',
+        announceCount: {
+            one: '{count} search result found for {query}',
+            other: '{count} search results found for {query}'
+        },
+        types: {
+            city: 'city',
+            scheme: 'scheme',
+            help_center: 'help center',
+            event: 'event'
+        }
+    },
+    validation: {
+        required: 'This field is required',
+        email: 'Please enter a valid email address',
+        phone: 'Please enter a valid phone number',
+        mobile: 'Please enter a 10-digit mobile number, for example 98765 43210',
+        pin: 'Please enter a 6-digit PIN code, for example 110001',
+        remote: 'This could not be accepted. Please check it and try again.',
+        tooLong: 'Please use {max} characters or fewer',
+        tooShort: 'Please write at least {min} characters',
+        choice: 'Please choose one of the listed options',
+        privacy: 'Please agree to the Privacy Policy to send your message',
+        consent: 'Please agree to the Privacy Policy to register',
+        formErrors: 'Please correct the errors in the form',
+        summaryHeading: {
+            one: 'There is 1 problem with this form',
+            other: 'There are {count} problems with this form'
+        },
+        summaryItem: '{field}: {message}'
+    },
+    announce: {
+        cityChanged: 'City changed to {city}',
+        menuExpanded: 'Menu expanded',
+        menuCollapsed: 'Menu collapsed',
+        scrollToTopLabel: 'Scroll to top of page',
+        scrolledToTop: 'Scrolled to top of page',
+        pageLoaded: 'Page loaded: {title}',
+        pageLoadedWithHeading: 'Page loaded: {title}. Main heading: {heading}',
+        selectedFiles: 'Selected files: {files}'
+    },
+    map: {
+        loaded: '{count} help centers shown on the map',
+        selected: 'Selected {name}, {position} of {total}. {timings}',
+        panned: 'Map moved',
+        unavailable: 'The map could not be loaded. The list of help centers below still works.',
+        loadError: 'Help centers could not be loaded right now.'
+    },
+    finder: {
+        locating: 'Finding your location...',
+        locationUnsupported: 'Location is not available in this browser. You can type a PIN code instead.',
+        locationDenied: 'Location permission was not given. You can type a PIN code instead.',
+        locationTimeout: 'Finding your location took too long. Please try again or type a PIN code.',
+        locationFailed: 'Your location could not be found. You can type a PIN code instead.',
+        pinInvalid: 'Enter a 6-digit PIN code, for example 400018.',
+        pinUnknown: 'We could not place PIN code {pin}. Check the number or use your location instead.',
+        pinLookupFailed: 'PIN codes cannot be looked up right now. Please try again or use your location.',
+        summary: {
+            one: '{count} help center shown',
+            other: '{count} help centers shown'
+        },
+        summaryLocation: {
+            one: '{count} help center, sorted by distance from your location. Nearest: {name}, {distance}.',
+            other: '{count} help centers, sorted by distance from your location. Nearest: {name}, {distance}.'
+        },
+        summaryPin: {
+            one: '{count} help center, sorted by distance from PIN code {pin}. Nearest: {name}, {distance}.',
+            other: '{count} help centers, sorted by distance from PIN code {pin}. Nearest: {name}, {distance}.'
+        },
+        summaryPinApprox: {
+            one: '{count} help center, sorted by approximate distance from PIN code {pin}. Nearest: {name}, {distance}.',
+            other: '{count} help centers, sorted by approximate distance from PIN code {pin}. Nearest: {name}, {distance}.'
+        },
+        noResults: 'No help centers match these filters.',
+        distanceAway: '{distance} away',
+        services: 'Services:',
+        openAllDay: 'Open 24 hours',
+        openUntil: 'Open now, until {time}',
+        closedOpens: 'Closed, opens {time}',
+        call: 'Call',
+        directions: 'Directions',
+        directionsTo: 'to {name} (opens in a new tab)',
+        showOnMap: 'Show on map',
+        heading: 'Find the nearest center',
+        pinLabel: 'Or sort by PIN code',
+        sort: 'Sort',
+        pinHelp: '6-digit Indian PIN code',
+        typeLabel: 'Type',
+        allTypes: 'All types',
+        serviceLabel: 'Service',
+        allServices: 'All services',
+        openNow: 'Open now only',
+        useLocation: 'Use my location'
+    },
+    settings: {
+        title: 'Accessibility settings',
+        close: 'Close',
+        done: 'Done',
+        presetsHeading: 'Presets',
+        presetsHelp: 'A preset changes several settings at once. You can still adjust each one afterwards.',
+        presets: {
+            lowVision: 'Low vision',
+            dyslexia: 'Dyslexia',
+            motor: 'Motor'
+        },
+        presetApplied: '{preset} preset applied',
+        theme: 'Theme',
+        themeLight: 'Light',
+        themeDark: 'Dark',
+        fontSize: 'Font size',
+        sizes: {
+            normal: 'Normal',
+            large: 'Large',
+            extraLarge: 'Extra large'
+        },
+        lineSpacingLabel: 'Line spacing',
+        lineSpacing: {
+            normal: 'Normal',
+            relaxed: 'Relaxed',
+            loose: 'Extra loose'
+        },
+        cursorSizeLabel: 'Mouse pointer size',
+        cursorSize: {
+            normal: 'Normal',
+            large: 'Large',
+            'extra-large': 'Extra large'
+        },
+        motion: 'Animations',
+        motionSystem: 'Follow my device setting',
+        motionReduce: 'Always reduce',
+        language: 'Language',
+        highContrast: 'High contrast',
+        colorBlindPatterns: 'Add patterns to colored areas (color-blind friendly)',
+        colorVision: 'Color vision',
+        colorVisionHelp: 'Patterns are added to colored areas while a mode is on.',
+        colorVisionFilter: 'Color filter',
+        colorVisionFilters: {
+            correct: 'Correct colors for me',
+            simulate: 'Simulate, to see how others see the page'
+        },
+        audio: 'Read clicked and focused items aloud',
+        readingHeading: 'Reading mode',
+        readingHelp: 'An easier-to-read font with wider spacing and shorter lines. Line spacing above applies too.',
+        readingMode: 'Use reading mode',
+        letterSpacingLabel: 'Letter spacing',
+        wordSpacingLabel: 'Word spacing',
+        textSpacing: {
+            normal: 'Normal',
+            wide: 'Wide',
+            wider: 'Extra wide'
+        },
+        lineLengthLabel: 'Line length',
+        lineLength: {
+            medium: 'Medium (about 70 letters)',
+            narrow: 'Short (about 55 letters)',
+            none: 'Full width'
+        },
+        readingRulerLabel: 'Reading guide',
+        readingRuler: {
+            off: 'None',
+            ruler: 'Reading ruler',
+            focus: 'Line focus (dim the rest of the page)'
+        },
+        readingRulerHelp: 'Follows the mouse and keyboard focus. Alt + Shift + Up or Down moves it a line.',
+        hideDecorative: 'Hide decorative images and icons',
+        captionHeading: 'Video captions',
+        captionHelp: '"Automatic" follows your font size and high contrast settings.',
+        captionSizeLabel: 'Caption size',
+        captionSize: {
+            auto: 'Automatic',
+            small: 'Small',
+            medium: 'Medium',
+            large: 'Large',
+            'x-large': 'Extra large'
+        },
+        captionBackgroundLabel: 'Caption background',
+        captionBackground: {
+            auto: 'Automatic',
+            dark: 'Dark, see-through',
+            light: 'Light',
+            transparent: 'None (outlined text)',
+            'high-contrast': 'Black with yellow text'
+        },
+        scanningHeading: 'Switch access',
+        scanningHelp: 'For one switch or sip-and-puff: a highlight moves through the page areas, then the groups inside them, then each control. Press your switch to choose the highlighted item.',
+        switchScanning: 'Use switch scanning',
+        scanIntervalLabel: 'Highlight moves every',
+        scanInterval: {
+            750: '0.75 seconds',
+            1000: '1 second',
+            1500: '1.5 seconds',
+            2000: '2 seconds',
+            3000: '3 seconds',
+            5000: '5 seconds'
+        },
+        scanKeyLabel: 'Switch key',
+        scanKeyChange: 'Change',
+        scanKeyHelp: 'Space by default. Choose Change, then press the key your switch sends.',
+        scanKeyPrompt: 'Press the key your switch sends, or Escape to cancel',
+        scanKeySet: 'Switch key set to {key}',
+        scanKeySpace: 'Space',
+                profileHeading: 'Use these settings on another device',
+        profileHelp: 'Save your settings to a file, then open that file here on any other device.',
+        export: 'Save settings to a file',
+        import: 'Load settings from a file',
+        exported: 'Settings saved to {file}',
+        imported: {
+            one: 'Imported {count} setting',
+            other: 'Imported {count} settings'
+        },
+        importFailed: 'That file is not an accessibility profile exported from this site',
+        shortcutsSkipped: {
+            one: '{count} keyboard shortcut could not be used on this device and kept its default.',
+            other: '{count} keyboard shortcuts could not be used on this device and kept their defaults.'
+        },
+        shortcuts: 'Keyboard shortcuts',
+        reset: 'Reset everything',
+        resetDone: 'All settings are back to their defaults',
+        announce: {
+            theme: 'Switched to {theme} theme',
+            fontSize: 'Font size changed to {size}',
+            highContrastOn: 'High contrast mode enabled',
+            highContrastOff: 'High contrast mode disabled',
+            audioOn: 'Screen reader mode enabled. Click on elements to hear them read aloud.',
+            audioOff: 'Screen reader mode disabled',
+            audioIntro: '{title}. Main heading: {heading}',
+            reset: 'All accessibility settings and keyboard shortcuts have been reset to their defaults',
+            motion: {
+                system: 'Animations follow your device setting',
+                reduce: 'Animations reduced'
+            },
+            patternsOn: 'Color patterns enabled',
+            patternsOff: 'Color patterns disabled',
+            lineSpacing: 'Line spacing changed to {spacing}',
+            cursorSize: 'Cursor size changed to {size}',
+            readingModeOn: 'Reading mode enabled',
+            readingModeOff: 'Reading mode disabled',
+            letterSpacing: 'Letter spacing changed to {spacing}',
+            wordSpacing: 'Word spacing changed to {spacing}',
+            lineLength: 'Line length changed to {length}',
+            readingRuler: {
+                off: 'Reading ruler off',
+                ruler: 'Reading ruler on',
+                focus: 'Line focus on'
+            },
+            decorativeHidden: 'Decorative images and icons hidden in reading mode',
+            decorativeShown: 'Decorative images and icons shown',
+            captionSize: 'Caption size changed to {size}',
+            captionBackground: 'Caption background changed to {background}',
+            scanningOn: 'Switch scanning on. Press {key} to select the highlighted item.',
+            scanningOff: 'Switch scanning off',
+            scanKey: 'Switch key set to {key}'
+        }
+    },
+    colorVision: {
+        modes: {
+            none: 'Normal colors',
+            protanopia: 'Protanopia (red-blind)',
+            deuteranopia: 'Deuteranopia (green-blind)',
+            tritanopia: 'Tritanopia (blue-blind)',
+            achromatopsia: 'Achromatopsia (no color)'
+        },
+        simulate: 'Preview how the page looks (simulate)',
+        announce: {
+            off: 'Color vision filters off',
+            correct: 'Correcting colors for {mode}',
+            simulate: 'Simulating {mode}'
+        }
+    },
+    shortcuts: {
+        title: 'Keyboard shortcuts',
+        intro: 'Use these keys anywhere on the site. To change one, choose Change and press the new keys.',
+        close: 'Close',
+        done: 'Done',
+        action: 'Action',
+        keys: 'Shortcut',
+        change: 'Change',
+        changeLabel: 'Change shortcut for {action}',
+        reset: 'Reset',
+        resetLabel: 'Reset shortcut for {action}',
+        resetAll: 'Reset all to defaults',
+        resetDone: 'All shortcuts are back to their defaults',
+        unassigned: 'Not set',
+        pressKeys: 'Press the new keys, or Escape to cancel',
+        cancelled: 'Shortcut not changed',
+        changed: '{action} is now {keys}',
+        needsModifier: '{keys} cannot be used. Include Ctrl or Alt so typing is not affected.',
+        reserved: '{keys} is used by the browser. Choose another combination.',
+        conflict: '{keys} is already used for {action}. Choose another combination.',
+        failed: 'The shortcut could not be changed',
+        helpOpened: 'Keyboard shortcuts dialog opened. You can change any shortcut here.',
+        loaded: 'Accessibility features loaded. Press {keys} for help with keyboard shortcuts.',
+        loadedNoHelp: 'Accessibility features loaded.',
+        jumpedToMain: 'Jumped to main content',
+        jumpedToNavigation: 'Jumped to navigation',
+        jumpedToSearch: 'Jumped to search',
+        groups: {
+            navigation: 'Navigation',
+            display: 'Display',
+            speech: 'Speech and voice'
+        },
+        actions: {
+            jumpToMain: 'Jump to main content',
+            jumpToNavigation: 'Jump to navigation',
+            jumpToSearch: 'Jump to search',
+            showHelp: 'Show keyboard shortcuts',
+            toggleTheme: 'Toggle dark theme',
+            increaseFont: 'Increase font size',
+            decreaseFont: 'Decrease font size',
+            resetFont: 'Reset font size',
+            toggleContrast: 'Toggle high contrast',
+            toggleReadingMode: 'Toggle reading mode',
+            rulerUp: 'Move reading ruler up a line',
+            rulerDown: 'Move reading ruler down a line',
+            toggleSwitchScanning: 'Toggle switch scanning',
+            cycleColorVision: 'Next color vision mode',
+            toggleScreenReader: 'Toggle screen reader mode',
+            readPage: 'Read page aloud / pause reading',
+            toggleVoice: 'Toggle voice commands'
+        }
+    },
+    reader: {
+        label: 'Page reader',
+        controls: 'Reading controls',
+        play: 'Play',
+        pause: 'Pause',
+        stop: 'Stop',
+        close: 'Close page reader',
+        previousHeading: 'Previous heading',
+        nextHeading: 'Next heading',
+        previousSentence: 'Previous sentence',
+        nextSentence: 'Next sentence',
+        position: 'Sentence {position} of {total}',
+        rate: 'Speed',
+        pitch: 'Pitch',
+        voice: 'Voice',
+        defaultVoice: 'Default voice',
+        paused: 'Reading paused',
+        stopped: 'Reading stopped',
+        finished: 'Finished reading the page',
+        nothingToRead: 'There is nothing to read on this page',
+        noNextHeading: 'No more headings',
+        noPreviousHeading: 'No earlier headings',
+        error: 'Reading stopped because of a speech error',
+        unsupported: 'Reading aloud is not supported in this browser'
+    },
+    voice: {
+        listening: 'Voice commands on. Say "help" to hear what you can say.',
+        stopped: 'Voice commands off',
+        startFailed: 'Voice commands could not start',
+        permissionDenied: 'Microphone access was blocked, so voice commands are off',
+        error: 'Voice recognition problem: {error}',
+        heard: 'Heard "{command}".',
+        notUnderstood: 'Sorry, "{command}" is not a voice command. Say "help" for a list.',
+        commandFailed: '"{command}" could not be completed',
+        help: 'You can say: go to schemes, go to a city name, search followed by words, next result, previous result, open result, read page, pause, next sentence, next heading, stop reading, call helpline, increase font, decrease font, high contrast, and stop listening.',
+        opening: 'Opening {page}',
+        goingBack: 'Going back',
+        unknownPage: 'There is no page called {page}',
+        searching: 'Searching for {query}. Say "next result" to hear the results.',
+        searchUnavailable: 'Search is not available on this page',
+        noResults: 'There are no search results. Say "search" followed by what you are looking for.',
+        noActiveResult: 'No result is selected. Say "next result" first.',
+        result: 'Result {position} of {total}: {title}',
+        readingStopped: 'Stopped reading',
+        readUnavailable: 'Reading aloud is not supported in this browser',
+        calling: 'Calling the {name} disability helpline on {number}',
+        nationalHelpline: 'national',
+        fontSize: 'Font size is now {size}',
+        fontLargest: 'Font size is already the largest',
+        fontSmallest: 'Font size is already the smallest',
+        contrastOn: 'High contrast is on',
+        contrastOff: 'High contrast is off'
+    },
+    offline: {
+        banner: 'You are offline, showing saved data from {date}',
+        bannerNoDate: 'You are offline, showing saved data',
+        backOnline: 'You are back online. Showing live information.'
+    },
+    eligibility: {
+        progress: 'Step {step} of {total}',
+        next: 'Next',
+        showResults: 'Show my schemes',
+        invalidRange: 'Please enter a number from {min} to {max}, or leave it blank',
+        invalidPositive: 'Please enter a number of 0 or more, or leave it blank',
+        loading: 'Checking schemes...',
+        summary: {
+            one: '{count} scheme matches your answers and {check} more may match.',
+            other: '{count} schemes match your answers and {check} more may match.'
+        },
+        loadError: 'Schemes could not be loaded right now. Please try again, or call 1800-111-555 for help.',
+        groups: {
+            eligible: 'Likely eligible ({count})',
+            check: 'You may qualify, check these ({count})',
+            ineligible: 'Not a match ({count})'
+        },
+        status: {
+            met: 'Meets:',
+            missed: 'Does not meet:',
+            unknown: 'Check:'
+        },
+        criteria: {
+            organisation: 'For organisations such as NGOs, not individuals',
+            stateNational: 'Available in every state',
+            stateMet: 'Available in {state}',
+            stateOnly: 'Only for people living in {state}',
+            typeAny: 'Open to all disability types',
+            typeSome: 'Covers {types}',
+            typeMet: 'Covers {type}',
+            typeMissed: 'Only covers {types}',
+            percentage: 'Needs at least {min}% disability',
+            percentageWithValue: 'Needs at least {min}% disability (you entered {value}%)',
+            percentageNoCertificate: 'Needs a disability certificate showing at least {min}%',
+            certificate: 'Needs a disability certificate from a competent authority',
+            age: 'For ages {range}',
+            ageWithValue: 'For ages {range} (you entered {value})',
+            income: 'Yearly family income up to {max}',
+            incomeWithValue: 'Yearly family income up to {max} (you entered {value})',
+            female: 'Only for girls and women'
+        },
+        types: {
+            'locomotor': 'locomotor disability',
+            'visual': 'blindness or low vision',
+            'hearing-speech': 'hearing or speech disability',
+            'intellectual': 'intellectual or learning disability',
+            'mental-illness': 'mental illness',
+            'autism': 'autism',
+            'multiple': 'multiple disabilities',
+            'other': 'other disabilities'
+        },
+        ageBetween: '{min} to {max}',
+        ageMin: '{min} and over',
+        ageMax: 'up to {max}',
+        documents: 'Documents to prepare:',
+        viewDetails: 'View scheme details'
+    },
+    tracker: {
+        start: 'Start application',
+        openApplication: 'Open my application',
+        open: 'Open',
+        started: 'Application for {scheme} started',
+        startFailed: 'The application could not be started. Please check your connection and try again.',
+        saved: 'Saved on this device',
+        saveFailed: 'Could not save. Your browser storage may be full or turned off.',
+        documentsReady: {
+            one: '{ready} of {count} document ready',
+            other: '{ready} of {count} documents ready'
+        },
+        confirmDelete: 'Delete your saved progress for {scheme}? This cannot be undone.',
+        deleted: 'Application for {scheme} deleted',
+        referenceLabel: 'Reference:',
+        reminderLabel: 'Reminder:',
+        reminderDue: 'Reminder for your {scheme} application',
+        dismissReminder: 'Dismiss reminder',
+        reminderDismissed: 'Reminder dismissed',
+        downloaded: 'Summary saved to {file}',
+        statuses: {
+            gathering: 'Collecting documents',
+            ready: 'Ready to submit',
+            submitted: 'Submitted',
+            review: 'Under review',
+            approved: 'Approved',
+            rejected: 'Rejected'
+        },
+        summaryTitle: 'My scheme applications',
+        summaryIntro: 'Prepared on {date}. Take this with your original documents to the Common Service Center or office.',
+        statusLabel: 'Status',
+        referenceNumber: 'Application or reference number',
+        startedOn: 'Started',
+        submittedOn: 'Date submitted',
+        helpline: 'Helpline',
+        notYet: 'Not yet',
+        documentsHeading: 'Documents',
+        docReady: 'Ready',
+        docNeeded: 'Still needed',
+        processHeading: 'How to apply',
+        notesHeading: 'Notes'
+    },
+    filters: {
+        restored: 'Filters restored: {filters}. {results}',
+        cleared: 'Filters cleared. {results}',
+        copied: 'Link copied',
+        linkCopied: 'Link copied. Anyone who opens it sees these results.',
+        copyPrompt: 'Copy this link to share these results:',
+        copyLink: 'Copy link to these results'
+    },
+    schemes: {
+        shown: {
+            one: 'Showing {shown} of {count} scheme',
+            other: 'Showing {shown} of {count} schemes'
+        },
+        noMatches: 'No schemes match these filters. Try another type or fewer words.',
+        loadMoreFailed: 'More schemes could not be loaded. Please check your connection and try again.',
+        allSchemes: 'All Schemes',
+        filterLabel: 'Filter by Type:',
+        nationalSchemes: 'National Schemes',
+        stateSchemes: 'State-specific Schemes',
+        filterHelp: 'Filter schemes by coverage area',
+        searchLabel: 'Search Schemes:',
+        searchHelp: 'Search through all available schemes',
+        sortLabel: 'Sort by:',
+        sortDefault: 'Default order',
+        sortNameAsc: 'Name (A to Z)',
+        sortNameDesc: 'Name (Z to A)',
+        sortState: 'State',
+        applyFilters: 'Apply filters',
+        eligibilityIntro: 'Answer five short questions. You can skip any question you are not sure about. Your answers are checked on this device and are not sent anywhere.',
+        stateQuestion: 'Which state or union territory do you live in?',
+        stateLabel: 'State or union territory',
+        ratherNotSay: 'I\'d rather not say',
+        stateHelp: 'State schemes are only open to people living in that state.',
+        typeQuestion: 'What type of disability do you have?',
+        typeLocomotor: 'Locomotor (movement) disability, including cerebral palsy and dwarfism',
+        typeVisual: 'Blindness or low vision',
+        typeHearingSpeech: 'Deaf, hard of hearing, or speech and language disability',
+        typeIntellectual: 'Intellectual or specific learning disability',
+        typeMentalIllness: 'Mental illness',
+        typeAutism: 'Autism spectrum disorder',
+        typeMultiple: 'Multiple disabilities',
+        typeOther: 'Another disability, such as a chronic neurological condition or blood disorder',
+        percentageQuestion: 'What percentage of disability is on your certificate?',
+        percentageLabel: 'Disability percentage',
+        percentageHelp: 'Leave blank if you are not sure.',
+        noCertificate: 'I do not have a disability certificate yet',
+        ageQuestion: 'How old are you?',
+        ageLabel: 'Age in years',
+        ageHelp: 'If you are applying for someone else, enter their age. Leave blank to skip.',
+        incomeQuestion: 'What is your family\'s yearly income?',
+        incomeLabel: 'Yearly family income in rupees',
+        incomeHelp: 'For example, 120000 for one lakh twenty thousand. Leave blank to skip.',
+        resultsHeading: 'Your Results',
+        trackerPrivacy: 'Saved only on this device. Nothing here is sent to us or to any government office.',
+        trackerStatus: 'Status',
+        trackerReference: 'Application or reference number',
+        trackerReferenceHelp: 'The number on your receipt from the office or website',
+        trackerDocuments: 'Documents',
+        trackerSubmitted: 'Date submitted',
+        trackerReminder: 'Remind me on',
+        trackerReminderHelp: 'A reminder appears on this site from that day',
+        trackerReminderNote: 'Reminder note',
+        trackerNotes: 'Notes',
+        trackerProcess: 'How to apply',
+        done: 'Done',
+        viewAll: 'View All Schemes',
+        availableHeading: 'Available Schemes',
+        description: 'Description',
+        eligibilityCriteria: 'Eligibility Criteria',
+        benefits: 'Benefits',
+        applicationProcess: 'Application Process',
+        requiredDocuments: 'Required Documents',
+        contactInformation: 'Contact Information',
+        close: 'Close modal',
+        noSchemesHeading: 'No Schemes Found',
+        noSchemesText: 'No schemes are currently available for the selected criteria.',
+        viewOptions: 'View options',
+        searchPlaceholder: 'Search by scheme name or benefits...',
+        trackerReminderPlaceholder: 'For example: call the district office about my certificate',
+        heading: 'Government Schemes & Benefits',
+        eligibilityHeading: 'Check Which Schemes You Qualify For',
+        back: 'Back',
+        changeAnswers: 'Change my answers',
+        trackerHeading: 'My Applications',
+        printAll: 'Print all',
+        trackerDelete: 'Delete',
+        trackerDownload: 'Download summary',
+        trackerPrint: 'Print or save as PDF',
+        eligibility: 'Eligibility',
+        howToApply: 'How to Apply',
+        fullDetails: 'Full Details',
+        startApplication: 'Start application',
+        callNow: 'Call Now',
+        showMore: 'Show more schemes',
+        lead: 'Comprehensive list of disability schemes and benefits available across India',
+        leadCity: 'Comprehensive list of disability schemes and benefits available in',
+        cityFilterBefore: 'Showing schemes available for',
+        cityFilterAfter: 'and national schemes.'
+    },
+    events: {
+        shown: {
+            one: 'Showing {shown} of {count} event',
+            other: 'Showing {shown} of {count} events'
+        },
+        views: {
+            cards: 'Showing events as cards',
+            month: 'Showing the month calendar',
+            agenda: 'Showing the agenda'
+        },
+        today: 'today',
+        dayEventCount: {
+            one: '{count} event',
+            other: '{count} events'
+        },
+        noEventsShort: 'no events',
+        moreEvents: '+{count} more',
+        dayHeading: 'Events on {date}',
+        noEventsOnDay: 'No events on this day.',
+        noMatches: 'No events match these filters.',
+        ongoing: 'On now',
+        details: 'Details',
+        addToCalendar: 'Add to calendar',
+        dateRange: '{start} to {end}',
+        icsOrganizer: 'Organizer',
+        icsContact: 'Contact',
+        icsRegistration: 'Registration required',
+        icsDownloaded: {
+            one: '{count} event saved to {file}. Open it to add it to your calendar.',
+            other: '{count} events saved to {file}. Open it to add them to your calendar.'
+        },
+        bookmark: 'Bookmark and remind me',
+        bookmarked: 'Bookmarked, reminder on',
+        bookmarkAdded: 'Bookmarked. You will be reminded {days} days before {title}.',
+        bookmarkRemoved: 'Bookmark removed. You will not be reminded about {title}.',
+        reminderDays: '{title} starts in {count} days',
+        reminderTomorrow: '{title} starts tomorrow',
+        reminderToday: '{title} starts today',
+        reminderOngoing: '{title} is on now',
+        viewEvent: 'View event',
+        dismissReminder: 'Dismiss reminder',
+        reminderDismissed: 'Reminder dismissed',
+        allEvents: 'All Events',
+        typeLabel: 'Event Type:',
+        allTypes: 'All Types',
+        typeNational: 'National Events',
+        typeRegional: 'Regional Events',
+        typeLocal: 'Local Events',
+        typeHelp: 'Filter by event scope',
+        periodLabel: 'Time Period:',
+        allDates: 'All Dates',
+        upcoming: 'Upcoming Events',
+        periodThisMonth: 'This Month',
+        periodNextMonth: 'Next Month',
+        periodHelp: 'Filter by date range',
+        searchLabel: 'Search Events:',
+        searchHelp: 'Search through all events',
+        sortLabel: 'Sort by:',
+        sortDateAsc: 'Date (soonest first)',
+        sortDateDesc: 'Date (latest first)',
+        sortTitle: 'Title (A to Z)',
+        sortHelp: 'Order of the event cards',
+        applyFilters: 'Apply filters',
+        viewAll: 'View All Events',
+        previousMonth: 'Previous month',
+        nextMonth: 'Next month',
+        calendarHelp: 'Use the arrow keys to move between days, Page Up and Page Down to change month, and Enter to list the events on a day.',
+        organizerLabel: 'Organizer:',
+        venueLabel: 'Venue:',
+        cityLabel: 'City:',
+        registrationLabel: 'Registration:',
+        contactLabel: 'Contact for more information:',
+        descriptionHeading: 'Event Description',
+        dateTimeHeading: 'Date & Time',
+        registrationHeading: 'Registration',
+        organizerHeading: 'Organizer',
+        venueHeading: 'Venue',
+        contactHeading: 'Contact Information',
+        close: 'Close modal',
+        requiredNote: 'Fields marked with * are required.',
+        emailHelp: 'Your confirmation and any changes to the event are sent here',
+        phoneLabel: 'Phone',
+        needsLegend: 'Accessibility needs',
+        needsHelp: 'Tell the organizer what to arrange for you. Choose all that apply.',
+        needSignLanguage: 'Indian Sign Language interpreter',
+        needWheelchair: 'Wheelchair access',
+        needCaptioning: 'Live captioning',
+        needsNotesLabel: 'Other needs or details',
+        needsNotesHelp: 'For example a companion, large print, a quiet room or dietary needs',
+        privacyPolicy: 'Privacy Policy',
+        contactDetailsHeading: 'Contact Details:',
+        phoneDetailLabel: 'Phone:',
+        eventLabel: 'Event:',
+        noEventsHeading: 'No Events Found',
+        noEventsText: 'No events are currently scheduled for the selected criteria.',
+        organizeHeading: 'Want to Organize an Event?',
+        organizeText: 'If you\'re organizing a disability-related event and want it featured on our platform, we\'d love to help you reach more people.',
+        filterOptions: 'Filter options',
+        searchPlaceholder: 'Search by title or description...',
+        viewSwitchLabel: 'Show events as',
+        changeMonth: 'Change month',
+        closeRegistration: 'Close registration form',
+        heading: 'Events & Programs',
+        addAllToCalendar: 'Add these events to my calendar (.ics)',
+        call: 'Call',
+        registerNow: 'Register Now',
+        openToAll: 'Open to All',
+        viewDetails: 'View Details',
+        contactOrganizer: 'Contact Organizer',
+        registerByContact: 'To register for this event, please contact the organizer directly.',
+        registrationClosed: 'Registration for this event has closed.',
+        register: 'Register',
+        deadlineNote: 'Registration deadline may apply. Please contact organizer for details.',
+        callToRegister: 'Call to Register',
+        submitEvent: 'Submit Event',
+        emailUs: 'Email Us',
+        leadCity: 'Discover upcoming events, training programs, and opportunities in',
+        lead: 'Discover upcoming events, training programs, and opportunities across India',
+        cityFilterBefore: 'Showing events for',
+        cityFilterAfter: 'and national events.',
+        viewCards: 'Cards',
+        viewMonth: 'Month',
+        viewAgenda: 'Agenda',
+        badgeNational: 'National Event',
+        badgeRegional: 'Regional Event',
+        badgeLocal: 'Local Event',
+        required: 'Required',
+        notRequired: 'Not Required',
+        dateTo: 'to',
+        registerFor: 'Register for',
+        nameLabel: 'Full name',
+        emailLabel: 'Email',
+        consent: 'I agree that my details and needs are shared with the organizer, as described in the',
+        todayButton: 'Today'
+    },
+    registration: {
+        sending: 'Registering...',
+        offline: 'You are offline. Registration needs a connection, or you can call the organizer to register.',
+        failed: 'Your registration could not be sent. Please try again or call the organizer.',
+        closed: 'Registration for this event has closed.',
+        confirmed: 'You are registered for {title}. Your reference number is {reference}.',
+        registeredFor: 'You are registered for {title}.',
+        qrLabel: 'QR code for reference {reference}',
+        referenceLabel: 'Your reference number:',
+        showAtVenue: 'Show this code at the venue or quote the reference when you call the organizer.',
+        needsHeading: 'Accessibility needs sent to the organizer',
+        noNeeds: 'None',
+        accommodations: {
+            'sign-language': 'Indian Sign Language interpreter',
+            wheelchair: 'Wheelchair access',
+            captioning: 'Live captioning'
+        },
+        cancel: 'Cancel registration',
+        confirmCancel: 'Cancel your registration for {title}? The organizer will no longer expect you.',
+        cancelled: 'Your registration {reference} has been cancelled.',
+        cancelFailed: 'Your registration could not be cancelled right now. Please try again or call the organizer.',
+        registeredButton: 'Registered',
+        viewRegistration: 'View your registration for {title}'
+    },
+    scanning: {
+        entered: 'Scanning {name}',
+        back: 'Back up a level',
+        results: 'Scanning search results',
+        choose: 'Choosing {name}',
+        chosen: '{option} chosen',
+        paused: 'Scanning paused while you type. Press Enter or Escape, or stop typing for a moment, to carry on.'
+    },
+    media: {
+        captions: 'Captions',
+        captionsOff: 'Off',
+        transcriptLanguage: 'Transcript language',
+        transcript: 'Transcript',
+        search: 'Search the transcript',
+        matches: {
+            one: '{count} line matches "{query}"',
+            other: '{count} lines match "{query}"'
+        },
+        transcriptError: 'The transcript could not be loaded.'
+    },
+    isl: {
+        watch: 'ISL video',
+        watchLabel: 'Watch "{title}" in Indian Sign Language',
+        opened: 'Sign language video: {title}',
+        close: 'Close sign language video',
+        move: 'Move player',
+        resize: 'Resize player',
+        moveHelp: 'Use the arrow keys to move the player. Hold Shift with the arrow keys to make it bigger or smaller.',
+        keysHelp: 'Space plays or pauses. Left and right arrows go back or forward. C turns captions on or off. Escape closes the player.',
+        play: 'Play',
+        pause: 'Pause',
+        back: 'Back {seconds} seconds',
+        forward: 'Forward {seconds} seconds',
+        speed: 'Playback speed',
+        speedChanged: 'Speed {speed}×',
+        captions: 'Captions',
+        captionsOn: 'Captions on',
+        captionsOff: 'Captions off',
+        popOut: 'Play in a separate window',
+        error: 'This video could not be played. Please try again later.'
+    },
+    contentVariants: {
+        easyRead: 'Easy read',
+        easyReadShown: 'Easy read version shown',
+        standardShown: 'Standard version shown'
+    },
+    autosave: {
+        heading: 'You have an unsent draft',
+        savedAt: 'This form was partly filled in on this device on {time}. Contact details and ID numbers were not saved and need to be entered again.',
+        restore: 'Restore draft',
+        discard: 'Discard draft',
+        available: 'An unsent draft of this form was found. Use the Restore draft or Discard draft button at the top of the form.',
+        restored: 'Draft restored. Check the details before sending.',
+        discarded: 'Draft discarded.'
+    },
+    contact: {
+        sending: 'Sending...',
+        sent: 'Thank you! Your message has been sent. We will respond within 24 hours.',
+        queuedSent: 'Your saved message "{subject}" has now been sent.',
+        quoteReference: 'Quote this reference number if you call us about this message:',
+        queued: 'You are offline. Your message is saved on this device and will be sent automatically when you are back online. You will get a reference number then.',
+        rejected: 'Your saved message "{subject}" could not be sent. Open the Contact page to correct it.',
+        openForm: 'Open the contact form',
+        failed: 'Your message could not be sent or saved. Please call 1800-111-555 or try again later.',
+        dismiss: 'Dismiss',
+        lead: 'Get in touch with us for support, feedback, or to suggest new resources for the disability community',
+        methodsHeading: 'Get in Touch',
+        phoneHeading: 'Phone Support',
+        phoneText: 'Speak with our support team for immediate assistance',
+        nationalHelpline: 'National Helpline',
+        nationalHelplineHours: 'Toll-free • 24/7 Available',
+        grievanceCell: 'Grievance Cell',
+        officeHours: 'Mon-Fri, 9:00 AM - 6:00 PM',
+        emailHeading: 'Email Support',
+        emailText: 'Send us detailed queries and get comprehensive responses',
+        generalSupport: 'General Support',
+        generalSupportResponse: 'Response within 24 hours',
+        grievanceRedressal: 'Grievance Redressal',
+        grievanceRedressalText: 'For complaints and suggestions',
+        addressHeading: 'Office Address',
+        addressText: 'Visit our regional offices for in-person assistance',
+        headOffice: 'Head Office',
+        formHeading: 'Send Us a Message',
+        firstNameLabel: 'First Name *',
+        firstNameHelp: 'Enter your first name',
+        lastNameLabel: 'Last Name *',
+        lastNameHelp: 'Enter your last name',
+        emailLabel: 'Email Address *',
+        emailHelp: 'We\'ll respond to this email address',
+        phoneLabel: 'Phone Number',
+        phoneHelp: 'Optional. A 10-digit mobile number, for example 98765 43210',
+        cityLabel: 'City',
+        cityChoose: 'Select your city',
+        cityHelp: 'Helps us provide relevant information',
+        inquiryLabel: 'Inquiry Type *',
+        inquiryChoose: 'Select inquiry type',
+        inquirySchemes: 'Scheme Information',
+        inquiryDocumentation: 'Documentation Help',
+        inquiryAccessibility: 'Accessibility Issue',
+        inquiryGrievance: 'Grievance/Complaint',
+        inquiryResource: 'Resource Suggestion',
+        inquiryTechnical: 'Technical Support',
+        other: 'Other',
+        inquiryHelp: 'Select the most relevant category',
+        subjectLabel: 'Subject *',
+        subjectHelp: 'Brief description of your inquiry',
+        messageLabel: 'Message *',
+        messageHelp: 'Provide detailed information about your inquiry',
+        newsletter: 'I would like to receive updates about new schemes and services',
+        privacyPolicy: 'Privacy Policy',
+        termsOfService: 'Terms of Service',
+        officesHeading: 'Regional Offices',
+        regionNorth: 'Northern Region',
+        coverage: 'Coverage:',
+        regionWest: 'Western Region',
+        regionSouth: 'Southern Region',
+        regionEast: 'Eastern Region',
+        faqHeading: 'Frequently Asked Questions',
+        faqResponseQuestion: 'How quickly will I receive a response to my inquiry?',
+        faqResponseAnswer: 'We aim to respond to all inquiries within 24 hours for email submissions and immediately for phone calls during business hours. Urgent matters and grievances are prioritized and addressed within 4-6 hours.',
+        faqLanguagesQuestion: 'Can I get assistance in regional languages?',
+        faqLanguagesAnswer: 'Yes, our helpline supports multiple regional languages including Hindi, Bengali, Tamil, Telugu, Marathi, Gujarati, and Kannada. You can also submit forms in your preferred language, and we\'ll respond accordingly.',
+        faqIssueQuestion: 'What information should I include when reporting an accessibility issue?',
+        faqIssueAnswer: 'Please provide: specific location/website, type of accessibility barrier, your disability type, date and time of incident, any documentation or photos if available, and your contact information for follow-up.',
+        faqSuggestQuestion: 'How can I suggest new resources or services for the platform?',
+        faqSuggestAnswer: 'We welcome suggestions! Use the contact form with "Resource Suggestion" as the inquiry type, or email us directly at support@disabilitysupport.gov.in. Include details about the resource, its benefits, and how it helps the disability community.',
+        callHelpline: 'Call Helpline',
+        sendMessage: 'Send Message',
+        resetForm: 'Reset Form',
+        consentBefore: 'I agree to the',
+        consentAnd: 'and'
+    },
+    footer: {
+        aboutHeading: 'About Us',
+        aboutText: 'Empowering individuals with disabilities across India by providing comprehensive information about services, benefits, and support.',
+        quickLinks: 'Quick Links',
+        governmentSchemes: 'Government Schemes',
+        knowYourRights: 'Know Your Rights',
+        emergencyHelp: 'Emergency Help',
+        contactUs: 'Contact Us',
+        emergencyContacts: 'Emergency Contacts',
+        nationalEmergency: 'National Emergency:',
+        disabilityHelpline: 'Disability Helpline:',
+        email: 'Email:',
+        copyright: 'Disability Support India. All rights reserved.',
+        compliance: 'Compliant with RPWD Act 2016 & WCAG 2.1 AA Standards'
+    },
+    home: {
+        heroTitle: 'Empowering Lives,',
+        heroHighlight: 'Enabling Dreams',
+        heroLead: 'Your comprehensive digital platform for disability services, benefits, and support across India. Access city-specific information tailored to your needs. For further info contact helplines.',
+        getStarted: 'Get Started',
+        selectCityHeading: 'Select Your City',
+        selectCityLead: 'Choose your city to access personalized disability services and support information',
+        selectCityLabel: 'Select Your City:',
+        chooseCity: 'Choose your city...',
+        cityHelp: 'This will customize the information based on your location',
+        selectCityPrompt: 'Please select a city',
+        go: 'Go',
+        detectLocation: 'Auto-detect Location',
+        detecting: 'Finding your location...',
+        nearestHeading: 'Supported cities near you',
+        nearestCenter: 'Closest help center: {center}',
+        nearestFound: 'Nearest supported city: {city}, {distance} away. It has been selected for you.',
+        nearestFar: 'No supported city within {radius} km. The closest is {city}, {distance} away.',
+        distanceUnderOne: 'less than 1 km',
+        noCities: 'No supported cities could be loaded. Please choose your city from the list.',
+        locationUnsupported: 'Location detection is not available in this browser. Please choose your city from the list.',
+        locationDenied: 'Location permission was not given. Please choose your city from the list.',
+        locationUnavailable: 'Your location could not be found. Please choose your city from the list.',
+        locationTimeout: 'Finding your location took too long. Please try again or choose your city from the list.',
+        locationFailed: 'Your location could not be detected. Please choose your city from the list.',
+        getStartedLabel: 'Select your city to get started',
+        emergencyHelpLabel: 'Access emergency help',
+        goLabel: 'Go to city dashboard',
+        detectLocationLabel: 'Auto-detect your location',
+        quickAccessHeading: 'Quick Access Services',
+        schemesTitle: 'Government Schemes',
+        schemesText: 'Access national and state-specific disability schemes and benefits',
+        schemesLabel: 'View government schemes',
+        learnMore: 'Learn More',
+        productsTitle: 'Assistive Products',
+        productsText: 'Find aids, devices, and technologies to support independent living',
+        productsLabel: 'View assistive products',
+        explore: 'Explore',
+        rightsTitle: 'Know Your Rights',
+        rightsText: 'Understand your rights under RPWD Act 2016 and other laws',
+        rightsLabel: 'View legal rights information',
+        readMore: 'Read More',
+        emergencyTitle: 'Emergency Help',
+        emergencyText: '24/7 helplines and emergency support services',
+        getHelp: 'Get Help',
+        statsHeading: 'Making a Difference',
+        statSchemes: 'Government Schemes',
+        statCenters: 'Help Centers',
+        statCities: 'Cities Covered',
+        statSupport: 'Support Available',
+        updatesHeading: 'Recent Updates',
+        updateSchemeBadge: 'New Scheme',
+        updateUdidTitle: 'Enhanced UDID Services',
+        updateUdidText: 'New online portal for faster UDID application and renewal process launched nationwide.',
+        updateUdidDate: 'Updated 2 days ago',
+        updateEventBadge: 'Event',
+        updateDayTitle: 'National Disability Day',
+        updateDayText: 'Special events and awareness programs scheduled across major cities.',
+        updateDayDate: 'December 3, 2025',
+        updateDevicesBadge: 'Technology',
+        updateDevicesTitle: 'New Assistive Devices',
+        updateDevicesText: 'Latest assistive technologies now available through government subsidy programs.',
+        updateDevicesDate: 'Updated 1 week ago'
+    },
+    legalRights: {
+        lead: 'Comprehensive guide to your rights under the Rights of Persons with Disabilities Act, 2016 and other legal protections',
+        actHeading: 'Rights of Persons with Disabilities Act, 2016',
+        landmarkHeading: 'A Landmark Legislation',
+        landmarkText: 'The RPWD Act 2016 replaces the Persons with Disabilities Act 1995, expanding the definition of disabilities from 7 to 21 types and strengthening rights and entitlements.',
+        easyActLaw: 'The RPWD Act is a law. It started in 2016.',
+        easyActProtects: 'This law protects the rights of people with disabilities.',
+        easyActKinds: 'The law lists 21 kinds of disability. The old law had only 7.',
+        easyActCertificate: 'For most help, your disability certificate must say 40% or more.',
+        easyActJobs: '4 out of every 100 government jobs are kept for people with disabilities.',
+        statTypes: 'Types of Disabilities',
+        statMinimum: 'Minimum Disability %',
+        statReservation: 'Reservation in Jobs',
+        fundamentalHeading: 'Your Fundamental Rights',
+        equalityHeading: 'Right to Equality',
+        equalityText: 'Equal treatment and non-discrimination in all spheres of life including employment, education, and access to goods and services.',
+        educationHeading: 'Right to Education',
+        educationText: 'Free and compulsory education up to 18 years with reasonable accommodations and inclusive education.',
+        accessibilityHeading: 'Right to Accessibility',
+        accessibilityText: 'Access to physical environment, transportation, information and communication technologies.',
+        livingHeading: 'Right to Independent Living',
+        livingText: 'Choose where and with whom to live, access to community support services and personal assistance.',
+        easyEquality: 'You must be treated the same as everyone else.',
+        easyEqualityText: 'No one can treat you badly because of your disability. This is true at work, at school, in shops and in offices.',
+        easyEducation: 'Children with disabilities can go to school for free until they are 18.',
+        easyEducationText: 'Schools must help you learn. For example, you can get extra time in exams.',
+        easyAccessibility: 'Buildings, buses and trains must be easy for you to use.',
+        easyAccessibilityText: 'Information must come in a way you can use, like Braille, sign language or easy read.',
+        easyLiving: 'You can choose where you live and who you live with.',
+        easyLivingText: 'You can get help at home and in your community.',
+        typesHeading: '21 Recognized Types of Disabilities',
+        typeBlindness: '1. Blindness',
+        typeLowVision: '2. Low-vision',
+        typeDeaf: '3. Deaf',
+        typeHardOfHearing: '4. Hard of hearing',
+        typeSpeech: '5. Speech and language disability',
+        typeLocomotor: '6. Locomotor disability',
+        typeCerebralPalsy: '7. Cerebral palsy',
+        typeDwarfism: '8. Dwarfism',
+        typeMuscularDystrophy: '9. Muscular dystrophy',
+        typeAcidAttack: '10. Acid attack victims',
+        typeIntellectual: '11. Intellectual disability',
+        typeLearning: '12. Specific learning disabilities',
+        typeAutism: '13. Autism spectrum disorder',
+        typeMentalIllness: '14. Mental illness',
+        typeNeurological: '15. Chronic neurological conditions',
+        typeBlood: '16. Blood disorders',
+        typeMultipleSclerosis: '17. Multiple sclerosis',
+        typeParkinsons: '18. Parkinson\'s disease',
+        typeHemophilia: '19. Hemophilia',
+        typeThalassemia: '20. Thalassemia',
+        typeSickleCell: '21. Sickle cell disease',
+        easyTypes: 'The law lists 21 kinds of disability.',
+        easyTypesSenses: 'Some are about seeing or hearing.',
+        easyTypesMoving: 'Some are about moving your body.',
+        easyTypesLearning: 'Some are about learning, thinking or feelings.',
+        easyTypesIllness: 'Some are illnesses that last a long time, like thalassemia or hemophilia.',
+        easyTypesSwitch: 'Switch off easy read to see all 21 names.',
+        documentsHeading: 'Required Documentation',
+        certificateHeading: 'Disability Certificate',
+        certificateText: 'Issued by competent medical authority certifying minimum 40% disability',
+        udidHeading: 'UDID Card',
+        udidText: 'Unique Disability Identity Card for unified access to benefits',
+        medicalHeading: 'Medical Records',
+        medicalText: 'Supporting medical documents and assessment reports',
+        identityHeading: 'Identity & Address Proof',
+        identityText: 'Aadhaar card, passport, or other government-issued ID',
+        easyDocuments: 'You need some papers to get help.',
+        easyDocumentsCertificate: 'A disability certificate. A government doctor gives it to you.',
+        easyDocumentsUdid: 'A UDID card. Ask for it on the website swavlambancard.gov.in.',
+        easyDocumentsMedical: 'Papers from your doctor or hospital.',
+        easyDocumentsIdentity: 'A paper that shows who you are and where you live. For example, your Aadhaar card.',
+        complaintsHeading: 'Complaint Redressal Mechanism',
+        commissionerText: 'Each state has a Commissioner for Persons with Disabilities to address grievances and ensure implementation of the Act.',
+        powersHeading: 'Powers & Functions:',
+        powerInvestigate: '• Investigate complaints',
+        powerMonitor: '• Monitor implementation of schemes',
+        powerSuoMoto: '• Take suo-moto cognizance',
+        powerRecommend: '• Recommend corrective measures',
+        courtsText: 'Special courts designated for speedy trial of offences under the RPWD Act 2016.',
+        jurisdictionHeading: 'Jurisdiction:',
+        jurisdictionDiscrimination: '• Discrimination cases',
+        jurisdictionViolation: '• Violation of rights',
+        jurisdictionAccessibility: '• Accessibility non-compliance',
+        jurisdictionAccommodation: '• Denial of reasonable accommodation',
+        easyComplaints: 'If someone treats you unfairly because of your disability, you can complain.',
+        easyComplaintsCommissioner: 'Each state has a Disability Commissioner. They listen to complaints and help fix problems.',
+        easyComplaintsCourts: 'There are special courts for cases about disability rights.',
+        timeLimitText: 'Complaints can be filed with the State Commissioner within 2 months of the incident. Extensions may be granted for sufficient cause.',
+        easyTimeLimit: 'Complain within 2 months of what happened.',
+        easyTimeLimitLate: 'If you are late, tell them why. They may still listen.',
+        easyHelp: 'Need help? Call 1800-111-555.',
+        heading: 'Legal Rights & Documentation',
+        legalHelpline: 'Legal Helpline',
+        equalityEmployment: 'Equal opportunities in employment',
+        equalityEducation: 'Non-discrimination in education',
+        equalityServices: 'Equal access to public services',
+        educationFree: 'Free education up to age 18',
+        educationExams: 'Reasonable accommodations in exams',
+        educationInfrastructure: 'Accessible infrastructure',
+        accessibilityBuildings: 'Barrier-free access to buildings',
+        accessibilityTransport: 'Accessible public transport',
+        accessibilityFormats: 'Information in accessible formats',
+        livingCommunity: 'Community living options',
+        livingAssistance: 'Personal assistance services',
+        livingSupport: 'Support for independent living',
+        groupVisual: 'Visual Impairments',
+        groupHearing: 'Hearing Impairments',
+        groupSpeech: 'Speech & Language',
+        groupPhysical: 'Physical Disabilities',
+        groupIntellectual: 'Intellectual Disabilities',
+        groupOther: 'Other Conditions',
+        certificateValidity: 'Valid for lifetime for permanent disabilities',
+        udidApply: 'Apply online at www.swavlambancard.gov.in',
+        medicalUse: 'Required for initial assessment and periodic reviews',
+        identityUse: 'Required for all government schemes and benefits',
+        commissionerHeading: 'State Disability Commissioner',
+        courtsHeading: 'Special Courts',
+        timeLimitHeading: 'How to File a Complaint',
+        fileComplaint: 'File Complaint'
+    },
+    city: {
+        notFoundHeading: 'City Not Found',
+        backHome: 'Go Back to Home',
+        emergencyHelpline: 'Emergency Helpline',
+        helpCenters: 'Help Centers',
+        assistiveTech: 'Assistive Tech',
+        emergency: 'Emergency',
+        viewAllSchemes: 'View all available schemes',
+        mapHelp: 'Focus the map and use the arrow keys to pan, plus and minus to zoom. Use the list to move between help centers with the up and down arrow keys.',
+        mapListHeading: 'Centers on this map',
+        certificatesText: 'Apply for or renew your disability certificate',
+        certificatesAssessment: '• Medical assessment',
+        certificatesVerification: '• Document verification',
+        certificatesOnline: '• Online application support',
+        udidText: 'Get your Unique Disability Identity Card',
+        udidSingle: '• Single identity document',
+        udidServices: '• Access to multiple services',
+        udidPortal: '• Online portal available',
+        employmentText: 'Job assistance and skill development',
+        employmentPlacement: '• Job placement services',
+        employmentSkills: '• Skill development programs',
+        employmentReservation: '• Reservation information',
+        educationText: 'Educational assistance and scholarships',
+        educationScholarships: '• Scholarship applications',
+        educationQuotas: '• Reservation quotas',
+        educationCenters: '• Special education centers',
+        nationalEmergency: 'National Emergency',
+        nationalHelpline: 'National Disability Helpline',
+        emergencyLabel: 'Get emergency help',
+        mapHeading: 'Help Centers on the Map',
+        servicesHeading: 'Key Services Available',
+        certificatesHeading: 'Disability Certificates',
+        udidHeading: 'UDID Registration',
+        employmentHeading: 'Employment Support',
+        educationHeading: 'Education Support',
+        nearbyHeading: 'Nearby Help Centers',
+        emergencyContactsHeading: 'Emergency Contacts',
+        lead: 'Comprehensive disability support services in',
+        featuredHeading: 'Featured Schemes for',
+        noSchemes: 'No specific schemes data available for',
+        moreServices: 'more',
+        noHelpCenters: 'No help center data available for',
+        disabilityHelpline: 'Disability Helpline'
+    },
+    emergency: {
+        lead: '24/7 helplines, emergency services, and immediate support for persons with disabilities',
+        numbersHeading: 'Emergency Contact Numbers',
+        nationalEmergency: 'National Emergency',
+        nationalEmergencyText: 'All emergencies - Police, Fire, Medical',
+        disabilityHelpline: 'Disability Helpline',
+        disabilityHelplineText: '24/7 disability support and guidance',
+        medicalEmergency: 'Medical Emergency',
+        medicalEmergencyText: 'Ambulance and medical assistance',
+        womenChildHelpline: 'Women & Child Helpline',
+        womenChildHelplineText: 'Women and children in distress',
+        specializedHeading: 'Specialized Helplines',
+        nimhans: 'NIMHANS Helpline',
+        nimhansText: 'Mental health support and guidance',
+        kiran: 'KIRAN Mental Health Helpline',
+        kiranText: '24/7 mental health support',
+        vandrevala: 'Vandrevala Foundation',
+        vandrevalaText: 'Crisis intervention and support',
+        nalsa: 'National Legal Services Authority',
+        nalsaText: 'Free legal aid and advice',
+        rightsHelpline: 'Disability Rights Helpline',
+        rightsHelplineText: 'Rights violation complaints',
+        humanRights: 'Human Rights Commission',
+        humanRightsText: 'Human rights violations',
+        cityHeading: 'City-specific Emergency Services',
+        delhiPolice: 'Delhi Police Helpline',
+        delhiFire: 'Delhi Fire Service',
+        delhiDisability: 'Delhi Disability Helpline',
+        mumbaiPolice: 'Mumbai Police Helpline',
+        mumbaiFire: 'Mumbai Fire Brigade',
+        mumbaiDisability: 'Mumbai Disability Helpline',
+        bangalorePolice: 'Bangalore Police Helpline',
+        bangaloreFire: 'Bangalore Fire Service',
+        bangaloreDisability: 'Bangalore Disability Helpline',
+        tipsHeading: 'Emergency Preparedness Tips',
+        tipContacts: 'Keep emergency contacts handy',
+        tipContactsText: 'Store important numbers in your phone and keep a written copy',
+        tipCard: 'Medical information card',
+        tipCardText: 'Carry details about your disability, medications, and emergency contacts',
+        tipKit: 'Emergency kit',
+        tipKitText: 'Keep essential medications, batteries for devices, and backup equipment',
+        tipEvacuation: 'Know your evacuation plan',
+        tipEvacuationText: 'Identify accessible exits and safe meeting points',
+        tipCalm: 'Stay calm and assess the situation',
+        tipCalmText: 'Take a moment to understand what\'s happening and your options',
+        tipCall: 'Call for help immediately',
+        tipCallText: 'Dial 112 or the appropriate emergency number',
+        tipCommunicate: 'Communicate your disability',
+        tipCommunicateText: 'Inform responders about your specific needs and assistive devices',
+        tipInstructions: 'Follow instructions from authorities',
+        tipInstructionsText: 'Ask for clarification if instructions are not accessible to you',
+        onlineHeading: 'Online Support & Resources',
+        nonEmergencyHeading: 'Need Non-Emergency Support?',
+        nonEmergencyText: 'Get help with schemes, documentation, accessibility issues, or general guidance',
+        heading: 'Emergency Help & Support',
+        call112: 'Call 112 Now',
+        mentalHealthHeading: 'Mental Health Helplines',
+        legalAidHeading: 'Legal Aid Helplines',
+        beforeHeading: 'Before an Emergency',
+        duringHeading: 'During an Emergency',
+        onlineForm: 'Online Form',
+        availability: 'Helpline available 24/7 • Email responses within 24 hours'
+    },
+    reservations: {
+        lead: 'Complete guide to reservations and quotas for persons with disabilities in education, employment, and government services',
+        statJobs: 'Government Jobs',
+        statEducation: 'Higher Education',
+        statLand: 'Land Allotment',
+        statElected: 'Elected Bodies',
+        higherEducationHeading: 'Higher Education (5% Reservation)',
+        higherEducationText: 'Reserved seats in colleges and universities for persons with benchmark disabilities',
+        institutionsHeading: 'Covered Institutions:',
+        categoriesHeading: 'Disability Categories:',
+        categoryBlindness: 'Blindness',
+        categoryLowVision: 'Low Vision',
+        categoryHearing: 'Hearing Impairment',
+        categoryLocomotor: 'Locomotor Disability',
+        categoryCerebralPalsy: 'Cerebral Palsy',
+        categoryAutism: 'Autism',
+        categoryIntellectual: 'Intellectual Disability',
+        schoolHeading: 'School Education',
+        schoolText: 'Inclusive education policies ensuring access to quality education',
+        jobsHeading: 'Government Jobs (4% Reservation)',
+        jobsText: 'Reserved positions in central and state government departments',
+        centralHeading: 'Central Government:',
+        groupA: '• Group A: 4%',
+        groupB: '• Group B: 4%',
+        groupC: '• Group C: 4%',
+        groupD: '• Group D: 4%',
+        stateHeading: 'State Government:',
+        class1: '• Class I: 4%',
+        class2: '• Class II: 4%',
+        class3: '• Class III: 4%',
+        class4: '• Class IV: 4%',
+        subQuotasHeading: 'Sub-quotas within 4%:',
+        subQuotaVisual: 'Visual Impairment: 1%',
+        subQuotaHearing: 'Hearing Impairment: 1%',
+        subQuotaLocomotor: 'Locomotor Disability: 1%',
+        subQuotaMultiple: 'Multiple Disabilities: 1%',
+        privateHeading: 'Private Sector',
+        privateText: 'Incentives and guidelines for private employers',
+        educationLabel: 'Education:',
+        employmentLabel: 'Employment:',
+        specialLabel: 'Special:',
+        stepCertificate: 'Obtain Disability Certificate',
+        stepCertificateText: 'Get certified by a competent medical authority with at least 40% disability',
+        stepUdid: 'Apply for UDID Card',
+        stepUdidText: 'Register for Unique Disability Identity Card for unified access to benefits',
+        stepApply: 'Submit Applications',
+        stepApplyText: 'Apply for educational institutions or jobs mentioning disability category',
+        stepDocuments: 'Provide Documentation',
+        stepDocumentsText: 'Submit required certificates and documents during application process',
+        stateDetailsHeading: 'State-wise Reservation Details',
+        columnState: 'State',
+        columnEducation: 'Education',
+        columnEmployment: 'Employment',
+        columnSpecial: 'Special Provisions',
+        andhraSpecial: 'Free travel, pension schemes',
+        delhiSpecial: 'Free metro travel, disability pensions',
+        gujaratSpecial: 'Assistive device subsidies',
+        keralaSpecial: 'Barrier-free infrastructure',
+        punjabSpecial: 'Land allotment, tax exemptions',
+        westBengalSpecial: 'Monthly allowances, free aids',
+        close: 'Close',
+        heading: 'Reservation Information',
+        educationalHeading: 'Educational Reservations',
+        institutionCentral: 'Central Universities',
+        institutionState: 'State Universities',
+        institutionTechnical: 'IITs, IIMs, NITs',
+        institutionProfessional: 'Medical and Engineering Colleges',
+        institutionTeacher: 'Teacher Training Institutes',
+        schoolFree: 'Free education up to 18 years',
+        schoolExams: 'Reasonable accommodation in examinations',
+        schoolTime: 'Additional time allowances',
+        schoolInfrastructure: 'Accessible infrastructure',
+        employmentHeading: 'Employment Reservations',
+        privateTax: 'Tax benefits for hiring PWDs',
+        privateCompliance: 'Accessibility compliance requirements',
+        privateOpportunity: 'Equal opportunity policies',
+        statesHeading: 'State-wise Reservation Policies',
+        viewAllStates: 'View All States',
+        howToApplyHeading: 'How to Apply for Reservations',
+        maharashtraEducation: '5% in colleges',
+        maharashtraEmployment: '4% in state jobs',
+        maharashtraSpecial: 'Additional quota in professional courses',
+        karnatakaEducation: '5% + super-numerary seats',
+        karnatakaEmployment: '4% in all categories',
+        karnatakaSpecial: 'Free bus passes',
+        tamilNaduEducation: '5% horizontal reservation',
+        tamilNaduEmployment: '4% across all services',
+        tamilNaduSpecial: 'Land allotment preferences'
+    }
+});
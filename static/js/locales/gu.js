@@ -0,0 +1,122 @@
+/**
+ * Disability Support India - Gujarati messages
+ * Missing keys fall back to the English catalog
+ */
+
+window.DisabilitySupportI18n.registerMessages('gu', {
+    site: {
+        name: 'દિવ્યાંગ સહાય ભારત',
+        skipToMain: 'મુખ્ય સામગ્રી પર જાઓ'
+    },
+    language: {
+        changed: 'ભાષા બદલીને {language} કરવામાં આવી'
+    },
+    toolbar: {
+        label: 'સુલભતા વિકલ્પો',
+        selectLanguage: 'ભાષા પસંદ કરો',
+        darkTheme: 'ડાર્ક થીમ',
+        lightTheme: 'લાઇટ થીમ',
+        switchToDark: 'ડાર્ક થીમ પર જાઓ',
+        switchToLight: 'લાઇટ થીમ પર જાઓ',
+        fontSize: 'અક્ષરનું કદ',
+        fontLarge: 'અક્ષર: મોટું',
+        fontExtraLarge: 'અક્ષર: ખૂબ મોટું',
+        fontSizeNormalLabel: 'અક્ષરનું કદ: સામાન્ય. મોટું કરવા ક્લિક કરો',
+        fontSizeLargeLabel: 'અક્ષરનું કદ: મોટું. ખૂબ મોટું કરવા ક્લિક કરો',
+        fontSizeExtraLargeLabel: 'અક્ષરનું કદ: ખૂબ મોટું. સામાન્ય કરવા ક્લિક કરો',
+        highContrast: 'ઉચ્ચ કોન્ટ્રાસ્ટ',
+        highContrastOn: 'ઉચ્ચ કોન્ટ્રાસ્ટ: ચાલુ',
+        highContrastOnLabel: 'ઉચ્ચ કોન્ટ્રાસ્ટ ચાલુ છે. બંધ કરવા ક્લિક કરો',
+        highContrastOffLabel: 'ઉચ્ચ કોન્ટ્રાસ્ટ બંધ છે. ચાલુ કરવા ક્લિક કરો',
+        audio: 'ઑડિયો',
+        audioOn: 'ઑડિયો: ચાલુ',
+        audioOnLabel: 'સ્ક્રીન રીડર મોડ ચાલુ છે. બંધ કરવા ક્લિક કરો',
+        audioOffLabel: 'સ્ક્રીન રીડર મોડ બંધ છે. ચાલુ કરવા ક્લિક કરો'
+    },
+    nav: {
+        toggle: 'નેવિગેશન ખોલો અથવા બંધ કરો',
+        home: 'હોમ',
+        homeLabel: 'હોમ પેજ',
+        schemes: 'યોજનાઓ',
+        schemesLabel: 'યોજનાઓ અને લાભો',
+        assistiveProducts: 'સહાયક સાધનો',
+        assistiveProductsLabel: 'સહાયક સાધનો',
+        events: 'કાર્યક્રમો',
+        eventsLabel: 'કાર્યક્રમો અને આયોજનો',
+        reservations: 'અનામત',
+        reservationsLabel: 'અનામતની માહિતી',
+        legalRights: 'કાનૂની અધિકારો',
+        legalRightsLabel: 'કાનૂની અધિકારો',
+        emergencyHelp: 'કટોકટી સહાય',
+        emergencyHelpLabel: 'કટોકટી સહાય'
+    },
+    search: {
+        placeholder: 'સેવાઓ શોધો...',
+        label: 'દિવ્યાંગ સેવાઓ શોધો',
+        submit: 'શોધો',
+        resultsRegion: 'શોધ પરિણામો',
+        searching: 'શોધી રહ્યા છીએ...',
+        noResults: '"{query}" માટે કોઈ પરિણામ મળ્યું નથી',
+        tryDifferent: 'અલગ શબ્દોથી પ્રયાસ કરો',
+        invalidResponse: 'જવાબનું સ્વરૂપ અમાન્ય છે',
+        unavailable: 'શોધ હાલમાં ઉપલબ્ધ નથી',
+        announceNone: '{query} માટે કોઈ શોધ પરિણામ મળ્યું નથી',
+        announceCount: {
+            one: '{query} માટે {count} શોધ પરિણામ મળ્યું',
+            other: '{query} માટે {count} શોધ પરિણામો મળ્યા'
+        },
+        types: {
+            scheme: 'યોજના',
+            help_center: 'સહાય કેન્દ્ર',
+            event: 'કાર્યક્રમ'
+        }
+    },
+    validation: {
+        required: 'આ ક્ષેત્ર જરૂરી છે',
+        email: 'કૃપા કરીને માન્ય ઇમેઇલ સરનામું દાખલ કરો',
+        phone: 'કૃપા કરીને માન્ય ફોન નંબર દાખલ કરો',
+        formErrors: 'કૃપા કરીને ફોર્મની ભૂલો સુધારો'
+    },
+    announce: {
+        cityChanged: 'શહેર બદલીને {city} કરવામાં આવ્યું',
+        menuExpanded: 'મેનૂ ખુલ્યું',
+        menuCollapsed: 'મેનૂ બંધ થયું',
+        scrollToTopLabel: 'પાનાની ટોચ પર જાઓ',
+        scrolledToTop: 'પાનાની ટોચ પર પહોંચ્યા',
+        pageLoaded: 'પાનું લોડ થયું: {title}',
+        pageLoadedWithHeading: 'પાનું લોડ થયું: {title}. મુખ્ય શીર્ષક: {heading}',
+        selectedFiles: 'પસંદ કરેલી ફાઇલો: {files}'
+    },
+    footer: {
+        aboutHeading: 'અમારા વિશે',
+        aboutText: 'સેવાઓ, લાભો અને સહાયની સંપૂર્ણ માહિતી આપીને સમગ્ર ભારતમાં દિવ્યાંગજનોને સશક્ત બનાવવા.',
+        quickLinks: 'ઝડપી લિંક્સ',
+        governmentSchemes: 'સરકારી યોજનાઓ',
+        knowYourRights: 'તમારા અધિકારો જાણો',
+        emergencyHelp: 'કટોકટી સહાય',
+        contactUs: 'અમારો સંપર્ક કરો',
+        emergencyContacts: 'કટોકટી સંપર્કો',
+        nationalEmergency: 'રાષ્ટ્રીય કટોકટી નંબર:',
+        disabilityHelpline: 'દિવ્યાંગ હેલ્પલાઇન:',
+        email: 'ઇમેઇલ:',
+        copyright: 'દિવ્યાંગ સહાય ભારત. સર્વાધિકાર સુરક્ષિત.',
+        compliance: 'RPWD અધિનિયમ 2016 અને WCAG 2.1 AA ધોરણો અનુસાર'
+    },
+    home: {
+        heroTitle: 'જીવનને સશક્ત બનાવવું,',
+        heroHighlight: 'સપનાં સાકાર કરવાં',
+        heroLead: 'સમગ્ર ભારતમાં દિવ્યાંગ સેવાઓ, લાભો અને સહાય માટે તમારું ડિજિટલ પ્લેટફોર્મ. તમારી જરૂરિયાત મુજબ શહેરની માહિતી મેળવો. વધુ માહિતી માટે હેલ્પલાઇનનો સંપર્ક કરો.',
+        getStarted: 'શરૂ કરો',
+        selectCityHeading: 'તમારું શહેર પસંદ કરો',
+        selectCityLead: 'વ્યક્તિગત દિવ્યાંગ સેવાઓ અને સહાયની માહિતી માટે તમારું શહેર પસંદ કરો',
+        selectCityLabel: 'તમારું શહેર પસંદ કરો:',
+        chooseCity: 'તમારું શહેર પસંદ કરો...',
+        cityHelp: 'આનાથી તમારા સ્થાન મુજબ માહિતી બતાવવામાં આવશે',
+        selectCityPrompt: 'કૃપા કરીને એક શહેર પસંદ કરો',
+        go: 'જાઓ',
+        detectLocation: 'સ્થાન આપમેળે શોધો',
+        quickAccessHeading: 'ઝડપી સેવાઓ',
+        statsHeading: 'પરિવર્તન તરફ',
+        updatesHeading: 'તાજેતરની માહિતી'
+    }
+});
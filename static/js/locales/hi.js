@@ -0,0 +1,274 @@
+/**
+ * Disability Support India - Hindi messages
+ * Missing keys fall back to the English catalog
+ */
+
+window.DisabilitySupportI18n.registerMessages('hi', {
+    site: {
+        name: 'दिव्यांग सहायता भारत',
+        skipToMain: 'मुख्य सामग्री पर जाएँ'
+    },
+    language: {
+        changed: 'भाषा बदलकर {language} की गई'
+    },
+    toolbar: {
+        label: 'सुगम्यता विकल्प',
+        selectLanguage: 'भाषा चुनें',
+        darkTheme: 'डार्क थीम',
+        lightTheme: 'लाइट थीम',
+        switchToDark: 'डार्क थीम पर जाएँ',
+        switchToLight: 'लाइट थीम पर जाएँ',
+        fontSize: 'फ़ॉन्ट आकार',
+        fontLarge: 'फ़ॉन्ट: बड़ा',
+        fontExtraLarge: 'फ़ॉन्ट: बहुत बड़ा',
+        fontSizeNormalLabel: 'फ़ॉन्ट आकार: सामान्य। बड़ा करने के लिए क्लिक करें',
+        fontSizeLargeLabel: 'फ़ॉन्ट आकार: बड़ा। बहुत बड़ा करने के लिए क्लिक करें',
+        fontSizeExtraLargeLabel: 'फ़ॉन्ट आकार: बहुत बड़ा। सामान्य करने के लिए क्लिक करें',
+        highContrast: 'उच्च कंट्रास्ट',
+        highContrastOn: 'उच्च कंट्रास्ट: चालू',
+        highContrastOnLabel: 'उच्च कंट्रास्ट चालू है। बंद करने के लिए क्लिक करें',
+        highContrastOffLabel: 'उच्च कंट्रास्ट बंद है। चालू करने के लिए क्लिक करें',
+        audio: 'ऑडियो',
+        audioOn: 'ऑडियो: चालू',
+        audioOnLabel: 'स्क्रीन रीडर मोड चालू है। बंद करने के लिए क्लिक करें',
+        audioOffLabel: 'स्क्रीन रीडर मोड बंद है। चालू करने के लिए क्लिक करें',
+        colorVision: 'रंग दृष्टि',
+        colorVisionOn: 'रंग: {mode}',
+        colorVisionLabel: 'रंग दृष्टि मोड: {mode}',
+        readPage: 'पेज पढ़ें',
+        voice: 'आवाज़',
+        voiceOn: 'आवाज़: चालू',
+        voiceOnLabel: 'आवाज़ से आदेश चालू हैं। सुनना बंद करने के लिए क्लिक करें',
+        voiceOffLabel: 'आवाज़ से आदेश बंद हैं। सुनना शुरू करने के लिए क्लिक करें',
+        shortcuts: 'शॉर्टकट',
+        settings: 'सभी सेटिंग्स',
+        readingMode: 'पढ़ने का मोड',
+        readingModeOn: 'पढ़ने का मोड: चालू',
+        readingModeOnLabel: 'पढ़ने का मोड चालू है। बंद करने के लिए क्लिक करें',
+        readingModeOffLabel: 'पढ़ने का मोड बंद है। चालू करने के लिए क्लिक करें'
+    },
+    colorVision: {
+        modes: {
+            none: 'सामान्य रंग',
+            protanopia: 'प्रोटानोपिया (लाल रंग न दिखना)',
+            deuteranopia: 'ड्यूटेरानोपिया (हरा रंग न दिखना)',
+            tritanopia: 'ट्राइटानोपिया (नीला रंग न दिखना)',
+            achromatopsia: 'एक्रोमैटोप्सिया (कोई रंग न दिखना)'
+        },
+        simulate: 'देखें कि पेज कैसा दिखता है (सिमुलेशन)',
+        announce: {
+            off: 'रंग दृष्टि फ़िल्टर बंद',
+            correct: '{mode} के लिए रंग सुधारे जा रहे हैं',
+            simulate: '{mode} का सिमुलेशन'
+        }
+    },
+    nav: {
+        toggle: 'नेविगेशन खोलें या बंद करें',
+        home: 'होम',
+        homeLabel: 'होम पेज',
+        schemes: 'योजनाएँ',
+        schemesLabel: 'योजनाएँ और लाभ',
+        assistiveProducts: 'सहायक उपकरण',
+        assistiveProductsLabel: 'सहायक उपकरण',
+        events: 'कार्यक्रम',
+        eventsLabel: 'कार्यक्रम और आयोजन',
+        reservations: 'आरक्षण',
+        reservationsLabel: 'आरक्षण की जानकारी',
+        legalRights: 'कानूनी अधिकार',
+        legalRightsLabel: 'कानूनी अधिकार',
+        emergencyHelp: 'आपातकालीन सहायता',
+        emergencyHelpLabel: 'आपातकालीन सहायता'
+    },
+    search: {
+        placeholder: 'सेवाएँ खोजें...',
+        label: 'दिव्यांग सेवाएँ खोजें',
+        submit: 'खोजें',
+        resultsRegion: 'खोज परिणाम',
+        searching: 'खोज जारी है...',
+        noResults: '"{query}" के लिए कोई परिणाम नहीं मिला',
+        tryDifferent: 'अलग शब्दों से खोजकर देखें',
+        invalidResponse: 'उत्तर का प्रारूप अमान्य है',
+        unavailable: 'खोज अभी उपलब्ध नहीं है',
+        announceNone: '{query} के लिए कोई खोज परिणाम नहीं मिला',
+        announceCount: {
+            one: '{query} के लिए {count} खोज परिणाम मिला',
+            other: '{query} के लिए {count} खोज परिणाम मिले'
+        },
+        types: {
+            city: 'शहर',
+            scheme: 'योजना',
+            help_center: 'सहायता केंद्र',
+            event: 'कार्यक्रम'
+        }
+    },
+    validation: {
+        required: 'यह फ़ील्ड आवश्यक है',
+        email: 'कृपया मान्य ईमेल पता दर्ज करें',
+        phone: 'कृपया मान्य फ़ोन नंबर दर्ज करें',
+        formErrors: 'कृपया फ़ॉर्म की त्रुटियाँ ठीक करें',
+        mobile: 'कृपया 10 अंकों का मोबाइल नंबर दर्ज करें, जैसे 98765 43210',
+        pin: 'कृपया 6 अंकों का पिन कोड दर्ज करें, जैसे 110001',
+        summaryHeading: {
+            one: 'इस फ़ॉर्म में 1 समस्या है',
+            other: 'इस फ़ॉर्म में {count} समस्याएँ हैं'
+        }
+    },
+    announce: {
+        cityChanged: 'शहर बदलकर {city} किया गया',
+        menuExpanded: 'मेनू खुला',
+        menuCollapsed: 'मेनू बंद हुआ',
+        scrollToTopLabel: 'पेज के ऊपर जाएँ',
+        scrolledToTop: 'पेज के ऊपर पहुँच गए',
+        pageLoaded: 'पेज लोड हुआ: {title}',
+        pageLoadedWithHeading: 'पेज लोड हुआ: {title}। मुख्य शीर्षक: {heading}',
+        selectedFiles: 'चुनी गई फ़ाइलें: {files}'
+    },
+    offline: {
+        banner: 'आप ऑफ़लाइन हैं, {date} का सहेजा गया डेटा दिखाया जा रहा है',
+        bannerNoDate: 'आप ऑफ़लाइन हैं, सहेजा गया डेटा दिखाया जा रहा है',
+        backOnline: 'आप फिर से ऑनलाइन हैं। ताज़ा जानकारी दिखाई जा रही है।'
+    },
+    filters: {
+        restored: 'फ़िल्टर वापस लगाए गए: {filters}। {results}',
+        copied: 'लिंक कॉपी हो गया'
+    },
+    scanning: {
+        back: 'एक स्तर ऊपर',
+        results: 'खोज परिणाम स्कैन हो रहे हैं',
+        paused: 'टाइप करते समय स्कैनिंग रुकी है। जारी रखने के लिए Enter या Escape दबाएं, या कुछ देर टाइप करना रोकें।'
+    },
+    media: {
+        captions: 'कैप्शन',
+        captionsOff: 'बंद',
+        transcript: 'लिखित पाठ',
+        search: 'लिखित पाठ में खोजें'
+    },
+    isl: {
+        watch: 'ISL वीडियो',
+        watchLabel: '"{title}" भारतीय सांकेतिक भाषा में देखें',
+        close: 'सांकेतिक भाषा वीडियो बंद करें',
+        play: 'चलाएं',
+        pause: 'रोकें',
+        captions: 'कैप्शन',
+        error: 'यह वीडियो नहीं चल सका। कृपया बाद में फिर से कोशिश करें।'
+    },
+    contentVariants: {
+        easyRead: 'आसान भाषा',
+        easyReadShown: 'आसान भाषा वाला रूप दिखाया गया',
+        standardShown: 'सामान्य रूप दिखाया गया'
+    },
+    autosave: {
+        heading: 'आपका एक ड्राफ़्ट अभी भेजा नहीं गया है',
+        restore: 'ड्राफ़्ट वापस लाएँ',
+        discard: 'ड्राफ़्ट हटाएँ',
+        restored: 'ड्राफ़्ट वापस लाया गया। भेजने से पहले जानकारी जाँच लें।',
+        discarded: 'ड्राफ़्ट हटाया गया।'
+    },
+    footer: {
+        aboutHeading: 'हमारे बारे में',
+        aboutText: 'सेवाओं, लाभों और सहायता की पूरी जानकारी देकर पूरे भारत में दिव्यांगजनों को सशक्त बनाना।',
+        quickLinks: 'त्वरित लिंक',
+        governmentSchemes: 'सरकारी योजनाएँ',
+        knowYourRights: 'अपने अधिकार जानें',
+        emergencyHelp: 'आपातकालीन सहायता',
+        contactUs: 'संपर्क करें',
+        emergencyContacts: 'आपातकालीन संपर्क',
+        nationalEmergency: 'राष्ट्रीय आपातकाल:',
+        disabilityHelpline: 'दिव्यांग हेल्पलाइन:',
+        email: 'ईमेल:',
+        copyright: 'दिव्यांग सहायता भारत। सर्वाधिकार सुरक्षित।',
+        compliance: 'आरपीडब्ल्यूडी अधिनियम 2016 और WCAG 2.1 AA मानकों के अनुरूप'
+    },
+    home: {
+        heroTitle: 'जीवन को सशक्त बनाना,',
+        heroHighlight: 'सपनों को साकार करना',
+        heroLead: 'पूरे भारत में दिव्यांग सेवाओं, लाभों और सहायता के लिए आपका डिजिटल मंच। अपनी ज़रूरतों के अनुसार शहर की जानकारी पाएँ। अधिक जानकारी के लिए हेल्पलाइन से संपर्क करें।',
+        getStarted: 'शुरू करें',
+        selectCityHeading: 'अपना शहर चुनें',
+        selectCityLead: 'व्यक्तिगत दिव्यांग सेवाओं और सहायता की जानकारी के लिए अपना शहर चुनें',
+        selectCityLabel: 'अपना शहर चुनें:',
+        chooseCity: 'अपना शहर चुनें...',
+        cityHelp: 'इससे आपके स्थान के अनुसार जानकारी दिखाई जाएगी',
+        selectCityPrompt: 'कृपया एक शहर चुनें',
+        go: 'जाएँ',
+        detectLocation: 'स्थान स्वतः पहचानें',
+        detecting: 'आपका स्थान खोजा जा रहा है...',
+        nearestHeading: 'आपके पास के समर्थित शहर',
+        getStartedLabel: 'शुरू करने के लिए अपना शहर चुनें',
+        emergencyHelpLabel: 'आपातकालीन सहायता पाएँ',
+        goLabel: 'शहर के डैशबोर्ड पर जाएँ',
+        detectLocationLabel: 'अपना स्थान स्वतः पहचानें',
+        quickAccessHeading: 'त्वरित सेवाएँ',
+        schemesTitle: 'सरकारी योजनाएँ',
+        schemesText: 'राष्ट्रीय और राज्य की दिव्यांग योजनाएँ और लाभ देखें',
+        schemesLabel: 'सरकारी योजनाएँ देखें',
+        learnMore: 'और जानें',
+        productsTitle: 'सहायक उपकरण',
+        productsText: 'स्वतंत्र जीवन के लिए सहायक साधन, उपकरण और तकनीक खोजें',
+        productsLabel: 'सहायक उपकरण देखें',
+        explore: 'देखें',
+        rightsTitle: 'अपने अधिकार जानें',
+        rightsText: 'आरपीडब्ल्यूडी अधिनियम 2016 और अन्य कानूनों के तहत अपने अधिकार समझें',
+        rightsLabel: 'कानूनी अधिकारों की जानकारी देखें',
+        readMore: 'और पढ़ें',
+        emergencyTitle: 'आपातकालीन सहायता',
+        emergencyText: '24/7 हेल्पलाइन और आपातकालीन सहायता सेवाएँ',
+        getHelp: 'सहायता पाएँ',
+        statsHeading: 'बदलाव की ओर',
+        statSchemes: 'सरकारी योजनाएँ',
+        statCenters: 'सहायता केंद्र',
+        statCities: 'शहर',
+        statSupport: 'सहायता उपलब्ध',
+        updatesHeading: 'हाल की जानकारी'
+    },
+    schemes: {
+        heading: 'सरकारी योजनाएँ और लाभ',
+        lead: 'पूरे भारत में उपलब्ध दिव्यांग योजनाओं और लाभों की पूरी सूची',
+        eligibilityHeading: 'देखें कि आप किन योजनाओं के पात्र हैं',
+        availableHeading: 'उपलब्ध योजनाएँ',
+        trackerHeading: 'मेरे आवेदन',
+        fullDetails: 'पूरी जानकारी',
+        callNow: 'अभी कॉल करें',
+        close: 'बंद करें'
+    },
+    events: {
+        heading: 'कार्यक्रम और आयोजन',
+        lead: 'पूरे भारत में आने वाले कार्यक्रम, प्रशिक्षण और अवसर देखें',
+        upcoming: 'आने वाले कार्यक्रम',
+        registerNow: 'अभी पंजीकरण करें',
+        viewDetails: 'विवरण देखें',
+        close: 'बंद करें'
+    },
+    contact: {
+        lead: 'सहायता, सुझाव या नए संसाधन सुझाने के लिए हमसे संपर्क करें',
+        callHelpline: 'हेल्पलाइन पर कॉल करें',
+        formHeading: 'हमें संदेश भेजें',
+        sendMessage: 'संदेश भेजें',
+        faqHeading: 'अक्सर पूछे जाने वाले प्रश्न'
+    },
+    legalRights: {
+        heading: 'कानूनी अधिकार और दस्तावेज़',
+        fundamentalHeading: 'आपके मौलिक अधिकार',
+        typesHeading: 'दिव्यांगता के 21 मान्य प्रकार',
+        documentsHeading: 'ज़रूरी दस्तावेज़',
+        complaintsHeading: 'शिकायत निवारण व्यवस्था',
+        legalHelpline: 'कानूनी हेल्पलाइन'
+    },
+    city: {
+        emergencyHelpline: 'आपातकालीन हेल्पलाइन',
+        nearbyHeading: 'पास के सहायता केंद्र',
+        emergencyContactsHeading: 'आपातकालीन संपर्क'
+    },
+    emergency: {
+        heading: 'आपातकालीन सहायता',
+        call112: 'अभी 112 पर कॉल करें',
+        numbersHeading: 'आपातकालीन संपर्क नंबर',
+        tipsHeading: 'आपात स्थिति की तैयारी के सुझाव'
+    },
+    reservations: {
+        heading: 'आरक्षण की जानकारी',
+        educationalHeading: 'शिक्षा में आरक्षण',
+        employmentHeading: 'रोज़गार में आरक्षण',
+        howToApplyHeading: 'आरक्षण के लिए आवेदन कैसे करें'
+    }
+});
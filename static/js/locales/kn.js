@@ -0,0 +1,122 @@
+/**
+ * Disability Support India - Kannada messages
+ * Missing keys fall back to the English catalog
+ */
+
+window.DisabilitySupportI18n.registerMessages('kn', {
+    site: {
+        name: 'ವಿಕಲಚೇತನರ ನೆರವು ಭಾರತ',
+        skipToMain: 'ಮುಖ್ಯ ವಿಷಯಕ್ಕೆ ಹೋಗಿ'
+    },
+    language: {
+        changed: 'ಭಾಷೆಯನ್ನು {language}ಗೆ ಬದಲಾಯಿಸಲಾಗಿದೆ'
+    },
+    toolbar: {
+        label: 'ಪ್ರವೇಶಸಾಧ್ಯತೆ ಆಯ್ಕೆಗಳು',
+        selectLanguage: 'ಭಾಷೆ ಆಯ್ಕೆಮಾಡಿ',
+        darkTheme: 'ಡಾರ್ಕ್ ಥೀಮ್',
+        lightTheme: 'ಲೈಟ್ ಥೀಮ್',
+        switchToDark: 'ಡಾರ್ಕ್ ಥೀಮ್‌ಗೆ ಬದಲಿಸಿ',
+        switchToLight: 'ಲೈಟ್ ಥೀಮ್‌ಗೆ ಬದಲಿಸಿ',
+        fontSize: 'ಅಕ್ಷರ ಗಾತ್ರ',
+        fontLarge: 'ಅಕ್ಷರ: ದೊಡ್ಡದು',
+        fontExtraLarge: 'ಅಕ್ಷರ: ಬಹಳ ದೊಡ್ಡದು',
+        fontSizeNormalLabel: 'ಅಕ್ಷರ ಗಾತ್ರ: ಸಾಮಾನ್ಯ. ದೊಡ್ಡದಾಗಿಸಲು ಕ್ಲಿಕ್ ಮಾಡಿ',
+        fontSizeLargeLabel: 'ಅಕ್ಷರ ಗಾತ್ರ: ದೊಡ್ಡದು. ಬಹಳ ದೊಡ್ಡದಾಗಿಸಲು ಕ್ಲಿಕ್ ಮಾಡಿ',
+        fontSizeExtraLargeLabel: 'ಅಕ್ಷರ ಗಾತ್ರ: ಬಹಳ ದೊಡ್ಡದು. ಸಾಮಾನ್ಯಕ್ಕೆ ಮರಳಲು ಕ್ಲಿಕ್ ಮಾಡಿ',
+        highContrast: 'ಹೆಚ್ಚಿನ ಕಾಂಟ್ರಾಸ್ಟ್',
+        highContrastOn: 'ಹೆಚ್ಚಿನ ಕಾಂಟ್ರಾಸ್ಟ್: ಆನ್',
+        highContrastOnLabel: 'ಹೆಚ್ಚಿನ ಕಾಂಟ್ರಾಸ್ಟ್ ಆನ್ ಆಗಿದೆ. ಆಫ್ ಮಾಡಲು ಕ್ಲಿಕ್ ಮಾಡಿ',
+        highContrastOffLabel: 'ಹೆಚ್ಚಿನ ಕಾಂಟ್ರಾಸ್ಟ್ ಆಫ್ ಆಗಿದೆ. ಆನ್ ಮಾಡಲು ಕ್ಲಿಕ್ ಮಾಡಿ',
+        audio: 'ಆಡಿಯೋ',
+        audioOn: 'ಆಡಿಯೋ: ಆನ್',
+        audioOnLabel: 'ಸ್ಕ್ರೀನ್ ರೀಡರ್ ಮೋಡ್ ಆನ್ ಆಗಿದೆ. ಆಫ್ ಮಾಡಲು ಕ್ಲಿಕ್ ಮಾಡಿ',
+        audioOffLabel: 'ಸ್ಕ್ರೀನ್ ರೀಡರ್ ಮೋಡ್ ಆಫ್ ಆಗಿದೆ. ಆನ್ ಮಾಡಲು ಕ್ಲಿಕ್ ಮಾಡಿ'
+    },
+    nav: {
+        toggle: 'ನ್ಯಾವಿಗೇಶನ್ ತೆರೆಯಿರಿ ಅಥವಾ ಮುಚ್ಚಿರಿ',
+        home: 'ಮುಖಪುಟ',
+        homeLabel: 'ಮುಖಪುಟ',
+        schemes: 'ಯೋಜನೆಗಳು',
+        schemesLabel: 'ಯೋಜನೆಗಳು ಮತ್ತು ಸೌಲಭ್ಯಗಳು',
+        assistiveProducts: 'ಸಹಾಯಕ ಸಾಧನಗಳು',
+        assistiveProductsLabel: 'ಸಹಾಯಕ ಸಾಧನಗಳು',
+        events: 'ಕಾರ್ಯಕ್ರಮಗಳು',
+        eventsLabel: 'ಕಾರ್ಯಕ್ರಮಗಳು ಮತ್ತು ಶಿಬಿರಗಳು',
+        reservations: 'ಮೀಸಲಾತಿ',
+        reservationsLabel: 'ಮೀಸಲಾತಿ ಮಾಹಿತಿ',
+        legalRights: 'ಕಾನೂನು ಹಕ್ಕುಗಳು',
+        legalRightsLabel: 'ಕಾನೂನು ಹಕ್ಕುಗಳು',
+        emergencyHelp: 'ತುರ್ತು ನೆರವು',
+        emergencyHelpLabel: 'ತುರ್ತು ನೆರವು'
+    },
+    search: {
+        placeholder: 'ಸೇವೆಗಳನ್ನು ಹುಡುಕಿ...',
+        label: 'ವಿಕಲಚೇತನರ ಸೇವೆಗಳನ್ನು ಹುಡುಕಿ',
+        submit: 'ಹುಡುಕಿ',
+        resultsRegion: 'ಹುಡುಕಾಟದ ಫಲಿತಾಂಶಗಳು',
+        searching: 'ಹುಡುಕಲಾಗುತ್ತಿದೆ...',
+        noResults: '"{query}" ಗೆ ಯಾವುದೇ ಫಲಿತಾಂಶಗಳಿಲ್ಲ',
+        tryDifferent: 'ಬೇರೆ ಪದಗಳನ್ನು ಬಳಸಿ ಪ್ರಯತ್ನಿಸಿ',
+        invalidResponse: 'ಪ್ರತಿಕ್ರಿಯೆಯ ಸ್ವರೂಪ ಅಮಾನ್ಯವಾಗಿದೆ',
+        unavailable: 'ಹುಡುಕಾಟ ಈಗ ಲಭ್ಯವಿಲ್ಲ',
+        announceNone: '{query} ಗೆ ಯಾವುದೇ ಹುಡುಕಾಟ ಫಲಿತಾಂಶಗಳಿಲ್ಲ',
+        announceCount: {
+            one: '{query} ಗೆ {count} ಹುಡುಕಾಟ ಫಲಿತಾಂಶ ದೊರೆತಿದೆ',
+            other: '{query} ಗೆ {count} ಹುಡುಕಾಟ ಫಲಿತಾಂಶಗಳು ದೊರೆತಿವೆ'
+        },
+        types: {
+            scheme: 'ಯೋಜನೆ',
+            help_center: 'ನೆರವು ಕೇಂದ್ರ',
+            event: 'ಕಾರ್ಯಕ್ರಮ'
+        }
+    },
+    validation: {
+        required: 'ಈ ಕ್ಷೇತ್ರ ಕಡ್ಡಾಯವಾಗಿದೆ',
+        email: 'ದಯವಿಟ್ಟು ಮಾನ್ಯ ಇಮೇಲ್ ವಿಳಾಸ ನಮೂದಿಸಿ',
+        phone: 'ದಯವಿಟ್ಟು ಮಾನ್ಯ ಫೋನ್ ಸಂಖ್ಯೆ ನಮೂದಿಸಿ',
+        formErrors: 'ದಯವಿಟ್ಟು ಫಾರ್ಮ್‌ನಲ್ಲಿರುವ ದೋಷಗಳನ್ನು ಸರಿಪಡಿಸಿ'
+    },
+    announce: {
+        cityChanged: 'ನಗರವನ್ನು {city}ಗೆ ಬದಲಾಯಿಸಲಾಗಿದೆ',
+        menuExpanded: 'ಮೆನು ತೆರೆಯಲಾಗಿದೆ',
+        menuCollapsed: 'ಮೆನು ಮುಚ್ಚಲಾಗಿದೆ',
+        scrollToTopLabel: 'ಪುಟದ ಮೇಲ್ಭಾಗಕ್ಕೆ ಹೋಗಿ',
+        scrolledToTop: 'ಪುಟದ ಮೇಲ್ಭಾಗಕ್ಕೆ ತಲುಪಿದ್ದೀರಿ',
+        pageLoaded: 'ಪುಟ ಲೋಡ್ ಆಗಿದೆ: {title}',
+        pageLoadedWithHeading: 'ಪುಟ ಲೋಡ್ ಆಗಿದೆ: {title}. ಮುಖ್ಯ ಶೀರ್ಷಿಕೆ: {heading}',
+        selectedFiles: 'ಆಯ್ಕೆಮಾಡಿದ ಫೈಲ್‌ಗಳು: {files}'
+    },
+    footer: {
+        aboutHeading: 'ನಮ್ಮ ಬಗ್ಗೆ',
+        aboutText: 'ಸೇವೆಗಳು, ಸೌಲಭ್ಯಗಳು ಮತ್ತು ನೆರವಿನ ಸಂಪೂರ್ಣ ಮಾಹಿತಿ ನೀಡಿ ಭಾರತದಾದ್ಯಂತ ವಿಕಲಚೇತನರನ್ನು ಸಬಲೀಕರಿಸುವುದು.',
+        quickLinks: 'ತ್ವರಿತ ಕೊಂಡಿಗಳು',
+        governmentSchemes: 'ಸರ್ಕಾರಿ ಯೋಜನೆಗಳು',
+        knowYourRights: 'ನಿಮ್ಮ ಹಕ್ಕುಗಳನ್ನು ತಿಳಿಯಿರಿ',
+        emergencyHelp: 'ತುರ್ತು ನೆರವು',
+        contactUs: 'ನಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸಿ',
+        emergencyContacts: 'ತುರ್ತು ಸಂಪರ್ಕಗಳು',
+        nationalEmergency: 'ರಾಷ್ಟ್ರೀಯ ತುರ್ತು ಸಂಖ್ಯೆ:',
+        disabilityHelpline: 'ವಿಕಲಚೇತನರ ಸಹಾಯವಾಣಿ:',
+        email: 'ಇಮೇಲ್:',
+        copyright: 'ವಿಕಲಚೇತನರ ನೆರವು ಭಾರತ. ಎಲ್ಲ ಹಕ್ಕುಗಳನ್ನು ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ.',
+        compliance: 'RPWD ಕಾಯ್ದೆ 2016 ಮತ್ತು WCAG 2.1 AA ಮಾನದಂಡಗಳಿಗೆ ಅನುಗುಣವಾಗಿದೆ'
+    },
+    home: {
+        heroTitle: 'ಬದುಕಿಗೆ ಬಲ,',
+        heroHighlight: 'ಕನಸುಗಳಿಗೆ ರೆಕ್ಕೆ',
+        heroLead: 'ಭಾರತದಾದ್ಯಂತ ವಿಕಲಚೇತನರ ಸೇವೆಗಳು, ಸೌಲಭ್ಯಗಳು ಮತ್ತು ನೆರವಿಗಾಗಿ ನಿಮ್ಮ ಡಿಜಿಟಲ್ ವೇದಿಕೆ. ನಿಮ್ಮ ಅಗತ್ಯಕ್ಕೆ ತಕ್ಕ ನಗರದ ಮಾಹಿತಿ ಪಡೆಯಿರಿ. ಹೆಚ್ಚಿನ ಮಾಹಿತಿಗೆ ಸಹಾಯವಾಣಿಗಳನ್ನು ಸಂಪರ್ಕಿಸಿ.',
+        getStarted: 'ಪ್ರಾರಂಭಿಸಿ',
+        selectCityHeading: 'ನಿಮ್ಮ ನಗರವನ್ನು ಆಯ್ಕೆಮಾಡಿ',
+        selectCityLead: 'ವೈಯಕ್ತಿಕ ಸೇವೆಗಳು ಮತ್ತು ನೆರವಿನ ಮಾಹಿತಿಗಾಗಿ ನಿಮ್ಮ ನಗರವನ್ನು ಆಯ್ಕೆಮಾಡಿ',
+        selectCityLabel: 'ನಿಮ್ಮ ನಗರವನ್ನು ಆಯ್ಕೆಮಾಡಿ:',
+        chooseCity: 'ನಿಮ್ಮ ನಗರವನ್ನು ಆರಿಸಿ...',
+        cityHelp: 'ಇದರಿಂದ ನಿಮ್ಮ ಸ್ಥಳಕ್ಕೆ ತಕ್ಕ ಮಾಹಿತಿ ತೋರಿಸಲಾಗುತ್ತದೆ',
+        selectCityPrompt: 'ದಯವಿಟ್ಟು ಒಂದು ನಗರವನ್ನು ಆಯ್ಕೆಮಾಡಿ',
+        go: 'ಹೋಗಿ',
+        detectLocation: 'ಸ್ಥಳವನ್ನು ಸ್ವಯಂ ಪತ್ತೆಹಚ್ಚಿ',
+        quickAccessHeading: 'ತ್ವರಿತ ಸೇವೆಗಳು',
+        statsHeading: 'ಬದಲಾವಣೆಯತ್ತ',
+        updatesHeading: 'ಇತ್ತೀಚಿನ ಮಾಹಿತಿ'
+    }
+});
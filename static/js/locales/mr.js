@@ -0,0 +1,122 @@
+/**
+ * Disability Support India - Marathi messages
+ * Missing keys fall back to the English catalog
+ */
+
+window.DisabilitySupportI18n.registerMessages('mr', {
+    site: {
+        name: 'दिव्यांग सहाय्य भारत',
+        skipToMain: 'मुख्य मजकुराकडे जा'
+    },
+    language: {
+        changed: 'भाषा {language} मध्ये बदलली'
+    },
+    toolbar: {
+        label: 'सुलभता पर्याय',
+        selectLanguage: 'भाषा निवडा',
+        darkTheme: 'डार्क थीम',
+        lightTheme: 'लाइट थीम',
+        switchToDark: 'डार्क थीमवर जा',
+        switchToLight: 'लाइट थीमवर जा',
+        fontSize: 'अक्षराचा आकार',
+        fontLarge: 'अक्षर: मोठे',
+        fontExtraLarge: 'अक्षर: खूप मोठे',
+        fontSizeNormalLabel: 'अक्षराचा आकार: सामान्य. मोठे करण्यासाठी क्लिक करा',
+        fontSizeLargeLabel: 'अक्षराचा आकार: मोठे. खूप मोठे करण्यासाठी क्लिक करा',
+        fontSizeExtraLargeLabel: 'अक्षराचा आकार: खूप मोठे. सामान्य करण्यासाठी क्लिक करा',
+        highContrast: 'उच्च कॉन्ट्रास्ट',
+        highContrastOn: 'उच्च कॉन्ट्रास्ट: चालू',
+        highContrastOnLabel: 'उच्च कॉन्ट्रास्ट चालू आहे. बंद करण्यासाठी क्लिक करा',
+        highContrastOffLabel: 'उच्च कॉन्ट्रास्ट बंद आहे. चालू करण्यासाठी क्लिक करा',
+        audio: 'ऑडिओ',
+        audioOn: 'ऑडिओ: चालू',
+        audioOnLabel: 'स्क्रीन रीडर मोड चालू आहे. बंद करण्यासाठी क्लिक करा',
+        audioOffLabel: 'स्क्रीन रीडर मोड बंद आहे. चालू करण्यासाठी क्लिक करा'
+    },
+    nav: {
+        toggle: 'नेव्हिगेशन उघडा किंवा बंद करा',
+        home: 'मुख्यपृष्ठ',
+        homeLabel: 'मुख्यपृष्ठ',
+        schemes: 'योजना',
+        schemesLabel: 'योजना आणि लाभ',
+        assistiveProducts: 'सहाय्यक साधने',
+        assistiveProductsLabel: 'सहाय्यक साधने',
+        events: 'कार्यक्रम',
+        eventsLabel: 'कार्यक्रम आणि उपक्रम',
+        reservations: 'आरक्षण',
+        reservationsLabel: 'आरक्षणाची माहिती',
+        legalRights: 'कायदेशीर हक्क',
+        legalRightsLabel: 'कायदेशीर हक्क',
+        emergencyHelp: 'आपत्कालीन मदत',
+        emergencyHelpLabel: 'आपत्कालीन मदत'
+    },
+    search: {
+        placeholder: 'सेवा शोधा...',
+        label: 'दिव्यांग सेवा शोधा',
+        submit: 'शोधा',
+        resultsRegion: 'शोध परिणाम',
+        searching: 'शोधत आहे...',
+        noResults: '"{query}" साठी कोणतेही परिणाम सापडले नाहीत',
+        tryDifferent: 'वेगळे शब्द वापरून पहा',
+        invalidResponse: 'उत्तराचे स्वरूप अवैध आहे',
+        unavailable: 'शोध सध्या उपलब्ध नाही',
+        announceNone: '{query} साठी कोणतेही शोध परिणाम सापडले नाहीत',
+        announceCount: {
+            one: '{query} साठी {count} शोध परिणाम सापडला',
+            other: '{query} साठी {count} शोध परिणाम सापडले'
+        },
+        types: {
+            scheme: 'योजना',
+            help_center: 'मदत केंद्र',
+            event: 'कार्यक्रम'
+        }
+    },
+    validation: {
+        required: 'हे क्षेत्र आवश्यक आहे',
+        email: 'कृपया वैध ईमेल पत्ता टाका',
+        phone: 'कृपया वैध फोन नंबर टाका',
+        formErrors: 'कृपया फॉर्ममधील चुका दुरुस्त करा'
+    },
+    announce: {
+        cityChanged: 'शहर {city} मध्ये बदलले',
+        menuExpanded: 'मेनू उघडला',
+        menuCollapsed: 'मेनू बंद झाला',
+        scrollToTopLabel: 'पानाच्या वर जा',
+        scrolledToTop: 'पानाच्या वर पोहोचलात',
+        pageLoaded: 'पान लोड झाले: {title}',
+        pageLoadedWithHeading: 'पान लोड झाले: {title}. मुख्य शीर्षक: {heading}',
+        selectedFiles: 'निवडलेल्या फाइल्स: {files}'
+    },
+    footer: {
+        aboutHeading: 'आमच्याबद्दल',
+        aboutText: 'सेवा, लाभ आणि सहाय्य यांची संपूर्ण माहिती देऊन संपूर्ण भारतातील दिव्यांग व्यक्तींना सक्षम करणे.',
+        quickLinks: 'जलद दुवे',
+        governmentSchemes: 'सरकारी योजना',
+        knowYourRights: 'तुमचे हक्क जाणून घ्या',
+        emergencyHelp: 'आपत्कालीन मदत',
+        contactUs: 'संपर्क साधा',
+        emergencyContacts: 'आपत्कालीन संपर्क',
+        nationalEmergency: 'राष्ट्रीय आपत्कालीन क्रमांक:',
+        disabilityHelpline: 'दिव्यांग हेल्पलाइन:',
+        email: 'ईमेल:',
+        copyright: 'दिव्यांग सहाय्य भारत. सर्व हक्क राखीव.',
+        compliance: 'आरपीडब्ल्यूडी कायदा 2016 आणि WCAG 2.1 AA मानकांनुसार'
+    },
+    home: {
+        heroTitle: 'जीवन सक्षम करणे,',
+        heroHighlight: 'स्वप्ने साकार करणे',
+        heroLead: 'संपूर्ण भारतातील दिव्यांग सेवा, लाभ आणि सहाय्यासाठी तुमचे डिजिटल व्यासपीठ. तुमच्या गरजेनुसार शहराची माहिती मिळवा. अधिक माहितीसाठी हेल्पलाइनशी संपर्क साधा.',
+        getStarted: 'सुरुवात करा',
+        selectCityHeading: 'तुमचे शहर निवडा',
+        selectCityLead: 'वैयक्तिक दिव्यांग सेवा आणि सहाय्य माहितीसाठी तुमचे शहर निवडा',
+        selectCityLabel: 'तुमचे शहर निवडा:',
+        chooseCity: 'तुमचे शहर निवडा...',
+        cityHelp: 'यामुळे तुमच्या स्थानानुसार माहिती दाखवली जाईल',
+        selectCityPrompt: 'कृपया एक शहर निवडा',
+        go: 'जा',
+        detectLocation: 'स्थान आपोआप ओळखा',
+        quickAccessHeading: 'जलद सेवा',
+        statsHeading: 'बदलाच्या दिशेने',
+        updatesHeading: 'अलीकडील माहिती'
+    }
+});
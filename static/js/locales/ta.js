@@ -0,0 +1,122 @@
+/**
+ * Disability Support India - Tamil messages
+ * Missing keys fall back to the English catalog
+ */
+
+window.DisabilitySupportI18n.registerMessages('ta', {
+    site: {
+        name: 'மாற்றுத்திறனாளி உதவி இந்தியா',
+        skipToMain: 'முதன்மை உள்ளடக்கத்திற்குச் செல்லவும்'
+    },
+    language: {
+        changed: 'மொழி {language} ஆக மாற்றப்பட்டது'
+    },
+    toolbar: {
+        label: 'அணுகல்தன்மை விருப்பங்கள்',
+        selectLanguage: 'மொழியைத் தேர்ந்தெடுக்கவும்',
+        darkTheme: 'இருண்ட தீம்',
+        lightTheme: 'வெளிர் தீம்',
+        switchToDark: 'இருண்ட தீமுக்கு மாற்றவும்',
+        switchToLight: 'வெளிர் தீமுக்கு மாற்றவும்',
+        fontSize: 'எழுத்து அளவு',
+        fontLarge: 'எழுத்து: பெரியது',
+        fontExtraLarge: 'எழுத்து: மிகப் பெரியது',
+        fontSizeNormalLabel: 'எழுத்து அளவு: இயல்பு. பெரிதாக்க கிளிக் செய்யவும்',
+        fontSizeLargeLabel: 'எழுத்து அளவு: பெரியது. மிகப் பெரிதாக்க கிளிக் செய்யவும்',
+        fontSizeExtraLargeLabel: 'எழுத்து அளவு: மிகப் பெரியது. இயல்புக்கு மாற்ற கிளிக் செய்யவும்',
+        highContrast: 'உயர் வேறுபாடு',
+        highContrastOn: 'உயர் வேறுபாடு: இயக்கத்தில்',
+        highContrastOnLabel: 'உயர் வேறுபாடு இயக்கத்தில் உள்ளது. நிறுத்த கிளிக் செய்யவும்',
+        highContrastOffLabel: 'உயர் வேறுபாடு நிறுத்தப்பட்டுள்ளது. இயக்க கிளிக் செய்யவும்',
+        audio: 'ஒலி',
+        audioOn: 'ஒலி: இயக்கத்தில்',
+        audioOnLabel: 'திரை வாசிப்பு முறை இயக்கத்தில் உள்ளது. நிறுத்த கிளிக் செய்யவும்',
+        audioOffLabel: 'திரை வாசிப்பு முறை நிறுத்தப்பட்டுள்ளது. இயக்க கிளிக் செய்யவும்'
+    },
+    nav: {
+        toggle: 'வழிசெலுத்தலைத் திற அல்லது மூடு',
+        home: 'முகப்பு',
+        homeLabel: 'முகப்புப் பக்கம்',
+        schemes: 'திட்டங்கள்',
+        schemesLabel: 'திட்டங்கள் மற்றும் நன்மைகள்',
+        assistiveProducts: 'உதவி சாதனங்கள்',
+        assistiveProductsLabel: 'உதவி சாதனங்கள்',
+        events: 'நிகழ்வுகள்',
+        eventsLabel: 'நிகழ்வுகள் மற்றும் திட்டங்கள்',
+        reservations: 'இட ஒதுக்கீடு',
+        reservationsLabel: 'இட ஒதுக்கீடு தகவல்',
+        legalRights: 'சட்ட உரிமைகள்',
+        legalRightsLabel: 'சட்ட உரிமைகள்',
+        emergencyHelp: 'அவசர உதவி',
+        emergencyHelpLabel: 'அவசர உதவி'
+    },
+    search: {
+        placeholder: 'சேவைகளைத் தேடுங்கள்...',
+        label: 'மாற்றுத்திறனாளி சேவைகளைத் தேடுங்கள்',
+        submit: 'தேடு',
+        resultsRegion: 'தேடல் முடிவுகள்',
+        searching: 'தேடுகிறது...',
+        noResults: '"{query}" க்கு முடிவுகள் எதுவும் இல்லை',
+        tryDifferent: 'வேறு சொற்களைப் பயன்படுத்தி முயற்சிக்கவும்',
+        invalidResponse: 'பதிலின் வடிவம் தவறானது',
+        unavailable: 'தேடல் தற்போது கிடைக்கவில்லை',
+        announceNone: '{query} க்கு தேடல் முடிவுகள் எதுவும் இல்லை',
+        announceCount: {
+            one: '{query} க்கு {count} தேடல் முடிவு கிடைத்தது',
+            other: '{query} க்கு {count} தேடல் முடிவுகள் கிடைத்தன'
+        },
+        types: {
+            scheme: 'திட்டம்',
+            help_center: 'உதவி மையம்',
+            event: 'நிகழ்வு'
+        }
+    },
+    validation: {
+        required: 'இந்தப் புலம் கட்டாயமானது',
+        email: 'சரியான மின்னஞ்சல் முகவரியை உள்ளிடவும்',
+        phone: 'சரியான தொலைபேசி எண்ணை உள்ளிடவும்',
+        formErrors: 'படிவத்தில் உள்ள பிழைகளைத் திருத்தவும்'
+    },
+    announce: {
+        cityChanged: 'நகரம் {city} ஆக மாற்றப்பட்டது',
+        menuExpanded: 'பட்டி திறக்கப்பட்டது',
+        menuCollapsed: 'பட்டி மூடப்பட்டது',
+        scrollToTopLabel: 'பக்கத்தின் மேலே செல்லவும்',
+        scrolledToTop: 'பக்கத்தின் மேலே வந்துவிட்டீர்கள்',
+        pageLoaded: 'பக்கம் ஏற்றப்பட்டது: {title}',
+        pageLoadedWithHeading: 'பக்கம் ஏற்றப்பட்டது: {title}. முதன்மைத் தலைப்பு: {heading}',
+        selectedFiles: 'தேர்ந்தெடுத்த கோப்புகள்: {files}'
+    },
+    footer: {
+        aboutHeading: 'எங்களைப் பற்றி',
+        aboutText: 'சேவைகள், நன்மைகள் மற்றும் உதவி பற்றிய முழுமையான தகவல்களை வழங்கி இந்தியா முழுவதும் மாற்றுத்திறனாளிகளுக்கு அதிகாரமளித்தல்.',
+        quickLinks: 'விரைவு இணைப்புகள்',
+        governmentSchemes: 'அரசுத் திட்டங்கள்',
+        knowYourRights: 'உங்கள் உரிமைகளை அறியுங்கள்',
+        emergencyHelp: 'அவசர உதவி',
+        contactUs: 'தொடர்பு கொள்ள',
+        emergencyContacts: 'அவசரத் தொடர்புகள்',
+        nationalEmergency: 'தேசிய அவசர எண்:',
+        disabilityHelpline: 'மாற்றுத்திறனாளி உதவி எண்:',
+        email: 'மின்னஞ்சல்:',
+        copyright: 'மாற்றுத்திறனாளி உதவி இந்தியா. அனைத்து உரிமைகளும் பாதுகாக்கப்பட்டவை.',
+        compliance: 'RPWD சட்டம் 2016 மற்றும் WCAG 2.1 AA தரநிலைகளுக்கு இணங்கியது'
+    },
+    home: {
+        heroTitle: 'வாழ்க்கைக்கு வலிமை,',
+        heroHighlight: 'கனவுகளுக்கு வழி',
+        heroLead: 'இந்தியா முழுவதும் மாற்றுத்திறனாளி சேவைகள், நன்மைகள் மற்றும் உதவிக்கான உங்கள் டிஜிட்டல் தளம். உங்கள் தேவைக்கேற்ற நகரத் தகவல்களைப் பெறுங்கள். மேலும் தகவலுக்கு உதவி எண்களைத் தொடர்பு கொள்ளுங்கள்.',
+        getStarted: 'தொடங்குங்கள்',
+        selectCityHeading: 'உங்கள் நகரத்தைத் தேர்ந்தெடுக்கவும்',
+        selectCityLead: 'தனிப்பயன் சேவைகள் மற்றும் உதவித் தகவல்களைப் பெற உங்கள் நகரத்தைத் தேர்ந்தெடுக்கவும்',
+        selectCityLabel: 'உங்கள் நகரத்தைத் தேர்ந்தெடுக்கவும்:',
+        chooseCity: 'உங்கள் நகரத்தைத் தேர்வு செய்யவும்...',
+        cityHelp: 'இது உங்கள் இருப்பிடத்திற்கேற்ப தகவல்களைக் காட்டும்',
+        selectCityPrompt: 'ஒரு நகரத்தைத் தேர்ந்தெடுக்கவும்',
+        go: 'செல்',
+        detectLocation: 'இருப்பிடத்தைத் தானாகக் கண்டறி',
+        quickAccessHeading: 'விரைவு சேவைகள்',
+        statsHeading: 'மாற்றத்தை நோக்கி',
+        updatesHeading: 'சமீபத்திய தகவல்கள்'
+    }
+});
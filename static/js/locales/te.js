@@ -0,0 +1,122 @@
+/**
+ * Disability Support India - Telugu messages
+ * Missing keys fall back to the English catalog
+ */
+
+window.DisabilitySupportI18n.registerMessages('te', {
+    site: {
+        name: 'దివ్యాంగుల సహాయం భారత్',
+        skipToMain: 'ప్రధాన విషయానికి వెళ్ళండి'
+    },
+    language: {
+        changed: 'భాష {language}కి మార్చబడింది'
+    },
+    toolbar: {
+        label: 'అందుబాటు ఎంపికలు',
+        selectLanguage: 'భాషను ఎంచుకోండి',
+        darkTheme: 'డార్క్ థీమ్',
+        lightTheme: 'లైట్ థీమ్',
+        switchToDark: 'డార్క్ థీమ్‌కి మారండి',
+        switchToLight: 'లైట్ థీమ్‌కి మారండి',
+        fontSize: 'అక్షర పరిమాణం',
+        fontLarge: 'అక్షరం: పెద్దది',
+        fontExtraLarge: 'అక్షరం: చాలా పెద్దది',
+        fontSizeNormalLabel: 'అక్షర పరిమాణం: సాధారణం. పెద్దదిగా చేయడానికి క్లిక్ చేయండి',
+        fontSizeLargeLabel: 'అక్షర పరిమాణం: పెద్దది. చాలా పెద్దదిగా చేయడానికి క్లిక్ చేయండి',
+        fontSizeExtraLargeLabel: 'అక్షర పరిమాణం: చాలా పెద్దది. సాధారణానికి మార్చడానికి క్లిక్ చేయండి',
+        highContrast: 'అధిక కాంట్రాస్ట్',
+        highContrastOn: 'అధిక కాంట్రాస్ట్: ఆన్',
+        highContrastOnLabel: 'అధిక కాంట్రాస్ట్ ఆన్‌లో ఉంది. ఆపడానికి క్లిక్ చేయండి',
+        highContrastOffLabel: 'అధిక కాంట్రాస్ట్ ఆఫ్‌లో ఉంది. ప్రారంభించడానికి క్లిక్ చేయండి',
+        audio: 'ఆడియో',
+        audioOn: 'ఆడియో: ఆన్',
+        audioOnLabel: 'స్క్రీన్ రీడర్ మోడ్ ఆన్‌లో ఉంది. ఆపడానికి క్లిక్ చేయండి',
+        audioOffLabel: 'స్క్రీన్ రీడర్ మోడ్ ఆఫ్‌లో ఉంది. ప్రారంభించడానికి క్లిక్ చేయండి'
+    },
+    nav: {
+        toggle: 'నావిగేషన్ తెరవండి లేదా మూసివేయండి',
+        home: 'హోమ్',
+        homeLabel: 'హోమ్ పేజీ',
+        schemes: 'పథకాలు',
+        schemesLabel: 'పథకాలు మరియు ప్రయోజనాలు',
+        assistiveProducts: 'సహాయక పరికరాలు',
+        assistiveProductsLabel: 'సహాయక పరికరాలు',
+        events: 'కార్యక్రమాలు',
+        eventsLabel: 'కార్యక్రమాలు మరియు శిబిరాలు',
+        reservations: 'రిజర్వేషన్లు',
+        reservationsLabel: 'రిజర్వేషన్ సమాచారం',
+        legalRights: 'చట్టపరమైన హక్కులు',
+        legalRightsLabel: 'చట్టపరమైన హక్కులు',
+        emergencyHelp: 'అత్యవసర సహాయం',
+        emergencyHelpLabel: 'అత్యవసర సహాయం'
+    },
+    search: {
+        placeholder: 'సేవలను వెతకండి...',
+        label: 'దివ్యాంగుల సేవలను వెతకండి',
+        submit: 'వెతకండి',
+        resultsRegion: 'శోధన ఫలితాలు',
+        searching: 'వెతుకుతోంది...',
+        noResults: '"{query}" కోసం ఫలితాలు లేవు',
+        tryDifferent: 'వేరే పదాలతో ప్రయత్నించండి',
+        invalidResponse: 'సమాధానం ఫార్మాట్ సరిగా లేదు',
+        unavailable: 'శోధన ప్రస్తుతం అందుబాటులో లేదు',
+        announceNone: '{query} కోసం శోధన ఫలితాలు లేవు',
+        announceCount: {
+            one: '{query} కోసం {count} శోధన ఫలితం దొరికింది',
+            other: '{query} కోసం {count} శోధన ఫలితాలు దొరికాయి'
+        },
+        types: {
+            scheme: 'పథకం',
+            help_center: 'సహాయ కేంద్రం',
+            event: 'కార్యక్రమం'
+        }
+    },
+    validation: {
+        required: 'ఈ ఫీల్డ్ తప్పనిసరి',
+        email: 'దయచేసి సరైన ఈమెయిల్ చిరునామా నమోదు చేయండి',
+        phone: 'దయచేసి సరైన ఫోన్ నంబర్ నమోదు చేయండి',
+        formErrors: 'దయచేసి ఫారంలోని తప్పులను సరిచేయండి'
+    },
+    announce: {
+        cityChanged: 'నగరం {city}కి మార్చబడింది',
+        menuExpanded: 'మెనూ తెరవబడింది',
+        menuCollapsed: 'మెనూ మూసివేయబడింది',
+        scrollToTopLabel: 'పేజీ పైకి వెళ్ళండి',
+        scrolledToTop: 'పేజీ పైభాగానికి చేరుకున్నారు',
+        pageLoaded: 'పేజీ లోడ్ అయింది: {title}',
+        pageLoadedWithHeading: 'పేజీ లోడ్ అయింది: {title}. ప్రధాన శీర్షిక: {heading}',
+        selectedFiles: 'ఎంచుకున్న ఫైళ్ళు: {files}'
+    },
+    footer: {
+        aboutHeading: 'మా గురించి',
+        aboutText: 'సేవలు, ప్రయోజనాలు మరియు సహాయం గురించి పూర్తి సమాచారం అందిస్తూ భారతదేశం అంతటా దివ్యాంగులకు సాధికారత.',
+        quickLinks: 'త్వరిత లింకులు',
+        governmentSchemes: 'ప్రభుత్వ పథకాలు',
+        knowYourRights: 'మీ హక్కులు తెలుసుకోండి',
+        emergencyHelp: 'అత్యవసర సహాయం',
+        contactUs: 'మమ్మల్ని సంప్రదించండి',
+        emergencyContacts: 'అత్యవసర సంప్రదింపులు',
+        nationalEmergency: 'జాతీయ అత్యవసర నంబర్:',
+        disabilityHelpline: 'దివ్యాంగుల హెల్ప్‌లైన్:',
+        email: 'ఈమెయిల్:',
+        copyright: 'దివ్యాంగుల సహాయం భారత్. అన్ని హక్కులు ప్రత్యేకించబడ్డాయి.',
+        compliance: 'RPWD చట్టం 2016 మరియు WCAG 2.1 AA ప్రమాణాలకు అనుగుణంగా'
+    },
+    home: {
+        heroTitle: 'జీవితాలకు సాధికారత,',
+        heroHighlight: 'కలలకు సాకారం',
+        heroLead: 'భారతదేశం అంతటా దివ్యాంగుల సేవలు, ప్రయోజనాలు మరియు సహాయం కోసం మీ డిజిటల్ వేదిక. మీ అవసరాలకు తగిన నగర సమాచారం పొందండి. మరింత సమాచారం కోసం హెల్ప్‌లైన్లను సంప్రదించండి.',
+        getStarted: 'ప్రారంభించండి',
+        selectCityHeading: 'మీ నగరాన్ని ఎంచుకోండి',
+        selectCityLead: 'వ్యక్తిగత సేవలు మరియు సహాయ సమాచారం కోసం మీ నగరాన్ని ఎంచుకోండి',
+        selectCityLabel: 'మీ నగరాన్ని ఎంచుకోండి:',
+        chooseCity: 'మీ నగరాన్ని ఎంచుకోండి...',
+        cityHelp: 'దీని ద్వారా మీ ప్రాంతానికి తగిన సమాచారం చూపబడుతుంది',
+        selectCityPrompt: 'దయచేసి ఒక నగరాన్ని ఎంచుకోండి',
+        go: 'వెళ్ళండి',
+        detectLocation: 'స్థానాన్ని స్వయంగా గుర్తించండి',
+        quickAccessHeading: 'త్వరిత సేవలు',
+        statsHeading: 'మార్పు దిశగా',
+        updatesHeading: 'తాజా సమాచారం'
+    }
+});
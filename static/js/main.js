@@ -6,6 +6,14 @@
 (function() {
     'use strict';
 
+    const { t } = window.DisabilitySupportI18n;
+
+    // Query the most recent search was made for, so slower earlier searches are dropped
+    let latestSearchQuery = '';
+
+    // Current error message of each invalid field, for the error summary
+    const fieldErrors = new WeakMap();
+
     // Wait for DOM to be fully loaded
     document.addEventListener('DOMContentLoaded', function() {
         initializeMainFunctionality();
@@ -53,10 +61,10 @@
                 return;
             }
 
-            // Debounce search requests
+            // Debounce search; the index is local so a short delay is enough
             searchTimeout = setTimeout(() => {
                 performSearch(query);
-            }, 300);
+            }, 150);
         });
 
         // Handle search form submission
@@ -105,10 +113,38 @@
     }
 
     /**
-     * Perform search operation
+     * Perform search operation against the client-side index
      */
     function performSearch(query, redirect = false) {
+        const searchIndex = window.DisabilitySupportSearch;
         const currentCity = getCurrentCity();
+
+        latestSearchQuery = query;
+
+        if (!searchIndex) {
+            performServerSearch(query, currentCity);
+            return;
+        }
+
+        searchIndex.search(query, { city: currentCity })
+            .then(results => {
+                // Ignore results for a query the user has already typed past
+                if (query === latestSearchQuery) {
+                    displaySearchResults(results, query);
+                }
+            })
+            .catch(() => {
+                // Index could not be built (e.g. offline before first visit)
+                if (query === latestSearchQuery) {
+                    performServerSearch(query, currentCity);
+                }
+            });
+    }
+
+    /**
+     * Fall back to the server search endpoint
+     */
+    function performServerSearch(query, currentCity) {
         const searchUrl = `/api/search?q=${encodeURIComponent(query)}&city=${encodeURIComponent(currentCity)}`;
 
         // Show loading state
@@ -119,15 +155,17 @@
         xhr.open('GET', searchUrl, true);
         xhr.onreadystatechange = function() {
             if (xhr.readyState === 4) {
+                if (query !== latestSearchQuery) return;
+
                 if (xhr.status === 200) {
                     try {
                         const results = JSON.parse(xhr.responseText);
                         displaySearchResults(results, query);
                     } catch (e) {
-                        showSearchError('Invalid response format');
+                        showSearchError(t('search.invalidResponse', 'Invalid response format'));
                     }
                 } else {
-                    showSearchError('Search temporarily unavailable');
+                    showSearchError(t('search.unavailable', 'Search temporarily unavailable'));
                 }
             }
         };
@@ -145,8 +183,8 @@
             searchContent.innerHTML = `
                 <div class="text-center p-3">
                     <i class="fas fa-search text-muted mb-2" aria-hidden="true"></i>
-                    <p class="mb-0">No results found for "${escapeHtml(query)}"</p>
-                    <small class="text-muted">Try using different keywords</small>
+                    <p class="mb-0">${escapeHtml(t('search.noResults', `No results found for "${query}"`, { query }))}</p>
+                    <small class="text-muted">${escapeHtml(t('search.tryDifferent', 'Try using different keywords'))}</small>
                 </div>
             `;
         } else {
@@ -157,9 +195,9 @@
                             <i class="fas fa-${getResultIcon(result.type)} text-primary" aria-hidden="true"></i>
                         </div>
                         <div class="result-content flex-grow-1">
-                            <div class="result-title fw-bold">${escapeHtml(result.title)}</div>
-                            <div class="result-description text-muted small">${escapeHtml(result.description)}</div>
-                            <span class="badge bg-secondary">${escapeHtml(result.type)}</span>
+                            <div class="result-title fw-bold">${highlightMatches(result.title, result.highlights && result.highlights.title)}</div>
+                            <div class="result-description text-muted small">${highlightMatches(result.description, result.highlights && result.highlights.description)}</div>
+                            <span class="badge bg-secondary">${escapeHtml(t(`search.types.${result.type}`, result.type))}</span>
                         </div>
                     </div>
                 </div>
@@ -187,6 +225,28 @@
         announceSearchResults(results.length, query);
     }
 
+    /**
+     * Wrap matched character ranges in <mark>, escaping everything else
+     */
+    function highlightMatches(text, ranges) {
+        const source = String(text || '');
+        if (!ranges || ranges.length === 0) return escapeHtml(source);
+
+        let html = '';
+        let position = 0;
+        ranges
+            .slice()
+            .sort((a, b) => a[0] - b[0])
+            .forEach(([start, end]) => {
+                if (start < position) return;
+                html += escapeHtml(source.slice(position, start));
+                html += `<mark class="search-highlight">${escapeHtml(source.slice(start, end))}</mark>`;
+                position = end;
+            });
+
+        return html + escapeHtml(source.slice(position));
+    }
+
     /**
      * Navigate search results with keyboard
      */
@@ -209,6 +269,20 @@
         allResults[newIndex].focus();
     }
 
+    /**
+     * Move the active search result from outside the search box (e.g. voice commands)
+     */
+    function moveSearchSelection(direction) {
+        const searchResults = document.getElementById('search-results');
+        if (!searchResults || searchResults.style.display === 'none') return null;
+
+        const allResults = searchResults.querySelectorAll('.search-result-item');
+        const activeResult = searchResults.querySelector('.search-result-item.active');
+        navigateSearchResults(allResults, activeResult, direction);
+
+        return searchResults.querySelector('.search-result-item.active');
+    }
+
     /**
      * Clear active search result
      */
@@ -250,7 +324,7 @@
         searchContent.innerHTML = `
             <div class="text-center p-3">
                 <i class="fas fa-spinner fa-spin text-primary mb-2" aria-hidden="true"></i>
-                <p class="mb-0">Searching...</p>
+                <p class="mb-0">${escapeHtml(t('search.searching', 'Searching...'))}</p>
             </div>
         `;
         showSearchResults();
@@ -275,6 +349,7 @@
      */
     function getResultIcon(type) {
         const icons = {
+            'city': 'city',
             'scheme': 'file-alt',
             'help_center': 'hospital',
             'event': 'calendar',
@@ -331,7 +406,7 @@
         }
 
         // Announce city change to screen readers
-        announceToScreenReader(`City changed to ${cityName}`);
+        announceToScreenReader(t('announce.cityChanged', `City changed to ${cityName}`, { city: cityName }));
     }
 
     /**
@@ -364,9 +439,6 @@
      * Enhanced form functionality
      */
     function initializeFormEnhancements() {
-        // Auto-save form data
-        initializeFormAutoSave();
-        
         // Form validation enhancements
         initializeFormValidation();
         
@@ -378,40 +450,7 @@
     }
 
     /**
-     * Auto-save form data to localStorage
-     */
-    function initializeFormAutoSave() {
-        const forms = document.querySelectorAll('form[data-autosave]');
-        
-        forms.forEach(form => {
-            const formId = form.id || 'unnamed-form';
-            const inputs = form.querySelectorAll('input, textarea, select');
-            
-            // Load saved data
-            loadFormData(formId, inputs);
-            
-            // Save data on input
-            inputs.forEach(input => {
-                input.addEventListener('input', () => {
-                    saveFormData(formId, inputs);
-                });
-                
-                input.addEventListener('change', () => {
-                    saveFormData(formId, inputs);
-                });
-            });
-            
-            // Clear saved data on successful submission
-            form.addEventListener('submit', () => {
-                setTimeout(() => {
-                    clearFormData(formId);
-                }, 1000);
-            });
-        });
-    }
-
-    /**
-     * Enhanced form validation
+     * Enhanced form validation (the rules live in form-validation.js)
      */
     function initializeFormValidation() {
         const forms = document.querySelectorAll('form');
@@ -420,24 +459,28 @@
             form.addEventListener('submit', function(e) {
                 if (!validateForm(this)) {
                     e.preventDefault();
-                    const firstError = this.querySelector('.is-invalid, [aria-invalid="true"]');
-                    if (firstError) {
-                        firstError.focus();
-                        announceToScreenReader('Please correct the errors in the form');
-                    }
+                    focusErrorSummary(this);
                 }
             });
+
+            form.addEventListener('reset', function() {
+                // Fields only get their reset values after this event
+                setTimeout(() => {
+                    clearFormValidation(form);
+                }, 0);
+            });
             
             // Real-time validation
             const inputs = form.querySelectorAll('input, textarea, select');
             inputs.forEach(input => {
                 input.addEventListener('blur', () => {
-                    validateField(input);
+                    // Tabbing past an empty field should not be read out as a mistake
+                    validateFieldAsync(input, { silent: !input.value.trim() });
                 });
                 
                 input.addEventListener('input', () => {
                     if (input.classList.contains('is-invalid')) {
-                        validateField(input);
+                        validateField(input, { silent: true });
                     }
                 });
             });
@@ -445,50 +488,56 @@
     }
 
     /**
-     * Validate individual form field
+     * Validate individual form field with its synchronous rules
      */
-    function validateField(field) {
-        const value = field.value.trim();
-        const isRequired = field.hasAttribute('required');
-        const type = field.type;
-        let isValid = true;
-        let errorMessage = '';
+    function validateField(field, options = {}) {
+        const engine = window.DisabilitySupportValidation;
+        if (!engine) return true;
 
-        // Required field validation
-        if (isRequired && !value) {
-            isValid = false;
-            errorMessage = 'This field is required';
-        }
-
-        // Email validation
-        if (type === 'email' && value && !isValidEmail(value)) {
-            isValid = false;
-            errorMessage = 'Please enter a valid email address';
-        }
-
-        // Phone validation
-        if (type === 'tel' && value && !isValidPhone(value)) {
-            isValid = false;
-            errorMessage = 'Please enter a valid phone number';
-        }
+        const result = engine.checkField(field);
 
         // Update field appearance
-        updateFieldValidation(field, isValid, errorMessage);
+        updateFieldValidation(field, result.valid, result.message, options);
         
-        return isValid;
+        return result.valid;
     }
 
     /**
-     * Update field validation appearance
+     * Validate a field with all of its rules, waiting for async ones such as remote checks
      */
-    function updateFieldValidation(field, isValid, errorMessage) {
-        const feedbackElement = field.parentNode.querySelector('.invalid-feedback') || 
-                               field.parentNode.querySelector('.form-text');
+    function validateFieldAsync(field, options = {}) {
+        const engine = window.DisabilitySupportValidation;
+        if (!engine || !validateField(field, options)) return Promise.resolve(false);
+        if (!engine.checkField(field).pending.length) return Promise.resolve(true);
+
+        const value = field.value;
+        field.setAttribute('aria-busy', 'true');
+
+        return engine.checkFieldAsync(field).then(result => {
+            field.removeAttribute('aria-busy');
+
+            // The visitor may have kept typing while the check ran
+            if (field.value !== value) {
+                return validateFieldAsync(field, options);
+            }
+            updateFieldValidation(field, result.valid, result.message, options);
+            return result.valid;
+        });
+    }
+
+    /**
+     * Update field validation appearance and read new problems out
+     */
+    function updateFieldValidation(field, isValid, errorMessage, options = {}) {
+        const previousMessage = fieldErrors.get(field);
 
         if (isValid) {
             field.classList.remove('is-invalid');
             field.classList.add('is-valid');
             field.setAttribute('aria-invalid', 'false');
+            fieldErrors.delete(field);
+
+            const feedbackElement = field.parentNode.querySelector('.invalid-feedback');
             if (feedbackElement) {
                 feedbackElement.textContent = '';
             }
@@ -496,18 +545,41 @@
             field.classList.remove('is-valid');
             field.classList.add('is-invalid');
             field.setAttribute('aria-invalid', 'true');
-            
-            if (feedbackElement) {
-                feedbackElement.textContent = errorMessage;
-                feedbackElement.classList.add('invalid-feedback');
-            } else {
-                // Create feedback element
-                const feedback = document.createElement('div');
-                feedback.className = 'invalid-feedback';
-                feedback.textContent = errorMessage;
-                field.parentNode.appendChild(feedback);
+            fieldErrors.set(field, errorMessage);
+            getFeedbackElement(field).textContent = errorMessage;
+
+            // Whole-form checks use the error summary instead
+            if (!options.silent && errorMessage !== previousMessage) {
+                announceToScreenReader(errorMessage);
             }
         }
+
+        // Keep an open error summary in step with the fields
+        if (field.form && field.form.querySelector('[data-error-summary]')) {
+            renderErrorSummary(field.form);
+        }
+    }
+
+    /**
+     * The field's message element, linked so screen readers read it with the field
+     */
+    function getFeedbackElement(field) {
+        let feedback = field.parentNode.querySelector('.invalid-feedback');
+        if (!feedback) {
+            feedback = document.createElement('div');
+            feedback.className = 'invalid-feedback';
+            field.parentNode.appendChild(feedback);
+        }
+
+        if (!feedback.id) {
+            feedback.id = `${field.id || field.name || 'field'}-error`;
+        }
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(feedback.id)) {
+            field.setAttribute('aria-describedby', describedBy.concat(feedback.id).join(' '));
+        }
+
+        return feedback;
     }
 
     /**
@@ -518,14 +590,115 @@
         let isFormValid = true;
 
         inputs.forEach(input => {
-            if (!validateField(input)) {
+            if (!validateField(input, { silent: true })) {
                 isFormValid = false;
             }
         });
 
+        renderErrorSummary(form);
         return isFormValid;
     }
 
+    /**
+     * Validate entire form including async rules; resolves to whether it can be sent
+     */
+    function validateFormAsync(form) {
+        if (!validateForm(form)) return Promise.resolve(false);
+
+        const inputs = Array.from(form.querySelectorAll('input, textarea, select'));
+        return Promise.all(inputs.map(input => validateFieldAsync(input, { silent: true }))).then(results => {
+            const isFormValid = results.every(Boolean);
+            if (!isFormValid) {
+                renderErrorSummary(form);
+                focusErrorSummary(form);
+            }
+            return isFormValid;
+        });
+    }
+
+    /**
+     * Error summary at the top of a form, with a link to each field that has a problem
+     */
+    function renderErrorSummary(form) {
+        const invalidFields = Array.from(form.querySelectorAll('[aria-invalid="true"]')).filter(field => fieldErrors.has(field));
+        let summary = form.querySelector('[data-error-summary]');
+
+        if (!invalidFields.length) {
+            if (summary) summary.remove();
+            return null;
+        }
+
+        if (!summary) {
+            summary = document.createElement('div');
+            summary.className = 'alert alert-danger form-error-summary';
+            summary.setAttribute('data-error-summary', '');
+            summary.setAttribute('tabindex', '-1');
+            summary.addEventListener('click', function(e) {
+                const link = e.target.closest('a[data-error-field]');
+                if (!link) return;
+
+                e.preventDefault();
+                const field = document.getElementById(link.dataset.errorField);
+                if (field) field.focus();
+            });
+            form.prepend(summary);
+        }
+
+        const engine = window.DisabilitySupportValidation;
+        const headingId = `${form.id || 'form'}-error-summary-heading`;
+        const count = invalidFields.length;
+
+        summary.setAttribute('aria-labelledby', headingId);
+        summary.innerHTML = `
+            <h2 id="${escapeHtml(headingId)}" class="h6 fw-bold">
+                <i class="fas fa-exclamation-triangle me-2" aria-hidden="true"></i>${escapeHtml(t('validation.summaryHeading', `There ${count === 1 ? 'is 1 problem' : `are ${count} problems`} with this form`, { count }))}
+            </h2>
+            <ul class="mb-0">
+                ${invalidFields.map(field => {
+                    const label = engine ? engine.fieldLabel(field) : field.name;
+                    const text = t('validation.summaryItem', `${label}: ${fieldErrors.get(field)}`, {
+                        field: label,
+                        message: fieldErrors.get(field)
+                    });
+                    return field.id ?
+                        `<li><a href="#${escapeHtml(field.id)}" class="alert-link" data-error-field="${escapeHtml(field.id)}">${escapeHtml(text)}</a></li>` :
+                        `<li>${escapeHtml(text)}</li>`;
+                }).join('')}
+            </ul>
+        `;
+        return summary;
+    }
+
+    /**
+     * Move focus to the error summary (or the first invalid field) and announce it
+     */
+    function focusErrorSummary(form) {
+        const target = form.querySelector('[data-error-summary]') || form.querySelector('.is-invalid, [aria-invalid="true"]');
+        if (!target) return;
+
+        target.focus();
+        announceToScreenReader(t('validation.formErrors', 'Please correct the errors in the form'));
+    }
+
+    /**
+     * Remove validation marks and the error summary, e.g. after a reset
+     */
+    function clearFormValidation(form) {
+        form.querySelectorAll('.is-invalid, .is-valid').forEach(field => {
+            field.classList.remove('is-invalid', 'is-valid');
+            field.removeAttribute('aria-invalid');
+            fieldErrors.delete(field);
+
+            const feedbackElement = field.parentNode.querySelector('.invalid-feedback');
+            if (feedbackElement) {
+                feedbackElement.textContent = '';
+            }
+        });
+
+        const summary = form.querySelector('[data-error-summary]');
+        if (summary) summary.remove();
+    }
+
     /**
      * Initialize mobile menu enhancements
      */
@@ -536,7 +709,9 @@
         if (navbarToggler && navbarCollapse) {
             navbarToggler.addEventListener('click', function() {
                 const isExpanded = this.getAttribute('aria-expanded') === 'true';
-                announceToScreenReader(isExpanded ? 'Menu collapsed' : 'Menu expanded');
+                announceToScreenReader(isExpanded ?
+                    t('announce.menuCollapsed', 'Menu collapsed') :
+                    t('announce.menuExpanded', 'Menu expanded'));
             });
 
             // Close menu when clicking outside
@@ -566,7 +741,7 @@
         const scrollButton = document.createElement('button');
         scrollButton.innerHTML = '<i class="fas fa-arrow-up" aria-hidden="true"></i>';
         scrollButton.className = 'btn btn-primary scroll-to-top';
-        scrollButton.setAttribute('aria-label', 'Scroll to top of page');
+        scrollButton.setAttribute('aria-label', t('announce.scrollToTopLabel', 'Scroll to top of page'));
         scrollButton.style.cssText = `
             position: fixed;
             bottom: 20px;
@@ -596,7 +771,7 @@
                 top: 0,
                 behavior: 'smooth'
             });
-            announceToScreenReader('Scrolled to top of page');
+            announceToScreenReader(t('announce.scrolledToTop', 'Scrolled to top of page'));
         });
     }
 
@@ -712,8 +887,9 @@
         const pageTitle = document.title;
         const mainHeading = document.querySelector('h1');
         const announcement = mainHeading ? 
-            `Page loaded: ${pageTitle}. Main heading: ${mainHeading.textContent}` :
-            `Page loaded: ${pageTitle}`;
+            t('announce.pageLoadedWithHeading', `Page loaded: ${pageTitle}. Main heading: ${mainHeading.textContent}`,
+                { title: pageTitle, heading: mainHeading.textContent.trim() }) :
+            t('announce.pageLoaded', `Page loaded: ${pageTitle}`, { title: pageTitle });
         
         setTimeout(() => {
             announceToScreenReader(announcement);
@@ -725,8 +901,8 @@
      */
     function announceSearchResults(count, query) {
         const announcement = count === 0 ?
-            `No search results found for ${query}` :
-            `${count} search result${count === 1 ? '' : 's'} found for ${query}`;
+            t('search.announceNone', `No search results found for ${query}`, { query }) :
+            t('search.announceCount', `${count} search result${count === 1 ? '' : 's'} found for ${query}`, { count, query });
         
         announceToScreenReader(announcement);
     }
@@ -752,45 +928,6 @@
         }, 100);
     }
 
-    /**
-     * Save form data to localStorage
-     */
-    function saveFormData(formId, inputs) {
-        const data = {};
-        inputs.forEach(input => {
-            if (input.name && input.type !== 'password') {
-                data[input.name] = input.value;
-            }
-        });
-        localStorage.setItem(`form-data-${formId}`, JSON.stringify(data));
-    }
-
-    /**
-     * Load form data from localStorage
-     */
-    function loadFormData(formId, inputs) {
-        try {
-            const savedData = localStorage.getItem(`form-data-${formId}`);
-            if (savedData) {
-                const data = JSON.parse(savedData);
-                inputs.forEach(input => {
-                    if (input.name && data[input.name] !== undefined) {
-                        input.value = data[input.name];
-                    }
-                });
-            }
-        } catch (e) {
-            console.warn('Error loading form data:', e);
-        }
-    }
-
-    /**
-     * Clear form data from localStorage
-     */
-    function clearFormData(formId) {
-        localStorage.removeItem(`form-data-${formId}`);
-    }
-
     /**
      * Initialize file upload enhancements
      */
@@ -801,7 +938,7 @@
             input.addEventListener('change', function() {
                 const files = Array.from(this.files);
                 const fileList = files.map(file => `${file.name} (${formatFileSize(file.size)})`).join(', ');
-                announceToScreenReader(`Selected files: ${fileList}`);
+                announceToScreenReader(t('announce.selectedFiles', `Selected files: ${fileList}`, { files: fileList }));
             });
         });
     }
@@ -841,16 +978,6 @@
         return div.innerHTML;
     }
 
-    function isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
-    }
-
-    function isValidPhone(phone) {
-        const phoneRegex = /^[\+]?[\d\s\-\(\)]{10,}$/;
-        return phoneRegex.test(phone);
-    }
-
     function formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -865,7 +992,13 @@
         updateCityContext,
         getCurrentCity,
         validateForm,
-        performSearch
+        validateFormAsync,
+        validateField,
+        updateFieldValidation,
+        showErrorSummary: renderErrorSummary,
+        clearFormValidation,
+        performSearch,
+        moveSearchSelection
     };
 
 })();
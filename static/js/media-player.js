@@ -0,0 +1,527 @@
+/**
+ * Disability Support India - Media Player
+ * Handles captions and transcripts for embedded video and audio: a caption language menu for the
+ * WebVTT <track> elements, caption style controls shared with the accessibility settings, and a
+ * searchable transcript where each line seeks the media to that point
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const PLAYER_SELECTOR = 'main video, main audio, [data-media-player]';
+    const TRACK_SELECTOR = 'track[kind="captions"], track[kind="subtitles"], track:not([kind])';
+
+    // 'off', a language code, or nothing for "follow the page language"
+    const STORAGE_KEY = 'media-caption-language';
+
+    const players = [];
+    const transcripts = new Map();
+    let playerCount = 0;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeMediaPlayers();
+    });
+
+    /**
+     * Enhance every embedded player and keep them in step with the language and caption settings
+     */
+    function initializeMediaPlayers() {
+        document.querySelectorAll(PLAYER_SELECTOR).forEach(enhance);
+
+        document.addEventListener('disabilitysupport:languagechange', function() {
+            players.forEach(player => selectLanguage(player, resolveLanguage(player)));
+        });
+
+        document.addEventListener('disabilitysupport:captionstylechange', function(e) {
+            players.forEach(player => syncStyleControls(player, e.detail));
+        });
+    }
+
+    /**
+     * Wrap a <video> or <audio> element with caption and transcript controls. Enhancing it again,
+     * e.g. after its tracks were replaced, rebuilds the controls; options.nativeControls: false
+     * is for players with buttons of their own
+     */
+    function enhance(media, options) {
+        if (!media || !/^(VIDEO|AUDIO)$/.test(media.tagName)) return null;
+
+        const existing = players.find(player => player.media === media);
+        if (existing) {
+            release(existing);
+        } else if (media.closest('.media-player')) {
+            return null;
+        }
+
+        const tracks = Array.from(media.querySelectorAll(TRACK_SELECTOR)).filter(track => track.srclang && track.src);
+        if (!options || options.nativeControls !== false) media.controls = true;
+        if (!tracks.length) return null;
+
+        const id = media.id || `media-player-${++playerCount}`;
+        const isVideo = media.tagName === 'VIDEO';
+        const wrapper = document.createElement('div');
+        wrapper.className = 'media-player';
+        media.parentNode.insertBefore(wrapper, media);
+        wrapper.appendChild(media);
+
+        wrapper.insertAdjacentHTML('beforeend', buildControls(id, tracks, isVideo));
+
+        const player = {
+            id,
+            media,
+            tracks,
+            isVideo,
+            wrapper,
+            language: null,
+            cues: [],
+            activeIndex: -1,
+            languageSelect: wrapper.querySelector('[data-media-control="language"]'),
+            transcriptButton: wrapper.querySelector('[data-media-control="transcript"]'),
+            transcript: wrapper.querySelector('.media-transcript'),
+            searchInput: wrapper.querySelector('[data-media-control="search"]'),
+            status: wrapper.querySelector('[data-media-status]'),
+            list: wrapper.querySelector('[data-media-lines]')
+        };
+        players.push(player);
+
+        wirePlayer(player);
+        syncStyleControls(player);
+        selectLanguage(player, resolveLanguage(player));
+        return player;
+    }
+
+    /**
+     * Put the media back where it was and drop its controls
+     */
+    function release(player) {
+        player.media.removeEventListener('timeupdate', player.onTimeUpdate);
+        player.wrapper.parentNode.insertBefore(player.media, player.wrapper);
+        player.wrapper.remove();
+        players.splice(players.indexOf(player), 1);
+    }
+
+    function buildControls(id, tracks, isVideo) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        const languageOptions = tracks.map(track =>
+            `<option value="${escapeHtml(track.srclang)}">${escapeHtml(track.label || languageName(track.srclang))}</option>`
+        ).join('');
+
+        // Audio has nothing to show captions on, so only the transcript language is offered
+        const languageControl = `
+            <div>
+                <label class="form-label small mb-1" for="${id}-language">${escapeHtml(isVideo ? t('media.captions', 'Captions') : t('media.transcriptLanguage', 'Transcript language'))}</label>
+                <select id="${id}-language" class="form-select form-select-sm" data-media-control="language">
+                    ${isVideo ? `<option value="off">${escapeHtml(t('media.captionsOff', 'Off'))}</option>` : ''}
+                    ${languageOptions}
+                </select>
+            </div>`;
+
+        const styleControls = isVideo && accessibility ? `
+            <div>
+                <label class="form-label small mb-1" for="${id}-caption-size">${escapeHtml(t('settings.captionSizeLabel', 'Caption size'))}</label>
+                <select id="${id}-caption-size" class="form-select form-select-sm" data-media-control="captionSize">
+                    ${accessibility.captionSizes.map(size => `<option value="${size}">${escapeHtml(t(`settings.captionSize.${size}`, size))}</option>`).join('')}
+                </select>
+            </div>
+            <div>
+                <label class="form-label small mb-1" for="${id}-caption-background">${escapeHtml(t('settings.captionBackgroundLabel', 'Caption background'))}</label>
+                <select id="${id}-caption-background" class="form-select form-select-sm" data-media-control="captionBackground">
+                    ${accessibility.captionBackgrounds.map(background => `<option value="${background}">${escapeHtml(t(`settings.captionBackground.${background}`, background))}</option>`).join('')}
+                </select>
+            </div>` : '';
+
+        return `
+            <div class="media-player-toolbar">
+                ${languageControl}
+                ${styleControls}
+                <button type="button" class="btn btn-sm btn-outline-primary" data-media-control="transcript"
+                        aria-expanded="false" aria-controls="${id}-transcript">
+                    <i class="fas fa-file-alt me-1" aria-hidden="true"></i>${escapeHtml(t('media.transcript', 'Transcript'))}
+                </button>
+            </div>
+            <section class="media-transcript" id="${id}-transcript" aria-label="${escapeHtml(t('media.transcript', 'Transcript'))}" hidden>
+                <div class="media-transcript-search">
+                    <label class="form-label small mb-1" for="${id}-search">${escapeHtml(t('media.search', 'Search the transcript'))}</label>
+                    <input type="search" id="${id}-search" class="form-control form-control-sm" autocomplete="off" data-media-control="search">
+                    <p class="small text-muted mb-0 mt-1" role="status" aria-live="polite" data-media-status></p>
+                </div>
+                <ol class="media-transcript-lines list-unstyled mb-0" data-media-lines></ol>
+            </section>`;
+    }
+
+    function wirePlayer(player) {
+        const accessibility = window.DisabilitySupportAccessibility;
+
+        player.languageSelect.addEventListener('change', function() {
+            saveLanguage(this.value);
+            players.forEach(other => selectLanguage(other, resolveLanguage(other)));
+        });
+
+        player.wrapper.querySelectorAll('[data-media-control="captionSize"], [data-media-control="captionBackground"]').forEach(select => {
+            select.addEventListener('change', function() {
+                if (select.dataset.mediaControl === 'captionSize') {
+                    accessibility.setCaptionSize(this.value);
+                } else {
+                    accessibility.setCaptionBackground(this.value);
+                }
+            });
+        });
+
+        player.transcriptButton.addEventListener('click', function() {
+            const expanded = this.getAttribute('aria-expanded') !== 'true';
+            this.setAttribute('aria-expanded', String(expanded));
+            player.transcript.hidden = !expanded;
+            if (expanded) scrollToActive(player);
+        });
+
+        player.searchInput.addEventListener('input', function() {
+            filterTranscript(player, this.value);
+        });
+
+        player.searchInput.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                const first = visibleLines(player)[0];
+                if (first) focusLine(player, first);
+            }
+        });
+
+        player.list.addEventListener('click', function(e) {
+            const line = e.target.closest('.media-transcript-line');
+            if (!line) return;
+
+            player.media.currentTime = parseFloat(line.dataset.start);
+            focusLine(player, line);
+        });
+
+        player.list.addEventListener('keydown', function(e) {
+            handleLineKeydown(player, e);
+        });
+
+        player.onTimeUpdate = function() {
+            updateActiveLine(player);
+        };
+        player.media.addEventListener('timeupdate', player.onTimeUpdate);
+    }
+
+    /**
+     * Caption language: the remembered choice if this player has it, otherwise the page language
+     */
+    function resolveLanguage(player) {
+        const languages = player.tracks.map(track => track.srclang);
+        const stored = loadLanguage();
+
+        if (stored === 'off' && player.isVideo) return 'off';
+        if (stored && languages.includes(stored)) return stored;
+
+        const pageLanguage = currentLanguage();
+        if (languages.includes(pageLanguage)) return pageLanguage;
+
+        const defaultTrack = player.tracks.find(track => track.default);
+        return defaultTrack ? defaultTrack.srclang : (languages.includes('en') ? 'en' : languages[0]);
+    }
+
+    /**
+     * Show one caption track (or none) and load the transcript in the same language
+     */
+    function selectLanguage(player, language) {
+        player.language = language;
+        player.languageSelect.value = language;
+
+        player.tracks.forEach(track => {
+            const selected = track.srclang === language;
+            track.track.mode = selected && player.isVideo ? 'showing' : 'disabled';
+        });
+
+        // With captions off the transcript still follows the page language
+        const transcriptTrack = player.tracks.find(track => track.srclang === language) ||
+            player.tracks.find(track => track.srclang === currentLanguage()) ||
+            player.tracks[0];
+
+        return loadTranscript(transcriptTrack.src)
+            .then(cues => {
+                player.cues = cues;
+                player.transcript.lang = transcriptTrack.srclang;
+                renderTranscript(player);
+            })
+            .catch(error => {
+                console.warn('Could not load the transcript:', error);
+                player.cues = [];
+                player.list.innerHTML = `<li class="text-muted small">${escapeHtml(t('media.transcriptError', 'The transcript could not be loaded.'))}</li>`;
+            });
+    }
+
+    /**
+     * Fetch and parse a WebVTT file once per address
+     */
+    function loadTranscript(src) {
+        if (!transcripts.has(src)) {
+            transcripts.set(src, fetch(src)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.text();
+                })
+                .then(parseVtt)
+                .catch(error => {
+                    transcripts.delete(src);
+                    throw error;
+                }));
+        }
+        return transcripts.get(src);
+    }
+
+    /**
+     * Parse WebVTT into { start, end, text } cues; markup is dropped and voice tags become "Name: "
+     */
+    function parseVtt(text) {
+        const cues = [];
+
+        text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(block => {
+            const lines = block.split('\n');
+            const timing = lines.findIndex(line => line.includes('-->'));
+            if (timing === -1) return;
+
+            const [start, end] = lines[timing].split('-->').map(part => parseTimestamp(part.trim().split(/\s+/)[0]));
+            const cueText = decodeEntities(lines.slice(timing + 1).join(' ')
+                .replace(/<v(?:\.[^\s>]*)?\s+([^>]+)>/g, '$1: ')
+                .replace(/<[^>]+>/g, ''))
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            if (!isNaN(start) && cueText) {
+                cues.push({ start, end, text: cueText });
+            }
+        });
+
+        return cues;
+    }
+
+    function parseTimestamp(value) {
+        const parts = (value || '').split(':').map(Number);
+        if (parts.length < 2 || parts.some(isNaN)) return NaN;
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    function decodeEntities(text) {
+        const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '', '&rlm;': '' };
+        return text.replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => entities[entity]);
+    }
+
+    /**
+     * One button per cue, in a single tab stop moved with the arrow keys
+     */
+    function renderTranscript(player) {
+        player.activeIndex = -1;
+        player.list.innerHTML = player.cues.map((cue, index) => `
+            <li>
+                <button type="button" class="media-transcript-line" data-index="${index}" data-start="${cue.start}"
+                        tabindex="${index === 0 ? '0' : '-1'}">
+                    <span class="media-transcript-time">${formatTime(cue.start)}</span>
+                    <span class="media-transcript-text">${escapeHtml(cue.text)}</span>
+                </button>
+            </li>
+        `).join('');
+
+        filterTranscript(player, player.searchInput.value);
+        updateActiveLine(player);
+    }
+
+    /**
+     * Show only the lines containing the search text, with the matches marked
+     */
+    function filterTranscript(player, query) {
+        const needle = query.trim().toLowerCase();
+        let matches = 0;
+
+        player.list.querySelectorAll('.media-transcript-line').forEach(line => {
+            const cue = player.cues[line.dataset.index];
+            const match = !needle || cue.text.toLowerCase().includes(needle);
+
+            line.parentElement.hidden = !match;
+            line.querySelector('.media-transcript-text').innerHTML = highlight(cue.text, needle);
+            if (match) matches++;
+        });
+
+        player.status.textContent = needle ?
+            t('media.matches', `${matches} lines match "${query.trim()}"`, { count: matches, query: query.trim() }) :
+            '';
+
+        const visible = visibleLines(player);
+        if (visible.length && !visible.some(line => line.tabIndex === 0)) {
+            setTabStop(player, visible[0]);
+        }
+    }
+
+    function highlight(text, needle) {
+        if (!needle) return escapeHtml(text);
+
+        const lower = text.toLowerCase();
+        let html = '';
+        let position = 0;
+        let found = lower.indexOf(needle);
+
+        while (found !== -1) {
+            html += `${escapeHtml(text.slice(position, found))}<mark>${escapeHtml(text.slice(found, found + needle.length))}</mark>`;
+            position = found + needle.length;
+            found = lower.indexOf(needle, position);
+        }
+        return html + escapeHtml(text.slice(position));
+    }
+
+    /**
+     * Mark the line being spoken and keep it in view, unless the user is moving through the lines
+     */
+    function updateActiveLine(player) {
+        const time = player.media.currentTime;
+        const index = player.cues.findIndex(cue => time >= cue.start && time < cue.end);
+        if (index === player.activeIndex) return;
+
+        const previous = player.list.querySelector('.media-transcript-line.active');
+        if (previous) {
+            previous.classList.remove('active');
+            previous.removeAttribute('aria-current');
+        }
+
+        player.activeIndex = index;
+        const line = player.list.querySelector(`.media-transcript-line[data-index="${index}"]`);
+        if (!line) return;
+
+        line.classList.add('active');
+        line.setAttribute('aria-current', 'true');
+        if (!player.list.contains(document.activeElement)) {
+            if (!line.parentElement.hidden) setTabStop(player, line);
+            scrollToActive(player);
+        }
+    }
+
+    function scrollToActive(player) {
+        const line = player.list.querySelector('.media-transcript-line.active');
+        if (!line || player.transcript.hidden) return;
+
+        player.list.scrollTop = line.parentElement.offsetTop - player.list.clientHeight / 3;
+    }
+
+    function handleLineKeydown(player, e) {
+        const line = e.target.closest('.media-transcript-line');
+        if (!line) return;
+
+        const lines = visibleLines(player);
+        const index = lines.indexOf(line);
+        let next = null;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                next = lines[Math.min(index + 1, lines.length - 1)];
+                break;
+            case 'ArrowUp':
+                next = lines[Math.max(index - 1, 0)];
+                break;
+            case 'Home':
+                next = lines[0];
+                break;
+            case 'End':
+                next = lines[lines.length - 1];
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        focusLine(player, next);
+    }
+
+    function visibleLines(player) {
+        return Array.from(player.list.querySelectorAll('.media-transcript-line'))
+            .filter(line => !line.parentElement.hidden);
+    }
+
+    function setTabStop(player, line) {
+        player.list.querySelectorAll('.media-transcript-line').forEach(other => {
+            other.tabIndex = other === line ? 0 : -1;
+        });
+    }
+
+    function focusLine(player, line) {
+        setTabStop(player, line);
+        line.focus();
+    }
+
+    /**
+     * Keep the toolbar's caption style menus showing the shared setting
+     */
+    function syncStyleControls(player, detail) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        const settings = accessibility ? accessibility.getCurrentSettings() : {};
+        // The change event calls them size and background
+        const size = detail ? detail.size : settings.captionSize;
+        const background = detail ? detail.background : settings.captionBackground;
+        const sizeSelect = player.wrapper.querySelector('[data-media-control="captionSize"]');
+        const backgroundSelect = player.wrapper.querySelector('[data-media-control="captionBackground"]');
+
+        if (sizeSelect && size) sizeSelect.value = size;
+        if (backgroundSelect && background) backgroundSelect.value = background;
+    }
+
+    /**
+     * Remembered caption language
+     */
+    function loadLanguage() {
+        try {
+            return localStorage.getItem(STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function saveLanguage(language) {
+        try {
+            localStorage.setItem(STORAGE_KEY, language);
+        } catch (e) {
+            console.warn('Could not save the caption language:', e);
+        }
+    }
+
+    function setCaptionLanguage(language) {
+        saveLanguage(language);
+        players.forEach(player => selectLanguage(player, resolveLanguage(player)));
+    }
+
+    function formatTime(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total / 60) % 60;
+        const secs = String(total % 60).padStart(2, '0');
+        return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+
+    function currentLanguage() {
+        const i18n = window.DisabilitySupportI18n;
+        return i18n ? i18n.getLanguage() : 'en';
+    }
+
+    function languageName(code) {
+        try {
+            return new Intl.DisplayNames([currentLanguage()], { type: 'language' }).of(code);
+        } catch (e) {
+            return code;
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Export media player functions for other scripts
+    window.DisabilitySupportMediaPlayer = {
+        enhance,
+        parseVtt,
+        setCaptionLanguage
+    };
+
+})();
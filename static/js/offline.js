@@ -0,0 +1,178 @@
+/**
+ * Disability Support India - Offline Support
+ * Registers the service worker and shows an announced banner while the site runs from saved data
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const SERVICE_WORKER_URL = '/service-worker.js';
+
+    let isOffline = false;
+
+    // When the saved copy this page was served from was stored; null when it came from the network
+    let pageCachedAt = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeOfflineSupport();
+    });
+
+    /**
+     * Initialize service worker registration and connectivity tracking
+     */
+    function initializeOfflineSupport() {
+        registerServiceWorker();
+
+        window.addEventListener('offline', function() {
+            setOfflineState(true);
+        });
+
+        window.addEventListener('online', function() {
+            setOfflineState(false);
+        });
+
+        document.addEventListener('disabilitysupport:languagechange', function() {
+            if (isOffline) {
+                updateOfflineBanner();
+            }
+        });
+
+        // The browser can think it is online while this page came from the cache after a failed request
+        getPageCachedDate().then(cachedAt => {
+            pageCachedAt = cachedAt;
+            if (cachedAt || !navigator.onLine) {
+                setOfflineState(true);
+            }
+        });
+    }
+
+    /**
+     * Register the service worker at the site root so it controls every page
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register(SERVICE_WORKER_URL, { scope: '/' })
+            .catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+    }
+
+    /**
+     * Switch the offline banner on or off and announce the change
+     */
+    function setOfflineState(offline) {
+        if (offline === isOffline) return;
+        isOffline = offline;
+
+        const banner = document.getElementById('offline-banner');
+        document.body.classList.toggle('is-offline', offline);
+
+        if (offline) {
+            updateOfflineBanner().then(message => {
+                announce(message, 'assertive');
+            });
+        } else {
+            if (banner) {
+                banner.hidden = true;
+            }
+            announce(t('offline.backOnline', 'You are back online. Showing live information.'));
+        }
+    }
+
+    /**
+     * Fill in the banner text with the date of the saved copy of this page
+     */
+    function updateOfflineBanner() {
+        const banner = document.getElementById('offline-banner');
+        const bannerText = document.getElementById('offline-banner-text');
+
+        const cachedDate = pageCachedAt ? Promise.resolve(pageCachedAt) : getCachedDate(window.location.href);
+
+        return cachedDate.then(cachedAt => {
+            const message = cachedAt ?
+                t('offline.banner', `You are offline, showing saved data from ${formatDate(cachedAt)}`, { date: formatDate(cachedAt) }) :
+                t('offline.bannerNoDate', 'You are offline, showing saved data');
+
+            if (banner && bannerText) {
+                bannerText.textContent = message;
+                banner.hidden = false;
+            }
+
+            return message;
+        });
+    }
+
+    /**
+     * Ask the service worker when its copy of a URL was saved
+     */
+    function getCachedDate(url) {
+        return askServiceWorker({ type: 'GET_CACHED_AT', url });
+    }
+
+    /**
+     * Ask the service worker whether this page was served from its cache, and from when
+     */
+    function getPageCachedDate() {
+        return askServiceWorker({ type: 'GET_PAGE_CACHED_AT' });
+    }
+
+    function askServiceWorker(message) {
+        const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+        if (!controller) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            const timeout = setTimeout(() => resolve(null), 2000);
+
+            channel.port1.onmessage = function(event) {
+                clearTimeout(timeout);
+                const cachedAt = event.data && event.data.cachedAt;
+                resolve(cachedAt ? new Date(cachedAt) : null);
+            };
+
+            controller.postMessage(message, [channel.port2]);
+        });
+    }
+
+    /**
+     * Format a date in the active language
+     */
+    function formatDate(date) {
+        const i18n = window.DisabilitySupportI18n;
+        const language = i18n ? i18n.getLanguage() : 'en';
+
+        try {
+            return date.toLocaleString(`${language}-IN`, {
+                day: 'numeric',
+                month: 'long',
+                year: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            });
+        } catch (e) {
+            return date.toLocaleString();
+        }
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    // Export offline helpers for other scripts
+    window.DisabilitySupportOffline = {
+        isOffline: function() {
+            return isOffline;
+        },
+        getCachedDate
+    };
+
+})();
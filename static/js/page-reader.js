@@ -0,0 +1,683 @@
+/**
+ * Disability Support India - Page Reader
+ * Reads the main content aloud sentence by sentence with highlighting and playback controls
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    // Elements read aloud; only the innermost match is used so nothing is read twice
+    const READABLE_BLOCKS = 'h1, h2, h3, h4, h5, h6, p, li, dt, dd, th, td, caption, blockquote, figcaption, summary';
+    const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+
+    // Name used with the CSS Custom Highlight API
+    const HIGHLIGHT_NAME = 'reader-sentence';
+
+    // Reader state
+    let sentences = [];
+    let currentIndex = 0;
+    let status = 'stopped';
+    let utteranceToken = 0;
+
+    // A message spoken over the reader (see handleInterruption)
+    let interruptingUtterance = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializePageReader();
+    });
+
+    /**
+     * Initialize reader controls
+     */
+    function initializePageReader() {
+        const readerBtn = document.getElementById('page-reader-btn');
+        const panel = document.getElementById('page-reader');
+        if (!readerBtn || !panel) return;
+
+        if (!('speechSynthesis' in window)) {
+            readerBtn.disabled = true;
+            readerBtn.setAttribute('aria-label', t('reader.unsupported', 'Reading aloud is not supported in this browser'));
+            return;
+        }
+
+        readerBtn.addEventListener('click', function() {
+            if (panel.hidden) {
+                openReader();
+                play();
+            } else {
+                closeReader();
+            }
+        });
+
+        panel.querySelectorAll('[data-reader-action]').forEach(button => {
+            button.addEventListener('click', function() {
+                runAction(this.dataset.readerAction);
+            });
+        });
+
+        initializeSpeechControls();
+
+        if (window.DisabilitySupportShortcuts) {
+            window.DisabilitySupportShortcuts.register({
+                id: 'readPage',
+                keys: 'Ctrl+Alt+R',
+                group: 'speech',
+                labelKey: 'shortcuts.actions.readPage',
+                label: 'Read page aloud / pause reading',
+                handler: function() {
+                    openReader();
+                    togglePlayback();
+                }
+            });
+        }
+
+        document.addEventListener('disabilitysupport:languagechange', function() {
+            updateControls();
+        });
+
+        // Announcements in Audio mode cancel the current sentence
+        document.addEventListener('disabilitysupport:speechinterrupt', function(e) {
+            handleInterruption(e.detail.utterance);
+        });
+
+        // Switching to or from easy read swaps the text being read
+        document.addEventListener('disabilitysupport:contentvariantchange', function() {
+            refreshSentences();
+        });
+
+        // Stop talking when leaving the page
+        window.addEventListener('pagehide', function() {
+            window.speechSynthesis.cancel();
+        });
+
+        updateControls();
+    }
+
+    /**
+     * Run a control panel action
+     */
+    function runAction(action) {
+        const actions = {
+            toggle: togglePlayback,
+            stop: stop,
+            close: closeReader,
+            nextSentence: nextSentence,
+            previousSentence: previousSentence,
+            nextHeading: nextHeading,
+            previousHeading: previousHeading
+        };
+
+        if (actions[action]) {
+            actions[action]();
+        }
+    }
+
+    /**
+     * Rate, pitch and voice controls, initialized from the saved settings
+     */
+    function initializeSpeechControls() {
+        const rateInput = document.getElementById('page-reader-rate');
+        const pitchInput = document.getElementById('page-reader-pitch');
+        const voiceSelect = document.getElementById('page-reader-voice');
+        const settings = accessibility().getSpeechSettings();
+
+        if (rateInput) {
+            rateInput.value = settings.rate;
+            updateRangeText(rateInput);
+            rateInput.addEventListener('change', function() {
+                accessibility().setSpeechSettings({ rate: this.value });
+                updateRangeText(this);
+                restartCurrentSentence();
+            });
+            rateInput.addEventListener('input', function() {
+                updateRangeText(this);
+            });
+        }
+
+        if (pitchInput) {
+            pitchInput.value = settings.pitch;
+            updateRangeText(pitchInput);
+            pitchInput.addEventListener('change', function() {
+                accessibility().setSpeechSettings({ pitch: this.value });
+                updateRangeText(this);
+                restartCurrentSentence();
+            });
+            pitchInput.addEventListener('input', function() {
+                updateRangeText(this);
+            });
+        }
+
+        if (voiceSelect) {
+            populateVoices(voiceSelect);
+            // Voices load asynchronously in most browsers
+            window.speechSynthesis.addEventListener('voiceschanged', function() {
+                populateVoices(voiceSelect);
+            });
+            voiceSelect.addEventListener('change', function() {
+                accessibility().setSpeechSettings({ voice: this.value });
+                restartCurrentSentence();
+            });
+        }
+    }
+
+    /**
+     * Show a range's value next to it, e.g. "1.2×"
+     */
+    function updateRangeText(input) {
+        const output = document.querySelector(`output[for="${input.id}"]`);
+        const value = `${Number(input.value).toFixed(1)}×`;
+
+        input.setAttribute('aria-valuetext', value);
+        if (output) {
+            output.textContent = value;
+        }
+    }
+
+    /**
+     * Fill the voice list, putting voices for the page language first
+     */
+    function populateVoices(select) {
+        const voices = window.speechSynthesis.getVoices();
+        const savedVoice = accessibility().getSpeechSettings().voice;
+        const language = document.documentElement.getAttribute('lang') || 'en';
+
+        const sorted = voices.slice().sort((a, b) => {
+            const aMatches = a.lang.toLowerCase().startsWith(language) ? 0 : 1;
+            const bMatches = b.lang.toLowerCase().startsWith(language) ? 0 : 1;
+            return aMatches - bMatches || a.name.localeCompare(b.name);
+        });
+
+        select.innerHTML = '';
+        select.appendChild(new Option(t('reader.defaultVoice', 'Default voice'), ''));
+        sorted.forEach(voice => {
+            select.appendChild(new Option(`${voice.name} (${voice.lang})`, voice.name, false, voice.name === savedVoice));
+        });
+    }
+
+    /**
+     * Show the reader controls
+     */
+    function openReader() {
+        const panel = document.getElementById('page-reader');
+        const readerBtn = document.getElementById('page-reader-btn');
+        if (!panel) return;
+
+        panel.hidden = false;
+        if (readerBtn) {
+            readerBtn.setAttribute('aria-expanded', 'true');
+        }
+    }
+
+    /**
+     * Stop reading and hide the reader controls
+     */
+    function closeReader() {
+        const panel = document.getElementById('page-reader');
+        const readerBtn = document.getElementById('page-reader-btn');
+
+        stop();
+        if (panel) {
+            panel.hidden = true;
+        }
+        if (readerBtn) {
+            readerBtn.setAttribute('aria-expanded', 'false');
+            readerBtn.focus();
+        }
+    }
+
+    /**
+     * Collect the sentences of #main-content in document order
+     */
+    function buildSentences() {
+        const root = document.getElementById('main-content');
+        if (!root) return [];
+
+        const blocks = Array.from(root.querySelectorAll(READABLE_BLOCKS))
+            .filter(block => !block.querySelector(READABLE_BLOCKS) && isReadable(block));
+
+        return blocks.reduce((all, block) => all.concat(splitSentences(block)), []);
+    }
+
+    /**
+     * Rebuild the sentences after the page text changed, carrying on from the same place: the same
+     * sentence if it is still shown, otherwise the start of the section that replaced it
+     */
+    function refreshSentences() {
+        if (status === 'stopped') return;
+
+        const current = sentences[currentIndex];
+        sentences = buildSentences();
+        if (!sentences.length) {
+            finish();
+            return;
+        }
+
+        let index = current ? sentences.findIndex(sentence => sentence.block === current.block && sentence.start === current.start) : -1;
+        if (index === -1 && current) {
+            const group = current.block.closest('[data-content-variants]');
+            index = group ? sentences.findIndex(sentence => group.contains(sentence.block)) : -1;
+        }
+        if (index === -1 && current) {
+            index = sentences.findIndex(sentence => current.block.compareDocumentPosition(sentence.block) & Node.DOCUMENT_POSITION_FOLLOWING);
+        }
+
+        currentIndex = Math.max(index, 0);
+        if (status === 'playing') {
+            speakCurrent();
+        } else {
+            highlightSentence(sentences[currentIndex]);
+            updateControls();
+        }
+    }
+
+    /**
+     * Whether a block is visible and meant to be read
+     */
+    function isReadable(block) {
+        if (block.closest('[aria-hidden="true"], [hidden], script, style, template')) return false;
+        return block.getClientRects().length > 0 && block.textContent.trim() !== '';
+    }
+
+    /**
+     * Split a block into sentences, keeping text offsets for highlighting
+     */
+    function splitSentences(block) {
+        const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        let text = '';
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.parentElement.closest('[aria-hidden="true"]')) continue;
+            nodes.push({ node, start: text.length });
+            text += node.data;
+        }
+
+        const isHeading = block.matches(HEADINGS);
+
+        return sentenceBoundaries(text)
+            .map(([start, end]) => {
+                // Trim surrounding whitespace so the highlight hugs the words
+                while (start < end && /\s/.test(text[start])) start++;
+                while (end > start && /\s/.test(text[end - 1])) end--;
+                return { block, nodes, start, end, isHeading, text: text.slice(start, end).replace(/\s+/g, ' ') };
+            })
+            .filter(sentence => sentence.text);
+    }
+
+    /**
+     * Sentence start and end offsets in a string
+     */
+    function sentenceBoundaries(text) {
+        if (window.Intl && Intl.Segmenter) {
+            const language = document.documentElement.getAttribute('lang') || 'en';
+            const segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+            return Array.from(segmenter.segment(text)).map(segment => [segment.index, segment.index + segment.segment.length]);
+        }
+
+        // Fallback: split after ., !, ? and the Devanagari danda
+        const boundaries = [];
+        const pattern = /[^.!?।]+(?:[.!?।]+|$)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null && match[0]) {
+            boundaries.push([match.index, match.index + match[0].length]);
+        }
+        return boundaries;
+    }
+
+    /**
+     * Start or resume reading
+     */
+    function play() {
+        if (status === 'stopped' || !sentences.length) {
+            sentences = buildSentences();
+            currentIndex = 0;
+        }
+
+        if (!sentences.length) {
+            announce(t('reader.nothingToRead', 'There is nothing to read on this page'));
+            return;
+        }
+
+        interruptingUtterance = null;
+        status = 'playing';
+        speakCurrent();
+        updateControls();
+    }
+
+    /**
+     * Another message is spoken over the reader: pause, then read the current sentence again
+     * once the last such message has finished
+     */
+    function handleInterruption(utterance) {
+        if (status === 'playing') {
+            status = 'paused';
+            utteranceToken++;
+            updateControls();
+        } else if (!interruptingUtterance) {
+            return;
+        }
+
+        interruptingUtterance = utterance;
+
+        const resume = function() {
+            if (interruptingUtterance !== utterance) return;
+
+            interruptingUtterance = null;
+            if (status === 'paused') {
+                status = 'playing';
+                speakCurrent();
+                updateControls();
+            }
+        };
+        utterance.addEventListener('end', resume);
+        utterance.addEventListener('error', resume);
+    }
+
+    /**
+     * Pause reading at the current sentence
+     */
+    function pause() {
+        // Paused by an announcement counts too, so reading does not pick up again after it
+        if (status !== 'playing' && !interruptingUtterance) return;
+
+        status = 'paused';
+        interruptingUtterance = null;
+        utteranceToken++;
+        window.speechSynthesis.cancel();
+        updateControls();
+        announce(t('reader.paused', 'Reading paused'));
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    function togglePlayback() {
+        if (status === 'playing') {
+            pause();
+        } else {
+            play();
+        }
+    }
+
+    /**
+     * Stop reading and clear the highlight
+     */
+    function stop() {
+        if (status === 'stopped') return;
+
+        status = 'stopped';
+        interruptingUtterance = null;
+        utteranceToken++;
+        window.speechSynthesis.cancel();
+        clearHighlight();
+        sentences = [];
+        currentIndex = 0;
+        updateControls();
+        announce(t('reader.stopped', 'Reading stopped'));
+    }
+
+    /**
+     * Speak the current sentence and move on when it finishes
+     */
+    function speakCurrent() {
+        const sentence = sentences[currentIndex];
+        if (!sentence) return;
+
+        highlightSentence(sentence);
+
+        const token = ++utteranceToken;
+        const utterance = accessibility().createUtterance(sentence.text);
+
+        utterance.onend = function() {
+            // Ignore utterances that were cancelled by pause, stop or a jump
+            if (token !== utteranceToken || status !== 'playing') return;
+
+            if (currentIndex < sentences.length - 1) {
+                currentIndex++;
+                speakCurrent();
+            } else {
+                finish();
+            }
+        };
+
+        utterance.onerror = function(event) {
+            if (token !== utteranceToken || event.error === 'interrupted' || event.error === 'canceled') return;
+
+            console.warn('Page reader speech error:', event.error);
+            status = 'paused';
+            updateControls();
+            announce(t('reader.error', 'Reading stopped because of a speech error'), 'assertive');
+        };
+
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Reached the end of the page
+     */
+    function finish() {
+        status = 'stopped';
+        clearHighlight();
+        sentences = [];
+        currentIndex = 0;
+        updateControls();
+        announce(t('reader.finished', 'Finished reading the page'));
+    }
+
+    /**
+     * Apply new speech settings straight away
+     */
+    function restartCurrentSentence() {
+        if (status === 'playing') {
+            speakCurrent();
+        }
+    }
+
+    /**
+     * Move to a sentence and speak it if reading
+     */
+    function goToSentence(index) {
+        if (status === 'stopped') {
+            sentences = buildSentences();
+            status = 'paused';
+        }
+        if (!sentences.length) return;
+
+        currentIndex = Math.min(Math.max(index, 0), sentences.length - 1);
+
+        if (status === 'playing') {
+            speakCurrent();
+        } else {
+            highlightSentence(sentences[currentIndex]);
+            updateControls();
+        }
+    }
+
+    /**
+     * Next sentence
+     */
+    function nextSentence() {
+        goToSentence(currentIndex + 1);
+    }
+
+    /**
+     * Previous sentence
+     */
+    function previousSentence() {
+        goToSentence(currentIndex - 1);
+    }
+
+    /**
+     * Jump to the next heading
+     */
+    function nextHeading() {
+        if (status === 'stopped') {
+            goToSentence(0);
+        }
+
+        const currentBlock = sentences[currentIndex] && sentences[currentIndex].block;
+        const index = sentences.findIndex((sentence, i) => i > currentIndex && sentence.isHeading && sentence.block !== currentBlock);
+
+        if (index === -1) {
+            announce(t('reader.noNextHeading', 'No more headings'));
+            return;
+        }
+        goToSentence(index);
+    }
+
+    /**
+     * Jump back to the start of the current section, or the one before it
+     */
+    function previousHeading() {
+        if (status === 'stopped') {
+            goToSentence(0);
+        }
+
+        let index = -1;
+        for (let i = currentIndex - 1; i >= 0; i--) {
+            if (sentences[i].isHeading && (i === 0 || sentences[i - 1].block !== sentences[i].block)) {
+                index = i;
+                break;
+            }
+        }
+
+        if (index === -1) {
+            announce(t('reader.noPreviousHeading', 'No earlier headings'));
+            return;
+        }
+        goToSentence(index);
+    }
+
+    /**
+     * Highlight a sentence and keep it in view
+     */
+    function highlightSentence(sentence) {
+        clearHighlight();
+
+        sentence.block.classList.add('reader-active-block');
+        sentence.block.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+
+        if (window.CSS && CSS.highlights && window.Highlight) {
+            CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(createRange(sentence)));
+        }
+
+        const nowReading = document.getElementById('page-reader-current');
+        if (nowReading) {
+            nowReading.textContent = sentence.text;
+        }
+    }
+
+    /**
+     * Remove sentence and block highlights
+     */
+    function clearHighlight() {
+        document.querySelectorAll('.reader-active-block').forEach(block => {
+            block.classList.remove('reader-active-block');
+        });
+
+        if (window.CSS && CSS.highlights) {
+            CSS.highlights.delete(HIGHLIGHT_NAME);
+        }
+
+        const nowReading = document.getElementById('page-reader-current');
+        if (nowReading) {
+            nowReading.textContent = '';
+        }
+    }
+
+    /**
+     * DOM range covering a sentence
+     */
+    function createRange(sentence) {
+        const range = document.createRange();
+        const start = locateOffset(sentence.nodes, sentence.start);
+        const end = locateOffset(sentence.nodes, sentence.end);
+
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+        return range;
+    }
+
+    /**
+     * Find the text node and offset for a position in a block's text
+     */
+    function locateOffset(nodes, offset) {
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            if (nodes[i].start <= offset) {
+                return {
+                    node: nodes[i].node,
+                    offset: Math.min(offset - nodes[i].start, nodes[i].node.data.length)
+                };
+            }
+        }
+        return { node: nodes[0].node, offset: 0 };
+    }
+
+    /**
+     * Update the play button and position text
+     */
+    function updateControls() {
+        const toggleBtn = document.querySelector('#page-reader [data-reader-action="toggle"]');
+        const position = document.getElementById('page-reader-position');
+        const readerBtn = document.getElementById('page-reader-btn');
+
+        if (toggleBtn) {
+            const icon = toggleBtn.querySelector('i');
+            const playing = status === 'playing';
+
+            toggleBtn.setAttribute('aria-label', playing ? t('reader.pause', 'Pause') : t('reader.play', 'Play'));
+            if (icon) {
+                icon.className = `fas fa-${playing ? 'pause' : 'play'}`;
+            }
+        }
+
+        if (position) {
+            position.textContent = sentences.length ?
+                t('reader.position', `Sentence ${currentIndex + 1} of ${sentences.length}`, { position: currentIndex + 1, total: sentences.length }) :
+                '';
+        }
+
+        if (readerBtn) {
+            readerBtn.classList.toggle('active', status === 'playing');
+        }
+    }
+
+    /**
+     * Shared accessibility layer
+     */
+    function accessibility() {
+        return window.DisabilitySupportAccessibility;
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibilityLayer = accessibility();
+        if (accessibilityLayer) {
+            accessibilityLayer.announceToScreenReader(message, priority);
+        }
+    }
+
+    // Export reader controls for voice commands and other scripts
+    window.DisabilitySupportReader = {
+        open: openReader,
+        close: closeReader,
+        play,
+        pause,
+        stop,
+        togglePlayback,
+        nextSentence,
+        previousSentence,
+        nextHeading,
+        previousHeading,
+        getStatus: function() {
+            return status;
+        }
+    };
+
+})();
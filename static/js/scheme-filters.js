@@ -0,0 +1,312 @@
+/**
+ * Disability Support India - Scheme Filters
+ * Handles filtering, sorting and paging the schemes list through /api/schemes, keeping the
+ * filters in the page address (see filter-state.js) so the results can be bookmarked and shared
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    const PAGE_SIZE = 10;
+
+    // Filtering happens on the server; typing waits this long before asking
+    const SEARCH_DELAY = 300;
+
+    const FILTER_CONTROLS = {
+        type: 'scheme-filter',
+        q: 'scheme-search',
+        sort: 'scheme-sort'
+    };
+
+    let shownIds = [];
+    let total = 0;
+    let nextCursor = null;
+    let filterRequest = 0;
+    let searchTimeout = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeSchemeFilters();
+    });
+
+    /**
+     * Wire up the filter form and the "Show more" button on the schemes page
+     */
+    function initializeSchemeFilters() {
+        const container = document.getElementById('schemes-container');
+        const form = document.getElementById('scheme-filters');
+        if (!container || !form) return;
+
+        ['scheme-filter', 'scheme-sort'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => filterSchemes());
+        });
+
+        document.getElementById('scheme-search').addEventListener('input', function() {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => filterSchemes({ typing: true }), SEARCH_DELAY);
+        });
+
+        // The form only needs submitting without JavaScript
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            clearTimeout(searchTimeout);
+            filterSchemes();
+        });
+        document.getElementById('scheme-filters-submit').hidden = true;
+
+        const loadMoreBtn = document.getElementById('schemes-load-more');
+        if (loadMoreBtn) {
+            loadMoreBtn.addEventListener('click', loadMoreSchemes);
+        }
+
+        // Back and forward bring earlier filters back
+        const filterState = window.DisabilitySupportFilterState;
+        if (filterState) {
+            filterState.watchHistory(Object.keys(FILTER_CONTROLS), getFilters, function(filters) {
+                clearTimeout(searchTimeout);
+                filterState.setControls(getControls(), filters);
+                filterSchemes({ restored: true });
+            });
+        }
+
+        // The server rendered every match; fetch the first page so "Show more" can take over
+        filterSchemes({ initial: true });
+    }
+
+    /**
+     * Ask the server for the first page of schemes matching the filters
+     */
+    function filterSchemes(options = {}) {
+        const filters = getFilters();
+        const request = ++filterRequest;
+
+        if (!options.restored && !options.initial) {
+            saveFilters(filters, { typing: options.typing });
+        }
+
+        return fetchSchemes(apiQuery(filters))
+            .catch(error => {
+                console.warn('Filtering schemes on this device instead:', error);
+                const ids = localFilter(filters);
+                return { ids, total: ids.length, nextCursor: null };
+            })
+            .then(page => {
+                // A slow answer to an earlier request must not replace newer results
+                if (request !== filterRequest) return;
+
+                shownIds = page.ids;
+                total = page.total;
+                nextCursor = page.nextCursor;
+                renderSchemes();
+
+                const message = updateStatus();
+                const hasFilters = Object.keys(FILTER_CONTROLS).some(name => filters[name]);
+
+                // Filters from a shared link or the back button are described, not just counted
+                if (options.restored || (options.initial && hasFilters)) {
+                    announce(describeRestored(message));
+                } else if (!options.initial) {
+                    announce(message);
+                }
+            });
+    }
+
+    /**
+     * Reveal the next page of results and move focus to the first new scheme
+     */
+    function loadMoreSchemes() {
+        if (!nextCursor) return Promise.resolve();
+
+        const loadMoreBtn = document.getElementById('schemes-load-more');
+        const request = filterRequest;
+        setBusy(loadMoreBtn, true);
+
+        return fetchSchemes(Object.assign(apiQuery(getFilters()), { cursor: nextCursor }))
+            .then(page => {
+                if (request !== filterRequest) return;
+
+                const firstNew = page.ids.find(id => !shownIds.includes(id));
+                shownIds = shownIds.concat(page.ids.filter(id => !shownIds.includes(id)));
+                nextCursor = page.nextCursor;
+                renderSchemes();
+                announce(updateStatus());
+                focusScheme(firstNew);
+            })
+            .catch(error => {
+                console.warn('Could not load more schemes:', error);
+                announce(t('schemes.loadMoreFailed', 'More schemes could not be loaded. Please check your connection and try again.'), 'assertive');
+            })
+            .finally(() => {
+                setBusy(loadMoreBtn, false);
+            });
+    }
+
+    /**
+     * Filter values as they appear in the page address
+     */
+    function getFilters() {
+        const controls = getControls();
+        const filters = {};
+        Object.keys(controls).forEach(name => {
+            filters[name] = controls[name].value.trim();
+        });
+        return filters;
+    }
+
+    function getControls() {
+        const controls = {};
+        Object.keys(FILTER_CONTROLS).forEach(name => {
+            controls[name] = document.getElementById(FILTER_CONTROLS[name]);
+        });
+        return controls;
+    }
+
+    /**
+     * API parameters for the filters, limited to the page's city like the server-rendered list
+     */
+    function apiQuery(filters) {
+        const query = Object.assign({}, filters, {
+            city: document.getElementById('schemes-container').dataset.city || '',
+            limit: String(PAGE_SIZE)
+        });
+
+        Object.keys(query).forEach(name => {
+            if (!query[name]) delete query[name];
+        });
+        return query;
+    }
+
+    /**
+     * One page of matching scheme ids from /api/schemes
+     */
+    function fetchSchemes(query) {
+        return fetch(`/api/schemes?${new URLSearchParams(query)}`)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                return {
+                    ids: (data.schemes || []).map(scheme => scheme.id).filter(id => getCard(id)),
+                    total: data.total || 0,
+                    nextCursor: data.nextCursor || null
+                };
+            });
+    }
+
+    /**
+     * The same filters and sort on the rendered cards, for when the server cannot be reached
+     */
+    function localFilter(filters) {
+        const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+        const descending = filters.sort.startsWith('-');
+        const sortKey = filters.sort.replace(/^-/, '');
+
+        const matching = getCards().filter(card => {
+            const typeMatch = !filters.type || card.dataset.type === filters.type;
+            const text = card.querySelector('.card').textContent.toLowerCase();
+            return typeMatch && words.every(word => text.includes(word));
+        });
+
+        if (sortKey) {
+            matching.sort((a, b) => {
+                const order = sortKey === 'state' ?
+                    a.dataset.state.localeCompare(b.dataset.state) || a.dataset.name.localeCompare(b.dataset.name) :
+                    a.dataset.name.localeCompare(b.dataset.name);
+                return descending ? -order : order;
+            });
+        }
+
+        return matching.map(card => card.dataset.schemeId);
+    }
+
+    /**
+     * Show the results in order, hide everything else and offer "Show more" when there is more
+     */
+    function renderSchemes() {
+        const container = document.getElementById('schemes-container');
+        const cards = getCards();
+        const shown = shownIds.map(getCard).filter(Boolean);
+
+        shown.concat(cards.filter(card => !shown.includes(card))).forEach(card => {
+            card.hidden = !shown.includes(card);
+            container.appendChild(card);
+        });
+
+        const loadMoreBtn = document.getElementById('schemes-load-more');
+        if (loadMoreBtn) {
+            loadMoreBtn.hidden = !nextCursor;
+        }
+    }
+
+    /**
+     * Update the results count; callers announce it, as the status is not a live region
+     */
+    function updateStatus() {
+        const status = document.getElementById('schemes-filter-status');
+        const message = total ?
+            t('schemes.shown', `Showing ${shownIds.length} of ${total} schemes`, { shown: shownIds.length, count: total }) :
+            t('schemes.noMatches', 'No schemes match these filters. Try another type or fewer words.');
+
+        if (status) {
+            status.textContent = message;
+        }
+        return message;
+    }
+
+    /**
+     * Keep the filters in the address so the results can be bookmarked and shared
+     */
+    function saveFilters(filters, options) {
+        const filterState = window.DisabilitySupportFilterState;
+        if (filterState) {
+            filterState.saveFilters(filters, options);
+        }
+    }
+
+    function describeRestored(resultsMessage) {
+        const filterState = window.DisabilitySupportFilterState;
+        return filterState ? filterState.restoredMessage(getControls(), resultsMessage) : resultsMessage;
+    }
+
+    function focusScheme(schemeId) {
+        const card = schemeId && getCard(schemeId);
+        const heading = card && card.querySelector('.card-title');
+        if (!heading) return;
+
+        heading.setAttribute('tabindex', '-1');
+        heading.focus();
+    }
+
+    function setBusy(button, isBusy) {
+        if (!button) return;
+        button.disabled = isBusy;
+        button.setAttribute('aria-busy', String(isBusy));
+    }
+
+    function getCards() {
+        return Array.from(document.querySelectorAll('#schemes-container .scheme-card'));
+    }
+
+    function getCard(schemeId) {
+        return getCards().find(card => card.dataset.schemeId === schemeId) || null;
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    // Export scheme filter functions for other scripts
+    window.DisabilitySupportSchemeFilters = {
+        filterSchemes,
+        loadMoreSchemes
+    };
+
+})();
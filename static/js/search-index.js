@@ -0,0 +1,443 @@
+/**
+ * Disability Support India - Search Index
+ * Builds a client-side, typo-tolerant index of cities, help centers, schemes and events
+ */
+
+(function() {
+    'use strict';
+
+    // Field weights used for ranking: a title hit counts more than a description hit
+    const FIELD_WEIGHTS = {
+        title: 3,
+        tags: 2,
+        description: 1
+    };
+
+    // How a query term matched an indexed term
+    const MATCH_SCORES = {
+        exact: 1,
+        prefix: 0.8,
+        fuzzy: 0.6
+    };
+
+    const CURRENT_CITY_BOOST = 1.5;
+    const MIN_PREFIX_LENGTH = 3;
+
+    // Transliterated and Devanagari Hindi words mapped to the English terms used in our data
+    const QUERY_SYNONYMS = {
+        viklang: ['disability', 'disabilities', 'disabled'],
+        vikalang: ['disability', 'disabilities', 'disabled'],
+        divyang: ['disability', 'disabilities', 'disabled', 'divyangjan'],
+        divyangjan: ['disability', 'disabilities', 'disabled'],
+        apang: ['disability', 'disabled'],
+        yojana: ['scheme', 'schemes'],
+        yojna: ['scheme', 'schemes'],
+        sahayata: ['assistance', 'support', 'help'],
+        madad: ['help', 'assistance', 'support'],
+        kendra: ['center', 'centre', 'office'],
+        shiksha: ['education', 'educational'],
+        naukri: ['employment', 'job', 'jobs'],
+        rozgar: ['employment', 'job', 'jobs'],
+        aspatal: ['hospital'],
+        praman: ['certificate', 'certification'],
+        patra: ['certificate', 'card'],
+        bhatta: ['allowance'],
+        chhatravritti: ['scholarship'],
+        andh: ['blind', 'visually', 'visual'],
+        drishtibadhit: ['blind', 'visually', 'visual'],
+        badhir: ['deaf', 'hearing'],
+        mook: ['speech', 'deaf'],
+        sanket: ['sign'],
+        bhasha: ['language'],
+        upkaran: ['aids', 'appliances', 'devices', 'equipment'],
+        'विकलांग': ['disability', 'disabilities', 'disabled'],
+        'दिव्यांग': ['disability', 'disabilities', 'disabled'],
+        'पेंशन': ['pension'],
+        'योजना': ['scheme', 'schemes'],
+        'सहायता': ['assistance', 'support', 'help'],
+        'मदद': ['help', 'assistance'],
+        'केंद्र': ['center', 'centre'],
+        'शिक्षा': ['education'],
+        'नौकरी': ['employment', 'job'],
+        'रोजगार': ['employment', 'job'],
+        'अस्पताल': ['hospital'],
+        'प्रमाण': ['certificate'],
+        'भत्ता': ['allowance'],
+        'छात्रवृत्ति': ['scholarship'],
+        'बधिर': ['deaf', 'hearing'],
+        'दृष्टिबाधित': ['blind', 'visual'],
+        'व्हीलचेयर': ['wheelchair']
+    };
+
+    // Index state
+    let documents = [];
+    let postings = new Map();
+    let readyPromise = null;
+
+    /**
+     * Normalize text for indexing: lowercase and strip Latin diacritics
+     */
+    function normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Split text into tokens with their positions in the original string
+     */
+    function tokenizeWithPositions(text) {
+        const tokens = [];
+        const source = String(text || '');
+        const pattern = /[\p{L}\p{M}\p{N}]+/gu;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            tokens.push({
+                term: normalize(match[0]),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Split text into normalized terms
+     */
+    function tokenize(text) {
+        return tokenizeWithPositions(text).map(token => token.term);
+    }
+
+    /**
+     * Damerau-Levenshtein distance that gives up once it exceeds maxDistance
+     */
+    function editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMinimum = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + cost
+                );
+
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousPrevious[j - 2] + 1);
+                }
+
+                current.push(value);
+                rowMinimum = Math.min(rowMinimum, value);
+            }
+
+            if (rowMinimum > maxDistance) return maxDistance + 1;
+            previousPrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Typos allowed for a query term of a given length
+     */
+    function allowedEdits(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * Add a document to the index
+     */
+    function addDocument(document) {
+        const id = documents.length;
+        documents.push(document);
+
+        Object.keys(FIELD_WEIGHTS).forEach(field => {
+            tokenize(document[field]).forEach(term => {
+                if (!postings.has(term)) {
+                    postings.set(term, new Map());
+                }
+                const fields = postings.get(term);
+                if (!fields.has(id)) {
+                    fields.set(id, new Set());
+                }
+                fields.get(id).add(field);
+            });
+        });
+    }
+
+    /**
+     * Turn API data into searchable documents
+     */
+    function buildDocuments(cities, helpCentersByCity, schemes, events) {
+        documents = [];
+        postings = new Map();
+
+        cities.forEach(city => {
+            addDocument({
+                type: 'city',
+                title: city.name,
+                description: `${city.state} · ${city.disability_helpline}`,
+                tags: [city.state, city.region].join(' '),
+                url: `/city/${encodeURIComponent(city.name)}`,
+                city: city.name
+            });
+        });
+
+        Object.keys(helpCentersByCity).forEach(cityName => {
+            helpCentersByCity[cityName].forEach(center => {
+                addDocument({
+                    type: 'help_center',
+                    title: center.name,
+                    description: `${center.type} · ${center.address}`,
+                    tags: [center.type, cityName].concat(center.services || []).join(' '),
+                    url: `/city/${encodeURIComponent(cityName)}`,
+                    city: cityName
+                });
+            });
+        });
+
+        schemes.forEach(scheme => {
+            addDocument({
+                type: 'scheme',
+                title: scheme.name,
+                description: scheme.description,
+                tags: [scheme.type, scheme.state, scheme.eligibility].concat(scheme.benefits || []).join(' '),
+                url: '/schemes',
+                state: scheme.state
+            });
+        });
+
+        events.forEach(event => {
+            addDocument({
+                type: 'event',
+                title: event.title,
+                description: event.description,
+                tags: [event.type, event.city, event.venue, event.organizer].join(' '),
+                url: '/events',
+                city: event.city
+            });
+        });
+    }
+
+    /**
+     * Fetch JSON, resolving to a default value if the request fails
+     */
+    function fetchJson(url, defaultValue) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.warn(`Search index could not load ${url}:`, error);
+                return defaultValue;
+            });
+    }
+
+    /**
+     * Load all sources and build the index once
+     */
+    function ready() {
+        if (readyPromise) return readyPromise;
+
+        readyPromise = fetchJson('/api/cities', { cities: [] })
+            .then(citiesData => {
+                const cities = citiesData.cities || [];
+
+                return Promise.all([
+                    Promise.all(cities.map(city => {
+                        return fetchJson(`/api/help-centers/${encodeURIComponent(city.name)}`, [])
+                            .then(centers => [city.name, centers]);
+                    })),
+                    fetchJson('/api/schemes', { schemes: [] }),
+                    fetchJson('/api/events', { events: [] })
+                ]).then(([helpCenterEntries, schemesData, eventsData]) => {
+                    const helpCentersByCity = {};
+                    helpCenterEntries.forEach(([name, centers]) => {
+                        helpCentersByCity[name] = Array.isArray(centers) ? centers : [];
+                    });
+
+                    buildDocuments(cities, helpCentersByCity, schemesData.schemes || [], eventsData.events || []);
+
+                    if (!documents.length) {
+                        // Allow a later search to try again, e.g. once back online
+                        readyPromise = null;
+                        throw new Error('Search index is empty');
+                    }
+
+                    return documents.length;
+                });
+            });
+
+        return readyPromise;
+    }
+
+    /**
+     * Expand a query term with transliterated Hindi synonyms
+     */
+    function expandTerm(term) {
+        const alternatives = [term];
+        if (QUERY_SYNONYMS[term]) {
+            QUERY_SYNONYMS[term].forEach(synonym => {
+                if (!alternatives.includes(synonym)) {
+                    alternatives.push(synonym);
+                }
+            });
+        }
+        return alternatives;
+    }
+
+    /**
+     * Find indexed terms that match one query alternative
+     */
+    function matchTerm(queryTerm, allowPrefix) {
+        const matches = [];
+        const maxEdits = allowedEdits(queryTerm);
+
+        postings.forEach((fields, indexTerm) => {
+            let score = 0;
+
+            if (indexTerm === queryTerm) {
+                score = MATCH_SCORES.exact;
+            } else if (allowPrefix && queryTerm.length >= MIN_PREFIX_LENGTH && indexTerm.startsWith(queryTerm)) {
+                score = MATCH_SCORES.prefix;
+            } else if (maxEdits > 0) {
+                const distance = editDistance(queryTerm, indexTerm, maxEdits);
+                if (distance <= maxEdits) {
+                    score = MATCH_SCORES.fuzzy / distance;
+                }
+            }
+
+            if (score > 0) {
+                matches.push({ indexTerm, score, fields });
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Search the index
+     */
+    function search(query, options = {}) {
+        return ready().then(() => searchIndex(query, options));
+    }
+
+    /**
+     * Rank documents against a query; every query word must match something
+     */
+    function searchIndex(query, options = {}) {
+        const limit = options.limit || 10;
+        const currentCity = normalize(options.city || '');
+        const queryTerms = tokenize(query);
+        if (!queryTerms.length) return [];
+
+        const scores = new Map();
+        const matchedTermsByDoc = new Map();
+        const groupsMatchedByDoc = new Map();
+
+        queryTerms.forEach((queryTerm, groupIndex) => {
+            // Only the last word may be incomplete while the user is typing
+            const allowPrefix = groupIndex === queryTerms.length - 1;
+            const bestByDoc = new Map();
+
+            expandTerm(queryTerm).forEach(alternative => {
+                matchTerm(alternative, allowPrefix).forEach(({ indexTerm, score, fields }) => {
+                    fields.forEach((fieldSet, docId) => {
+                        const fieldScore = Math.max(...Array.from(fieldSet).map(field => FIELD_WEIGHTS[field])) * score;
+                        if (!bestByDoc.has(docId) || bestByDoc.get(docId) < fieldScore) {
+                            bestByDoc.set(docId, fieldScore);
+                        }
+
+                        if (!matchedTermsByDoc.has(docId)) {
+                            matchedTermsByDoc.set(docId, new Set());
+                        }
+                        matchedTermsByDoc.get(docId).add(indexTerm);
+                    });
+                });
+            });
+
+            bestByDoc.forEach((score, docId) => {
+                scores.set(docId, (scores.get(docId) || 0) + score);
+                groupsMatchedByDoc.set(docId, (groupsMatchedByDoc.get(docId) || 0) + 1);
+            });
+        });
+
+        const results = [];
+        scores.forEach((score, docId) => {
+            if (groupsMatchedByDoc.get(docId) < queryTerms.length) return;
+
+            const document = documents[docId];
+            let finalScore = score;
+            if (currentCity && normalize(document.city) === currentCity) {
+                finalScore *= CURRENT_CITY_BOOST;
+            }
+
+            // Prefer titles that are mostly made of the query, e.g. "Mumbai" over "Expo Mumbai"
+            const matchedTerms = matchedTermsByDoc.get(docId);
+            const titleHighlights = findHighlights(document.title, matchedTerms);
+            finalScore *= 1 + titleHighlights.length / Math.max(tokenize(document.title).length, 1);
+
+            results.push({
+                type: document.type,
+                title: document.title,
+                description: document.description,
+                url: withCity(document, options.city),
+                score: finalScore,
+                highlights: {
+                    title: titleHighlights,
+                    description: findHighlights(document.description, matchedTerms)
+                }
+            });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+            .slice(0, limit);
+    }
+
+    /**
+     * Scheme and event pages take the selected city as a query parameter
+     */
+    function withCity(document, city) {
+        if (city && (document.type === 'scheme' || document.type === 'event')) {
+            return `${document.url}?city=${encodeURIComponent(city)}`;
+        }
+        return document.url;
+    }
+
+    /**
+     * Character ranges in text whose words matched the query
+     */
+    function findHighlights(text, matchedTerms) {
+        if (!matchedTerms) return [];
+
+        return tokenizeWithPositions(text)
+            .filter(token => matchedTerms.has(token.term))
+            .map(token => [token.start, token.end]);
+    }
+
+    // Export search functions for main.js
+    window.DisabilitySupportSearch = {
+        ready,
+        search,
+        tokenize,
+        editDistance
+    };
+
+})();
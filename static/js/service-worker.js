@@ -0,0 +1,303 @@
+/**
+ * Disability Support India - Service Worker
+ * Precaches emergency pages, helplines and static assets so they keep working offline
+ *
+ * Served from /service-worker.js (see app.py) so that its scope covers every page.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v2';
+const PAGE_CACHE = `pages-${CACHE_VERSION}`;
+const STATIC_CACHE = `static-${CACHE_VERSION}`;
+const API_CACHE = `api-${CACHE_VERSION}`;
+const CACHE_NAMES = [PAGE_CACHE, STATIC_CACHE, API_CACHE];
+
+// Header recording when a response was stored, used for the offline banner
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+const PRECACHE_PAGES = [
+    '/',
+    '/emergency-help',
+    '/schemes',
+    '/events',
+    '/legal-rights',
+    '/reservations',
+    '/contact'
+];
+
+const PRECACHE_STATIC = [
+    '/static/css/style.css',
+    '/static/js/i18n.js',
+    '/static/js/locales/en.js',
+    '/static/js/locales/hi.js',
+    '/static/js/locales/bn.js',
+    '/static/js/locales/ta.js',
+    '/static/js/locales/te.js',
+    '/static/js/locales/mr.js',
+    '/static/js/locales/gu.js',
+    '/static/js/locales/kn.js',
+    '/static/js/keyboard-shortcuts.js',
+    '/static/js/accessibility.js',
+    '/static/js/search-index.js',
+    '/static/js/form-validation.js',
+    '/static/js/form-autosave.js',
+    '/static/js/content-variants.js',
+    '/static/js/main.js',
+    '/static/js/offline.js',
+    '/static/js/accessibility-settings.js',
+    '/static/js/page-reader.js',
+    '/static/js/voice-commands.js',
+    '/static/js/contact-form.js',
+    '/static/js/eligibility-wizard.js',
+    '/static/js/scheme-filters.js',
+    '/static/js/application-tracker.js',
+    '/static/js/city-locator.js',
+    '/static/js/filter-state.js',
+    '/static/js/events-calendar.js',
+    '/static/js/event-registration.js',
+    '/static/js/help-center-map.js',
+    '/static/js/help-center-finder.js',
+    '/static/js/media-player.js',
+    '/static/js/switch-scanning.js',
+    '/static/js/isl-video.js',
+    '/static/videos/isl/videos.json'
+];
+
+// API responses kept for offline use (the search index is built from these)
+const CACHED_API_PATHS = [
+    '/api/cities',
+    '/api/help-centers/',
+    '/api/pin-codes/',
+    '/api/schemes',
+    '/api/events'
+];
+
+const PRECACHE_API = [
+    '/api/schemes',
+    '/api/events'
+];
+
+// Third-party hosts whose stylesheets and scripts the layout depends on
+const CDN_HOSTS = [
+    'cdn.jsdelivr.net',
+    'cdnjs.cloudflare.com',
+    'unpkg.com'
+];
+
+// Video and audio are streamed with Range requests, which the cache cannot answer; the browser fetches them directly
+const MEDIA_PATTERN = /\.(mp4|webm|ogv|mp3|ogg|m4a)$/i;
+
+// Page shown when a page was never cached and the network is down
+const OFFLINE_FALLBACK_PAGE = '/emergency-help';
+
+// When the saved copy each page was opened from was stored, by client id, for the offline banner
+const cachedNavigations = new Map();
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        Promise.all([
+            precache(STATIC_CACHE, PRECACHE_STATIC),
+            precache(PAGE_CACHE, PRECACHE_PAGES),
+            precache(API_CACHE, PRECACHE_API),
+            precacheCityData()
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !CACHE_NAMES.includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirst(request, PAGE_CACHE, OFFLINE_FALLBACK_PAGE).then(response => {
+                rememberNavigation(event.resultingClientId, response);
+                return response;
+            }));
+        } else if (CACHED_API_PATHS.some(path => url.pathname.startsWith(path))) {
+            event.respondWith(networkFirst(request, API_CACHE));
+        } else if (MEDIA_PATTERN.test(url.pathname) || request.headers.has('range')) {
+            return;
+        } else if (url.pathname.startsWith('/static/')) {
+            event.respondWith(staleWhileRevalidate(request, STATIC_CACHE));
+        }
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, STATIC_CACHE));
+    }
+});
+
+self.addEventListener('message', function(event) {
+    const data = event.data || {};
+    const port = event.ports && event.ports[0];
+    if (!port) return;
+
+    if (data.type === 'GET_CACHED_AT') {
+        getCachedAt(data.url).then(cachedAt => port.postMessage({ cachedAt }));
+    } else if (data.type === 'GET_PAGE_CACHED_AT') {
+        const clientId = event.source && event.source.id;
+        port.postMessage({ cachedAt: cachedNavigations.get(clientId) || null });
+    }
+});
+
+/**
+ * Only saved copies carry the cached-at stamp; pages from the network are forgotten
+ */
+function rememberNavigation(clientId, response) {
+    if (!clientId) return;
+
+    const cachedAt = response.headers.get(CACHED_AT_HEADER);
+    if (cachedAt) {
+        cachedNavigations.set(clientId, cachedAt);
+    } else {
+        cachedNavigations.delete(clientId);
+    }
+}
+
+/**
+ * Store a list of URLs, skipping any that fail so one bad URL cannot block install
+ */
+function precache(cacheName, urls) {
+    return caches.open(cacheName).then(cache => Promise.all(
+        urls.map(url => fetchAndStore(cache, new Request(url, { credentials: 'same-origin' }))
+            .then(response => {
+                if (!isCacheable(response)) {
+                    console.warn('Precache skipped', url, `HTTP ${response.status}`);
+                }
+            })
+            .catch(error => {
+                console.warn('Precache skipped', url, error);
+            }))
+    ));
+}
+
+/**
+ * Precache the city list plus each city's dashboard and help centers
+ */
+function precacheCityData() {
+    return caches.open(API_CACHE)
+        .then(cache => fetchAndStore(cache, new Request('/api/cities')))
+        .then(response => {
+            if (!isCacheable(response)) throw new Error(`HTTP ${response.status}`);
+            return response.clone().json();
+        })
+        .then(data => {
+            const cities = (data && data.cities) || [];
+            const apiUrls = cities.map(city => `/api/help-centers/${encodeURIComponent(city.name)}`);
+            const pageUrls = cities.map(city => `/city/${encodeURIComponent(city.name)}`);
+
+            return Promise.all([
+                precache(API_CACHE, apiUrls),
+                precache(PAGE_CACHE, pageUrls)
+            ]);
+        })
+        .catch(error => {
+            console.warn('City data precache skipped', error);
+        });
+}
+
+/**
+ * Fetch a request and store a timestamped copy of a good response.
+ * Error responses from the server are passed on as they are and never cached; only a failed
+ * fetch (no network) rejects
+ */
+function fetchAndStore(cache, request) {
+    return fetch(request).then(response => {
+        if (!isCacheable(response)) {
+            return response;
+        }
+
+        return stampResponse(response.clone()).then(stamped => {
+            return cache.put(request, stamped).then(() => response);
+        });
+    });
+}
+
+function isCacheable(response) {
+    return Boolean(response) && (response.ok || response.type === 'opaque');
+}
+
+/**
+ * Copy a response with a header saying when it was cached
+ */
+function stampResponse(response) {
+    // Opaque cross-origin responses cannot be read, store them as they are
+    if (response.type === 'opaque') {
+        return Promise.resolve(response);
+    }
+
+    return response.blob().then(body => {
+        const headers = new Headers(response.headers);
+        headers.set(CACHED_AT_HEADER, new Date().toISOString());
+
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers
+        });
+    });
+}
+
+/**
+ * Network first, falling back to the cached copy (and then a fallback page) only when offline
+ */
+function networkFirst(request, cacheName, fallbackUrl) {
+    return caches.open(cacheName).then(cache => {
+        return fetchAndStore(cache, request).catch(() => {
+            // Only the exact URL, so a full list never stands in for a filtered one
+            return cache.match(request)
+                .then(cached => cached || (fallbackUrl ? cache.match(fallbackUrl) : undefined))
+                .then(cached => cached || offlineResponse(request));
+        });
+    });
+}
+
+/**
+ * Serve from cache straight away and refresh the cache in the background
+ */
+function staleWhileRevalidate(request, cacheName) {
+    return caches.open(cacheName).then(cache => {
+        return cache.match(request).then(cached => {
+            const network = fetchAndStore(cache, request).catch(() => cached || offlineResponse(request));
+            return cached || network;
+        });
+    });
+}
+
+/**
+ * Minimal response when nothing is cached
+ */
+function offlineResponse(request) {
+    if (request.headers.get('Accept') && request.headers.get('Accept').includes('application/json')) {
+        return new Response(JSON.stringify({ error: 'offline' }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    return new Response('Offline', {
+        status: 503,
+        headers: { 'Content-Type': 'text/plain' }
+    });
+}
+
+/**
+ * Look up when the cached copy of a URL was stored
+ */
+function getCachedAt(url) {
+    return caches.match(url, { ignoreSearch: false })
+        .then(cached => (cached && cached.headers.get(CACHED_AT_HEADER)) || null)
+        .catch(() => null);
+}
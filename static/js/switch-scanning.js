@@ -0,0 +1,473 @@
+/**
+ * Disability Support India - Switch Scanning
+ * Handles single-switch access: a highlight moves through the page's landmarks, then the groups
+ * inside the chosen one, then its controls, and one key (Space unless changed in the settings)
+ * selects the highlighted item. Timing and the key are kept with the accessibility preferences
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    // Top level: landmarks; below that, the outermost group inside the chosen item
+    const LANDMARK_SELECTOR = 'header, nav, main, aside, footer, [role="banner"], [role="navigation"], [role="main"], ' +
+        '[role="complementary"], [role="contentinfo"], [role="search"]';
+    const GROUP_SELECTOR = 'section, form, fieldset, ul, ol, .card, .btn-group, .modal-content, [role="region"], [role="group"], ' +
+        '[role="radiogroup"], [role="toolbar"], [role="tablist"], [role="listbox"], [role="menu"], [data-scan-group]';
+    const CONTROL_SELECTOR = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [role="button"], ' +
+        '[role="option"], [role="tab"], [tabindex]:not([tabindex="-1"]), [contenteditable="true"]';
+    const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'tel', 'url', 'number', 'password', 'date', 'time', 'month', 'week', 'datetime-local'];
+
+    // Full passes through a group with nothing selected before going back up a level
+    const SCAN_LOOPS = 2;
+
+    // While paused in a text field, scanning carries on after this many intervals without a key press
+    const PAUSE_IDLE_INTERVALS = 4;
+
+    let settings = { enabled: false, interval: 1500, key: 'Space' };
+    let scopes = [];
+    let index = -1;
+    let loops = 0;
+    let timer = null;
+    let paused = false;
+    let highlight = null;
+
+    // A text field scanning was resumed in; the switch key scans again there until focus moves on
+    let resumedField = null;
+
+    // Stepping through a <select> such as the city selector, one option at a time
+    let selectScan = null;
+
+    // Search results the user has already scanned past, so they are not entered again
+    let dismissedResults = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeSwitchScanning();
+    });
+
+    /**
+     * Follow the switch scanning preference from accessibility.js
+     */
+    function initializeSwitchScanning() {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility && accessibility.getScanSettings) {
+            applySettings(accessibility.getScanSettings());
+        }
+
+        document.addEventListener('disabilitysupport:scanningchange', function(e) {
+            applySettings(e.detail);
+        });
+
+        // Capture, so the switch key is handled before the page's own key handlers
+        document.addEventListener('keydown', handleKeydown, true);
+        document.addEventListener('keyup', handleKeyup, true);
+        document.addEventListener('focusout', handleFocusout);
+        window.addEventListener('scroll', positionHighlight, { passive: true });
+        window.addEventListener('resize', positionHighlight);
+    }
+
+    function applySettings(next) {
+        const wasEnabled = settings.enabled;
+        settings = Object.assign({}, settings, next);
+
+        if (settings.enabled && !wasEnabled) {
+            start();
+        } else if (!settings.enabled && wasEnabled) {
+            stop();
+        } else if (settings.enabled) {
+            schedule();
+        }
+    }
+
+    function start() {
+        scopes = [];
+        index = -1;
+        loops = 0;
+        paused = false;
+        resumedField = null;
+        step();
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+        endSelectScan(false);
+        scopes = [];
+        index = -1;
+        paused = false;
+        resumedField = null;
+        if (highlight) highlight.hidden = true;
+    }
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(step, settings.interval);
+    }
+
+    /**
+     * Move the highlight to the next item, going back up a level after SCAN_LOOPS passes
+     */
+    function step() {
+        if (!settings.enabled || paused) return;
+
+        if (selectScan) {
+            stepSelect();
+            schedule();
+            return;
+        }
+
+        enterPriorityScope();
+
+        let items = itemsFor(currentScope());
+        if (!items.length && scopes.length) {
+            scopes = [];
+            index = -1;
+            items = itemsFor(currentScope());
+        }
+
+        if (items.length) {
+            index++;
+            if (index >= items.length) {
+                index = 0;
+                loops++;
+                if (loops >= SCAN_LOOPS && scopes.length) {
+                    leaveScope();
+                    schedule();
+                    return;
+                }
+            }
+            showHighlight(items[index]);
+        }
+
+        schedule();
+    }
+
+    /**
+     * An open dialog or search results list takes over scanning until it closes
+     */
+    function enterPriorityScope() {
+        const dialog = Array.from(document.querySelectorAll('.modal.show, [aria-modal="true"]')).find(isVisible);
+        if (dialog && !dialog.contains(currentScope())) {
+            scopes = [dialog];
+            resetPass();
+            return;
+        }
+
+        const results = document.getElementById('search-results');
+        const firstResult = results && results.querySelector('[role="option"]');
+        if (firstResult && isVisible(results) && firstResult !== dismissedResults && !results.contains(currentScope())) {
+            scopes.push(results);
+            resetPass();
+            announce(t('scanning.results', 'Scanning search results'));
+        }
+    }
+
+    function currentScope() {
+        const scope = scopes[scopes.length - 1];
+        if (scope && (!document.contains(scope) || !isVisible(scope))) {
+            scopes = [];
+            resetPass();
+        }
+        return scopes[scopes.length - 1] || document.body;
+    }
+
+    function leaveScope() {
+        const scope = scopes.pop();
+        resetPass();
+
+        const results = document.getElementById('search-results');
+        if (scope === results) {
+            dismissedResults = results.querySelector('[role="option"]');
+        }
+        announce(t('scanning.back', 'Back up a level'));
+    }
+
+    function resetPass() {
+        index = -1;
+        loops = 0;
+    }
+
+    /**
+     * The items to scan in a scope: each control grouped under its outermost landmark or group,
+     * with groups of one control replaced by the control
+     */
+    function itemsFor(scope) {
+        const selector = scope === document.body ? `${LANDMARK_SELECTOR}, ${GROUP_SELECTOR}` : GROUP_SELECTOR;
+        const items = [];
+        const counts = new Map();
+
+        scanControls(scope).forEach(control => {
+            let item = control;
+            for (let element = control.parentElement; element && element !== scope; element = element.parentElement) {
+                if (element.matches(selector)) item = element;
+            }
+
+            if (!counts.has(item)) {
+                counts.set(item, { first: control, count: 0 });
+                items.push(item);
+            }
+            counts.get(item).count++;
+        });
+
+        return items.map(item => counts.get(item).count === 1 ? counts.get(item).first : item);
+    }
+
+    function scanControls(scope) {
+        return Array.from(scope.querySelectorAll(CONTROL_SELECTOR)).filter(control =>
+            !control.disabled &&
+            !control.closest('[inert], [aria-hidden="true"], #scan-highlight') &&
+            isVisible(control)
+        );
+    }
+
+    // Visually hidden elements such as skip links are 1px boxes until focused
+    function isVisible(element) {
+        const rect = element.getBoundingClientRect();
+        if (!element.getClientRects().length || (rect.width <= 1 && rect.height <= 1)) return false;
+        return window.getComputedStyle(element).visibility !== 'hidden';
+    }
+
+    /**
+     * Act on the highlighted item: enter a group, step through a select, or use a control
+     */
+    function selectCurrent() {
+        if (selectScan) {
+            endSelectScan(true);
+            schedule();
+            return;
+        }
+
+        const item = highlight && !highlight.hidden ? highlight.target : null;
+        if (!item || !document.contains(item)) return;
+
+        if (!item.matches(CONTROL_SELECTOR)) {
+            enterScope(item);
+            step();
+            return;
+        }
+
+        activate(item);
+    }
+
+    /**
+     * Go down into a group, skipping straight through groups that hold a single group
+     */
+    function enterScope(group) {
+        let scope = group;
+        let items = itemsFor(scope);
+        while (items.length === 1 && !items[0].matches(CONTROL_SELECTOR)) {
+            scope = items[0];
+            items = itemsFor(scope);
+        }
+
+        scopes.push(scope);
+        resetPass();
+        announce(t('scanning.entered', `Scanning ${describe(group)}`, { name: describe(group) }));
+    }
+
+    function activate(control) {
+        control.focus({ preventScroll: true });
+
+        if (control.tagName === 'SELECT') {
+            startSelectScan(control);
+        } else if (isTextEntry(control)) {
+            pause(control);
+        } else {
+            control.click();
+            schedule();
+        }
+    }
+
+    function isTextEntry(control) {
+        return control.tagName === 'TEXTAREA' || control.isContentEditable ||
+            (control.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes((control.type || 'text').toLowerCase()));
+    }
+
+    /**
+     * Typing needs the switch key back; Enter, Escape, leaving the field or a pause in typing
+     * resumes scanning, so a single switch is never left stuck in the field
+     */
+    function pause(field) {
+        paused = true;
+        if (highlight) highlight.classList.add('paused');
+        scheduleResume(field);
+        announce(t('scanning.paused', 'Scanning paused while you type. Press Enter or Escape, or stop typing for a moment, to carry on.'));
+    }
+
+    function scheduleResume(field) {
+        clearTimeout(timer);
+        timer = setTimeout(() => resume(field), settings.interval * PAUSE_IDLE_INTERVALS);
+    }
+
+    function resume(field) {
+        if (!paused) return;
+
+        paused = false;
+        resumedField = field || null;
+        if (highlight) highlight.classList.remove('paused');
+        schedule();
+    }
+
+    /**
+     * Select elements are scanned by showing each option in turn; the switch keeps the one shown
+     */
+    function startSelectScan(select) {
+        selectScan = { select, original: select.selectedIndex, loops: 0 };
+        announce(t('scanning.choose', `Choosing ${describe(select)}`, { name: describe(select) }));
+        schedule();
+    }
+
+    function stepSelect() {
+        const select = selectScan.select;
+        let next = select.selectedIndex;
+
+        do {
+            next = (next + 1) % select.options.length;
+            if (next === 0) selectScan.loops++;
+        } while (select.options[next].disabled && next !== select.selectedIndex);
+
+        if (selectScan.loops >= SCAN_LOOPS) {
+            endSelectScan(false);
+            return;
+        }
+
+        select.selectedIndex = next;
+        announce(select.options[next].text.trim());
+    }
+
+    function endSelectScan(keep) {
+        if (!selectScan) return;
+
+        const { select, original } = selectScan;
+        selectScan = null;
+
+        if (keep) {
+            select.dispatchEvent(new Event('input', { bubbles: true }));
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+            announce(t('scanning.chosen', `${select.options[select.selectedIndex].text.trim()} chosen`, {
+                option: select.options[select.selectedIndex].text.trim()
+            }));
+        } else {
+            select.selectedIndex = original;
+        }
+    }
+
+    /**
+     * Only the switch key is taken over; while typing it types as usual
+     */
+    function handleKeydown(e) {
+        if (!settings.enabled) return;
+
+        if (paused) {
+            if ((e.key === 'Enter' || e.key === 'Escape') && isTextEntry(e.target)) {
+                // Let the page handle the key first, e.g. to show search results
+                setTimeout(() => resume(e.target), 0);
+            } else {
+                scheduleResume(e.target);
+            }
+            return;
+        }
+
+        if (!isScanKey(e) || e.ctrlKey || e.altKey || e.metaKey) return;
+
+        // A text field focused some other way, e.g. by clicking it, pauses scanning instead
+        if (isTextEntry(e.target) && e.target !== resumedField) {
+            pause(e.target);
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+        if (!e.repeat) {
+            selectCurrent();
+        }
+    }
+
+    // Buttons act on the space bar's keyup, which must not click a second time
+    function handleKeyup(e) {
+        if (settings.enabled && !paused && isScanKey(e)) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    }
+
+    function handleFocusout(e) {
+        if (e.target === resumedField) {
+            resumedField = null;
+        }
+        if (paused && isTextEntry(e.target)) {
+            setTimeout(resume, 0);
+        }
+    }
+
+    function isScanKey(e) {
+        return (e.key === ' ' ? 'Space' : e.key) === settings.key;
+    }
+
+    /**
+     * The highlight is a frame drawn over the item, so the page's own styles are left alone
+     */
+    function showHighlight(item) {
+        if (!highlight) {
+            highlight = document.createElement('div');
+            highlight.id = 'scan-highlight';
+            highlight.className = 'scan-highlight';
+            highlight.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(highlight);
+        }
+
+        highlight.hidden = false;
+        highlight.classList.toggle('scan-group', !item.matches(CONTROL_SELECTOR));
+        highlight.target = item;
+
+        const rect = item.getBoundingClientRect();
+        if (rect.top < 0 || rect.bottom > window.innerHeight) {
+            item.scrollIntoView({ block: rect.height > window.innerHeight ? 'start' : 'nearest' });
+        }
+        positionHighlight();
+    }
+
+    function positionHighlight() {
+        if (!highlight || highlight.hidden || !highlight.target) return;
+
+        const rect = highlight.target.getBoundingClientRect();
+        highlight.style.top = `${rect.top - 4}px`;
+        highlight.style.left = `${rect.left - 4}px`;
+        highlight.style.width = `${rect.width + 8}px`;
+        highlight.style.height = `${rect.height + 8}px`;
+    }
+
+    /**
+     * A short name for a landmark, group or control
+     */
+    function describe(element) {
+        const labelledBy = element.getAttribute('aria-labelledby');
+        const labelElement = labelledBy && document.getElementById(labelledBy.split(' ')[0]);
+        const label = element.getAttribute('aria-label') ||
+            (labelElement && labelElement.textContent) ||
+            (element.labels && element.labels[0] && element.labels[0].textContent) ||
+            (element.querySelector('h1, h2, h3, h4, h5, h6, legend') || element).textContent;
+
+        const text = label.trim().replace(/\s+/g, ' ');
+        return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibility = window.DisabilitySupportAccessibility;
+        if (accessibility) {
+            accessibility.announceToScreenReader(message, priority);
+        }
+    }
+
+    // Export switch scanning functions for other scripts
+    window.DisabilitySupportSwitchScanning = {
+        select: selectCurrent,
+        restart: start,
+        isScanning: () => settings.enabled && !paused
+    };
+
+})();
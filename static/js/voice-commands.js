@@ -0,0 +1,570 @@
+/**
+ * Disability Support India - Voice Commands
+ * Handles opt-in spoken navigation, search and accessibility controls
+ */
+
+(function() {
+    'use strict';
+
+    const { t } = window.DisabilitySupportI18n;
+
+    // Font sizes in the order "increase font" steps through them
+    const FONT_SIZES = ['normal', 'large', 'extra-large'];
+
+    // National helpline used when no city is selected (also shown in the footer)
+    const NATIONAL_HELPLINE = '1800-111-555';
+
+    // Spoken page names and the pages they open
+    const PAGES = [
+        { names: ['home', 'home page', 'start'], url: '/', label: 'Home' },
+        { names: ['schemes', 'scheme', 'benefits', 'yojana'], url: '/schemes', label: 'Schemes' },
+        { names: ['assistive products', 'products', 'devices'], url: '/assistive-products', label: 'Assistive Products' },
+        { names: ['events', 'event', 'programs'], url: '/events', label: 'Events' },
+        { names: ['reservations', 'reservation', 'quota'], url: '/reservations', label: 'Reservations' },
+        { names: ['legal rights', 'rights', 'legal', 'law'], url: '/legal-rights', label: 'Legal Rights' },
+        { names: ['emergency', 'emergency help', 'help page'], url: '/emergency-help', label: 'Emergency Help' },
+        { names: ['contact', 'contact us'], url: '/contact', label: 'Contact Us' }
+    ];
+
+    // Voice state
+    let recognizer = null;
+    let isListening = false;
+    let recognizerFactory = createSpeechRecognizer;
+    const commands = [];
+
+    document.addEventListener('DOMContentLoaded', function() {
+        registerDefaultCommands();
+        initializeVoiceCommands();
+    });
+
+    /**
+     * Initialize the toolbar button and keyboard shortcut
+     */
+    function initializeVoiceCommands() {
+        const voiceBtn = document.getElementById('voice-command-btn');
+        if (!voiceBtn) return;
+
+        if (!isRecognitionSupported()) {
+            voiceBtn.disabled = true;
+            voiceBtn.setAttribute('aria-label', t('toolbar.voiceUnsupported', 'Voice commands are not supported in this browser'));
+            return;
+        }
+
+        voiceBtn.addEventListener('click', function() {
+            toggleListening();
+        });
+
+        if (window.DisabilitySupportShortcuts) {
+            window.DisabilitySupportShortcuts.register({
+                id: 'toggleVoice',
+                keys: 'Ctrl+Alt+V',
+                group: 'speech',
+                labelKey: 'shortcuts.actions.toggleVoice',
+                label: 'Toggle voice commands',
+                handler: toggleListening
+            });
+        }
+
+        document.addEventListener('disabilitysupport:languagechange', function() {
+            updateVoiceButton();
+        });
+
+        updateVoiceButton();
+    }
+
+    /**
+     * Whether speech recognition (or a plugged-in recognizer) is available
+     */
+    function isRecognitionSupported() {
+        return recognizerFactory !== createSpeechRecognizer ||
+            'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
+    }
+
+    /**
+     * Default recognizer built on the Web Speech recognition API.
+     *
+     * A recognizer is any object with start() and stop() that calls its
+     * onresult(transcript), onerror(error) and onend() properties, so a fake
+     * can be plugged in with setRecognizerFactory().
+     */
+    function createSpeechRecognizer() {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        const recognition = new SpeechRecognition();
+        const wrapper = {
+            onresult: null,
+            onerror: null,
+            onend: null,
+            start: function() {
+                recognition.start();
+            },
+            stop: function() {
+                recognition.stop();
+            }
+        };
+
+        // Commands are English phrases, so recognize Indian English whatever the page language
+        recognition.lang = 'en-IN';
+        recognition.continuous = true;
+        recognition.interimResults = false;
+        recognition.maxAlternatives = 1;
+
+        recognition.onresult = function(event) {
+            const result = event.results[event.results.length - 1];
+            if (result.isFinal && wrapper.onresult) {
+                wrapper.onresult(result[0].transcript);
+            }
+        };
+
+        recognition.onerror = function(event) {
+            if (wrapper.onerror) {
+                wrapper.onerror(event.error);
+            }
+        };
+
+        recognition.onend = function() {
+            if (wrapper.onend) {
+                wrapper.onend();
+            }
+        };
+
+        return wrapper;
+    }
+
+    /**
+     * Replace the recognizer, e.g. with a fake in tests
+     */
+    function setRecognizerFactory(factory) {
+        if (isListening) {
+            stopListening();
+        }
+        recognizer = null;
+        recognizerFactory = factory || createSpeechRecognizer;
+    }
+
+    /**
+     * Start listening for commands
+     */
+    function startListening() {
+        if (isListening) return;
+
+        try {
+            if (!recognizer) {
+                recognizer = recognizerFactory();
+                recognizer.onresult = handleTranscript;
+                recognizer.onerror = handleRecognizerError;
+                recognizer.onend = function() {
+                    // Browsers end recognition after a pause; keep going until the user stops it
+                    if (isListening) {
+                        try {
+                            recognizer.start();
+                        } catch (e) {
+                            setListening(false);
+                        }
+                    }
+                };
+            }
+
+            recognizer.start();
+        } catch (e) {
+            console.warn('Voice recognition could not start:', e);
+            announce(t('voice.startFailed', 'Voice commands could not start'), 'assertive');
+            return;
+        }
+
+        setListening(true);
+        announce(t('voice.listening', 'Voice commands on. Say "help" to hear what you can say.'));
+    }
+
+    /**
+     * Stop listening for commands
+     */
+    function stopListening() {
+        if (!isListening) return;
+
+        setListening(false);
+        if (recognizer) {
+            recognizer.stop();
+        }
+        announce(t('voice.stopped', 'Voice commands off'));
+    }
+
+    /**
+     * Toggle listening
+     */
+    function toggleListening() {
+        if (isListening) {
+            stopListening();
+        } else {
+            startListening();
+        }
+    }
+
+    /**
+     * Update listening state and the toolbar button
+     */
+    function setListening(listening) {
+        isListening = listening;
+        document.body.classList.toggle('voice-listening', listening);
+        updateVoiceButton();
+    }
+
+    /**
+     * Update voice command button
+     */
+    function updateVoiceButton() {
+        const voiceBtn = document.getElementById('voice-command-btn');
+        if (!voiceBtn || voiceBtn.disabled) return;
+
+        const text = voiceBtn.querySelector('.btn-text') || voiceBtn.childNodes[voiceBtn.childNodes.length - 1];
+
+        voiceBtn.setAttribute('aria-pressed', isListening ? 'true' : 'false');
+        voiceBtn.classList.toggle('active', isListening);
+
+        if (isListening) {
+            voiceBtn.setAttribute('aria-label', t('toolbar.voiceOnLabel', 'Voice commands on. Click to stop listening'));
+            if (text && text.textContent) {
+                text.textContent = ' ' + t('toolbar.voiceOn', 'Voice: On');
+            }
+        } else {
+            voiceBtn.setAttribute('aria-label', t('toolbar.voiceOffLabel', 'Voice commands off. Click to start listening'));
+            if (text && text.textContent) {
+                text.textContent = ' ' + t('toolbar.voice', 'Voice');
+            }
+        }
+    }
+
+    /**
+     * Handle recognizer errors
+     */
+    function handleRecognizerError(error) {
+        // Silence is not an error worth reporting; recognition restarts on end
+        if (error === 'no-speech' || error === 'aborted') return;
+
+        if (error === 'not-allowed' || error === 'service-not-allowed') {
+            setListening(false);
+            announce(t('voice.permissionDenied', 'Microphone access was blocked, so voice commands are off'), 'assertive');
+            return;
+        }
+
+        announce(t('voice.error', `Voice recognition problem: ${error}`, { error }), 'assertive');
+    }
+
+    /**
+     * Register a voice command. Patterns are matched against the lowercased
+     * transcript; the handler gets the match and returns (a promise of) the result message,
+     * or false when nothing should be announced.
+     */
+    function registerCommand(name, patterns, handler) {
+        commands.push({ name, patterns, handler });
+    }
+
+    /**
+     * Match a transcript to a command, run it and announce what happened
+     */
+    function handleTranscript(transcript) {
+        const spoken = normalizeTranscript(transcript);
+        if (!spoken) return Promise.resolve(null);
+
+        for (const command of commands) {
+            for (const pattern of command.patterns) {
+                const match = spoken.match(pattern);
+                if (match) {
+                    return Promise.resolve()
+                        .then(() => command.handler(match))
+                        .then(result => {
+                            if (result === false) {
+                                return { command: command.name, result: null };
+                            }
+
+                            const heard = t('voice.heard', `Heard "${spoken}".`, { command: spoken });
+                            announce(result ? `${heard} ${result}` : heard);
+                            return { command: command.name, result };
+                        })
+                        .catch(error => {
+                            console.warn('Voice command failed:', error);
+                            announce(t('voice.commandFailed', `"${spoken}" could not be completed`, { command: spoken }), 'assertive');
+                            return { command: command.name, result: null };
+                        });
+                }
+            }
+        }
+
+        announce(t('voice.notUnderstood', `Sorry, "${spoken}" is not a voice command. Say "help" for a list.`, { command: spoken }));
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Lowercase a transcript and drop punctuation the recognizer adds
+     */
+    function normalizeTranscript(transcript) {
+        return String(transcript || '')
+            .toLowerCase()
+            .replace(/[.,!?]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Built-in commands mapped onto the existing site functions
+     */
+    function registerDefaultCommands() {
+        registerCommand('help', [/^(help|what can i say)$/], function() {
+            return t('voice.help', 'You can say: go to schemes, go to a city name, search followed by words, next result, previous result, open result, read page, pause, next sentence, next heading, stop reading, call helpline, increase font, decrease font, high contrast, and stop listening.');
+        });
+
+        registerCommand('openResult', [/^(open|select|choose) (this |the )?result$/], function() {
+            const activeResult = document.querySelector('.search-result-item.active');
+            if (!activeResult) {
+                return t('voice.noActiveResult', 'No result is selected. Say "next result" first.');
+            }
+            const title = activeResult.querySelector('.result-title');
+            activeResult.click();
+            return t('voice.opening', `Opening ${title ? title.textContent : ''}`, { page: title ? title.textContent : '' });
+        });
+
+        registerCommand('navigate', [/^(?:go to|open|show)(?: the)? (.+?)(?: page)?$/], function(match) {
+            return navigateTo(match[1]);
+        });
+
+        registerCommand('back', [/^go back$/], function() {
+            window.history.back();
+            return t('voice.goingBack', 'Going back');
+        });
+
+        registerCommand('search', [/^(?:search for|search|find) (.+)$/], function(match) {
+            return search(match[1]);
+        });
+
+        registerCommand('nextResult', [/^next( result)?$/], function() {
+            return moveResult('down');
+        });
+
+        registerCommand('previousResult', [/^previous( result)?$/], function() {
+            return moveResult('up');
+        });
+
+        registerCommand('readPage', [/^read(?: the)? page$/, /^read aloud$/, /^(resume|continue)( reading)?$/], function() {
+            return readPage();
+        });
+
+        registerCommand('pauseReading', [/^pause( reading)?$/], function() {
+            return controlReader('pause', t('reader.paused', 'Reading paused'));
+        });
+
+        registerCommand('stopReading', [/^stop reading$/, /^(be )?quiet$/], function() {
+            return controlReader('stop', t('voice.readingStopped', 'Stopped reading'));
+        });
+
+        registerCommand('nextSentence', [/^next sentence$/], function() {
+            return controlReader('nextSentence');
+        });
+
+        registerCommand('previousSentence', [/^previous sentence$/], function() {
+            return controlReader('previousSentence');
+        });
+
+        registerCommand('nextHeading', [/^next (heading|section)$/], function() {
+            return controlReader('nextHeading');
+        });
+
+        registerCommand('previousHeading', [/^previous (heading|section)$/], function() {
+            return controlReader('previousHeading');
+        });
+
+        registerCommand('callHelpline', [/^call(?: the)?(?: disability)? helpline$/], function() {
+            return callHelpline();
+        });
+
+        registerCommand('increaseFont', [/^(increase|bigger|larger)( the)?( font| text)?( size)?$/, /^(make )?(the )?(font|text) bigger$/], function() {
+            return stepFontSize(1);
+        });
+
+        registerCommand('decreaseFont', [/^(decrease|smaller|reduce)( the)?( font| text)?( size)?$/, /^(make )?(the )?(font|text) smaller$/], function() {
+            return stepFontSize(-1);
+        });
+
+        registerCommand('resetFont', [/^reset( the)? (font|text)( size)?$/, /^normal (font|text)( size)?$/], function() {
+            accessibility().setFontSize('normal');
+            return t('voice.fontSize', 'Font size is now normal', { size: 'normal' });
+        });
+
+        registerCommand('highContrast', [/^(toggle |turn on |turn off )?(high )?contrast( on| off)?$/], function(match) {
+            // "on" or "off" sets the mode; otherwise it is toggled
+            const state = ((match[1] || '') + (match[3] || '')).match(/\b(on|off)\b/);
+            if (state) {
+                accessibility().setHighContrast(state[1] === 'on');
+            } else {
+                accessibility().toggleHighContrast();
+            }
+            return accessibility().getCurrentSettings().highContrast ?
+                t('voice.contrastOn', 'High contrast is on') :
+                t('voice.contrastOff', 'High contrast is off');
+        });
+
+        registerCommand('stopListening', [/^stop listening$/, /^voice off$/], function() {
+            setTimeout(stopListening, 0);
+            return '';
+        });
+    }
+
+    /**
+     * Open a page or city dashboard by its spoken name
+     */
+    function navigateTo(spokenName) {
+        const name = spokenName.replace(/^the /, '');
+        const page = PAGES.find(candidate => candidate.names.includes(name));
+
+        if (page) {
+            window.location.href = page.url;
+            return t('voice.opening', `Opening ${page.label}`, { page: page.label });
+        }
+
+        return fetchCities().then(cities => {
+            const city = cities.find(candidate => candidate.name.toLowerCase() === name);
+            if (!city) {
+                return t('voice.unknownPage', `There is no page called ${name}`, { page: name });
+            }
+
+            window.location.href = `/city/${encodeURIComponent(city.name)}`;
+            return t('voice.opening', `Opening ${city.name}`, { page: city.name });
+        });
+    }
+
+    /**
+     * Fill in the search box and run the site search
+     */
+    function search(query) {
+        const main = window.DisabilitySupportMain;
+        const searchInput = document.getElementById('search-input');
+
+        if (!main || !searchInput) {
+            return t('voice.searchUnavailable', 'Search is not available on this page');
+        }
+
+        searchInput.value = query;
+        main.performSearch(query);
+        return t('voice.searching', `Searching for ${query}. Say "next result" to hear the results.`, { query });
+    }
+
+    /**
+     * Step through search results and report the selected one
+     */
+    function moveResult(direction) {
+        const main = window.DisabilitySupportMain;
+        const activeResult = main && main.moveSearchSelection(direction);
+
+        if (!activeResult) {
+            return t('voice.noResults', 'There are no search results. Say "search" followed by what you are looking for.');
+        }
+
+        const allResults = Array.from(document.querySelectorAll('.search-result-item'));
+        const title = activeResult.querySelector('.result-title');
+
+        return t('voice.result', `Result ${allResults.indexOf(activeResult) + 1} of ${allResults.length}: ${title ? title.textContent : ''}`, {
+            position: allResults.indexOf(activeResult) + 1,
+            total: allResults.length,
+            title: title ? title.textContent : ''
+        });
+    }
+
+    /**
+     * Read the main content aloud with the page reader
+     */
+    function readPage() {
+        if (!window.DisabilitySupportReader || !window.speechSynthesis) {
+            return t('voice.readUnavailable', 'Reading aloud is not supported in this browser');
+        }
+
+        window.DisabilitySupportReader.open();
+        return controlReader('play');
+    }
+
+    /**
+     * Run a page reader action. Actions that start reading announce nothing (no message),
+     * since an announcement would talk over the reader or be cut off by it
+     */
+    function controlReader(action, message) {
+        const reader = window.DisabilitySupportReader;
+        if (!reader) {
+            return t('voice.readUnavailable', 'Reading aloud is not supported in this browser');
+        }
+
+        reader[action]();
+        return message || false;
+    }
+
+    /**
+     * Dial the disability helpline for the current city, or the national one
+     */
+    function callHelpline() {
+        const main = window.DisabilitySupportMain;
+        const currentCity = main ? main.getCurrentCity() : '';
+
+        return fetchCities().then(cities => {
+            const city = cities.find(candidate => candidate.name.toLowerCase() === currentCity.toLowerCase());
+            const number = city ? city.disability_helpline : NATIONAL_HELPLINE;
+            const name = city ? city.name : t('voice.nationalHelpline', 'national');
+
+            window.location.href = `tel:${number.replace(/[^\d+]/g, '')}`;
+            return t('voice.calling', `Calling the ${name} disability helpline on ${number}`, { name, number });
+        });
+    }
+
+    /**
+     * Move the font size one step up or down
+     */
+    function stepFontSize(step) {
+        const current = FONT_SIZES.indexOf(accessibility().getCurrentSettings().fontSize);
+        const next = Math.min(Math.max(current + step, 0), FONT_SIZES.length - 1);
+
+        if (next === current) {
+            return step > 0 ?
+                t('voice.fontLargest', 'Font size is already the largest') :
+                t('voice.fontSmallest', 'Font size is already the smallest');
+        }
+
+        accessibility().setFontSize(FONT_SIZES[next]);
+        return t('voice.fontSize', `Font size is now ${FONT_SIZES[next]}`, { size: FONT_SIZES[next] });
+    }
+
+    /**
+     * Load the city list (served from the offline cache when needed)
+     */
+    function fetchCities() {
+        return fetch('/api/cities')
+            .then(response => response.json())
+            .then(data => data.cities || [])
+            .catch(() => []);
+    }
+
+    /**
+     * Shared accessibility layer
+     */
+    function accessibility() {
+        return window.DisabilitySupportAccessibility;
+    }
+
+    /**
+     * Announce through the shared accessibility layer
+     */
+    function announce(message, priority) {
+        const accessibilityLayer = accessibility();
+        if (accessibilityLayer) {
+            accessibilityLayer.announceToScreenReader(message, priority);
+        }
+    }
+
+    // Export voice command functions for other scripts and tests
+    window.DisabilitySupportVoice = {
+        startListening,
+        stopListening,
+        toggleListening,
+        isListening: function() {
+            return isListening;
+        },
+        registerCommand,
+        handleTranscript,
+        setRecognizerFactory
+    };
+
+})();